@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Build Site
+ *
+ * Purpose:
+ *   - Render the leaderboards as a static site that needs no server (src/site/render.mjs):
+ *     the day's scoreboard, the trip leaderboard with adult footnotes, team standings, a page
+ *     per student with their observation photos and score breakdown, and a species gallery
+ *   - Reads the latest run through the leaderboard views with the anon key, or a scores.json
+ *     written by npm run score -- --out
+ *   - Open the output's index.html on a projector, or copy the folder to any static host
+ *
+ * Usage:
+ *   node scripts/build_site.mjs [--from scores.json] [--out site] [--trip <key>]
+ *     [--day YYYY-MM-DD] [--refresh <seconds>]
+ *
+ *   --from     scores.json from npm run score (default: read Supabase)
+ *   --out      Output directory (default: site)
+ *   --trip     Trip in trips.json ($TRIPS_FILE) for the title and timezone (default: $TRIP;
+ *              a scores.json scored with --trip already has them)
+ *   --day      Scoreboard day (default: today in the trip's timezone, else the latest day
+ *              with points)
+ *   --refresh  Make the pages reload themselves every N seconds
+ *
+ * Requirements:
+ *   - Without --from: SUPABASE_URL and SUPABASE_ANON_KEY; score_entries_obs.observed_day
+ *     (20251114000000_trip_timezones.sql) and the views of
+ *     20251115000000_roster_scoring.sql, 20251117000000_teams.sql and
+ *     20251121000000_identifications.sql. Runs scored without a roster fall back to
+ *     leaderboard_overall_latest_v1 / leaderboard_daily_latest_v2
+ */
+
+import 'dotenv/config';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { ranked } from '../src/scoring/leaderboard.mjs';
+import { renderSite, siteModel } from '../src/site/render.mjs';
+import { loadTrip, TRIPS_FILE } from '../src/config/trips.mjs';
+
+const PAGE_SIZE = 1000; // PostgREST default max rows
+const ID_BATCH_SIZE = 200; // inat_obs_id values per .in() filter, to keep URLs short
+
+const USAGE = 'Usage: node scripts/build_site.mjs [--from scores.json] [--out site] [--trip <key>] [--day YYYY-MM-DD] [--refresh <seconds>]';
+
+// Unknown or malformed options are reported with the usage, like every other failure
+function readArgs() {
+  try {
+    return parseArgs({
+      options: {
+        from: { type: 'string' },
+        out: { type: 'string', default: 'site' },
+        trip: { type: 'string', default: process.env.TRIP || undefined },
+        day: { type: 'string' },
+        refresh: { type: 'string' },
+        help: { type: 'boolean', default: false },
+      },
+    }).values;
+  } catch (err) {
+    throw new Error(`${err.message}\n${USAGE}`);
+  }
+}
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+function anonClient() {
+  const url = process.env.SUPABASE_URL;
+  const anonKey = process.env.SUPABASE_ANON_KEY;
+  if (!url || !anonKey) {
+    throw new Error('Missing required envs: SUPABASE_URL, SUPABASE_ANON_KEY (or pass --from scores.json)');
+  }
+  return createClient(url, anonKey, { auth: { persistSession: false } });
+}
+
+async function loadAll(build, what) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = check(await build().range(from, from + PAGE_SIZE - 1), what);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+const num = (v) => (v == null ? 0 : Number(v));
+
+// Per-student views for roster-scored runs, else the per-login ones
+async function loadLeaderboards(supabase) {
+  const students = await loadAll(() => supabase.from('leaderboard_students_latest_v1').select('*'), 'Read leaderboard_students_latest_v1');
+  if (students.length) {
+    const loginsOf = new Map(students.map((s) => [s.student_key, s.user_logins]));
+    const row = (s) => ({
+      display_name: s.display_name,
+      is_adult: s.is_adult === true,
+      points: num(s.points),
+      obs_count: num(s.obs_count),
+      distinct_taxa: num(s.distinct_taxa),
+      ident_points: num(s.ident_points),
+      ident_count: num(s.ident_count),
+    });
+    const daily = await loadAll(() => supabase.from('leaderboard_students_daily_latest_v1').select('*'), 'Read leaderboard_students_daily_latest_v1');
+    return {
+      leaderboard: ranked(students.map((s) => ({ rank: null, user_login: s.user_logins, ...row(s) }))),
+      leaderboard_daily: ranked(daily.map((d) => ({ day: d.day, rank: null, user_login: loginsOf.get(d.student_key) ?? d.student_key, ...row(d) })), (r) => r.day),
+    };
+  }
+
+  const overall = await loadAll(() => supabase.from('leaderboard_overall_latest_v1').select('*'), 'Read leaderboard_overall_latest_v1');
+  const daily = await loadAll(() => supabase.from('leaderboard_daily_latest_v2').select('*'), 'Read leaderboard_daily_latest_v2');
+  const row = (r) => ({
+    display_name: r.user_login,
+    user_login: r.user_login,
+    is_adult: false,
+    obs_count: num(r.obs_count),
+    distinct_taxa: num(r.distinct_taxa),
+  });
+  const sum = (login, field) => daily.filter((d) => d.user_login === login).reduce((total, d) => total + num(d[field]), 0);
+  return {
+    leaderboard: ranked(overall.map((r) => ({
+      rank: null, ...row(r), points: sum(r.user_login, 'points'), ident_points: sum(r.user_login, 'ident_points'), ident_count: sum(r.user_login, 'ident_count'),
+    }))),
+    leaderboard_daily: ranked(daily.map((d) => ({
+      day: d.day, rank: null, ...row(d), points: num(d.points), ident_points: num(d.ident_points), ident_count: num(d.ident_count),
+    })), (r) => r.day),
+  };
+}
+
+async function loadTeams(supabase) {
+  const teams = await loadAll(() => supabase.from('leaderboard_teams_latest_v1').select('*'), 'Read leaderboard_teams_latest_v1');
+  if (!teams.length) return {};
+  return {
+    team_aggregation: teams[0].aggregation,
+    teams: teams
+      .map((t) => ({ rank: num(t.team_rank), team: t.team, score: num(t.score), points: num(t.points), members: num(t.members), distinct_taxa: num(t.distinct_taxa) }))
+      .sort((a, b) => a.rank - b.rank || a.team.localeCompare(b.team)),
+  };
+}
+
+// Scored observations with their breakdown (score_breakdown_latest_v1), photos and taxa;
+// observations deleted on iNat since drop out, like in the leaderboard views. The day is the
+// entry's trip-local observed_day, which the daily leaderboards bucket by, not the
+// observer's observed_on
+async function loadObservations(supabase) {
+  const items = await loadAll(
+    () => supabase.from('score_breakdown_latest_v1').select('*').order('inat_obs_id').order('item_order'),
+    'Read score_breakdown_latest_v1'
+  );
+  const entries = new Map();
+  const runId = items[0]?.run_id;
+  for (const item of items) {
+    let e = entries.get(item.inat_obs_id);
+    if (!e) {
+      e = { inat_obs_id: item.inat_obs_id, user_login: item.user_login, taxon_name: item.taxon_name, observed_at: item.observed_at, points: num(item.obs_points), breakdown: [] };
+      entries.set(item.inat_obs_id, e);
+    }
+    e.breakdown.push({ rule: item.rule_id, label: item.label, points: num(item.points), applied: item.applied, reason: item.reason ?? undefined });
+  }
+  const ids = [...entries.keys()];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const rows = check(
+      await supabase
+        .from('observations')
+        .select('inat_obs_id, taxon_id, photo_url, is_active')
+        .in('inat_obs_id', ids.slice(i, i + ID_BATCH_SIZE)),
+      'Read observations'
+    );
+    for (const row of rows) {
+      const e = entries.get(row.inat_obs_id);
+      if (row.is_active === false) entries.delete(row.inat_obs_id);
+      else Object.assign(e, { taxon_id: row.taxon_id, photo_url: row.photo_url });
+    }
+    const days = check(
+      await supabase
+        .from('score_entries_obs')
+        .select('inat_obs_id, observed_day')
+        .eq('run_id', runId)
+        .in('inat_obs_id', ids.slice(i, i + ID_BATCH_SIZE)),
+      'Read score_entries_obs'
+    );
+    for (const row of days) {
+      const e = entries.get(row.inat_obs_id);
+      if (e) e.observed_day = row.observed_day;
+    }
+  }
+  return [...entries.values()];
+}
+
+async function loadFromSupabase() {
+  const supabase = anonClient();
+  return {
+    ...(await loadLeaderboards(supabase)),
+    ...(await loadTeams(supabase)),
+    observations: await loadObservations(supabase),
+  };
+}
+
+async function main() {
+  const args = readArgs();
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  const refresh = args.refresh == null ? null : Number(args.refresh);
+  if (refresh != null && !(refresh > 0)) throw new Error(`--refresh must be a number of seconds, got "${args.refresh}"`);
+  if (args.day && !/^\d{4}-\d{2}-\d{2}$/.test(args.day)) throw new Error(`--day must be YYYY-MM-DD, got "${args.day}"`);
+
+  const results = args.from
+    ? JSON.parse(await readFile(args.from, 'utf8').catch((err) => { throw new Error(`Could not read ${args.from}: ${err.message}`); }))
+    : await loadFromSupabase();
+  const trip = args.trip ? await loadTrip(args.trip, process.env.TRIPS_FILE || TRIPS_FILE) : null;
+  if (trip) results.trip = { key: trip.key, name: trip.name ?? trip.key };
+
+  const model = siteModel(results, { day: args.day ?? null, timeZone: trip?.timezone ?? null });
+  const pages = renderSite(model, { refresh });
+  for (const [name, html] of Object.entries(pages)) {
+    await mkdir(dirname(join(args.out, name)), { recursive: true });
+    await writeFile(join(args.out, name), html);
+  }
+
+  console.log(JSON.stringify({ source: args.from ?? 'supabase', out: args.out, day: model.day, students: model.leaderboard.length, species: model.species.length, pages: Object.keys(pages).length }));
+  console.log(`✅ Wrote ${join(args.out, 'index.html')} and ${Object.keys(pages).length - 1} more pages`);
+}
+
+main().catch((err) => {
+  console.error(`❌ SITE BUILD FAILED: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Compare Runs
+ *
+ * Purpose:
+ *   - Show two scored runs side by side (src/scoring/compare.mjs): each student's rank
+ *     movement and points delta, from the standings frozen when each run was scored
+ *     (leaderboard_snapshots), and every observation that entered or left scoring or changed
+ *     points, with why ("deleted on iNaturalist", "quality grade research → needs_id",
+ *     "rule set default@1 → default@2", "research grade: +1 → 0")
+ *   - For a disputed score after a rule change, or how the standings moved over the week
+ *
+ * Usage:
+ *   node scripts/compare_runs.mjs [--trip <key>] [--from <run uuid | YYYY-MM-DD>]
+ *     [--to <run uuid | YYYY-MM-DD>] [--login <inat login>] [--json] [--out <dir>]
+ *
+ *   --trip   Trip whose runs to compare (default: $TRIP; without one, runs scored without a trip)
+ *   --from   Earlier run, or a trip-local day: the run that ended that day on the board
+ *            (leaderboard_snapshots_daily). Default: the run scored before --to
+ *   --to     Later run or day (default: the trip's latest scored run)
+ *   --login  Only this login's observations
+ *   --json   Print the comparison as JSON instead of text
+ *   --out    Also write compare_students.csv and compare_observations.csv here
+ *
+ * Requirements:
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - Migration 20251125000000_leaderboard_snapshots.sql applied; both runs scored by
+ *     scripts/compute_scores.mjs (or snapshotted with snapshot_leaderboards_v1())
+ */
+
+import 'dotenv/config';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { compareObservations, compareStandings } from '../src/scoring/compare.mjs';
+import { toCsv } from '../src/scoring/csv.mjs';
+import { formatPoints } from '../src/scoring/scorer.mjs';
+
+const PAGE_SIZE = 1000; // PostgREST default max rows
+const ID_BATCH_SIZE = 200; // inat_obs_id values per .in() filter, to keep URLs short
+const RUN_COLUMNS = 'id, started_at, scored_at, rule_set_id, rule_set_version, rule_set_hash, score_filters, roster_report';
+
+const { values: args } = parseArgs({
+  options: {
+    trip: { type: 'string', default: process.env.TRIP || undefined },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    login: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    out: { type: 'string' },
+  },
+});
+
+const url = process.env.SUPABASE_URL;
+const serviceKey =
+  process.env.SUPABASE_SERVICE_KEY ||
+  process.env.SUPABASE_SECRET_KEY ||
+  process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceKey) {
+  console.error('❌ Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(url, serviceKey, { auth: { persistSession: false } });
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+async function loadAll(build, what) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = check(await build().range(from, from + PAGE_SIZE - 1), what);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+const forTrip = (q, column) => (args.trip ? q.eq(column, args.trip) : q.is(column, null));
+
+// Scored runs of the trip, latest first
+function scoredRuns() {
+  return forTrip(supabase.from('score_runs').select(RUN_COLUMNS).not('scored_at', 'is', null), 'score_filters->>trip_key')
+    .order('scored_at', { ascending: false });
+}
+
+async function runById(id) {
+  const run = check(await supabase.from('score_runs').select(RUN_COLUMNS).eq('id', id).maybeSingle(), 'Read score_runs');
+  if (!run) throw new Error(`score_runs row ${id} not found`);
+  return run;
+}
+
+// A run id, or the run that ended a trip-local day on the board
+async function pickRun(selector) {
+  if (!isDay(selector)) return runById(selector);
+  const day = check(
+    await supabase
+      .from('leaderboard_snapshots_daily')
+      .select('run_id')
+      .eq('trip_key', args.trip ?? '')
+      .eq('day', selector)
+      .limit(1)
+      .maybeSingle(),
+    'Read leaderboard_snapshots_daily'
+  );
+  if (!day) throw new Error(`No snapshot for ${args.trip ?? 'runs without a trip'} on ${selector}`);
+  return runById(day.run_id);
+}
+
+async function pickRuns() {
+  const to = args.to ? await pickRun(args.to) : check(await scoredRuns().limit(1).maybeSingle(), 'Read score_runs');
+  if (!to) throw new Error(`No scored run for ${args.trip ? `trip "${args.trip}"` : 'runs without a trip'}`);
+  if (args.from) return { from: await pickRun(args.from), to };
+
+  const from = check(
+    await scoredRuns().lt('scored_at', to.scored_at ?? to.started_at).limit(1).maybeSingle(),
+    'Read score_runs'
+  );
+  if (!from) throw new Error(`Run ${to.id} is the first scored run; nothing to compare it with`);
+  return { from, to };
+}
+
+async function loadStandings(run) {
+  const rows = await loadAll(
+    () => supabase.from('leaderboard_snapshots').select('*').eq('run_id', run.id).order('student_key'),
+    'Read leaderboard_snapshots'
+  );
+  if (!rows.length) {
+    console.warn(`⚠️  Run ${run.id} has no snapshot; select public.snapshot_leaderboards_v1('${run.id}') to take one`);
+  }
+  return rows;
+}
+
+async function loadEntries(run) {
+  return loadAll(() => {
+    let q = supabase
+      .from('score_entries_obs')
+      .select('inat_obs_id, user_login, student_key, student_name, taxon_id, quality_grade, points, breakdown')
+      .eq('run_id', run.id);
+    if (args.login) q = q.eq('user_login', args.login);
+    return q.order('inat_obs_id');
+  }, 'Read score_entries_obs');
+}
+
+async function loadObservations(ids) {
+  const byId = new Map();
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const rows = check(
+      await supabase.from('observations').select('*').in('inat_obs_id', ids.slice(i, i + ID_BATCH_SIZE)),
+      'Read observations'
+    );
+    for (const row of rows) byId.set(Number(row.inat_obs_id), row);
+  }
+  return byId;
+}
+
+const runLabel = (run) =>
+  `${run.id} (scored ${run.scored_at ?? 'never'}, ${run.rule_set_id ? `${run.rule_set_id}@${run.rule_set_version}` : 'unknown rule set'})`;
+
+function printText({ from, to, students, observations }) {
+  console.log(`From ${runLabel(from)}`);
+  console.log(`To   ${runLabel(to)}\n`);
+
+  console.log('Rank        Points            Student');
+  for (const s of students) {
+    const rank = s.is_adult ? 'adult' : `${s.from_rank ?? '–'} → ${s.to_rank ?? '–'}`;
+    const move = s.rank_change > 0 ? ` ▲${s.rank_change}` : s.rank_change < 0 ? ` ▼${-s.rank_change}` : '';
+    const points = `${s.from_points ?? 0} → ${s.to_points ?? 0} (${formatPoints(s.points_delta)})`;
+    console.log(`${(rank + move).padEnd(12)}${points.padEnd(18)}${s.display_name}`);
+  }
+
+  if (!observations.length) {
+    console.log('\nNo observation entered, left or changed points');
+    return;
+  }
+  const heads = { entered: '+ entered', left: '- left', points: '~ points' };
+  for (const o of observations) {
+    const pts = o.change === 'points' ? `${o.from_points} → ${o.to_points}` : formatPoints(o.points_delta);
+    console.log(`\n${heads[o.change]}  #${o.inat_obs_id}  ${o.display_name}  ${o.taxon_name ?? 'unidentified'}  ${pts}`);
+    for (const reason of o.reasons) console.log(`    ${reason}`);
+  }
+}
+
+async function main() {
+  const { from, to } = await pickRuns();
+  if (from.id === to.id) throw new Error(`--from and --to are the same run (${from.id})`);
+
+  let students = compareStandings(await loadStandings(from), await loadStandings(to));
+  const fromEntries = await loadEntries(from);
+  const toEntries = await loadEntries(to);
+  // Current rows explain why observations entered or left, and name the changed ones
+  const pointsOf = new Map(fromEntries.map((e) => [Number(e.inat_obs_id), Number(e.points)]));
+  const changed = new Set(pointsOf.keys());
+  for (const e of toEntries) {
+    const id = Number(e.inat_obs_id);
+    if (pointsOf.get(id) === Number(e.points)) changed.delete(id);
+    else changed.add(id);
+  }
+  const observations = compareObservations(fromEntries, toEntries, {
+    observations: await loadObservations([...changed]),
+    fromRun: from,
+    toRun: to,
+  });
+  if (args.login) {
+    const login = args.login.toLowerCase();
+    students = students.filter((s) => (s.user_logins ?? s.student_key).toLowerCase().split(',').includes(login));
+  }
+
+  const report = { from, to, students, observations };
+  if (args.out) {
+    await mkdir(args.out, { recursive: true });
+    await writeFile(join(args.out, 'compare_students.csv'), toCsv(students, [
+      'student_key', 'display_name', 'user_logins', 'is_adult', 'from_rank', 'to_rank', 'rank_change', 'from_points', 'to_points', 'points_delta',
+    ]));
+    await writeFile(join(args.out, 'compare_observations.csv'), toCsv(
+      observations.map((o) => ({ ...o, reasons: o.reasons.join('; ') })),
+      ['change', 'inat_obs_id', 'student_key', 'display_name', 'user_login', 'taxon_name', 'from_points', 'to_points', 'points_delta', 'reasons']
+    ));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  printText(report);
+  const count = (kind) => observations.filter((o) => o.change === kind).length;
+  console.log(JSON.stringify({
+    from: from.id,
+    to: to.id,
+    students: students.length,
+    rank_changes: students.filter((s) => s.rank_change).length,
+    entered: count('entered'),
+    left: count('left'),
+    points_changed: count('points'),
+    out: args.out ?? null,
+  }));
+}
+
+main().catch((err) => {
+  console.error(`❌ COMPARE FAILED: ${err.message}`);
+  process.exit(1);
+});
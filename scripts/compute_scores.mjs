@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Compute Scores (JS rules engine)
+ *
+ * Purpose:
+ *   - Score a run with a versioned rule set from rules/*.json instead of the
+ *     points hard-coded in compute_scores_mvp()
+ *   - Write the same score_entries_obs rows the RPC writes, replacing the run's rows (and its
+ *     score_entries_ident rows and snapshot) in one transaction (replace_score_entries_v2()),
+ *     so readers never see a half-written run
+ *   - Record the rule set id/version/hash on the score_runs row and keep the exact
+ *     definition in scoring_rule_sets, so re-scoring a past run is reproducible
+ *   - Store each observation's rule breakdown and the filters used, for
+ *     scripts/score_breakdown.mjs
+ *   - Score only the roster: the trip's roster in trips.json, else
+ *     active_participants_v1. A student's iNat accounts merge, adults are flagged for
+ *     footnotes, and logins not on the roster go to score_runs.roster_report (with team
+ *     sizes for the team standings views)
+ *   - For rule sets with identification_rules, score the identifications students made of
+ *     others' observations (ingested with INGEST_IDENTIFICATIONS=true) into
+ *     score_entries_ident; the leaderboard views add them to observation points
+ *   - For rule sets that read taxon_observations_count, refresh iNat's observation counts
+ *     of the scored taxa into taxon_stats (cached for TAXON_STATS_MAX_AGE_DAYS days)
+ *   - Freeze the run's standings with snapshot_leaderboards_v1(), and each entry's quality
+ *     grade, for scripts/compare_runs.mjs
+ *
+ * Usage:
+ *   node scripts/compute_scores.mjs [--trip <key>] [--rules rules/default.v1.json] [--run <run uuid>]
+ *     [--all-logins]
+ *
+ *   --trip   Score with a trip from trips.json ($TRIPS_FILE): its window, areas and rule set
+ *            instead of config_filters (default: $TRIP)
+ *   --rules  Rule set file (default: the trip's, else $SCORING_RULES or rules/default.v1.json)
+ *   --run    score_runs id to (re)score (default: the newest finished ingest run not scored
+ *            yet, like the RPC)
+ *   --all-logins  Score every login in the area, ignoring the roster
+ *
+ * Requirements:
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - Migrations 20251110000000_scoring_rule_sets.sql, 20251111000000_score_breakdown.sql,
+ *     20251112000000_trip_config.sql, 20251113000000_trip_areas.sql,
+ *     20251114000000_trip_timezones.sql, 20251115000000_roster_scoring.sql,
+ *     20251117000000_teams.sql, 20251119000000_taxon_lineage.sql,
+ *     20251120000000_trip_discoveries.sql, 20251121000000_identifications.sql,
+ *     20251122000000_leaderboards_by_run.sql, 20251125000000_leaderboard_snapshots.sql and
+ *     20251126000000_atomic_scoring.sql applied
+ *   - Network access to iNat (INAT_* env, as for roster.mjs) when a rule reads
+ *     taxon_observations_count and the cache is stale
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { loadRuleSet, ruleSetHash, ruleSetLabel } from '../src/scoring/rules.mjs';
+import { passesFilters, scoreObservations } from '../src/scoring/scorer.mjs';
+import { scoreIdentifications } from '../src/scoring/identifications.mjs';
+import { rosterFromParticipants, rosterReport } from '../src/scoring/roster.mjs';
+import { loadTrip, tripFilters, tripRoster, TRIPS_FILE } from '../src/config/trips.mjs';
+import { staleTaxa, taxonCountMap, usesTaxonCounts } from '../src/scoring/rarity.mjs';
+import { loadINatConfig } from '../src/ingest/config.mjs';
+import { createINatClient } from '../src/ingest/inat.mjs';
+import { fetchTaxonCounts } from '../src/ingest/query.mjs';
+
+const PAGE_SIZE = 1000; // PostgREST default max rows
+const INSERT_BATCH_SIZE = 500;
+const ID_BATCH_SIZE = 200; // taxon_id values per .in() filter, to keep URLs short
+
+const { values: args } = parseArgs({
+  options: {
+    trip: { type: 'string', default: process.env.TRIP || undefined },
+    rules: { type: 'string' },
+    run: { type: 'string' },
+    'all-logins': { type: 'boolean', default: false },
+  },
+});
+
+const url = process.env.SUPABASE_URL;
+const serviceKey =
+  process.env.SUPABASE_SERVICE_KEY ||
+  process.env.SUPABASE_SECRET_KEY ||
+  process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceKey) {
+  console.error('❌ Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(url, serviceKey, { auth: { persistSession: false } });
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+// Store the definition once per (id, version); refuse edits that did not bump the version
+async function publishRuleSet(ruleSet, hash) {
+  const existing = check(
+    await supabase
+      .from('scoring_rule_sets')
+      .select('hash')
+      .eq('id', ruleSet.id)
+      .eq('version', ruleSet.version)
+      .maybeSingle(),
+    'Read scoring_rule_sets'
+  );
+
+  if (existing && existing.hash !== hash) {
+    throw new Error(
+      `Rule set ${ruleSetLabel(ruleSet)} differs from the stored definition; bump "version" before scoring with it`
+    );
+  }
+  if (!existing) {
+    check(
+      await supabase.from('scoring_rule_sets').insert({ id: ruleSet.id, version: ruleSet.version, hash, definition: ruleSet }),
+      'Insert scoring_rule_sets'
+    );
+  }
+}
+
+// Without --run, the newest ingest run that finished (ok or partial) and is not scored yet:
+// runs in progress or failed have nothing to score, and scored ones need --run to re-score
+async function pickRun(runId) {
+  let q = supabase.from('score_runs').select('id, started_at, rule_set_id, rule_set_version, rule_set_hash');
+  q = runId
+    ? q.eq('id', runId)
+    : q
+        .is('scored_at', null)
+        .in('status', ['ok', 'partial'])
+        .order('started_at', { ascending: false, nullsFirst: false })
+        .order('id', { ascending: false })
+        .limit(1);
+  const run = check(await q.maybeSingle(), 'Read score_runs');
+  if (!run) {
+    throw new Error(runId ? `score_runs row ${runId} not found` : 'No ingest run awaiting scoring; run ingest first, or pass --run to re-score one');
+  }
+  return run;
+}
+
+async function loadFilters() {
+  return check(
+    await supabase
+      .from('config_filters')
+      .select('d1, d2, timezone, swlat, swlng, nelat, nelng, trip_key, bboxes, area, place_ids, obscured, max_accuracy_m, team_aggregation, min_taxon_rank')
+      .eq('id', true)
+      .maybeSingle(),
+    'Read config_filters'
+  );
+}
+
+// The trip's roster, else active_participants_v1; null (everyone scores) when neither has anyone
+async function loadRoster(trip) {
+  if (args['all-logins']) return null;
+  const fromTrip = trip ? tripRoster(trip) : null;
+  if (fromTrip) return fromTrip;
+
+  const { data, error } = await supabase.from('active_participants_v1').select('roster_id, display_name, is_adult, inat_login, team');
+  if (error) {
+    console.warn(`⚠️  Could not read active_participants_v1 (${error.message}); scoring every login`);
+    return null;
+  }
+  if (!data.length) {
+    console.warn('⚠️  active_participants_v1 is empty; scoring every login');
+    return null;
+  }
+  return rosterFromParticipants(data);
+}
+
+async function loadObservations() {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = check(
+      await supabase.from('observations').select('*').order('inat_obs_id').range(from, from + PAGE_SIZE - 1),
+      'Read observations'
+    );
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+// taxon_stats for the observed taxa, refetching missing or stale counts from iNat first.
+// A failed refresh falls back to whatever the cache holds.
+async function loadTaxonCounts(observations) {
+  const ids = [...new Set(observations.filter((row) => row.taxon_id != null).map((row) => Number(row.taxon_id)))];
+  const read = async () => {
+    const stats = [];
+    for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+      stats.push(...check(
+        await supabase.from('taxon_stats').select('taxon_id, observations_count, fetched_at').in('taxon_id', ids.slice(i, i + ID_BATCH_SIZE)),
+        'Read taxon_stats'
+      ));
+    }
+    return stats;
+  };
+
+  let stats = await read();
+  const stale = staleTaxa(ids, stats);
+  if (stale.length) {
+    try {
+      const fetchedAt = new Date().toISOString();
+      const taxa = await fetchTaxonCounts(createINatClient(loadINatConfig()), stale);
+      for (let i = 0; i < taxa.length; i += INSERT_BATCH_SIZE) {
+        check(
+          await supabase.from('taxon_stats').upsert(taxa.slice(i, i + INSERT_BATCH_SIZE).map((t) => ({ ...t, fetched_at: fetchedAt })), { onConflict: 'taxon_id' }),
+          'Upsert taxon_stats'
+        );
+      }
+      console.log(`Refreshed iNat observation counts for ${taxa.length} of ${stale.length} stale taxa`);
+      stats = await read();
+    } catch (err) {
+      console.warn(`⚠️  Could not refresh taxon_stats (${err.message}); using cached counts`);
+    }
+  }
+  return taxonCountMap(stats);
+}
+
+async function loadIdentifications() {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = check(
+      await supabase.from('identifications').select('*').order('inat_ident_id').range(from, from + PAGE_SIZE - 1),
+      'Read identifications'
+    );
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function main() {
+  const trip = args.trip ? await loadTrip(args.trip, process.env.TRIPS_FILE || TRIPS_FILE) : null;
+  const ruleSet = await loadRuleSet(args.rules || trip?.rules_file || process.env.SCORING_RULES || 'rules/default.v1.json');
+  const hash = ruleSetHash(ruleSet);
+  await publishRuleSet(ruleSet, hash);
+
+  const run = await pickRun(args.run);
+  if (run.rule_set_hash && run.rule_set_hash !== hash) {
+    console.warn(`⚠️  Run ${run.id} was scored with ${run.rule_set_id}@${run.rule_set_version}; re-scoring with ${ruleSetLabel(ruleSet)}`);
+  }
+
+  const filters = trip ? tripFilters(trip) : await loadFilters();
+  const roster = await loadRoster(trip);
+  const observations = await loadObservations();
+  const taxonCounts = usesTaxonCounts(ruleSet) ? await loadTaxonCounts(observations.filter((row) => passesFilters(row, filters))) : null;
+  const entries = scoreObservations(observations, ruleSet, { runId: run.id, filters, roster, taxonCounts });
+  const report = roster ? rosterReport(observations.filter((row) => passesFilters(row, filters)), roster) : null;
+  const identEntries = ruleSet.identification_rules?.length
+    ? scoreIdentifications(await loadIdentifications(), observations, ruleSet, { runId: run.id, filters, roster })
+    : [];
+
+  const gradeOf = new Map(observations.map((row) => [Number(row.inat_obs_id), row.quality_grade ?? null]));
+  // One transaction: readers keep the run's previous rows until the new ones are all in,
+  // and a failure leaves them (and scored_at) as they were
+  const [written] = check(
+    await supabase.rpc('replace_score_entries_v2', {
+      p_run_id: run.id,
+      p_entries: entries.map((e) => ({ ...e, quality_grade: gradeOf.get(Number(e.inat_obs_id)) ?? null })),
+      p_ident_entries: identEntries,
+      p_run: {
+        rule_set_id: ruleSet.id,
+        rule_set_version: ruleSet.version,
+        rule_set_hash: hash,
+        score_filters: filters,
+        roster_report: report,
+      },
+    }),
+    'replace_score_entries_v2'
+  );
+
+  const points = [...entries, ...identEntries].reduce((sum, e) => sum + e.points, 0);
+  console.log(JSON.stringify({
+    run_id: run.id,
+    trip: filters?.trip_key ?? null,
+    rule_set: ruleSetLabel(ruleSet),
+    rule_set_hash: hash,
+    observations: observations.length,
+    scored: entries.length,
+    identifications: identEntries.length,
+    points,
+    snapshot_students: written?.snapshot_students ?? null,
+    roster: report && { students: report.students, adults: report.adults, unmatched_logins: report.unmatched.length },
+  }));
+  for (const { user_login, observations: count, sample_obs_id } of report?.unmatched ?? []) {
+    console.warn(`⚠️  ${user_login} is not on the roster: ${count} observation(s), e.g. https://www.inaturalist.org/observations/${sample_obs_id}`);
+  }
+  console.log(`✅ Scored ${entries.length} observations for run ${run.id} with ${ruleSetLabel(ruleSet)}`);
+}
+
+main().catch((err) => {
+  console.error(`❌ SCORING FAILED: ${err.message}`);
+  console.error('::error::' + err.message);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Diversity Export
+ *
+ * Purpose:
+ *   - Biodiversity numbers of a scored run for post-trip lab reports: species
+ *     accumulation by trip-local day, Shannon and Simpson indices, Chao1 estimated
+ *     richness and counts by kingdom ... genus, for the whole trip, each participant
+ *     and each team (students only)
+ *   - Reads score_entries_obs for the run and the taxonomy from observations, so the
+ *     numbers match diversity_latest_v1 and the other views of
+ *     20251118000000_diversity.sql
+ *
+ * Usage:
+ *   node scripts/diversity.mjs [--run <run uuid>] [--out <dir>] [--format json|csv|both]
+ *
+ *   --run     score_runs id (default: the latest scored run, like the leaderboards)
+ *   --out     Directory for diversity.json and diversity.csv / accumulation.csv / taxa.csv
+ *             (default: print the trip, team and participant summaries only)
+ *   --format  Output files to write (default: both)
+ *
+ * Requirements:
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - The run scored with roster and lineage columns (20251115000000_roster_scoring.sql,
+ *     20251117000000_teams.sql, 20251119000000_taxon_lineage.sql)
+ */
+
+import 'dotenv/config';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { diversityCsvFiles, diversityRecords, diversityReport } from '../src/scoring/diversity.mjs';
+
+const PAGE_SIZE = 1000; // PostgREST default max rows
+const ID_BATCH_SIZE = 200; // inat_obs_id values per .in() filter, to keep URLs short
+
+const USAGE = 'Usage: node scripts/diversity.mjs [--run <run uuid>] [--out <dir>] [--format json|csv|both]';
+
+// Unknown or malformed options are reported with the usage, like every other failure
+function readArgs() {
+  try {
+    return parseArgs({
+      options: {
+        run: { type: 'string' },
+        out: { type: 'string' },
+        format: { type: 'string', default: 'both' },
+        help: { type: 'boolean', default: false },
+      },
+    }).values;
+  } catch (err) {
+    throw new Error(`${err.message}\n${USAGE}`);
+  }
+}
+
+function connect() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey =
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_SECRET_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) throw new Error('Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  return createClient(url, serviceKey, { auth: { persistSession: false } });
+}
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+async function pickRun(supabase, runId) {
+  let q = supabase.from('score_runs').select('id, started_at, rule_set_id, rule_set_version, score_filters');
+  q = runId ? q.eq('id', runId) : q.not('scored_at', 'is', null).order('scored_at', { ascending: false }).order('id', { ascending: false }).limit(1);
+  const run = check(await q.maybeSingle(), 'Read score_runs');
+  if (!run) throw new Error(runId ? `score_runs row ${runId} not found` : 'No scored run yet; run scripts/compute_scores.mjs first');
+  return run;
+}
+
+async function loadAll(build, what) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = check(await build().range(from, from + PAGE_SIZE - 1), what);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Taxonomy for the scored observations only; inactive (deleted on iNat) ones drop out, like the views
+async function loadTaxonomy(supabase, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const batch = ids.slice(i, i + ID_BATCH_SIZE);
+    rows.push(...check(
+      await supabase
+        .from('observations')
+        .select('inat_obs_id, taxon_id, taxon_name, taxon_rank, taxon_kingdom, taxon_phylum, taxon_class, taxon_order, taxon_family, taxon_genus')
+        .in('inat_obs_id', batch)
+        .eq('is_active', true),
+      'Read observations'
+    ));
+  }
+  return rows;
+}
+
+function summary(s) {
+  const fmt = (n) => (n == null ? '—' : n.toFixed(3));
+  return `${s.name.padEnd(24)} ${String(s.observations).padStart(5)} obs  ${String(s.richness).padStart(4)} taxa  ` +
+    `H' ${fmt(s.shannon)}  1-D ${fmt(s.simpson)}  Chao1 ${fmt(s.chao1)}`;
+}
+
+async function main() {
+  const args = readArgs();
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!['json', 'csv', 'both'].includes(args.format)) throw new Error(`--format must be json, csv or both, got "${args.format}"`);
+
+  const supabase = connect();
+  const run = await pickRun(supabase, args.run);
+  const entries = await loadAll(
+    () => supabase.from('score_entries_obs')
+      .select('inat_obs_id, user_login, student_key, student_name, is_adult, team, taxon_id, taxon_ancestor_ids, taxon_countable, observed_at, observed_day')
+      .eq('run_id', run.id).order('inat_obs_id'),
+    'Read score_entries_obs'
+  );
+  const observations = await loadTaxonomy(supabase, entries.map((e) => e.inat_obs_id));
+  const active = new Set(observations.map((o) => Number(o.inat_obs_id)));
+  const records = diversityRecords(entries.filter((e) => active.has(Number(e.inat_obs_id))), observations);
+  const report = diversityReport(records);
+
+  console.log(JSON.stringify({ run_id: run.id, trip: run.score_filters?.trip_key ?? null, scored: records.length }));
+  for (const scope of ['trip', 'team', 'participant']) {
+    for (const s of report.filter((r) => r.scope === scope)) console.log(`${scope.padEnd(12)} ${summary(s)}`);
+  }
+
+  if (args.out) {
+    await mkdir(args.out, { recursive: true });
+    const files = {};
+    if (args.format === 'json' || args.format === 'both') {
+      files['diversity.json'] = JSON.stringify({ run_id: run.id, scopes: report, observations: records }, null, 2) + '\n';
+    }
+    if (args.format === 'csv' || args.format === 'both') Object.assign(files, diversityCsvFiles(report));
+    for (const [name, content] of Object.entries(files)) await writeFile(join(args.out, name), content);
+    console.log(`✅ Wrote ${Object.keys(files).map((name) => join(args.out, name)).join(', ')}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ DIVERSITY EXPORT FAILED: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Pipeline
+ *
+ * Purpose:
+ *   - One command for the scheduled job: ingest every configured scope, score each trip's
+ *     run, refresh the materialized views, then run the security/performance checks
+ *     (src/pipeline/index.mjs has the order and failure rules)
+ *   - Ingest: the project's members (MEMBERS mode) if a project is set, then each trip
+ *     (TRIP mode, from trips.json). Each opens its own score_runs row
+ *   - Score: scripts/compute_scores.mjs --trip <key> --run <that trip's run>
+ *   - Refresh: refresh_leaderboards_v1(); checks: assert_security_and_perf_ok()
+ *   - Prints a JSON summary of every step and exits 1 if any failed, after alerting
+ *     ALERT_WEBHOOK_URL
+ *
+ * Usage:
+ *   node scripts/pipeline.mjs [--trip <key> ...] [--members <project slug>] [--skip-checks]
+ *     [--summary pipeline.json]
+ *
+ *   --trip         Trip to ingest and score; repeatable (default: $TRIP, else every trip in
+ *                  trips.json ($TRIPS_FILE), in file order). The *_latest views show the
+ *                  active trip (scripts/trips.mjs sync --activate), whichever is scored last
+ *   --members      Project whose members to ingest first (default: $INAT_PROJECT_SLUG;
+ *                  --members "" for none)
+ *   --skip-checks  Do not run assert_security_and_perf_ok() (projects without its tables)
+ *   --summary      Also write the summary to this file
+ *
+ * Requirements:
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - What ingest.mjs and scripts/compute_scores.mjs need, and migration
+ *     20251124000000_refresh_leaderboards.sql applied
+ */
+
+import 'dotenv/config';
+import { spawn } from 'node:child_process';
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { loadIngestConfig, runIngest, sendAlert } from '../src/ingest/index.mjs';
+import { loadTrip, loadTrips, tripIngestEnv, TRIPS_FILE } from '../src/config/trips.mjs';
+import { runPipeline } from '../src/pipeline/index.mjs';
+
+const COMPUTE_SCORES = fileURLToPath(new URL('./compute_scores.mjs', import.meta.url));
+
+const { values: args } = parseArgs({
+  options: {
+    trip: { type: 'string', multiple: true },
+    members: { type: 'string', default: process.env.INAT_PROJECT_SLUG || '' },
+    'skip-checks': { type: 'boolean', default: false },
+    summary: { type: 'string' },
+  },
+});
+
+const url = process.env.SUPABASE_URL;
+const serviceKey =
+  process.env.SUPABASE_SERVICE_KEY ||
+  process.env.SUPABASE_SECRET_KEY ||
+  process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceKey) {
+  console.error('❌ Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(url, serviceKey, { auth: { persistSession: false } });
+const tripsFile = process.env.TRIPS_FILE || TRIPS_FILE;
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+// The scope's ingest env, without the caller's TRIP or mode leaking into it
+async function ingestEnv(scope) {
+  const { TRIP, INAT_MODE, ...env } = process.env;
+  if (scope.kind === 'members') return { ...env, INAT_MODE: 'MEMBERS', INAT_PROJECT_SLUG: scope.key };
+  return tripIngestEnv(await loadTrip(scope.key, tripsFile), { ...env, INAT_MODE: 'TRIP' });
+}
+
+// compute_scores.mjs in its own process, so it reads the trip exactly as `npm run compute-scores` does
+function computeScores(trip, runId) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [COMPUTE_SCORES, '--trip', trip, '--run', runId], { stdio: 'inherit', env: process.env });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      if (code === 0) resolve({});
+      else reject(new Error(`compute_scores.mjs exited with ${signal ?? `code ${code}`}`));
+    });
+  });
+}
+
+async function main() {
+  const trips = args.trip?.length
+    ? args.trip
+    : process.env.TRIP?.trim()
+      ? [process.env.TRIP.trim()]
+      : (await loadTrips(tripsFile)).map((t) => t.key);
+  // Unknown keys fail here, before anything is ingested
+  for (const key of trips) await loadTrip(key, tripsFile);
+
+  const scopes = [
+    ...(args.members ? [{ kind: 'members', key: args.members }] : []),
+    ...trips.map((key) => ({ kind: 'trip', key })),
+  ];
+  console.log(JSON.stringify({ scopes: scopes.map((s) => `${s.kind}:${s.key}`), checks: !args['skip-checks'] }));
+
+  const summary = await runPipeline({
+    scopes,
+    skip: args['skip-checks'] ? ['checks'] : [],
+    stages: {
+      ingest: async (scope) => runIngest(loadIngestConfig(await ingestEnv(scope))),
+      score: computeScores,
+      refresh: async () => check(await supabase.rpc('refresh_leaderboards_v1'), 'refresh_leaderboards_v1'),
+      checks: async () => check(await supabase.rpc('assert_security_and_perf_ok'), 'assert_security_and_perf_ok'),
+    },
+  });
+
+  console.log(JSON.stringify(summary));
+  if (args.summary) await writeFile(args.summary, `${JSON.stringify(summary, null, 2)}\n`);
+
+  const failed = summary.steps.filter((s) => s.status === 'error');
+  if (failed.length) {
+    const lastError = failed.map((s) => `${s.stage}${s.scope ? ` ${s.scope}` : ''}: ${s.error}`).join('\n');
+    console.error(`❌ PIPELINE FAILED: ${failed.length} step(s)\n${lastError}`);
+    console.error(`::error::Pipeline failed: ${failed.map((s) => `${s.stage}${s.scope ? ` ${s.scope}` : ''}`).join(', ')}`);
+    await sendAlert(process.env.ALERT_WEBHOOK_URL, { stage: 'pipeline', message: `${failed.length} pipeline step(s) failed`, lastError });
+    process.exit(1);
+  }
+  console.log(`✅ Pipeline complete: ${summary.steps.length} steps`);
+}
+
+main().catch(async (err) => {
+  console.error(`❌ PIPELINE FAILED: ${err.message}`);
+  console.error(`::error::${err.message}`);
+  await sendAlert(process.env.ALERT_WEBHOOK_URL, { stage: 'pipeline', message: 'Pipeline failed to start', lastError: err.message });
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Roster
+ *
+ * Purpose:
+ *   - import: read a class CSV (name, grade or adult flag, iNat login, optional email and
+ *     team) and upsert public.roster rows and provider='inat' student_identities, which is
+ *     what active_participants_v1 and compute-scores read
+ *   - check: the same checks without touching the database
+ *   - export: write the current roster back out as the same CSV
+ *   - Every login is looked up on iNat (GET /v1/users/{login}) to catch typos, and logins
+ *     that have not joined the trip's iNat project are flagged
+ *
+ * Usage:
+ *   node scripts/roster.mjs check <class.csv> [--trip <key> | --project <slug>] [--skip-inat]
+ *   node scripts/roster.mjs import <class.csv> [--trip <key> | --project <slug>] [--skip-inat] [--dry-run]
+ *   node scripts/roster.mjs export [--out roster.csv]
+ *
+ *   --trip       Trip in trips.json ($TRIPS_FILE) whose project_slug to check membership of (default: $TRIP)
+ *   --project    iNat project slug to check membership of (default: the trip's, else $INAT_PROJECT_SLUG)
+ *   --skip-inat  Only check the CSV itself (offline)
+ *   --dry-run    Print what import would change and write nothing
+ *   --out        File for export (default: stdout)
+ *
+ * The iNat lookups honour INAT_API_BASE, INAT_MIN_INTERVAL_MS and INAT_FIXTURES /
+ * INAT_FIXTURE_DIR like ingest, so `npm run mock-inat` or recorded fixtures work offline.
+ *
+ * Requirements (import/export only):
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - Migrations 20251116000000_roster_import.sql and 20251117000000_teams.sql applied
+ */
+
+import 'dotenv/config';
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { checkLogins, parseRosterCsv, planRosterImport, rosterFields, rosterToCsv } from '../src/config/roster.mjs';
+import { loadTrip, TRIPS_FILE } from '../src/config/trips.mjs';
+import { loadINatConfig } from '../src/ingest/config.mjs';
+import { createINatClient } from '../src/ingest/inat.mjs';
+import { fetchProjectMemberLogins, fetchUser } from '../src/ingest/query.mjs';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    trip: { type: 'string', default: process.env.TRIP || undefined },
+    project: { type: 'string' },
+    'skip-inat': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    out: { type: 'string' },
+  },
+});
+
+function connect() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey =
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_SECRET_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) throw new Error('Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  return createClient(url, serviceKey, { auth: { persistSession: false } });
+}
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+async function projectSlug() {
+  if (args.project) return args.project;
+  const trip = args.trip ? await loadTrip(args.trip, process.env.TRIPS_FILE || TRIPS_FILE) : null;
+  return trip?.project_slug || process.env.INAT_PROJECT_SLUG || null;
+}
+
+// Parse the CSV and check it (and, unless --skip-inat, every login on iNat); throws listing
+// every problem. Returns students with logins in iNat's spelling.
+async function readChecked(path) {
+  if (!path) throw new Error(`Usage: node scripts/roster.mjs ${positionals[0]} <class.csv>`);
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read ${path}: ${err.message}`);
+  }
+  const { students, problems } = parseRosterCsv(text);
+  if (problems.length) throw new Error(`${path}:\n  - ${problems.join('\n  - ')}`);
+
+  if (args['skip-inat']) {
+    console.warn('⚠️  --skip-inat: logins were not checked on iNaturalist');
+    return students;
+  }
+  const inat = createINatClient(loadINatConfig());
+  const slug = await projectSlug();
+  const users = new Map();
+  for (const login of students.flatMap((s) => s.logins)) users.set(login.toLowerCase(), await fetchUser(inat, login));
+  const members = slug ? new Set((await fetchProjectMemberLogins(inat, slug)).map((l) => l.toLowerCase())) : null;
+  if (!slug) console.warn('⚠️  No iNat project (--project, the trip\'s project_slug or INAT_PROJECT_SLUG); membership not checked');
+
+  const result = checkLogins(students, users, members);
+  for (const w of result.warnings) console.warn(`⚠️  ${w}`);
+  if (result.errors.length) throw new Error(`${path}:\n  - ${result.errors.join('\n  - ')}`);
+  return result.students;
+}
+
+async function loadRoster(supabase) {
+  return {
+    roster: check(await supabase.from('roster').select('id, display_name, is_adult, grade, email, team, inat_login'), 'Read roster'),
+    identities: check(
+      await supabase.from('student_identities').select('user_id, provider_uid, active').eq('provider', 'inat'),
+      'Read student_identities'
+    ),
+  };
+}
+
+async function apply(supabase, step) {
+  const { student } = step;
+  const fields = rosterFields(student);
+  let id = step.rosterId;
+  if (step.roster === 'insert') {
+    id = check(await supabase.from('roster').insert(fields).select('id').single(), `Insert roster row for ${student.name}`).id;
+  } else if (step.roster === 'update') {
+    check(await supabase.from('roster').update(fields).eq('id', id), `Update roster row for ${student.name}`);
+  }
+  if (step.add.length) {
+    check(
+      await supabase.from('student_identities').insert(step.add.map((login) => ({ user_id: id, provider: 'inat', provider_uid: login, active: true }))),
+      `Insert identities for ${student.name}`
+    );
+  }
+  for (const login of [...step.link.map((l) => l.login), ...step.reactivate]) {
+    check(
+      await supabase.from('student_identities').update({ user_id: id, active: true }).eq('provider', 'inat').eq('provider_uid', login),
+      `Link ${login} to ${student.name}`
+    );
+  }
+}
+
+function describe(step) {
+  const parts = [];
+  if (step.roster) parts.push(step.roster === 'insert' ? 'new' : 'updated');
+  if (step.add.length) parts.push(`+${step.add.join(', +')}`);
+  for (const { login, from } of step.link) parts.push(`${login} moved from roster ${from}`);
+  if (step.reactivate.length) parts.push(`reactivated ${step.reactivate.join(', ')}`);
+  return `${step.student.name}${step.student.adult ? ' (adult)' : ''}: ${parts.join('; ')}`;
+}
+
+async function importRoster(path) {
+  const students = await readChecked(path);
+  const supabase = connect();
+  const plan = planRosterImport(students, await loadRoster(supabase));
+  const changes = plan.filter((s) => s.roster || s.add.length || s.link.length || s.reactivate.length);
+
+  for (const step of changes) console.log(`${args['dry-run'] ? '~' : '•'} ${describe(step)}`);
+  if (!args['dry-run']) {
+    for (const step of changes) await apply(supabase, step);
+  }
+  console.log(JSON.stringify({
+    students: students.filter((s) => !s.adult).length,
+    adults: students.filter((s) => s.adult).length,
+    logins: students.reduce((n, s) => n + s.logins.length, 0),
+    changed: changes.length,
+    dry_run: args['dry-run'],
+  }));
+  console.log(`✅ ${args['dry-run'] ? 'Would change' : 'Imported'} ${changes.length} of ${students.length} roster entries from ${path}`);
+}
+
+async function checkRoster(path) {
+  const students = await readChecked(path);
+  console.log(`✅ ${path}: ${students.length} roster entries, ${students.reduce((n, s) => n + s.logins.length, 0)} login(s) valid`);
+}
+
+async function exportRoster() {
+  const { roster, identities } = await loadRoster(connect());
+  const csv = rosterToCsv(roster, identities);
+  if (!args.out) return process.stdout.write(csv);
+  await writeFile(args.out, csv);
+  console.log(`✅ Wrote ${roster.length} roster entries to ${args.out}`);
+}
+
+async function main() {
+  const [command, path] = positionals;
+  if (command === 'check') return checkRoster(path);
+  if (command === 'import') return importRoster(path);
+  if (command === 'export') return exportRoster();
+  throw new Error('Usage: node scripts/roster.mjs check|import <class.csv> | export [--out roster.csv]');
+}
+
+main().catch((err) => {
+  console.error(`❌ ROSTER FAILED: ${err.message}`);
+  console.error('::error::' + err.message.split('\n')[0]);
+  process.exit(1);
+});
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * Offline Score
+ *
+ * Purpose:
+ *   - Score an observations dump without a database: preview a rule set on a
+ *     laptop, or check scoring changes against a fixed file
+ *   - Input rows have the shape ingest.mjs upserts into public.observations
+ *     (JSON array, or NDJSON such as the ingest ndjson sink writes; lines for the
+ *     same inat_obs_id merge in order)
+ *   - Applies the same trip window / bbox filters as config_filters (or a trip from
+ *     trips.json, with its polygons, places and location policy), then writes per-observation points (with breakdown) and overall/daily
+ *     leaderboards
+ *   - With a trip roster, only its students score (several accounts merge into one row),
+ *     adults are listed unranked as footnotes, and other logins are reported
+ *   - When the roster puts students on teams, also writes team standings (trip and daily)
+ *     and each team's species list
+ *   - Diversity for lab reports: species accumulation, Shannon/Simpson/Chao1 and counts by
+ *     kingdom ... genus for the trip, each participant and each team
+ *   - Each student's discoveries: the taxa they were first on the trip to find
+ *   - With identification_rules in the rule set, scores the identifications students made of
+ *     others' observations and adds them to the leaderboards
+ *
+ * Usage:
+ *   node scripts/score.mjs <observations.json|.ndjson> [--trip <key>] [--rules rules/default.v1.json]
+ *     [--d1 YYYY-MM-DD] [--d2 YYYY-MM-DD] [--timezone <IANA zone>] [--bbox west,south,east,north]
+ *     [--filters filters.json]
+ *     [--all-logins] [--team-aggregation sum|average|distinct_taxa] [--min-taxon-rank <rank>]
+ *     [--taxon-counts taxa.json] [--identifications <file>] [--out <dir>] [--format json|csv|both]
+ *
+ *   --trip     Trip in trips.json ($TRIPS_FILE): its window, areas and rule set (default: $TRIP)
+ *   --rules    Rule set file (default: the trip's, else $SCORING_RULES or rules/default.v1.json)
+ *   --d1/--d2  Trip window, inclusive local dates (default: the trip's, else $TRIP_D1 / $TRIP_D2)
+ *   --timezone Zone for days, the window and first-of-taxon order (default: the trip's, else UTC)
+ *   --bbox     Trip bbox as west,south,east,north (default: the trip's, else $TRIP_BBOX)
+ *   --filters  config_filters row as JSON ({ d1, d2, timezone, swlat, swlng, nelat, nelng, bboxes, area,
+ *              place_ids, obscured, max_accuracy_m });
+ *              --d1/--d2/--bbox override its fields
+ *   --all-logins  Score every login, ignoring the trip's roster
+ *   --team-aggregation  How team standings are scored (default: the trip's, else sum)
+ *   --min-taxon-rank  Coarsest ID that counts as a distinct taxon, e.g. genus (default: the trip's, else any)
+ *   --taxon-counts  iNat observation counts for taxon_observations_count rules: taxon_stats rows
+ *              or a saved /v1/taxa response (default: the counts stored in raw_json, if any)
+ *   --identifications  identifications rows (JSON array or NDJSON) (default: the NDJSON sink's
+ *              <input>.identifications.ndjson when there is one)
+ *   --out      Directory for scores.* / leaderboard.* / leaderboard_daily.* and, with teams,
+ *              teams.csv / teams_daily.csv / team_species.csv, plus diversity.csv /
+ *              accumulation.csv / taxa.csv, discoveries.csv and identifications.csv
+ *              (default: print only)
+ *   --format   Output files to write (default: both)
+ *
+ * Requirements:
+ *   - None beyond Node 20; no Supabase access
+ */
+
+import 'dotenv/config';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { loadRuleSet, ruleSetHash, ruleSetLabel } from '../src/scoring/rules.mjs';
+import { passesFilters, scoreObservations, formatBreakdown } from '../src/scoring/scorer.mjs';
+import { overallLeaderboard, dailyLeaderboard, adultFootnotes } from '../src/scoring/leaderboard.mjs';
+import { rosterReport } from '../src/scoring/roster.mjs';
+import { TEAM_AGGREGATIONS, teamDailyLeaderboard, teamLeaderboard, teamSpecies } from '../src/scoring/teams.mjs';
+import { diversityCsvFiles, diversityRecords, diversityReport } from '../src/scoring/diversity.mjs';
+import { MIN_TAXON_RANKS } from '../src/scoring/taxa.mjs';
+import { discoveries, taxonCountMap } from '../src/scoring/rarity.mjs';
+import { scoreIdentifications } from '../src/scoring/identifications.mjs';
+import { toCsv } from '../src/scoring/csv.mjs';
+import { identificationsPath, readNdjsonRows } from '../src/ingest/sinks/ndjson.mjs';
+import { parseBbox } from '../src/ingest/config.mjs';
+import { loadTrip, tripFilters, tripRoster, TRIPS_FILE } from '../src/config/trips.mjs';
+import { isTimeZone } from '../src/scoring/time.mjs';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    trip: { type: 'string', default: process.env.TRIP || undefined },
+    rules: { type: 'string' },
+    d1: { type: 'string' },
+    d2: { type: 'string' },
+    timezone: { type: 'string' },
+    bbox: { type: 'string' },
+    filters: { type: 'string' },
+    'all-logins': { type: 'boolean', default: false },
+    'team-aggregation': { type: 'string' },
+    'min-taxon-rank': { type: 'string' },
+    'taxon-counts': { type: 'string' },
+    identifications: { type: 'string' },
+    out: { type: 'string' },
+    format: { type: 'string', default: 'both' },
+  },
+});
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// JSON array, or NDJSON with one row per line (blank lines ignored)
+async function loadRows(path, idColumn = 'inat_obs_id', what = 'observations') {
+  const text = await readFile(path, 'utf8').catch((err) => {
+    throw new Error(`Could not read ${path}: ${err.message}`);
+  });
+  const rows = text.trimStart().startsWith('[') ? JSON.parse(text) : [...(await readNdjsonRows(path, { idColumn })).values()];
+  const unkeyed = rows.filter((row) => row?.[idColumn] == null).length;
+  if (unkeyed) {
+    throw new Error(`${path}: ${unkeyed} row(s) without ${idColumn}; expected ${what} rows as ingest.mjs writes them`);
+  }
+  return rows;
+}
+
+// --identifications, else the ones the NDJSON sink wrote next to the input, else none
+async function loadIdentifications(input) {
+  if (args.identifications) return loadRows(args.identifications, 'inat_ident_id', 'identifications');
+  return [...(await readNdjsonRows(identificationsPath(input), { idColumn: 'inat_ident_id' })).values()];
+}
+
+// Same shape as the config_filters row compute_scores_mvp() reads. Without a trip, the
+// TRIP_* env vars stand in for the flags.
+async function buildFilters(trip) {
+  const filters = trip ? tripFilters(trip) : { d1: null, d2: null, swlat: null, swlng: null, nelat: null, nelng: null };
+  if (args.filters) {
+    Object.assign(filters, JSON.parse(await readFile(args.filters, 'utf8')));
+  }
+  const fallback = trip ? {} : { d1: process.env.TRIP_D1, d2: process.env.TRIP_D2, bbox: process.env.TRIP_BBOX };
+  const bbox = args.bbox || fallback.bbox;
+  for (const key of ['d1', 'd2']) {
+    if (args[key] || fallback[key]) filters[key] = args[key] || fallback[key];
+    if (filters[key] != null && !(DATE_RE.test(filters[key]) && Date.parse(filters[key]))) {
+      throw new Error(`${key} must be YYYY-MM-DD, got "${filters[key]}"`);
+    }
+  }
+  if (filters.d1 && filters.d2 && filters.d1 > filters.d2) throw new Error(`d1 (${filters.d1}) is after d2 (${filters.d2})`);
+  if (args.timezone) filters.timezone = args.timezone;
+  if (args['team-aggregation']) filters.team_aggregation = args['team-aggregation'];
+  if (filters.team_aggregation != null && !TEAM_AGGREGATIONS.includes(filters.team_aggregation)) {
+    throw new Error(`--team-aggregation must be one of ${TEAM_AGGREGATIONS.join(', ')}, got "${filters.team_aggregation}"`);
+  }
+  if (args['min-taxon-rank']) filters.min_taxon_rank = args['min-taxon-rank'];
+  if (filters.min_taxon_rank != null && !MIN_TAXON_RANKS.includes(filters.min_taxon_rank)) {
+    throw new Error(`--min-taxon-rank must be one of ${MIN_TAXON_RANKS.join(', ')}, got "${filters.min_taxon_rank}"`);
+  }
+  if (filters.timezone != null && !isTimeZone(filters.timezone)) {
+    throw new Error(`timezone must be an IANA zone such as America/Costa_Rica, got "${filters.timezone}"`);
+  }
+  if (bbox) {
+    const { west, south, east, north } = parseBbox(bbox, 'bbox');
+    [filters.swlng, filters.swlat, filters.nelng, filters.nelat] = [west, south, east, north];
+    // an explicit box replaces the trip's areas
+    for (const key of ['bboxes', 'area', 'place_ids']) delete filters[key];
+  }
+  return filters;
+}
+
+// [taxon_stats row] or { results: [iNat taxon] }
+async function loadTaxonCounts(path) {
+  const text = await readFile(path, 'utf8').catch((err) => {
+    throw new Error(`Could not read ${path}: ${err.message}`);
+  });
+  const parsed = JSON.parse(text);
+  return taxonCountMap(Array.isArray(parsed) ? parsed : parsed.results ?? []);
+}
+
+async function writeOutputs(dir, results) {
+  await mkdir(dir, { recursive: true });
+  const written = [];
+  const write = async (name, content) => {
+    await writeFile(join(dir, name), content);
+    written.push(join(dir, name));
+  };
+
+  if (args.format === 'json' || args.format === 'both') {
+    await write('scores.json', JSON.stringify(results, null, 2) + '\n');
+  }
+  if (args.format === 'csv' || args.format === 'both') {
+    await write('scores.csv', toCsv(
+      results.observations.map((e) => ({ ...e, breakdown: formatBreakdown(e.breakdown) })),
+      ['inat_obs_id', 'user_login', 'student_name', 'taxon_id', 'taxon_name', 'observed_at', 'points', 'breakdown']
+    ));
+    await write('leaderboard.csv', toCsv(results.leaderboard,
+      ['rank', 'display_name', 'user_login', 'is_adult', 'points', 'obs_count', 'distinct_taxa', 'first_observed_at', 'last_observed_at', 'ident_points', 'ident_count']));
+    await write('leaderboard_daily.csv', toCsv(results.leaderboard_daily,
+      ['day', 'rank', 'display_name', 'user_login', 'is_adult', 'points', 'obs_count', 'distinct_taxa', 'ident_points', 'ident_count']));
+    if (results.teams) {
+      const columns = ['rank', 'team', 'score', 'points', 'points_per_member', 'members', 'active_members', 'obs_count', 'distinct_taxa', 'ident_points', 'ident_count'];
+      await write('teams.csv', toCsv(results.teams, columns));
+      await write('teams_daily.csv', toCsv(results.teams_daily, ['day', ...columns]));
+      await write('team_species.csv', toCsv(results.team_species.map((r) => ({ ...r, observers: r.observers.join('; ') })),
+        ['team', 'taxon_id', 'taxon_name', 'observations', 'observers', 'first_inat_obs_id', 'first_observed_at']));
+    }
+    for (const [name, content] of Object.entries(diversityCsvFiles(results.diversity))) await write(name, content);
+    await write('discoveries.csv', toCsv(results.discoveries,
+      ['display_name', 'user_login', 'taxon_id', 'taxon_name', 'inat_obs_id', 'observed_at', 'trip_finders']));
+    if (results.identifications.length) {
+      await write('identifications.csv', toCsv(
+        results.identifications.map((e) => ({ ...e, breakdown: formatBreakdown(e.breakdown) })),
+        ['inat_ident_id', 'inat_obs_id', 'user_login', 'student_name', 'category', 'identified_at', 'points', 'breakdown']
+      ));
+    }
+  }
+  return written;
+}
+
+async function main() {
+  const [input] = positionals;
+  if (!input) throw new Error('Usage: node scripts/score.mjs <observations.json|.ndjson> [--rules <file>] [--out <dir>]');
+  if (!['json', 'csv', 'both'].includes(args.format)) throw new Error(`--format must be json, csv or both, got "${args.format}"`);
+
+  const trip = args.trip ? await loadTrip(args.trip, process.env.TRIPS_FILE || TRIPS_FILE) : null;
+  const ruleSet = await loadRuleSet(args.rules || trip?.rules_file || process.env.SCORING_RULES || 'rules/default.v1.json');
+  const filters = await buildFilters(trip);
+  const roster = trip && !args['all-logins'] ? tripRoster(trip) : null;
+  const observations = await loadRows(input);
+  const taxonCounts = args['taxon-counts'] ? await loadTaxonCounts(args['taxon-counts']) : null;
+
+  // Name and photo for scores.csv and npm run site
+  const shown = new Map(observations.map((row) => [row.inat_obs_id, { taxon_name: row.taxon_name ?? null, photo_url: row.photo_url ?? null }]));
+  const entries = scoreObservations(observations, ruleSet, { filters, roster, taxonCounts })
+    .map(({ run_id, ...entry }) => ({ ...entry, ...shown.get(entry.inat_obs_id) }));
+  const identEntries = ruleSet.identification_rules?.length
+    ? scoreIdentifications(await loadIdentifications(input), observations, ruleSet, { filters, roster }).map(({ run_id, ...entry }) => entry)
+    : [];
+
+  const results = {
+    trip: trip ? { key: trip.key, name: trip.name ?? trip.key } : null,
+    rule_set: ruleSetLabel(ruleSet),
+    rule_set_hash: ruleSetHash(ruleSet),
+    filters,
+    input: { path: input, observations: observations.length, scored: entries.length, identifications: identEntries.length },
+    roster: roster ? rosterReport(observations.filter((row) => passesFilters(row, filters)), roster) : null,
+    leaderboard: overallLeaderboard(entries, identEntries),
+    leaderboard_daily: dailyLeaderboard(entries, identEntries),
+    observations: entries,
+    identifications: identEntries,
+  };
+  if (entries.some((e) => e.team)) {
+    const teamOptions = { aggregation: filters.team_aggregation ?? 'sum', sizes: results.roster?.teams ?? null, identifications: identEntries };
+    Object.assign(results, {
+      team_aggregation: teamOptions.aggregation,
+      teams: teamLeaderboard(entries, teamOptions),
+      teams_daily: teamDailyLeaderboard(entries, teamOptions),
+      team_species: teamSpecies(entries),
+    });
+  }
+  results.diversity = diversityReport(diversityRecords(entries, observations));
+  results.discoveries = discoveries(entries);
+
+  console.log(JSON.stringify({ trip: trip?.key ?? null, rule_set: results.rule_set, ...results.input }));
+  for (const row of results.leaderboard.filter((r) => !r.is_adult)) {
+    const idents = row.ident_count ? `  ${row.ident_count} IDs` : '';
+    console.log(`${String(row.rank).padStart(3)}. ${row.display_name.padEnd(24)} ${String(row.points).padStart(7)} pts  ${row.obs_count} obs  ${row.distinct_taxa} taxa${idents}`);
+  }
+  for (const note of adultFootnotes(results.leaderboard)) console.log(`     * ${note}`);
+  for (const row of results.teams ?? []) {
+    console.log(`${String(row.rank).padStart(3)}. Team ${row.team.padEnd(19)} ${String(row.score).padStart(7)} (${results.team_aggregation})  ${row.points} pts  ${row.distinct_taxa} taxa  ${row.members} members`);
+  }
+  if (results.discoveries.length) console.log(`     ${results.discoveries.length} trip discoveries`);
+  for (const { user_login, observations: count } of results.roster?.unmatched ?? []) {
+    console.warn(`⚠️  ${user_login} is not on the roster (${count} observation(s) not scored)`);
+  }
+
+  if (args.out) {
+    const written = await writeOutputs(args.out, results);
+    console.log(`✅ Wrote ${written.join(', ')}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ SCORING FAILED: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Score Breakdown
+ *
+ * Purpose:
+ *   - Explain a student's points observation by observation: every rule that
+ *     awarded points ("research grade +1") and every rule that was considered but
+ *     did not apply, with the reason
+ *   - List the student's observations the trip filters kept out of the run
+ *     ("outside trip bbox", "observed 2025-11-12, after trip window (2025-11-11)",
+ *     "login not on the roster")
+ *
+ * Usage:
+ *   node scripts/score_breakdown.mjs --login <inat login> [--run <run uuid>] [--obs <inat_obs_id>] [--json]
+ *
+ *   --login  iNaturalist login to explain (required)
+ *   --run    score_runs id (default: the latest scored run, like the leaderboards)
+ *   --obs    Only this observation
+ *   --json   Print the breakdown as JSON instead of text
+ *
+ * Requirements:
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - Migrations 20251111000000_score_breakdown.sql and 20251115000000_roster_scoring.sql
+ *     applied and the run scored afterwards (compute_scores_mvp() or
+ *     scripts/compute_scores.mjs)
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { filterMisses, compareChronological, formatPoints } from '../src/scoring/scorer.mjs';
+import { observationDay } from '../src/scoring/time.mjs';
+
+const PAGE_SIZE = 1000; // PostgREST default max rows
+
+const { values: args } = parseArgs({
+  options: {
+    login: { type: 'string' },
+    run: { type: 'string' },
+    obs: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+if (!args.login) {
+  console.error('❌ Usage: node scripts/score_breakdown.mjs --login <inat login> [--run <id>] [--obs <id>] [--json]');
+  process.exit(1);
+}
+
+const url = process.env.SUPABASE_URL;
+const serviceKey =
+  process.env.SUPABASE_SERVICE_KEY ||
+  process.env.SUPABASE_SECRET_KEY ||
+  process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceKey) {
+  console.error('❌ Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  process.exit(1);
+}
+
+const supabase = createClient(url, serviceKey, { auth: { persistSession: false } });
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+async function pickRun(runId) {
+  let q = supabase.from('score_runs').select('id, started_at, rule_set_id, rule_set_version, scored_at, score_filters, roster_report');
+  q = runId ? q.eq('id', runId) : q.not('scored_at', 'is', null).order('scored_at', { ascending: false }).order('id', { ascending: false }).limit(1);
+  const run = check(await q.maybeSingle(), 'Read score_runs');
+  if (!run) throw new Error(runId ? `score_runs row ${runId} not found` : 'No scored run yet; run scripts/compute_scores.mjs first');
+  return run;
+}
+
+// Runs scored before score_filters existed fall back to the current config_filters
+async function runFilters(run) {
+  if (run.score_filters) return run.score_filters;
+  console.warn(`⚠️  Run ${run.id} has no recorded filters; explaining exclusions with the current config_filters`);
+  return check(
+    await supabase.from('config_filters').select('d1, d2, timezone, swlat, swlng, nelat, nelng, trip_key, bboxes, area, place_ids, obscured, max_accuracy_m').eq('id', true).maybeSingle(),
+    'Read config_filters'
+  );
+}
+
+async function loadAll(build, what) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = check(await build().range(from, from + PAGE_SIZE - 1), what);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+function forObs(q) {
+  return args.obs ? q.eq('inat_obs_id', Number(args.obs)) : q;
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function printText(report) {
+  const { run } = report;
+  const ruleSet = run.rule_set_id ? `${run.rule_set_id}@${run.rule_set_version}` : 'unscored';
+  console.log(`Score breakdown for ${report.login} — run ${run.id} (${ruleSet})`);
+
+  for (const item of report.observations) {
+    const head = `#${item.inat_obs_id}  ${item.observed_on ?? '????-??-??'}  ${item.taxon_name ?? 'unidentified'}`;
+    if (!item.scored) {
+      console.log(`\n${head}  — not scored`);
+      for (const reason of item.excluded) console.log(`    ✗ ${reason}`);
+      continue;
+    }
+    console.log(`\n${head}  = ${plural(Number(item.points), 'pt')}`);
+    if (!item.breakdown) {
+      console.log('    (no breakdown stored; re-score this run to record one)');
+      continue;
+    }
+    for (const rule of item.breakdown) {
+      if (rule.applied) console.log(`    ${rule.label} ${formatPoints(rule.points)}`);
+      else console.log(`    ✗ ${rule.label}: ${rule.reason}`);
+    }
+  }
+
+  const { totals } = report;
+  console.log(
+    `\nTotal: ${plural(totals.points, 'pt')} from ${plural(totals.scored, 'scored observation')}` +
+      (totals.excluded ? ` (${totals.excluded} not scored)` : '')
+  );
+}
+
+async function main() {
+  const run = await pickRun(args.run);
+  const filters = await runFilters(run);
+
+  const entries = await loadAll(
+    () => forObs(supabase.from('score_entries_obs').select('inat_obs_id, points, breakdown')
+      .eq('run_id', run.id).eq('user_login', args.login).order('inat_obs_id')),
+    'Read score_entries_obs'
+  );
+  const observations = await loadAll(
+    () => forObs(supabase.from('observations').select('*').eq('user_login', args.login).order('inat_obs_id')),
+    'Read observations'
+  );
+
+  const offRoster = (run.roster_report?.unmatched ?? []).some((u) => u.user_login.toLowerCase() === args.login.toLowerCase());
+  const entryById = new Map(entries.map((e) => [Number(e.inat_obs_id), e]));
+  const timeZone = filters?.timezone ?? 'UTC';
+  const items = observations.sort((a, b) => compareChronological(a, b, timeZone)).map((row) => {
+    const base = {
+      inat_obs_id: row.inat_obs_id,
+      observed_on: observationDay(row, timeZone),
+      taxon_name: row.taxon_name ?? null,
+    };
+    const entry = entryById.get(Number(row.inat_obs_id));
+    if (entry) return { ...base, scored: true, points: Number(entry.points), breakdown: entry.breakdown };
+
+    const excluded = filterMisses(row, filters);
+    if (!excluded.length && offRoster) excluded.push('login not on the roster; link it to a student and re-score');
+    // Passed the filters but has no entry: ingested (or reactivated) after this run was scored
+    if (!excluded.length) excluded.push('not in this run; ingested after it was scored');
+    return { ...base, scored: false, excluded };
+  });
+
+  const scored = items.filter((i) => i.scored);
+  const report = {
+    login: args.login,
+    run,
+    observations: items,
+    totals: {
+      points: scored.reduce((sum, i) => sum + i.points, 0),
+      scored: scored.length,
+      excluded: items.length - scored.length,
+    },
+  };
+
+  if (!items.length) {
+    console.error(`❌ No observations found for ${args.login}${args.obs ? ` with id ${args.obs}` : ''}`);
+    process.exit(1);
+  }
+  if (args.json) console.log(JSON.stringify(report, null, 2));
+  else printText(report);
+}
+
+main().catch((err) => {
+  console.error(`❌ BREAKDOWN FAILED: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Sync NDJSON
+ *
+ * Purpose:
+ *   - Push observations ingested offline (INGEST_SINK=ndjson:<file>) into a database sink
+ *     once there is connectivity again
+ *   - Upserts every merged row (idempotent, safe to re-run) and applies the soft deletes
+ *     recorded in the file, then the identifications in <file>.identifications.ndjson if any
+ *   - Opens and closes a score_runs row (mode SYNC) so scoring picks the synced data up
+ *
+ * Usage:
+ *   node scripts/sync_ndjson.mjs <file.ndjson> [--sink supabase|postgres://...|sqlite:<path>]
+ *
+ *   --sink  Destination (default: $SYNC_SINK, else supabase)
+ *
+ * Requirements:
+ *   - Whatever the destination sink needs (SUPABASE_URL + service key by default)
+ */
+
+import 'dotenv/config';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createSink, describeSink } from '../src/ingest/sinks/index.mjs';
+import { identificationsPath, readNdjsonRows } from '../src/ingest/sinks/ndjson.mjs';
+import { OBSERVATION_COLUMNS } from '../src/ingest/mapping.mjs';
+import { IDENTIFICATION_COLUMNS } from '../src/ingest/identifications.mjs';
+
+const env = (name, fallback = '') => (process.env[name] ?? fallback).trim();
+const TABLE = env('OBS_TABLE', 'observations');
+const ID_COL = env('OBS_ID_COLUMN', 'inat_obs_id');
+const BATCH_SIZE = parseInt(env('UPSERT_BATCH_SIZE', '50'), 10) || 50;
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    sink: { type: 'string', default: env('SYNC_SINK', 'supabase') },
+  },
+});
+
+async function main() {
+  const [input] = positionals;
+  if (!input) throw new Error('Usage: node scripts/sync_ndjson.mjs <file.ndjson> [--sink <sink>]');
+  if (describeSink(args.sink).startsWith('ndjson:')) throw new Error('--sink must be a database sink');
+
+  const merged = await readNdjsonRows(input, { idColumn: ID_COL });
+  // Rows that only carry a soft delete never had a full upsert in this file; skip them
+  const rows = [...merged.values()].filter((row) => row.raw_json);
+  const inactive = rows.filter((row) => row.is_active === false).map((row) => row[ID_COL]);
+  const active = rows.filter((row) => row.is_active !== false).map((row) => row[ID_COL]);
+  const idents = [...(await readNdjsonRows(identificationsPath(input), { idColumn: 'inat_ident_id' })).values()];
+
+  const sink = await createSink(args.sink, {
+    table: TABLE,
+    idColumn: ID_COL,
+    identTable: env('IDENT_TABLE', 'identifications'),
+    checkpointTable: env('CHECKPOINT_TABLE', 'ingest_checkpoints'),
+    runsTable: env('RUNS_TABLE', 'score_runs'),
+    batchSize: BATCH_SIZE,
+  });
+
+  const startedAt = new Date();
+  const run = await sink.openRun({
+    mode: 'SYNC',
+    scope_key: `SYNC:${basename(input)}`,
+    params: { source: input, table: TABLE },
+    status: 'running',
+    started_at: startedAt.toISOString(),
+  });
+
+  let upserted = 0;
+  let identifications = 0;
+  try {
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      // Only mapped columns: is_active/deleted_at are applied below so they stay consistent
+      const batch = rows.slice(i, i + BATCH_SIZE).map((row) =>
+        Object.fromEntries([ID_COL, ...OBSERVATION_COLUMNS].map((c) => [c, row[c] ?? null]))
+      );
+      upserted += await sink.upsertObservations(batch);
+      console.log(`... synced ${upserted}/${rows.length} rows ...`);
+    }
+    if (await sink.supportsSoftDelete()) {
+      await sink.setActive(inactive, false);
+      await sink.setActive(active, true);
+    }
+    for (let i = 0; i < idents.length; i += BATCH_SIZE) {
+      const batch = idents.slice(i, i + BATCH_SIZE).map((row) =>
+        Object.fromEntries(['inat_ident_id', ...IDENTIFICATION_COLUMNS].map((c) => [c, row[c] ?? null]))
+      );
+      identifications += await sink.upsertIdentifications(batch);
+    }
+  } catch (err) {
+    await sink.closeRun(run.id, { status: 'error', error_text: err.message, ended_at: new Date().toISOString() })
+      .catch((e) => console.error(`❌ ${e.message}`));
+    throw err;
+  }
+
+  const endedAt = new Date();
+  await sink.closeRun(run.id, {
+    status: 'ok',
+    ended_at: endedAt.toISOString(),
+    duration_ms: endedAt.getTime() - startedAt.getTime(),
+    fetched: rows.length,
+    upserted,
+    ingested_count: upserted,
+    deactivated: inactive.length,
+    ...(idents.length ? { details: { identifications } } : {}),
+  });
+  await sink.close();
+
+  console.log(JSON.stringify({ run_id: run.id, source: input, sink: describeSink(args.sink), upserted, inactive: inactive.length, identifications }));
+  console.log(`✅ Synced ${upserted} observations from ${input} into ${sink.name}`);
+}
+
+main().catch((err) => {
+  console.error(`❌ SYNC FAILED: ${err.message}`);
+  console.error('::error::' + err.message);
+  process.exit(1);
+});
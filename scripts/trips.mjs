@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Trips
+ *
+ * Purpose:
+ *   - validate: check trips.json (dates, timezones, areas, roster, rule sets) and list
+ *     every problem; exits 1 if there is any. Needs no database, so CI runs it
+ *   - list: print the trips with their windows and areas
+ *   - sync: write every trip to spider_trip_windows_v1 and, with --activate, make one trip
+ *     the active one (leaderboard_trip_v1) and copy its window/areas into config_filters
+ *
+ * Usage:
+ *   node scripts/trips.mjs validate [--file trips.json]
+ *   node scripts/trips.mjs list [--file trips.json]
+ *   node scripts/trips.mjs sync [--activate <trip key>] [--file trips.json]
+ *
+ *   --file      Trips file (default: $TRIPS_FILE or trips.json)
+ *   --activate  Trip to mark active (default: $TRIP; sync leaves the active trip alone if unset)
+ *
+ * Requirements (sync only):
+ *   - SUPABASE_URL environment variable
+ *   - SUPABASE_SERVICE_KEY (or SUPABASE_SECRET_KEY / SUPABASE_SERVICE_ROLE_KEY)
+ *   - Migrations 20251112000000_trip_config.sql, 20251113000000_trip_areas.sql,
+ *     20251117000000_teams.sql and 20251119000000_taxon_lineage.sql applied
+ */
+
+import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import {
+  TRIPS_FILE,
+  bboxSpec,
+  describeAreas,
+  readAreaFiles,
+  rosterLogins,
+  tripBounds,
+  tripFileProblems,
+  tripFilters,
+  tripsProblems,
+  validateTrips,
+} from '../src/config/trips.mjs';
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    file: { type: 'string', default: process.env.TRIPS_FILE || TRIPS_FILE },
+    activate: { type: 'string', default: process.env.TRIP || undefined },
+  },
+});
+
+// The trips document with area files read in; unreadable files are problems
+async function readTripsDoc(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read trips file ${path}: ${err.message}`);
+  }
+  return readAreaFiles(parsed, path);
+}
+
+async function readTrips(path) {
+  const { doc, problems } = await readTripsDoc(path);
+  if (problems.length) throw new Error(`${path}:\n  - ${problems.join('\n  - ')}`);
+  return validateTrips(doc, path);
+}
+
+async function validate(path) {
+  const { doc, problems } = await readTripsDoc(path);
+  problems.push(...tripsProblems(doc));
+  if (!problems.length) problems.push(...(await tripFileProblems(validateTrips(doc, path))));
+  if (problems.length) {
+    for (const p of problems) console.error(`❌ ${p}`);
+    throw new Error(`${path}: ${problems.length} problem(s)`);
+  }
+  console.log(`✅ ${path}: ${doc.trips.length} trip(s) valid`);
+}
+
+async function list(path) {
+  for (const trip of await readTrips(path)) {
+    const bounds = tripBounds(trip);
+    console.log(`${trip.key}  ${trip.d1} → ${trip.d2} (${trip.timezone})  ${trip.name}`);
+    console.log(`   areas: ${describeAreas(trip)}  (ingest queries ${bounds ? bboxSpec(bounds) : `place_id=${trip.place_ids.join(',')}`})`);
+    const { obscured, max_accuracy_m: maxAccuracy } = trip.location_policy;
+    console.log(`   location: obscured ${obscured}, max accuracy ${maxAccuracy == null ? 'none' : `${maxAccuracy} m`}` +
+      `  taxa: ${trip.min_taxon_rank ? `${trip.min_taxon_rank} or finer` : 'any rank'}`);
+    const teams = new Set(trip.roster.map((s) => s.team).filter(Boolean));
+    console.log(`   project: ${trip.project_slug ?? '—'}  rules: ${trip.rules}  roster: ${rosterLogins(trip).length} login(s)` +
+      (teams.size ? `  teams: ${[...teams].join(', ')} (${trip.team_aggregation})` : ''));
+  }
+}
+
+function connect() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey =
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_SECRET_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) throw new Error('Missing required envs: SUPABASE_URL, one of SUPABASE_*_KEY');
+  return createClient(url, serviceKey, { auth: { persistSession: false } });
+}
+
+function check({ data, error }, what) {
+  if (error) throw new Error(`${what}: ${error.message} (Code: ${error.code})`);
+  return data;
+}
+
+async function sync(path, activate) {
+  const trips = await readTrips(path);
+  const problems = await tripFileProblems(trips);
+  if (problems.length) throw new Error(`${path}:\n  - ${problems.join('\n  - ')}`);
+  const active = activate && trips.find((t) => t.key === activate);
+  if (activate && !active) throw new Error(`No trip "${activate}" in ${path}`);
+
+  const supabase = connect();
+  const now = new Date().toISOString();
+  // Clear the flag first: the partial unique index allows only one active row at a time
+  if (active) {
+    check(await supabase.from('spider_trip_windows_v1').update({ is_active: false }).eq('is_active', true), 'Clear active trip');
+  }
+  const rows = trips.map((t) => ({
+    trip_key: t.key,
+    name: t.name,
+    start_date: t.d1,
+    end_date: t.d2,
+    timezone: t.timezone,
+    bboxes: t.bboxes,
+    area: t.area,
+    place_ids: t.place_ids.length ? t.place_ids : null,
+    location_policy: t.location_policy,
+    team_aggregation: t.team_aggregation,
+    min_taxon_rank: t.min_taxon_rank,
+    project_slug: t.project_slug,
+    rules: t.rules,
+    updated_at: now,
+    ...(active ? { is_active: t.key === active.key } : {}),
+  }));
+  check(await supabase.from('spider_trip_windows_v1').upsert(rows, { onConflict: 'trip_key' }), 'Upsert spider_trip_windows_v1');
+
+  if (active) {
+    check(
+      await supabase.from('config_filters').upsert({ id: true, mode: 'TRIP', ...tripFilters(active) }, { onConflict: 'id' }),
+      'Upsert config_filters'
+    );
+  }
+  console.log(JSON.stringify({ trips: rows.length, active: active?.key ?? null }));
+  console.log(`✅ Synced ${rows.length} trip(s)${active ? `; ${active.key} is active` : ''}`);
+}
+
+async function main() {
+  const [command] = positionals;
+  if (command === 'validate') return validate(args.file);
+  if (command === 'list') return list(args.file);
+  if (command === 'sync') return sync(args.file, args.activate);
+  throw new Error('Usage: node scripts/trips.mjs validate|list|sync [--file trips.json] [--activate <key>]');
+}
+
+main().catch((err) => {
+  console.error(`❌ TRIPS FAILED: ${err.message}`);
+  console.error('::error::' + err.message.split('\n')[0]);
+  process.exit(1);
+});
@@ -1,23 +1,14 @@
--- Trip window config
-create table if not exists public.spider_trip_windows_v1 (
-  trip_key   text primary key,
-  start_date date not null,
-  end_date   date not null
-);
+-- Trip window config: rows come from trips.json via `node scripts/trips.mjs sync --activate <key>`
+-- (table and columns: supabase/migrations/20251112000000_trip_config.sql)
 
-insert into public.spider_trip_windows_v1 (trip_key, start_date, end_date)
-values ('Costa Rica 2025 (demo)', '2020-10-13', '2025-10-13')
-on conflict (trip_key) do update
-set start_date = excluded.start_date,
-    end_date   = excluded.end_date;
-
--- Participants
+-- Participants (team: supabase/migrations/20251117000000_teams.sql)
 create or replace view public.active_participants_v1 as
 select
   r.id                        as roster_id,
   r.display_name,
   coalesce(r.is_adult, false) as is_adult,
-  si.provider_uid             as inat_login
+  si.provider_uid             as inat_login,
+  r.team
 from public.roster r
 join public.student_identities si on si.user_id = r.id
 where si.provider = 'inat'
@@ -68,7 +59,7 @@ create or replace view public.leaderboard_trip_v1 as
 with tw as (
   select start_date, end_date
   from public.spider_trip_windows_v1
-  where trip_key = 'Costa Rica 2025 (demo)'
+  where is_active
 ),
 base as (
   select
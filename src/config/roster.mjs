@@ -0,0 +1,173 @@
+// src/config/roster.mjs
+// Class roster CSV: the list a teacher keeps, checked and turned into public.roster rows and
+// provider='inat' student_identities (which feed active_participants_v1), and the same CSV
+// back out. scripts/roster.mjs does the I/O; everything here is pure.
+//
+//   name,grade,adult,inat_login,email,team
+//   Ann Lee,7,,ann_lee,ann@example.org,Tapir
+//   Ann Lee,7,,ann_phone,,                second account: repeat the name (or "ann_lee;ann_phone")
+//   Ms. Rivera,adult,,rivera,,Tapir
+//
+// Headers are case-insensitive; display_name/student, login/inat, is_adult and group also
+// work. An adult is grade "adult" or adult = yes/true/1; email and team are optional.
+
+import { parseCsv, toCsv } from '../scoring/csv.mjs';
+
+export const ROSTER_COLUMNS = ['name', 'grade', 'adult', 'inat_login', 'email', 'team'];
+
+const HEADER_ALIASES = {
+  name: 'name', display_name: 'name', student: 'name',
+  grade: 'grade',
+  adult: 'adult', is_adult: 'adult',
+  inat_login: 'inat_login', login: 'inat_login', inat: 'inat_login',
+  email: 'email',
+  team: 'team', group: 'team',
+};
+const TRUE = new Set(['y', 'yes', 'true', '1', 'x']);
+const FALSE = new Set(['', 'n', 'no', 'false', '0']);
+
+// iNat's own rule: 3-40 letters, digits, _ or -, starting with a letter
+export const LOGIN_RE = /^[a-z][a-z0-9_-]{2,39}$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// CSV text -> { students: [{ name, grade, adult, logins, email, team }], problems }. Rows with the
+// same name (case-insensitive) are one student; problems name the CSV row (header = row 1).
+export function parseRosterCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((h) => HEADER_ALIASES[h.trim().toLowerCase()] ?? null);
+  const problems = [];
+  if (!columns.includes('name')) problems.push('header must have a name column');
+  if (!columns.includes('inat_login')) problems.push('header must have an inat_login column');
+  if (problems.length) return { students: [], problems };
+
+  const students = new Map();
+  const owners = new Map();
+  rows.forEach((cells, i) => {
+    const where = `row ${i + 2}`;
+    const get = (field) => (cells[columns.indexOf(field)] ?? '').trim();
+    const name = get('name');
+    if (!name) {
+      problems.push(`${where}: name is empty`);
+      return;
+    }
+    const grade = get('grade');
+    const adultCell = get('adult').toLowerCase();
+    if (!TRUE.has(adultCell) && !FALSE.has(adultCell)) problems.push(`${where}: adult must be yes/no, got "${get('adult')}"`);
+    const adult = TRUE.has(adultCell) || grade.toLowerCase() === 'adult';
+    const email = get('email');
+    if (email && !EMAIL_RE.test(email)) problems.push(`${where}: "${email}" is not an email address`);
+    const team = get('team');
+
+    const key = name.toLowerCase();
+    let student = students.get(key);
+    if (!student) {
+      student = { name, grade: adult ? null : grade || null, adult, logins: [], email: email || null, team: team || null };
+      students.set(key, student);
+    } else {
+      if (student.adult !== adult) problems.push(`${where}: ${name} is listed both as an adult and as a student`);
+      if (team && student.team && team !== student.team) problems.push(`${where}: ${name} is on both ${student.team} and ${team}`);
+      student.grade ??= grade || null;
+      student.email ??= email || null;
+      student.team ??= team || null;
+    }
+
+    for (const login of get('inat_login').split(/[;\s]+/).filter(Boolean)) {
+      if (!LOGIN_RE.test(login)) {
+        problems.push(`${where}: "${login}" is not a valid iNat login (3-40 letters, digits, _ or -, starting with a letter)`);
+        continue;
+      }
+      const owner = owners.get(login.toLowerCase());
+      if (owner && owner !== student) problems.push(`${where}: login "${login}" is already listed for ${owner.name}`);
+      if (owner) continue;
+      owners.set(login.toLowerCase(), student);
+      student.logins.push(login);
+    }
+  });
+  return { students: [...students.values()], problems };
+}
+
+// Students whose logins were checked on iNat. `users`: Map(lowercase login -> { login } | null);
+// `members`: Set of lowercase project member logins, or null when there is no project.
+// Unknown logins are errors (usually typos); non-members are warnings. Logins come back in
+// iNat's spelling.
+export function checkLogins(students, users, members = null) {
+  const errors = [];
+  const warnings = [];
+  const checked = students.map((student) => {
+    if (!student.logins.length) warnings.push(`${student.name} has no iNat login and will not score`);
+    const logins = student.logins.map((login) => {
+      const user = users.get(login.toLowerCase());
+      if (!user) {
+        errors.push(`${student.name}: iNat has no user "${login}" (typo?)`);
+        return login;
+      }
+      if (members && !members.has(user.login.toLowerCase())) {
+        warnings.push(`${student.name}: ${user.login} has not joined the iNat project`);
+      }
+      return user.login;
+    });
+    return { ...student, logins };
+  });
+  return { students: checked, errors, warnings };
+}
+
+// public.roster columns for a student
+export function rosterFields(student) {
+  return {
+    display_name: student.name,
+    is_adult: student.adult,
+    grade: student.grade,
+    email: student.email,
+    team: student.team ?? null,
+    inat_login: student.logins[0] ?? null,
+  };
+}
+
+// What importing `students` changes, given the current roster rows ({ id, display_name, is_adult,
+// grade, email, team, inat_login }) and inat identities ({ user_id, provider_uid, active }). A
+// student matches the roster row that already owns one of their logins, else the row with the
+// same display name; otherwise a row is added. Nothing is deleted. link/reactivate name
+// identities by their stored provider_uid.
+// -> [{ student, rosterId, roster: 'insert' | 'update' | null, add: [login], link: [{ login, from }], reactivate: [login] }]
+export function planRosterImport(students, { roster = [], identities = [] } = {}) {
+  const rowById = new Map(roster.map((r) => [String(r.id), r]));
+  const rowByName = new Map(roster.map((r) => [String(r.display_name ?? '').toLowerCase(), r]));
+  const identityByLogin = new Map(identities.map((i) => [String(i.provider_uid).toLowerCase(), i]));
+
+  return students.map((student) => {
+    const owned = student.logins.map((l) => identityByLogin.get(l.toLowerCase())).find(Boolean);
+    const row = (owned && rowById.get(String(owned.user_id))) ?? rowByName.get(student.name.toLowerCase()) ?? null;
+    const wanted = rosterFields(student);
+    const changed = row && Object.entries(wanted).some(([k, v]) => (row[k] ?? null) !== v);
+
+    const step = { student, rosterId: row?.id ?? null, roster: row ? (changed ? 'update' : null) : 'insert', add: [], link: [], reactivate: [] };
+    for (const login of student.logins) {
+      const identity = identityByLogin.get(login.toLowerCase());
+      if (!identity) step.add.push(login);
+      else if (!row || String(identity.user_id) !== String(row.id)) step.link.push({ login: identity.provider_uid, from: identity.user_id });
+      else if (identity.active === false) step.reactivate.push(identity.provider_uid);
+    }
+    return step;
+  });
+}
+
+// Roster rows + identities -> the import CSV (active logins joined with ";"), by name
+export function rosterToCsv(roster, identities) {
+  const loginsFor = new Map();
+  for (const identity of identities) {
+    if (identity.active === false) continue;
+    const key = String(identity.user_id);
+    loginsFor.set(key, [...(loginsFor.get(key) ?? []), identity.provider_uid]);
+  }
+  const rows = [...roster]
+    .sort((a, b) => String(a.display_name ?? '').localeCompare(String(b.display_name ?? '')))
+    .map((r) => ({
+      name: r.display_name,
+      grade: r.is_adult ? 'adult' : r.grade ?? '',
+      adult: r.is_adult ? 'yes' : '',
+      inat_login: (loginsFor.get(String(r.id)) ?? (r.inat_login ? [r.inat_login] : [])).join(';'),
+      email: r.email ?? '',
+      team: r.team ?? '',
+    }));
+  return toCsv(rows, ROSTER_COLUMNS);
+}
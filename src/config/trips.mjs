@@ -0,0 +1,359 @@
+// src/config/trips.mjs
+// Trip definitions (trips.json): the single source for trip windows, areas, projects,
+// rosters and rule sets. ingest.mjs (TRIP=<key>), the scorers (--trip <key>) and
+// scripts/trips.mjs sync (spider_trip_windows_v1, config_filters) all read it.
+//
+//   {
+//     "trips": [{
+//       "key": "costa-rica-2025",              unique, [a-z0-9-]
+//       "name": "Costa Rica 2025",             optional display name
+//       "d1": "2025-11-01", "d2": "2025-11-30", inclusive window, YYYY-MM-DD in the trip's zone
+//       "timezone": "America/Costa_Rica",      IANA zone for days, the window and first-of-taxon
+//       "bboxes": [{ "west": -84.05, "south": 10.40, "east": -83.48, "north": 10.62 }],
+//       "area": "areas/costa-rica-2025.geojson",  GeoJSON (Multi)Polygon, Feature(Collection),
+//                                                  inline or a file relative to trips.json
+//       "place_ids": [6924],                   iNat places; instead of bboxes/area
+//       "location_policy": { "obscured": "exclude", "max_accuracy_m": 1000 },
+//       "project_slug": "nolan-ecology-costa-rica",
+//       "roster": ["ann", { "name": "Bob", "logins": ["bob", "bob_alt"], "team": "Tapir" }],
+//       "team_aggregation": "sum",             team standings: sum | average | distinct_taxa
+//       "min_taxon_rank": "genus",             IDs coarser than this count toward no distinct-taxa
+//                                              total (default: every rank counts)
+//       "rules": "rules/spider-trip.v1.json"   relative to trips.json; loaded trips carry the
+//                                              resolved path as rules_file
+//     }]
+//   }
+//
+// A trip needs bboxes, area or place_ids; an observation counts if it is in any bbox or
+// polygon (exact point-in-polygon), or iNat lists it in one of the places. Ingest queries
+// the box enclosing every bbox and polygon, or the places. location_policy.obscured is
+// "include" (default: score the public, randomized point) or "exclude"; observations less
+// accurate than max_accuracy_m metres are dropped (no limit by default).
+
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseBbox, parseDate } from '../ingest/config.mjs';
+import { areaBbox, normalizeArea } from '../scoring/geo.mjs';
+import { loadRuleSet } from '../scoring/rules.mjs';
+import { buildRoster } from '../scoring/roster.mjs';
+import { TEAM_AGGREGATIONS } from '../scoring/teams.mjs';
+import { MIN_TAXON_RANKS } from '../scoring/taxa.mjs';
+import { isTimeZone } from '../scoring/time.mjs';
+
+// The repo's trips.json, wherever the scripts are run from
+export const TRIPS_FILE = fileURLToPath(new URL('../../trips.json', import.meta.url));
+
+const KEY_RE = /^[a-z0-9][a-z0-9-]*$/;
+const TRIP_KEYS = new Set([
+  'key', 'name', 'd1', 'd2', 'timezone', 'bboxes', 'area', 'place_ids', 'location_policy',
+  'project_slug', 'roster', 'team_aggregation', 'min_taxon_rank', 'rules', 'description',
+]);
+const OBSCURED_POLICIES = ['include', 'exclude'];
+
+// Roster entry -> { name, logins, adult, team }; a bare string is one login
+function normalizeStudent(entry) {
+  if (typeof entry === 'string') return { name: entry, logins: [entry], adult: false, team: null };
+  return { name: entry.name, logins: entry.logins ?? [], adult: entry.adult === true, team: entry.team ?? null };
+}
+
+// Every problem in one trip, as "trips[i] (key): ..." strings
+function tripProblems(trip, where) {
+  const problems = [];
+  const add = (msg) => problems.push(`${where}: ${msg}`);
+  const tryTo = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      add(err.message);
+      return null;
+    }
+  };
+
+  for (const k of Object.keys(trip)) if (!TRIP_KEYS.has(k)) add(`unknown field "${k}"`);
+  if (typeof trip.key !== 'string' || !KEY_RE.test(trip.key)) add('key must be lowercase letters, digits and dashes');
+
+  const [d1, d2] = ['d1', 'd2'].map((k) => {
+    if (trip[k] != null) return tryTo(() => parseDate(String(trip[k]), k));
+    add(`${k} is required`);
+    return null;
+  });
+  if (d1 && d2 && d1 > d2) add(`d1 (${d1}) is after d2 (${d2})`);
+
+  if (typeof trip.timezone !== 'string' || !isTimeZone(trip.timezone)) {
+    add(`timezone must be an IANA zone such as "America/Costa_Rica", got ${JSON.stringify(trip.timezone)}`);
+  }
+
+  if (trip.bboxes == null && trip.area == null && trip.place_ids == null) {
+    add('needs bboxes, area or place_ids');
+  } else if (trip.place_ids != null && (trip.bboxes != null || trip.area != null)) {
+    add('place_ids cannot be combined with bboxes or area (ingest queries one or the other)');
+  }
+  if (trip.bboxes != null && (!Array.isArray(trip.bboxes) || !trip.bboxes.length)) {
+    add('bboxes must be a non-empty array of { west, south, east, north }');
+  } else if (trip.bboxes != null) {
+    trip.bboxes.forEach((b, i) => {
+      const keys = ['west', 'south', 'east', 'north'];
+      if (!b || typeof b !== 'object' || Array.isArray(b) || !keys.every((k) => typeof b[k] === 'number')) {
+        add(`bboxes[${i}] must be { west, south, east, north } (numbers)`);
+        return;
+      }
+      tryTo(() => parseBbox(keys.map((k) => b[k]).join(','), `bboxes[${i}]`));
+    });
+  }
+  if (typeof trip.area === 'string') add(`area file ${trip.area} was not read (load trips with loadTrips())`);
+  else if (trip.area != null) tryTo(() => normalizeArea(trip.area));
+  if (trip.place_ids != null &&
+    (!Array.isArray(trip.place_ids) || !trip.place_ids.length || !trip.place_ids.every((id) => Number.isInteger(id) && id > 0))) {
+    add('place_ids must be a non-empty array of iNat place ids');
+  }
+
+  const policy = trip.location_policy;
+  if (policy != null && (typeof policy !== 'object' || Array.isArray(policy))) {
+    add('location_policy must be { obscured, max_accuracy_m }');
+  } else if (policy != null) {
+    for (const k of Object.keys(policy)) if (k !== 'obscured' && k !== 'max_accuracy_m') add(`unknown location_policy field "${k}"`);
+    if (policy.obscured != null && !OBSCURED_POLICIES.includes(policy.obscured)) {
+      add(`location_policy.obscured must be one of ${OBSCURED_POLICIES.join(', ')}`);
+    }
+    if (policy.max_accuracy_m != null && !(typeof policy.max_accuracy_m === 'number' && policy.max_accuracy_m > 0)) {
+      add('location_policy.max_accuracy_m must be a positive number of metres');
+    }
+  }
+
+  if (trip.project_slug != null && (typeof trip.project_slug !== 'string' || !trip.project_slug)) {
+    add('project_slug must be a non-empty string');
+  }
+  if (typeof trip.rules !== 'string' || !trip.rules) add('rules must be a rule set path, e.g. rules/default.v1.json');
+
+  if (trip.roster != null && !Array.isArray(trip.roster)) {
+    add('roster must be an array');
+  } else {
+    const owners = new Map();
+    const names = new Set();
+    (trip.roster ?? []).forEach((entry, i) => {
+      const valid = typeof entry === 'string'
+        ? entry.trim() !== ''
+        : entry && typeof entry.name === 'string' && entry.name &&
+          Array.isArray(entry.logins) && entry.logins.length && entry.logins.every((l) => typeof l === 'string' && l) &&
+          (entry.adult == null || typeof entry.adult === 'boolean') &&
+          (entry.team == null || (typeof entry.team === 'string' && entry.team.trim() !== ''));
+      if (!valid) {
+        add(`roster[${i}] must be a login or { name, logins: [login, ...], adult?, team? }`);
+        return;
+      }
+      const student = normalizeStudent(entry);
+      // names key the leaderboard, so two students cannot share one
+      if (names.has(student.name)) add(`roster name "${student.name}" is listed twice; give one a distinct name`);
+      names.add(student.name);
+      for (const login of student.logins) {
+        const owner = owners.get(login.toLowerCase());
+        if (owner) add(`roster login "${login}" is listed for both ${owner} and ${student.name}`);
+        owners.set(login.toLowerCase(), student.name);
+      }
+    });
+  }
+  if (trip.team_aggregation != null && !TEAM_AGGREGATIONS.includes(trip.team_aggregation)) {
+    add(`team_aggregation must be one of ${TEAM_AGGREGATIONS.join(', ')}`);
+  }
+  if (trip.min_taxon_rank != null && !MIN_TAXON_RANKS.includes(trip.min_taxon_rank)) {
+    add(`min_taxon_rank must be one of ${MIN_TAXON_RANKS.join(', ')}`);
+  }
+  return problems;
+}
+
+// All problems in a trips document; [] when valid
+export function tripsProblems(doc) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.trips)) return ['trips file must be { "trips": [...] }'];
+  if (!doc.trips.length) return ['trips must list at least one trip'];
+
+  const problems = [];
+  const seen = new Set();
+  doc.trips.forEach((trip, i) => {
+    const where = `trips[${i}]${typeof trip?.key === 'string' ? ` (${trip.key})` : ''}`;
+    if (!trip || typeof trip !== 'object' || Array.isArray(trip)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    if (seen.has(trip.key)) problems.push(`${where}: duplicate key "${trip.key}"`);
+    seen.add(trip.key);
+    problems.push(...tripProblems(trip, where));
+  });
+  return problems;
+}
+
+// Normalized copy: roster entries as { name, logins, adult, team }, area as one MultiPolygon,
+// optional fields filled in
+function normalizeTrip(trip, base) {
+  return {
+    ...trip,
+    rules_file: resolve(base, trip.rules),
+    name: trip.name ?? trip.key,
+    bboxes: trip.bboxes ?? [],
+    area: trip.area == null ? null : normalizeArea(trip.area),
+    place_ids: trip.place_ids ?? [],
+    location_policy: {
+      obscured: trip.location_policy?.obscured ?? 'include',
+      max_accuracy_m: trip.location_policy?.max_accuracy_m ?? null,
+    },
+    project_slug: trip.project_slug ?? null,
+    roster: (trip.roster ?? []).map(normalizeStudent),
+    team_aggregation: trip.team_aggregation ?? 'sum',
+    min_taxon_rank: trip.min_taxon_rank ?? null,
+  };
+}
+
+// Throws one error listing every problem; returns the normalized trips, with rule set paths
+// resolved against the trips file (source)
+export function validateTrips(doc, source = TRIPS_FILE) {
+  const problems = tripsProblems(doc);
+  if (problems.length) {
+    throw new Error(`${source} is invalid:\n  - ${problems.join('\n  - ')}`);
+  }
+  return doc.trips.map((trip) => normalizeTrip(trip, dirname(source)));
+}
+
+// Copy of a trips document with `"area": "<file>"` replaced by the file's GeoJSON, read
+// relative to the trips file at `path`, not the working directory.
+// Returns { doc, problems }; unreadable files stay as paths and are listed in problems.
+export async function readAreaFiles(doc, path = TRIPS_FILE) {
+  if (!Array.isArray(doc?.trips)) return { doc, problems: [] };
+  const problems = [];
+  const trips = [];
+  for (const trip of doc.trips) {
+    if (typeof trip?.area !== 'string') {
+      trips.push(trip);
+      continue;
+    }
+    try {
+      trips.push({ ...trip, area: JSON.parse(await readFile(resolve(dirname(path), trip.area), 'utf8')) });
+    } catch (err) {
+      problems.push(`${trip.key}: could not read area file ${trip.area}: ${err.message}`);
+      trips.push(trip);
+    }
+  }
+  return { doc: { ...doc, trips }, problems };
+}
+
+export async function loadTrips(path = TRIPS_FILE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read trips file ${path}: ${err.message}`);
+  }
+  const { doc, problems } = await readAreaFiles(parsed, path);
+  if (problems.length) throw new Error(`${path} is invalid:\n  - ${problems.join('\n  - ')}`);
+  return validateTrips(doc, path);
+}
+
+export async function loadTrip(key, path = TRIPS_FILE) {
+  const trips = await loadTrips(path);
+  const trip = trips.find((t) => t.key === key);
+  if (!trip) throw new Error(`No trip "${key}" in ${path}; known trips: ${trips.map((t) => t.key).join(', ')}`);
+  return trip;
+}
+
+// Problems that need the filesystem: every trip's rule set must load
+export async function tripFileProblems(trips) {
+  const problems = [];
+  for (const trip of trips) {
+    try {
+      await loadRuleSet(trip.rules_file);
+    } catch (err) {
+      problems.push(`${trip.key}: ${err.message}`);
+    }
+  }
+  return problems;
+}
+
+// ------------------ Views for each consumer ------------------
+// Smallest box containing all of a trip's boxes (what iNat is queried with)
+export function enclosingBbox(bboxes) {
+  return {
+    west: Math.min(...bboxes.map((b) => b.west)),
+    south: Math.min(...bboxes.map((b) => b.south)),
+    east: Math.max(...bboxes.map((b) => b.east)),
+    north: Math.max(...bboxes.map((b) => b.north)),
+  };
+}
+
+export function bboxSpec({ west, south, east, north }) {
+  return [west, south, east, north].join(',');
+}
+
+// Box around every bbox and polygon of a trip; null for a trip defined by places only
+export function tripBounds(trip) {
+  const boxes = [...trip.bboxes, ...(trip.area ? [areaBbox(trip.area)] : [])];
+  return boxes.length ? enclosingBbox(boxes) : null;
+}
+
+// One line per kind of area, for logs
+export function describeAreas(trip) {
+  const parts = [];
+  if (trip.bboxes.length) parts.push(`bboxes ${trip.bboxes.map(bboxSpec).join(' | ')}`);
+  if (trip.area) parts.push(`${trip.area.coordinates.length} polygon(s)`);
+  if (trip.place_ids.length) parts.push(`iNat place(s) ${trip.place_ids.join(',')}`);
+  return parts.join('; ');
+}
+
+// Distinct iNat logins on the roster, in roster order
+export function rosterLogins(trip) {
+  const seen = new Set();
+  return trip.roster.flatMap((s) => s.logins).filter((login) => {
+    const key = login.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Scoring roster (roster.mjs) for the trip, or null when it lists nobody (everyone scores)
+export function tripRoster(trip) {
+  return trip.roster.length ? buildRoster(trip.roster) : null;
+}
+
+// config_filters-shaped row for both scorers. swlat..nelng is the enclosing box (a cheap
+// first cut); bboxes, area and place_ids are then tested exactly.
+export function tripFilters(trip) {
+  const box = tripBounds(trip);
+  return {
+    trip_key: trip.key,
+    d1: trip.d1,
+    d2: trip.d2,
+    timezone: trip.timezone,
+    swlat: box?.south ?? null,
+    swlng: box?.west ?? null,
+    nelat: box?.north ?? null,
+    nelng: box?.east ?? null,
+    bboxes: trip.bboxes.map(({ west, south, east, north }) => ({ west, south, east, north })),
+    area: trip.area,
+    place_ids: trip.place_ids.length ? trip.place_ids : null,
+    obscured: trip.location_policy.obscured,
+    max_accuracy_m: trip.location_policy.max_accuracy_m,
+    team_aggregation: trip.team_aggregation,
+    min_taxon_rank: trip.min_taxon_rank,
+  };
+}
+
+// Ingest env for TRIP=<key>: the trip's window, area, project and roster replace TRIP_*,
+// INAT_PROJECT_SLUG and INAT_USER_LOGINS. An explicit INAT_MODE still picks the mode.
+export function tripIngestEnv(trip, env = process.env) {
+  const box = tripBounds(trip);
+  return {
+    ...env,
+    INAT_MODE: env.INAT_MODE || 'TRIP',
+    TRIP_BBOX: box ? bboxSpec(box) : '',
+    TRIP_PLACE_ID: trip.place_ids.join(','),
+    TRIP_D1: trip.d1,
+    TRIP_D2: trip.d2,
+    INAT_PROJECT_SLUG: trip.project_slug ?? '',
+    INAT_USER_LOGINS: rosterLogins(trip).join(','),
+  };
+}
+
+// env unchanged, or with TRIP=<key> applied from TRIPS_FILE (default trips.json)
+export async function withTripEnv(env = process.env) {
+  if (!env.TRIP?.trim()) return env;
+  return tripIngestEnv(await loadTrip(env.TRIP.trim(), env.TRIPS_FILE || TRIPS_FILE), env);
+}
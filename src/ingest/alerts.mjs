@@ -0,0 +1,21 @@
+// src/ingest/alerts.mjs
+// Failure alerts: POST { stage, message, lastError } to ALERT_WEBHOOK_URL (Slack/Discord-style
+// incoming webhooks accept it via a workflow or relay). Never throws; an alert must not mask
+// the error it reports.
+
+export async function sendAlert(webhookUrl, { stage = 'ingest', message, lastError }) {
+  if (!webhookUrl) return false;
+  try {
+    const res = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stage, message, lastError }),
+      signal: AbortSignal.timeout(10_000),
+    });
+    if (!res.ok) console.warn(`⚠️  Alert webhook returned HTTP ${res.status}`);
+    return res.ok;
+  } catch (err) {
+    console.warn(`⚠️  Alert webhook failed: ${err.message}`);
+    return false;
+  }
+}
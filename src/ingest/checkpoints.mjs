@@ -0,0 +1,89 @@
+// src/ingest/checkpoints.mjs
+// Per-scope resume points: where each mode/login/slug/bbox scope starts its next pass.
+// Rows live in the sink (ingest_checkpoints for the database sinks).
+
+function chunked(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+// Describe a checkpoint scope. The scope_key is the checkpoint's primary key, so two runs
+// with the same mode, login/slug, bbox and date window share (and resume) one row.
+// Users in USERS/MEMBERS runs get the same USER:<login> rows as single-user runs.
+export function checkpointScope(mode, config, login = null) {
+  const scope = {
+    mode,
+    user_login: mode === 'USER' ? login : null,
+    project_slug: mode === 'PROJECT' ? config.projectSlug : null,
+    bbox: mode === 'TRIP' ? config.trip.bboxSpec : null,
+    d1: mode === 'TRIP' ? config.trip.d1 : null,
+    d2: mode === 'TRIP' ? config.trip.d2 : null,
+  };
+  // Place-based trips have no bbox column value; their places go in the key instead
+  const area = mode === 'TRIP' && config.trip.placeIds?.length ? `place_id=${config.trip.placeIds.join(',')}` : scope.bbox;
+  const target = scope.user_login ?? scope.project_slug ?? [area, scope.d1, scope.d2].map((v) => v ?? '').join('|');
+  return { scope_key: `${mode}:${target}`, ...scope };
+}
+
+// Later of two ISO timestamps (iNat returns local offsets, so compare as instants, not strings)
+export function laterTimestamp(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+// Decide where a scope starts:
+//   1. UPDATED_SINCE set by hand wins (fresh pass from the newest ID)
+//   2. An interrupted pass continues from its last committed page with the same filter
+//   3. Otherwise start a fresh pass from the last completed watermark (minus overlap)
+export function planResume(checkpoint, config) {
+  if (config.updatedSince) {
+    return { updatedSince: config.updatedSince, idBelow: null, resumed: false };
+  }
+  if (checkpoint?.status === 'running' && checkpoint.id_below) {
+    return {
+      updatedSince: checkpoint.pass_updated_since || null,
+      idBelow: checkpoint.id_below,
+      resumed: true,
+    };
+  }
+  const watermark = checkpoint?.max_updated_at;
+  return {
+    updatedSince: watermark ? new Date(Date.parse(watermark) - config.checkpointOverlapMs).toISOString() : null,
+    idBelow: null,
+    resumed: false,
+  };
+}
+
+// Group scopes into units of work: { target, scopes, plan }.
+// Single-scope modes yield one unit. Users are batched when their plans can share a query:
+// interrupted passes with the same cursor resume together, never-completed users share a
+// full-history scroll, and incremental users share one scroll from their earliest watermark.
+export function planUnits(mode, logins, checkpoints, config) {
+  if (mode !== 'USER') {
+    const scope = checkpointScope(mode, config);
+    return [{ target: { mode, logins: [] }, scopes: [scope], plan: planResume(checkpoints?.get(scope.scope_key), config) }];
+  }
+
+  const groups = new Map();
+  for (const login of logins) {
+    const scope = checkpointScope('USER', config, login);
+    const plan = planResume(checkpoints?.get(scope.scope_key), config);
+    const key = plan.resumed ? `resume|${plan.updatedSince}|${plan.idBelow}` : plan.updatedSince ? 'incremental' : 'full';
+    const group = groups.get(key) ?? { scopes: [], plan };
+    group.scopes.push(scope);
+    if (key === 'incremental' && Date.parse(plan.updatedSince) < Date.parse(group.plan.updatedSince)) {
+      group.plan = plan;
+    }
+    groups.set(key, group);
+  }
+
+  const units = [];
+  for (const { scopes, plan } of groups.values()) {
+    for (const batch of chunked(scopes, config.membersBatchSize)) {
+      units.push({ target: { mode: 'USER', logins: batch.map((s) => s.user_login) }, scopes: batch, plan });
+    }
+  }
+  return units;
+}
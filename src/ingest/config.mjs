@@ -0,0 +1,195 @@
+// src/ingest/config.mjs
+// The one config schema for every ingest entry point (ingest.mjs, test_supabase.mjs).
+// loadIngestConfig() reads it from the environment, validates it and fails loudly;
+// nothing else in src/ingest reads process.env.
+//
+//   Env var                 Field                    Default / notes
+//   INAT_MODE               mode                     USER if INAT_USER_LOGIN, else USERS if INAT_USER_LOGINS,
+//                                                    else PROJECT if INAT_PROJECT_SLUG, else TRIP
+//   INAT_PROJECT_SLUG       projectSlug              PROJECT and MEMBERS modes
+//   INAT_USER_LOGIN         userLogin                USER mode (forces it)
+//   INAT_USER_LOGINS        userLogins               comma-separated; USERS mode, extra logins in MEMBERS
+//   MEMBERS_BATCH_SIZE      membersBatchSize         25 logins per batched user_id query
+//   TRIP_BBOX               trip.bbox                "west,south,east,north" (lon,lat,lon,lat), the iNat
+//                                                    swlng,swlat,nelng,nelat order; anything else is an error
+//   TRIP_PLACE_ID           trip.placeIds            comma-separated iNat place ids, instead of TRIP_BBOX
+//   TRIP_D1 / TRIP_D2       trip.d1 / trip.d2        YYYY-MM-DD
+//   TRIP / TRIPS_FILE       (all TRIP_*, slug,       a trips.json key; applied by withTripEnv() in
+//                            userLogins)              src/config/trips.mjs before loadIngestConfig()
+//   UPDATED_SINCE           updatedSince             ISO timestamp; overrides the stored checkpoint
+//   INGEST_SINK             sink                     supabase | postgres://... | sqlite:<path> | ndjson:<path>
+//   OBS_TABLE               table                    observations
+//   OBS_ID_COLUMN           idColumn                 inat_obs_id
+//   INGEST_IDENTIFICATIONS  identifications          false; also fetch the run's logins' identifications of
+//                                                    others' observations (INAT_USER_LOGINS in TRIP/PROJECT)
+//   IDENT_TABLE             identTable               identifications
+//   UPSERT_BATCH_SIZE       batchSize                50 rows per upsert; halved on statement timeouts
+//   MIN_BATCH_SIZE          minBatchSize             10, the floor for that shrinking
+//   INAT_API_BASE           inat.baseUrl             https://api.inaturalist.org
+//   INAT_USER_AGENT         inat.userAgent
+//   INAT_MIN_INTERVAL_MS    inat.minIntervalMs       1000; never lower against the public API
+//   INAT_FIXTURES           inat.fixtures.mode       record | replay
+//   INAT_FIXTURE_DIR        inat.fixtures.dir        fixtures/inat
+//   CHECKPOINT_TABLE        checkpointTable          ingest_checkpoints
+//   RESET_CHECKPOINT        resetCheckpoint          false
+//   RUNS_TABLE              runsTable                score_runs
+//   SKIP_DELETES            skipDeletes              false
+//   RECONCILE_INTERVAL_MIN  reconcileIntervalMin     60
+//   ALERT_WEBHOOK_URL       alertWebhookUrl          POSTed { stage, message, lastError } when a run fails
+
+import { INAT_API_BASE } from './inat.mjs';
+import { parseSinkSpec } from './sinks/index.mjs';
+
+export const MODES = ['USER', 'USERS', 'MEMBERS', 'PROJECT', 'TRIP'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "west,south,east,north" -> { west, south, east, north }; throws on anything else.
+// A latitude-first box (south,west,north,east) is rejected when its numbers give it away.
+export function parseBbox(value, name = 'TRIP_BBOX') {
+  const parts = value.split(',').map((s) => s.trim());
+  const nums = parts.map(Number);
+  if (parts.length !== 4 || parts.some((s) => s === '') || !nums.every(Number.isFinite)) {
+    throw new Error(`${name} must be "west,south,east,north" (four numbers), got "${value}"`);
+  }
+  const [west, south, east, north] = nums;
+  if (Math.abs(south) > 90 || Math.abs(north) > 90) {
+    throw new Error(`${name} latitude out of range in "${value}"; the order is west,south,east,north (longitude first)`);
+  }
+  if (Math.abs(west) > 180 || Math.abs(east) > 180) {
+    throw new Error(`${name} longitude out of range in "${value}"`);
+  }
+  if (south > north) {
+    throw new Error(`${name} south (${south}) is above north (${north}); the order is west,south,east,north`);
+  }
+  if (west > east) {
+    throw new Error(`${name} west (${west}) is east of east (${east}); boxes across the antimeridian are not supported`);
+  }
+  return { west, south, east, north };
+}
+
+export function parseDate(value, name) {
+  if (!value) return null;
+  // Round-trip so impossible days (2025-11-31) fail instead of rolling over
+  if (!DATE_RE.test(value) || Number.isNaN(Date.parse(value)) || new Date(value).toISOString().slice(0, 10) !== value) {
+    throw new Error(`${name} must be YYYY-MM-DD, got "${value}"`);
+  }
+  return value;
+}
+
+function parsePositiveInt(value, name, fallback) {
+  if (!value) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${name} must be a positive integer, got "${value}"`);
+  return n;
+}
+
+// env: a process.env-like object. overrides: fields to force (e.g. { sink: 'supabase' }).
+export function loadIngestConfig(env = process.env, overrides = {}) {
+  const get = (name, fallback = '') => (env[name] ?? fallback).trim();
+  const flag = (name) => get(name).toLowerCase() === 'true';
+
+  const userLogin = get('INAT_USER_LOGIN');
+  const userLogins = get('INAT_USER_LOGINS').split(',').map((s) => s.trim()).filter(Boolean);
+  const projectSlug = get('INAT_PROJECT_SLUG');
+
+  // Decide mode: prioritize USER, then explicit mode, then USERS, then PROJECT, default to TRIP
+  let mode;
+  if (userLogin) mode = 'USER';
+  else if (get('INAT_MODE')) mode = get('INAT_MODE').toUpperCase();
+  else if (userLogins.length) mode = 'USERS';
+  else if (projectSlug) mode = 'PROJECT';
+  else mode = 'TRIP';
+  mode = overrides.mode ?? mode;
+
+  const bboxSpec = get('TRIP_BBOX');
+  const placeIds = get('TRIP_PLACE_ID').split(',').map((s) => s.trim()).filter(Boolean).map((id) => {
+    if (!/^\d+$/.test(id)) throw new Error(`TRIP_PLACE_ID must be comma-separated iNat place ids, got "${id}"`);
+    return Number(id);
+  });
+  const updatedSince = get('UPDATED_SINCE');
+  if (updatedSince && Number.isNaN(Date.parse(updatedSince))) {
+    throw new Error(`UPDATED_SINCE must be an ISO timestamp, got "${updatedSince}"`);
+  }
+
+  const config = {
+    mode,
+    projectSlug,
+    userLogin,
+    userLogins,
+    membersBatchSize: parsePositiveInt(get('MEMBERS_BATCH_SIZE'), 'MEMBERS_BATCH_SIZE', 25),
+    // bboxSpec is kept verbatim: it is part of the TRIP checkpoint scope_key
+    trip: {
+      bboxSpec: bboxSpec || null,
+      bbox: bboxSpec ? parseBbox(bboxSpec) : null,
+      placeIds,
+      d1: parseDate(get('TRIP_D1'), 'TRIP_D1'),
+      d2: parseDate(get('TRIP_D2'), 'TRIP_D2'),
+    },
+    updatedSince: updatedSince || null,
+    sink: get('INGEST_SINK', 'supabase'),
+    table: get('OBS_TABLE', 'observations'),
+    idColumn: get('OBS_ID_COLUMN', 'inat_obs_id'),
+    identifications: flag('INGEST_IDENTIFICATIONS'),
+    identTable: get('IDENT_TABLE', 'identifications'),
+    batchSize: parsePositiveInt(get('UPSERT_BATCH_SIZE'), 'UPSERT_BATCH_SIZE', 50),
+    minBatchSize: parsePositiveInt(get('MIN_BATCH_SIZE'), 'MIN_BATCH_SIZE', 10),
+    inat: loadINatConfig(env),
+    checkpointTable: get('CHECKPOINT_TABLE', 'ingest_checkpoints'),
+    resetCheckpoint: flag('RESET_CHECKPOINT'),
+    // Re-fetch a small window before the stored watermark to cover clock skew between iNat writes
+    checkpointOverlapMs: 30_000,
+    runsTable: get('RUNS_TABLE', 'score_runs'),
+    skipDeletes: flag('SKIP_DELETES'),
+    reconcileIntervalMin: parseInt(get('RECONCILE_INTERVAL_MIN', '60'), 10) || 0,
+    alertWebhookUrl: get('ALERT_WEBHOOK_URL') || null,
+    ...overrides,
+  };
+
+  validateIngestConfig(config);
+  return config;
+}
+
+// createINatClient() options from INAT_* alone, for scripts that talk to iNat without ingesting
+// (scripts/roster.mjs, scripts/compute_scores.mjs)
+export function loadINatConfig(env = process.env) {
+  const get = (name, fallback = '') => (env[name] ?? fallback).trim();
+  const fixtures = get('INAT_FIXTURES').toLowerCase();
+  return {
+    baseUrl: get('INAT_API_BASE', INAT_API_BASE),
+    userAgent: get('INAT_USER_AGENT') || 'ecology-bioblitz-scoring/ingest (+github-actions@users.noreply.github.com)',
+    minIntervalMs: parseInt(get('INAT_MIN_INTERVAL_MS', '1000'), 10),
+    fixtures: fixtures ? { mode: fixtures, dir: get('INAT_FIXTURE_DIR', 'fixtures/inat') } : null,
+  };
+}
+
+export function validateIngestConfig(config) {
+  const { mode, trip } = config;
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown INAT_MODE "${mode}"; expected one of ${MODES.join(', ')}`);
+  }
+  if (mode === 'USER' && !config.userLogin) {
+    throw new Error('INAT_USER_LOGIN is required for USER mode');
+  }
+  if (mode === 'USERS' && !config.userLogins.length) {
+    throw new Error('INAT_USER_LOGINS is required for USERS mode');
+  }
+  if ((mode === 'PROJECT' || mode === 'MEMBERS') && !config.projectSlug) {
+    throw new Error(`INAT_PROJECT_SLUG is required for ${mode} mode`);
+  }
+  // CRITICAL SAFETY CHECK: Prevent accidental global download in TRIP mode
+  if (mode === 'TRIP' && !trip.bbox && !trip.placeIds.length && !trip.d1 && !trip.d2 && !config.updatedSince) {
+    throw new Error('TRIP mode requires at least one filter (TRIP_BBOX, TRIP_PLACE_ID, TRIP_D1/D2, or UPDATED_SINCE) to prevent excessive load.');
+  }
+  // iNat ANDs place_id with the box, which is never what a trip means
+  if (trip.bbox && trip.placeIds.length) {
+    throw new Error('Set TRIP_BBOX or TRIP_PLACE_ID, not both');
+  }
+  if (trip.d1 && trip.d2 && trip.d1 > trip.d2) {
+    throw new Error(`TRIP_D1 (${trip.d1}) is after TRIP_D2 (${trip.d2})`);
+  }
+  if (config.minBatchSize > config.batchSize) {
+    throw new Error(`MIN_BATCH_SIZE (${config.minBatchSize}) is larger than UPSERT_BATCH_SIZE (${config.batchSize})`);
+  }
+  parseSinkSpec(config.sink);
+}
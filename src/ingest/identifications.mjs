@@ -0,0 +1,88 @@
+// src/ingest/identifications.mjs
+// Identifications made by roster members on other people's observations: iNat query
+// building, the identification -> public.identifications row mapping, and which
+// identification tipped an observation to research grade. Pure: run.mjs does the fetching.
+
+// Fields of /v1/identifications results that the mapping needs
+export const IDENTIFICATION_FIELDS = 'id,created_at,current,category,disagreement,own_observation,user.id,user.login,taxon.id,taxon.name,taxon.rank,taxon.ancestor_ids,observation.id,observation.quality_grade,observation.taxon.id,observation.user.login';
+
+// Fields of /v1/observations results for researchGradeTipper()
+export const OBSERVATION_IDENTIFICATION_FIELDS = 'id,quality_grade,taxon.id,taxon.ancestor_ids,identifications.id,identifications.current,identifications.created_at,identifications.taxon.id,identifications.taxon.ancestor_ids';
+
+// Columns every mapped row has (besides inat_ident_id), in table order
+export const IDENTIFICATION_COLUMNS = [
+  'inat_obs_id', 'user_id', 'user_login', 'created_at',
+  'taxon_id', 'taxon_name', 'taxon_rank',
+  'category', 'current', 'disagreement', 'own_observation',
+  'observation_user_login', 'observation_taxon_id', 'observation_quality_grade',
+  'tipped_research_grade', 'raw_json',
+];
+
+// One identifications query per batch of logins. Withdrawn IDs are fetched too (current is
+// stored), so a re-run notices an ID that no longer stands. The trip window applies to the
+// observation's date, as it does to observations; a bbox has no /v1/identifications
+// parameter, so that part of the scope is left to scoring.
+export function buildIdentificationParams(logins, config) {
+  const p = new URLSearchParams();
+  p.set('order', 'desc');
+  p.set('order_by', 'id'); // enable id_below scrolling
+  p.set('per_page', '200');
+  p.set('fields', IDENTIFICATION_FIELDS);
+  p.set('user_id', logins.join(','));
+  p.set('own_observation', 'false');
+  const { placeIds, d1, d2 } = config.trip;
+  if (placeIds?.length) p.set('place_id', placeIds.join(','));
+  if (d1) p.set('observed_d1', d1);
+  if (d2) p.set('observed_d2', d2);
+  return p;
+}
+
+// iNat identification -> identifications row. tipped_research_grade is filled in by run.mjs
+// from the observation's identifications (researchGradeTipper).
+export function mapIdentification(i) {
+  const { observation, ...raw } = i;
+  return {
+    inat_ident_id: i.id,
+    inat_obs_id: observation?.id ?? i.observation_id ?? null,
+    user_id: i.user?.id || null,
+    user_login: i.user?.login || null,
+    created_at: i.created_at,
+    taxon_id: i.taxon?.id || null,
+    taxon_name: i.taxon?.name || null,
+    taxon_rank: i.taxon?.rank || null,
+    category: i.category || null,
+    current: i.current !== false,
+    disagreement: i.disagreement === true,
+    own_observation: i.own_observation === true,
+    observation_user_login: observation?.user?.login || null,
+    observation_taxon_id: observation?.taxon?.id || null,
+    observation_quality_grade: observation?.quality_grade || null,
+    tipped_research_grade: false,
+    raw_json: raw,
+  };
+}
+
+// The id of the identification that made a research-grade observation research grade, or
+// null. Walks the current identifications in the order they were made and returns the
+// first one after which at least two agree with the observation's taxon (or something
+// finer) and they are more than two thirds of those that take a side, like iNat's
+// community taxon rule. IDs of an ancestor of the taxon take no side.
+export function researchGradeTipper(observation) {
+  if (observation?.quality_grade !== 'research' || observation.taxon?.id == null) return null;
+  const target = Number(observation.taxon.id);
+  const above = new Set((observation.taxon.ancestor_ids ?? []).map(Number));
+  const idents = (observation.identifications ?? [])
+    .filter((i) => i.current !== false && i.taxon?.id != null)
+    .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at) || a.id - b.id);
+
+  let agree = 0;
+  let disagree = 0;
+  for (const ident of idents) {
+    const id = Number(ident.taxon.id);
+    const lineage = (ident.taxon.ancestor_ids ?? []).map(Number);
+    if (id === target || lineage.includes(target)) agree++;
+    else if (!above.has(id)) disagree++;
+    if (agree >= 2 && agree * 3 > (agree + disagree) * 2) return ident.id;
+  }
+  return null;
+}
@@ -0,0 +1,121 @@
+// src/ingest/inat.mjs
+// iNaturalist API client: polite pacing, retry with backoff, configurable base URL and
+// record/replay of responses as JSON fixtures.
+//
+//   const inat = createINatClient({ baseUrl, userAgent });
+//   const json = await inat.getJson('/v1/observations?id=1,2');
+//
+// fixtures: { mode: 'record' | 'replay', dir }. record saves every successful response
+// under dir; replay serves them without touching the network and fails on a miss.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+export const INAT_API_BASE = 'https://api.inaturalist.org';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Stable file name for a request: path words plus a hash of path + sorted query
+export function fixtureName(pathAndQuery) {
+  const url = new URL(pathAndQuery, 'http://fixture');
+  url.searchParams.sort();
+  const key = `${url.pathname}?${url.searchParams}`;
+  const words = url.pathname.split('/').filter(Boolean).join('_').replace(/[^\w-]/g, '-').slice(0, 60);
+  return `${words}__${createHash('sha1').update(key).digest('hex').slice(0, 12)}.json`;
+}
+
+export function createINatClient({
+  baseUrl = INAT_API_BASE,
+  userAgent = 'ecology-bioblitz-scoring/ingest',
+  // 1 req/sec is iNat's recommendation; only a non-public base URL may go faster
+  minIntervalMs = 1000,
+  maxRetries = 7,
+  initialDelayMs = 800,
+  minRetryWaitMs = 1000,
+  fixtures = null,
+} = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const requested = Number.isFinite(minIntervalMs) && minIntervalMs >= 0 ? minIntervalMs : 1000;
+  const interval = base === INAT_API_BASE ? Math.max(requested, 1000) : requested;
+  if (fixtures && !['record', 'replay'].includes(fixtures.mode)) {
+    throw new Error(`INAT_FIXTURES must be record or replay, got "${fixtures.mode}"`);
+  }
+
+  // Shared by every request from this client so scrolling, member paging and
+  // reconciliation lookups stay within one budget
+  let lastRequestAt = 0;
+  async function pace() {
+    const wait = lastRequestAt + interval - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequestAt = Date.now();
+  }
+
+  async function fetchJsonWithRetries(url, init = {}) {
+    let delay = initialDelayMs;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      await pace();
+      const res = await fetch(url, {
+        ...init,
+        headers: {
+          'User-Agent': userAgent,
+          Accept: 'application/json',
+          ...init.headers,
+        },
+      }).catch((e) => ({ ok: false, status: 0, statusText: e.message }));
+
+      if (res.ok) {
+        return res.json();
+      }
+
+      const status = res.status;
+      const retryAfter = res.headers?.get?.('retry-after');
+      const show = `HTTP ${status} ${res.statusText || ''}`.trim();
+
+      // Rate limiting (429/403) or temporary server errors (50x)
+      if ((status === 429 || status === 403 || status >= 500) && attempt < maxRetries) {
+        let wait = delay + Math.floor(Math.random() * 300);
+        // Honor Retry-After header if present
+        if (retryAfter) {
+          const ra = parseFloat(retryAfter);
+          if (!Number.isNaN(ra)) wait = Math.max(wait, Math.ceil(ra * 1000));
+        }
+        // Ensure a minimum wait if rate limited
+        wait = Math.max(wait, minRetryWaitMs);
+
+        console.warn(`⚠️  [Attempt ${attempt}] ${show}, retry in ${wait}ms`);
+        await sleep(wait);
+        // Exponential backoff capped at 45s
+        delay = Math.min(Math.floor(delay * 1.9), 45_000);
+        continue;
+      }
+
+      // Read body safely for logging
+      let body = '';
+      try { body = await res.text(); } catch { body = ''; }
+      throw Object.assign(new Error(`${show}: ${body.slice(0, 240)}`), { status });
+    }
+    throw new Error(`Exceeded ${maxRetries} retries for ${url}`);
+  }
+
+  // pathAndQuery: "/v1/observations?..." relative to the base URL
+  async function getJson(pathAndQuery) {
+    const file = fixtures && join(fixtures.dir, fixtureName(pathAndQuery));
+    if (fixtures?.mode === 'replay') {
+      try {
+        return JSON.parse(await readFile(file, 'utf8')).response;
+      } catch (err) {
+        throw new Error(`No recorded fixture for ${pathAndQuery} (${file}): ${err.message}`);
+      }
+    }
+
+    const json = await fetchJsonWithRetries(`${base}${pathAndQuery}`);
+    if (fixtures?.mode === 'record') {
+      await mkdir(fixtures.dir, { recursive: true });
+      await writeFile(file, JSON.stringify({ request: pathAndQuery, response: json }, null, 2) + '\n');
+    }
+    return json;
+  }
+
+  return { baseUrl: base, getJson };
+}
@@ -0,0 +1,39 @@
+// src/ingest/index.mjs
+// Shared iNaturalist ingest library. ingest.mjs and test_supabase.mjs are thin wrappers
+// around runIngest(); scripts can import the pieces directly:
+//
+//   config      loadIngestConfig(env), parseBbox()      one documented schema (see config.mjs)
+//   iNat        createINatClient()                       pacing, retries, record/replay
+//   query       buildObservationParams(), scrollObservations(), fetchProjectMemberLogins(),
+//               fetchTaxonCounts()
+//   normaliser  mapObservation()                         iNat observation -> observations row
+//               mapIdentification()                      iNat identification -> identifications row
+//   writer      createObservationWriter()                batched upserts, 57014 batch shrinking
+//   storage     createSink()                             supabase | postgres | sqlite | ndjson
+//   alerts      sendAlert()                              ALERT_WEBHOOK_URL on failure
+
+export { loadIngestConfig, loadINatConfig, validateIngestConfig, parseBbox, MODES } from './config.mjs';
+export { createINatClient, INAT_API_BASE, fixtureName } from './inat.mjs';
+export {
+  OBSERVATION_FIELDS,
+  buildObservationParams,
+  scrollObservations,
+  fetchProjectMemberLogins,
+  fetchSurvivingIds,
+  fetchTaxonCounts,
+  fetchUser,
+  scrollIdentifications,
+  fetchObservationIdentifications,
+} from './query.mjs';
+export {
+  IDENTIFICATION_COLUMNS,
+  buildIdentificationParams,
+  mapIdentification,
+  researchGradeTipper,
+} from './identifications.mjs';
+export { mapObservation, OBSERVATION_COLUMNS, JSON_COLUMNS } from './mapping.mjs';
+export { createObservationWriter, isStatementTimeout } from './writer.mjs';
+export { createSink, describeSink, parseSinkSpec } from './sinks/index.mjs';
+export { checkpointScope, planResume, planUnits } from './checkpoints.mjs';
+export { sendAlert } from './alerts.mjs';
+export { runIngest, describeConfig, createINatClientFromConfig, createSinkFromConfig } from './run.mjs';
@@ -0,0 +1,119 @@
+// src/ingest/mapping.mjs
+// iNat API observation -> public.observations row. Pure: the sinks decide where rows go.
+
+// Helper to extract the primary photo URL (medium size)
+function getPhotoUrl(photos) {
+  if (!photos || photos.length === 0) return null;
+  // Try to get 'medium' by replacing 'square' (thumbnail) in the URL
+  return photos[0].url?.replace('/square.', '/medium.') || photos[0].url;
+}
+
+// Robust helper to find a specific rank in the ancestors array
+function getAncestorRank(ancestors, rank) {
+  if (!ancestors) return null;
+  const ancestor = ancestors.find((a) => a.rank === rank);
+  return ancestor ? ancestor.name : null;
+}
+
+// Extract coordinates robustly; null when missing or not numeric
+function getCoordinates(o) {
+  let latitude = null;
+  let longitude = null;
+
+  // 1. Prefer GeoJSON (standard format: [longitude, latitude])
+  if (o.geojson && o.geojson.coordinates && o.geojson.coordinates.length === 2) {
+    longitude = o.geojson.coordinates[0];
+    latitude = o.geojson.coordinates[1];
+  }
+  // 2. Fallback to 'location' string (iNat format: "latitude,longitude")
+  else if (o.location) {
+    const coords = o.location.split(',');
+    if (coords.length === 2) {
+      latitude = parseFloat(coords[0]);
+      longitude = parseFloat(coords[1]);
+    }
+  }
+
+  return {
+    latitude: Number.isFinite(latitude) ? latitude : null,
+    longitude: Number.isFinite(longitude) ? longitude : null,
+  };
+}
+
+// Columns every mapped row has (besides the id column), in table order.
+// SQL sinks use this to build their statements and the SQLite schema.
+export const OBSERVATION_COLUMNS = [
+  'user_id', 'user_login',
+  'observed_on', 'time_observed_at', 'observed_at', 'created_at', 'updated_at',
+  'latitude', 'longitude',
+  'taxon_id', 'taxon_name', 'taxon_rank', 'taxon_rank_level',
+  'taxon_kingdom', 'taxon_phylum', 'taxon_class', 'taxon_order', 'taxon_family', 'taxon_genus',
+  'quality_grade', 'is_research', 'votes', 'faves', 'ident_agreements', 'ident_disagreements',
+  'photo_url', 'photo_count', 'sound_count',
+  'is_captive', 'ofvs', 'raw_json',
+];
+
+// JSON columns (jsonb in Postgres, TEXT in SQLite)
+export const JSON_COLUMNS = new Set(['ofvs', 'raw_json']);
+
+// Comprehensive mapping from iNat API object to the observations schema.
+// `idColumn` is the primary key column that holds the iNat observation id.
+export function mapObservation(o, { idColumn = 'inat_obs_id' } = {}) {
+  const { latitude, longitude } = getCoordinates(o);
+
+  // Map to the database schema (Column names must match the standardized Supabase table)
+  return {
+    [idColumn]: o.id, // e.g., inat_obs_id
+
+    user_id: o.user?.id || null,
+    user_login: o.user?.login || null,
+
+    // Timestamps (using standard ISO formats)
+    observed_on: o.observed_on || null, // Date only (YYYY-MM-DD)
+    time_observed_at: o.time_observed_at || null, // Full timestamp
+    // What compute_scores_mvp() and the SQL daily views filter and bucket on: the full
+    // timestamp, else the date (midnight UTC) for observations iNat has no time for
+    observed_at: o.time_observed_at || o.observed_on || null,
+    created_at: o.created_at,
+    updated_at: o.updated_at || o.created_at,
+
+    // Location
+    latitude,
+    longitude,
+
+    // Taxon Information
+    taxon_id: o.taxon?.id || null,
+    taxon_name: o.taxon?.name || null,
+    taxon_rank: o.taxon?.rank || null,
+    taxon_rank_level: o.taxon?.rank_level || null,
+
+    // Taxonomic Hierarchy (derived from ancestors)
+    // Standardized taxon_* prefix to align with DB schema and avoid reserved keywords
+    taxon_kingdom: getAncestorRank(o.taxon?.ancestors, 'kingdom'),
+    taxon_phylum: getAncestorRank(o.taxon?.ancestors, 'phylum'),
+    taxon_class: getAncestorRank(o.taxon?.ancestors, 'class'),
+    taxon_order: getAncestorRank(o.taxon?.ancestors, 'order'),
+    taxon_family: getAncestorRank(o.taxon?.ancestors, 'family'),
+    taxon_genus: getAncestorRank(o.taxon?.ancestors, 'genus'),
+
+    // Metrics and Quality
+    quality_grade: o.quality_grade,
+    is_research: o.quality_grade === 'research',
+    votes: o.cached_votes_total || 0,
+    faves: o.faves_count || 0,
+    ident_agreements: o.num_identification_agreements || 0,
+    ident_disagreements: o.num_identification_disagreements || 0,
+
+    // Media
+    photo_url: getPhotoUrl(o.photos),
+    photo_count: o.photos?.length || 0,
+    sound_count: o.sounds?.length || 0,
+
+    // Misc
+    is_captive: o.captive || false,
+    ofvs: o.ofvs || [], // Observation Field Values (JSONB)
+
+    // Raw JSON: Store original observation data (required, cannot be null)
+    raw_json: o ?? {},
+  };
+}
@@ -0,0 +1,146 @@
+// src/ingest/query.mjs
+// iNat query building and id_below cursor scrolling.
+//
+// A query target is { mode: 'USER' | 'PROJECT' | 'TRIP', logins }. USERS and MEMBERS runs
+// split their logins into several USER targets, one batched query each.
+
+import { buildIdentificationParams, OBSERVATION_IDENTIFICATION_FIELDS } from './identifications.mjs';
+
+// Fields needed for the database mapping. taxon.ancestors populates the taxonomic
+// hierarchy; taxon.threatened/endemic let scoring rules read them from raw_json.
+export const OBSERVATION_FIELDS = 'id,created_at,updated_at,observed_on,time_observed_at,user.id,user.login,taxon.id,taxon.name,taxon.rank,taxon.rank_level,taxon.ancestors,taxon.threatened,taxon.endemic,quality_grade,location,geojson,obscured,geoprivacy,taxon_geoprivacy,positional_accuracy,public_positional_accuracy,place_ids,cached_votes_total,faves_count,num_identification_agreements,num_identification_disagreements,captive,photos,sounds,ofvs';
+
+export function buildObservationParams(target, config, updatedSince = null) {
+  const p = new URLSearchParams();
+  p.set('order', 'desc');
+  p.set('order_by', 'id'); // enable id_below scrolling
+  p.set('per_page', '100');
+  p.set('fields', OBSERVATION_FIELDS);
+
+  if (target.mode === 'USER') {
+    // user_id accepts comma-separated logins, so one scroll covers a whole batch
+    if (target.logins.length === 1) p.set('user_login', target.logins[0]);
+    else p.set('user_id', target.logins.join(','));
+  } else if (target.mode === 'PROJECT') {
+    p.set('project_slug', config.projectSlug);
+  } else { // TRIP
+    const { bbox, placeIds, d1, d2 } = config.trip;
+    if (placeIds?.length) p.set('place_id', placeIds.join(','));
+    if (bbox) {
+      p.set('swlng', String(bbox.west));
+      p.set('swlat', String(bbox.south));
+      p.set('nelng', String(bbox.east));
+      p.set('nelat', String(bbox.north));
+    }
+    if (d1) p.set('d1', d1);
+    if (d2) p.set('d2', d2);
+  }
+
+  if (updatedSince) p.set('updated_since', updatedSince);
+  return p;
+}
+
+// Robust cursor-based scrolling. Pass `idBelow` to continue an interrupted pass,
+// `idsOnly` to list the scope's current IDs cheaply (used by deletion reconciliation).
+export async function* scrollObservations(inat, target, config, { updatedSince = null, idBelow = null, idsOnly = false } = {}) {
+  const baseParams = buildObservationParams(target, config, updatedSince);
+  if (idsOnly) {
+    baseParams.set('fields', 'id');
+    baseParams.set('per_page', '200');
+  }
+
+  while (true) {
+    const params = new URLSearchParams(baseParams);
+    if (idBelow) params.set('id_below', String(idBelow));
+    const json = await inat.getJson(`/v1/observations?${params.toString()}`);
+    const results = json?.results ?? [];
+    if (!results.length) break;
+    yield results;
+    idBelow = results[results.length - 1].id;
+    // Pacing between pages is enforced inside the iNat client
+  }
+}
+
+// Page /v1/projects/{slug}/members
+export async function fetchProjectMemberLogins(inat, slug) {
+  const logins = [];
+  const perPage = 100;
+  for (let page = 1; ; page++) {
+    const json = await inat.getJson(`/v1/projects/${encodeURIComponent(slug)}/members?page=${page}&per_page=${perPage}`);
+    const results = json?.results ?? [];
+    for (const m of results) {
+      if (m.user?.login) logins.push(m.user.login);
+    }
+    if (results.length < perPage || page * perPage >= (json?.total_results ?? Infinity)) break;
+  }
+  return logins;
+}
+
+// GET /v1/users/{login}: { id, login, name } with iNat's spelling of the login, or null when
+// iNat has no such user
+export async function fetchUser(inat, login) {
+  try {
+    const json = await inat.getJson(`/v1/users/${encodeURIComponent(login)}`);
+    const user = json?.results?.[0];
+    return user ? { id: user.id, login: user.login, name: user.name ?? null } : null;
+  } catch (err) {
+    if (err.status === 404 || err.status === 422) return null;
+    throw err;
+  }
+}
+
+const ID_LOOKUP_BATCH = 200; // iNat accepts up to 200 comma-separated ids per request
+
+// Of the given IDs, which does iNat still serve at all?
+export async function fetchSurvivingIds(inat, ids) {
+  const surviving = new Set();
+  for (let i = 0; i < ids.length; i += ID_LOOKUP_BATCH) {
+    const batch = ids.slice(i, i + ID_LOOKUP_BATCH);
+    const params = new URLSearchParams({ id: batch.join(','), fields: 'id', per_page: String(ID_LOOKUP_BATCH) });
+    const json = await inat.getJson(`/v1/observations?${params}`);
+    for (const o of json?.results ?? []) surviving.add(Number(o.id));
+  }
+  return surviving;
+}
+
+// id_below scrolling over /v1/identifications made by `logins` (see identifications.mjs)
+export async function* scrollIdentifications(inat, logins, config) {
+  const baseParams = buildIdentificationParams(logins, config);
+  let idBelow = null;
+  while (true) {
+    const params = new URLSearchParams(baseParams);
+    if (idBelow) params.set('id_below', String(idBelow));
+    const json = await inat.getJson(`/v1/identifications?${params.toString()}`);
+    const results = json?.results ?? [];
+    if (!results.length) break;
+    yield results;
+    idBelow = results[results.length - 1].id;
+  }
+}
+
+// Observations with all of their identifications, for researchGradeTipper()
+export async function fetchObservationIdentifications(inat, ids) {
+  const observations = [];
+  for (let i = 0; i < ids.length; i += ID_LOOKUP_BATCH) {
+    const batch = ids.slice(i, i + ID_LOOKUP_BATCH);
+    const params = new URLSearchParams({ id: batch.join(','), fields: OBSERVATION_IDENTIFICATION_FIELDS, per_page: String(ID_LOOKUP_BATCH) });
+    const json = await inat.getJson(`/v1/observations?${params}`);
+    observations.push(...(json?.results ?? []));
+  }
+  return observations;
+}
+
+const TAXA_LOOKUP_BATCH = 30; // /v1/taxa/{ids} serves at most 30 taxa per request
+
+// GET /v1/taxa/{ids}: [{ taxon_id, name, rank, observations_count }] for the taxa iNat knows
+export async function fetchTaxonCounts(inat, ids) {
+  const taxa = [];
+  for (let i = 0; i < ids.length; i += TAXA_LOOKUP_BATCH) {
+    const batch = ids.slice(i, i + TAXA_LOOKUP_BATCH);
+    const json = await inat.getJson(`/v1/taxa/${batch.join(',')}`);
+    for (const t of json?.results ?? []) {
+      taxa.push({ taxon_id: Number(t.id), name: t.name ?? null, rank: t.rank ?? null, observations_count: t.observations_count ?? null });
+    }
+  }
+  return taxa;
+}
@@ -0,0 +1,373 @@
+// src/ingest/run.mjs
+// One ingest run: resolve logins, plan units from checkpoints, scroll and store each unit,
+// reconcile deletions, optionally fetch the logins' identifications, and record everything
+// in the run ledger.
+//
+//   const config = loadIngestConfig();
+//   const result = await runIngest(config);   // { run_id, status, pages, fetched, upserted, ... }
+
+import { createINatClient } from './inat.mjs';
+import { createSink, describeSink } from './sinks/index.mjs';
+import { createObservationWriter } from './writer.mjs';
+import {
+  fetchObservationIdentifications,
+  fetchProjectMemberLogins,
+  fetchSurvivingIds,
+  scrollIdentifications,
+  scrollObservations,
+} from './query.mjs';
+import { mapIdentification, researchGradeTipper } from './identifications.mjs';
+import { checkpointScope, laterTimestamp, planUnits } from './checkpoints.mjs';
+
+export function createINatClientFromConfig(config) {
+  return createINatClient(config.inat);
+}
+
+export function createSinkFromConfig(config) {
+  return createSink(config.sink, {
+    table: config.table,
+    idColumn: config.idColumn,
+    identTable: config.identTable,
+    checkpointTable: config.checkpointTable,
+    runsTable: config.runsTable,
+    batchSize: config.batchSize,
+  });
+}
+
+// Logins to ingest for this run, de-duplicated case-insensitively (iNat logins are)
+async function resolveLogins(inat, config) {
+  let logins;
+  if (config.mode === 'USER') logins = [config.userLogin];
+  else if (config.mode === 'USERS') logins = config.userLogins;
+  else if (config.mode === 'MEMBERS') logins = [...(await fetchProjectMemberLogins(inat, config.projectSlug)), ...config.userLogins];
+  else return [];
+
+  const seen = new Set();
+  return logins.filter((login) => {
+    const key = login.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Upsert one or more checkpoint rows ({ ...scope, ...fields } each)
+async function saveCheckpoints(sink, rows) {
+  const now = new Date().toISOString();
+  await sink.saveCheckpoints(rows.map((r) => ({ ...r, updated_at: now })));
+}
+
+// ------------------ Deletion Reconciliation ------------------
+// Stored rows that belong to this target, as Map(id -> is_active).
+// PROJECT rows carry no project reference, so they are narrowed to the logins iNat returned;
+// the confirmation lookup in reconcileDeletes() keeps that wider net from causing false deletes.
+async function loadStoredScopeIds(sink, target, scopeLogins, config) {
+  if (target.mode === 'TRIP') {
+    const { bbox, d1, d2 } = config.trip;
+    return sink.storedIds({ bbox, d1, d2 });
+  }
+  return sink.storedIds({ logins: target.mode === 'USER' ? target.logins : [...scopeLogins] });
+}
+
+// Compare the unit's current iNat IDs with stored rows: soft-delete rows iNat no longer
+// serves and reactivate soft-deleted rows that came back (e.g. made public again).
+// An observation that merely moved out of scope (edited date or location) still exists
+// and must not be soft-deleted, so missing IDs are confirmed by id before deleting.
+async function reconcileDeletes({ inat, sink, config }, unit, checkpoints, stats) {
+  const { target, scopes } = unit;
+  if (config.skipDeletes) {
+    console.log('ℹ️  SKIP_DELETES=true; deletion reconciliation skipped');
+    return;
+  }
+  // Without a bbox or window a TRIP scope is the whole of iNat; never scroll that
+  if (target.mode === 'TRIP' && !config.trip.bbox && !config.trip.d1 && !config.trip.d2) {
+    console.warn('⚠️  TRIP scope has no bbox or date window; deletion reconciliation skipped');
+    return;
+  }
+  // Stored rows carry no place reference, so a place scope cannot be compared with them
+  if (target.mode === 'TRIP' && config.trip.placeIds.length) {
+    console.warn('⚠️  TRIP scope is iNat places; deletion reconciliation skipped');
+    return;
+  }
+  const due = scopes.some((s) => {
+    const last = checkpoints?.get(s.scope_key)?.last_reconciled_at;
+    return !last || Date.now() - Date.parse(last) >= config.reconcileIntervalMin * 60_000;
+  });
+  if (!due) return;
+
+  if (!(await sink.supportsSoftDelete())) {
+    console.warn('⚠️  Sink has no soft-delete columns; deletion reconciliation skipped');
+    return;
+  }
+
+  const current = new Set();
+  const scopeLogins = new Set();
+  for await (const page of scrollObservations(inat, target, config, { idsOnly: true })) {
+    for (const o of page) current.add(Number(o.id));
+  }
+  if (target.mode === 'PROJECT') {
+    // Logins come from stored rows of the IDs iNat still lists for the project
+    for (const login of await sink.loginsForIds([...current])) scopeLogins.add(login);
+  }
+
+  const stored = await loadStoredScopeIds(sink, target, scopeLogins, config);
+  const missing = [...stored].filter(([id, active]) => active && !current.has(id)).map(([id]) => id);
+  const returned = [...stored].filter(([id, active]) => !active && current.has(id)).map(([id]) => id);
+
+  const surviving = missing.length ? await fetchSurvivingIds(inat, missing) : new Set();
+  const gone = missing.filter((id) => !surviving.has(id));
+
+  await sink.setActive(gone, false);
+  await sink.setActive(returned, true);
+  stats.deactivated += gone.length;
+  stats.reactivated += returned.length;
+
+  if (checkpoints !== undefined) {
+    const now = new Date().toISOString();
+    await saveCheckpoints(sink, scopes.map((s) => ({ ...s, last_reconciled_at: now })));
+  }
+  console.log(`🧹 Reconciled ${current.size} iNat IDs against ${stored.size} stored: ${gone.length} soft-deleted, ${returned.length} reactivated`);
+}
+
+// ------------------ Identifications ------------------
+// Which of these identifications made their observation research grade. Only current IDs on
+// research-grade observations can have; their observations are looked up with every ID.
+async function markResearchGradeTips(inat, rows) {
+  const ids = [...new Set(rows.filter((r) => r.current && r.observation_quality_grade === 'research').map((r) => r.inat_obs_id))];
+  if (!ids.length) return;
+  const observations = await fetchObservationIdentifications(inat, ids);
+  const tippers = new Set(observations.map(researchGradeTipper).filter((id) => id != null).map(Number));
+  for (const row of rows) row.tipped_research_grade = tippers.has(Number(row.inat_ident_id));
+}
+
+// Identifications the run's logins made on other people's observations (INGEST_IDENTIFICATIONS).
+// No checkpoints: a trip's identifications are few, and re-reading them all each run is what
+// notices withdrawn ones. TRIP and PROJECT runs take their logins from INAT_USER_LOGINS.
+async function ingestIdentifications({ inat, sink, config }, logins, stats) {
+  const who = logins.length ? logins : config.userLogins;
+  if (!who.length) {
+    console.warn('⚠️  INGEST_IDENTIFICATIONS=true but the run has no logins (set INAT_USER_LOGINS); identifications skipped');
+    return;
+  }
+  for (let i = 0; i < who.length; i += config.membersBatchSize) {
+    for await (const page of scrollIdentifications(inat, who.slice(i, i + config.membersBatchSize), config)) {
+      const rows = page.map(mapIdentification);
+      await markResearchGradeTips(inat, rows);
+      for (let j = 0; j < rows.length; j += config.batchSize) {
+        stats.identifications += await sink.upsertIdentifications(rows.slice(j, j + config.batchSize));
+      }
+      console.log(`... stored ${stats.identifications} identifications ...`);
+    }
+  }
+}
+
+// ------------------ Run Ledger ------------------
+// status: ok | partial (some users failed) | error
+async function closeRun(sink, run, stats, { status = 'ok', err = null, details = null } = {}) {
+  const endedAt = new Date();
+  await sink.closeRun(run.id, {
+    status,
+    error_text: err ? String(err.message ?? err).slice(0, 2000) : null,
+    details,
+    ended_at: endedAt.toISOString(),
+    duration_ms: endedAt.getTime() - Date.parse(run.started_at),
+    pages: stats.pages,
+    fetched: stats.fetched,
+    upserted: stats.upserted,
+    skipped: stats.skipped,
+    deactivated: stats.deactivated,
+    reactivated: stats.reactivated,
+    ingested_count: stats.upserted,
+  });
+}
+
+// Scroll one unit, upserting page by page and committing every scope's checkpoint after each page.
+// `users` (USERS/MEMBERS runs) collects per-login counts for the run summary.
+async function ingestUnit({ inat, sink, writer, config }, unit, checkpoints, stats, users) {
+  const { target, scopes, plan } = unit;
+  const useCheckpoints = checkpoints !== undefined;
+  const byLogin = new Map(scopes.map((s) => [s.user_login?.toLowerCase(), s]));
+  const passMax = new Map(
+    scopes.map((s) => [s.scope_key, plan.resumed ? checkpoints?.get(s.scope_key)?.pass_max_updated_at || null : null])
+  );
+  let pages = 0;
+
+  for await (const page of scrollObservations(inat, target, config, { updatedSince: plan.updatedSince, idBelow: plan.idBelow })) {
+    stats.fetched += page.length;
+    const { upserted, skipped } = await writer.write(page);
+    stats.upserted += upserted;
+    stats.skipped += skipped;
+    for (const obs of page) {
+      const scope = target.mode === 'USER' ? byLogin.get(obs.user?.login?.toLowerCase()) : scopes[0];
+      if (!scope) continue;
+      passMax.set(scope.scope_key, laterTimestamp(passMax.get(scope.scope_key), obs.updated_at || obs.created_at));
+      const user = users?.get(scope.user_login?.toLowerCase());
+      if (user) user.fetched++;
+    }
+    pages++;
+    stats.pages++;
+    console.log(`... processed ${stats.fetched} records ...`);
+
+    // Commit the cursor only after the whole page is stored, so a crash re-fetches at most one page
+    if (useCheckpoints) {
+      await saveCheckpoints(sink, scopes.map((s) => ({
+        ...s,
+        status: 'running',
+        id_below: page[page.length - 1].id,
+        pass_updated_since: plan.updatedSince,
+        pass_max_updated_at: passMax.get(s.scope_key),
+        pages_committed: (plan.resumed ? checkpoints.get(s.scope_key)?.pages_committed || 0 : 0) + pages,
+      })));
+    }
+  }
+
+  if (useCheckpoints) {
+    const now = new Date().toISOString();
+    await saveCheckpoints(sink, scopes.map((s) => ({
+      ...s,
+      status: 'complete',
+      id_below: null,
+      pass_updated_since: null,
+      pass_max_updated_at: null,
+      max_updated_at: laterTimestamp(checkpoints.get(s.scope_key)?.max_updated_at, passMax.get(s.scope_key)),
+      last_completed_at: now,
+    })));
+  }
+}
+
+// Config line printed before anything is fetched
+export function describeConfig(config) {
+  return {
+    mode: config.mode,
+    user: config.userLogin || null,
+    users: config.userLogins.length ? config.userLogins.join(',') : null,
+    sink: describeSink(config.sink),
+    inat: config.inat.baseUrl,
+    fixtures: config.inat.fixtures?.mode ?? null,
+    bbox: config.trip.bbox,
+    places: config.trip.placeIds.length ? config.trip.placeIds.join(',') : null,
+    table: config.table,
+    batch_size: config.batchSize,
+  };
+}
+
+// Runs one ingest. `inat` and `sink` default to ones built from config; a sink created
+// here is closed here. Throws when every unit failed; partial failures resolve.
+export async function runIngest(config, { inat = createINatClientFromConfig(config), sink = null } = {}) {
+  const ownSink = !sink;
+  sink ??= await createSinkFromConfig(config);
+  try {
+    return await ingestWith({ inat, sink, config });
+  } finally {
+    if (ownSink) await sink.close();
+  }
+}
+
+async function ingestWith({ inat, sink, config }) {
+  const { mode } = config;
+  const writer = createObservationWriter(sink, config);
+  const ctx = { inat, sink, writer, config };
+
+  const multiUser = mode === 'USERS' || mode === 'MEMBERS';
+  const logins = await resolveLogins(inat, config);
+  const unitMode = multiUser ? 'USER' : mode;
+  const scopes = unitMode === 'USER' ? logins.map((l) => checkpointScope('USER', config, l)) : [checkpointScope(mode, config)];
+  const checkpoints = config.resetCheckpoint ? new Map() : await sink.loadCheckpoints(scopes.map((s) => s.scope_key));
+  const units = planUnits(unitMode, logins, checkpoints, config);
+
+  const runScopeKey = mode === 'MEMBERS' ? `MEMBERS:${config.projectSlug}`
+    : mode === 'USERS' ? `USERS:${logins.join(',')}`
+    : scopes[0].scope_key;
+  const params = {
+    sink: sink.name,
+    table: config.table,
+    batch_size: config.batchSize,
+    user_login: mode === 'USER' ? config.userLogin : null,
+    user_logins: multiUser ? logins : null,
+    project_slug: mode === 'PROJECT' || mode === 'MEMBERS' ? config.projectSlug : null,
+    bbox: scopes[0]?.bbox ?? null,
+    place_ids: mode === 'TRIP' && config.trip.placeIds.length ? config.trip.placeIds : null,
+    d1: scopes[0]?.d1 ?? null,
+    d2: scopes[0]?.d2 ?? null,
+    checkpoints: checkpoints !== undefined,
+    units: units.map((u) => ({
+      logins: u.target.logins.length,
+      resumed: u.plan.resumed,
+      id_below: u.plan.idBelow,
+      updated_since: u.plan.updatedSince,
+    })),
+  };
+
+  console.log(JSON.stringify({ scope_key: runScopeKey, ...params }));
+
+  // Open the ledger row before any fetching so every cron execution leaves a trace,
+  // including runs that fail on their first request
+  const run = await sink.openRun({
+    mode,
+    scope_key: runScopeKey,
+    params,
+    status: 'running',
+    started_at: new Date().toISOString(),
+  });
+  const stats = { pages: 0, fetched: 0, upserted: 0, skipped: 0, deactivated: 0, reactivated: 0, identifications: 0 };
+  const users = multiUser ? new Map(logins.map((l) => [l.toLowerCase(), { login: l, status: 'pending', fetched: 0 }])) : null;
+  let failedUnits = 0;
+  let lastError = null;
+
+  for (const unit of units) {
+    try {
+      await ingestUnit(ctx, unit, checkpoints, stats, users);
+      await reconcileDeletes(ctx, unit, checkpoints, stats);
+      if (users) {
+        for (const login of unit.target.logins) users.get(login.toLowerCase()).status = 'ok';
+      }
+    } catch (err) {
+      if (!multiUser) {
+        // Record the failure, but never let a ledger error mask the original one
+        await closeRun(sink, run, stats, { status: 'error', err }).catch((e) => console.error(`❌ ${e.message}`));
+        throw err;
+      }
+      // One failing batch must not stop the rest of the class from being ingested
+      failedUnits++;
+      lastError = err;
+      for (const login of unit.target.logins) {
+        Object.assign(users.get(login.toLowerCase()), { status: 'error', error: err.message });
+      }
+      console.warn(`::warning::Ingestion failed for ${unit.target.logins.join(', ')}: ${err.message}`);
+    }
+  }
+
+  // Missing identifications leave the observations usable, so they only make a run partial
+  let identError = null;
+  if (config.identifications && failedUnits < units.length) {
+    try {
+      await ingestIdentifications(ctx, logins, stats);
+    } catch (err) {
+      identError = err;
+      lastError ??= err;
+      console.warn(`::warning::Identification ingest failed: ${err.message}`);
+    }
+  }
+
+  let status = failedUnits === 0 ? 'ok' : failedUnits === units.length ? 'error' : 'partial';
+  if (identError && status === 'ok') status = 'partial';
+  const summary = users ? [...users.values()] : null;
+  const details = summary || config.identifications
+    ? { ...(summary && { users: summary }), ...(config.identifications && { identifications: stats.identifications }) }
+    : null;
+  await closeRun(sink, run, stats, { status, err: lastError, details });
+
+  console.log(JSON.stringify({ run_id: run.id, status, ...stats }));
+  if (summary) {
+    const failed = summary.filter((u) => u.status !== 'ok');
+    console.log(`👥 ${summary.length - failed.length}/${summary.length} users ingested`);
+    for (const u of summary) {
+      console.log(`   ${u.status === 'ok' ? '✅' : '❌'} ${u.login}: ${u.fetched} fetched${u.error ? ` (${u.error})` : ''}`);
+    }
+  }
+  if (status === 'error') {
+    throw lastError ?? new Error('All ingest units failed');
+  }
+  console.log(`✅ [Mode: ${mode}] Upserted/verified ${stats.upserted} observations into ${config.table} (${sink.name})`);
+  return { run_id: run.id, status, ...stats, users: summary, lastError };
+}
@@ -0,0 +1,57 @@
+// src/ingest/sinks/index.mjs
+// Storage sinks for ingest.mjs. A sink owns everything ingest writes or reads back:
+//
+//   upsertObservations(rows)            -> upserted count; rows from mapObservation()
+//   upsertIdentifications(rows)         -> upserted count; rows from mapIdentification()
+//   loadCheckpoints(scopeKeys)          -> Map(scope_key -> row), or undefined if unavailable
+//   saveCheckpoints(rows)               upsert on scope_key
+//   openRun(row)                        -> { id, started_at }
+//   closeRun(id, fields)
+//   supportsSoftDelete()                -> boolean (is_active / deleted_at available)
+//   storedIds({ logins } | { bbox, d1, d2 }) -> Map(id -> is_active)
+//   loginsForIds(ids)                   -> Set of user_login
+//   setActive(ids, isActive)
+//   close()
+//
+// INGEST_SINK picks one:
+//   supabase (default)           SUPABASE_URL + service key
+//   postgres://... | postgresql://...  any Postgres with the supabase/migrations schema
+//   sqlite:<path>                creates its own tables
+//   ndjson:<path> | jsonl:<path> append-only rows + <path>.state.json (checkpoints, runs)
+
+// Parse INGEST_SINK into { kind, target }
+export function parseSinkSpec(spec) {
+  const value = (spec || 'supabase').trim();
+  if (value === 'supabase') return { kind: 'supabase', target: null };
+  if (/^postgres(ql)?:\/\//.test(value)) return { kind: 'postgres', target: value };
+
+  const match = /^(sqlite|ndjson|jsonl):(.+)$/.exec(value);
+  if (match) return { kind: match[1] === 'jsonl' ? 'ndjson' : match[1], target: match[2] };
+  throw new Error(`Unknown INGEST_SINK "${value}"; expected supabase, postgres://..., sqlite:<path> or ndjson:<path>`);
+}
+
+// options: { table, idColumn, identTable, checkpointTable, runsTable, batchSize, env }
+// Sink modules load lazily so each driver is only needed when it is used.
+export async function createSink(spec, options) {
+  const { kind, target } = parseSinkSpec(spec);
+  switch (kind) {
+    case 'supabase':
+      return (await import('./supabase.mjs')).createSupabaseSink(options);
+    case 'postgres':
+      return (await import('./postgres.mjs')).createPostgresSink(target, options);
+    case 'sqlite':
+      return (await import('./sqlite.mjs')).createSqliteSink(target, options);
+    case 'ndjson':
+      return (await import('./ndjson.mjs')).createNdjsonSink(target, options);
+  }
+}
+
+// Human-readable sink name for logs (never includes credentials)
+export function describeSink(spec) {
+  const { kind, target } = parseSinkSpec(spec);
+  if (kind === 'postgres') {
+    const url = new URL(target);
+    return `postgres://${url.host}${url.pathname}`;
+  }
+  return target ? `${kind}:${target}` : kind;
+}
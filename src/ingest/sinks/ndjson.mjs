@@ -0,0 +1,155 @@
+// src/ingest/sinks/ndjson.mjs
+// NDJSON file sink (INGEST_SINK=ndjson:./data/trip.ndjson) for ingesting with no database,
+// e.g. in the field, then syncing later with scripts/sync_ndjson.mjs.
+//
+// The file is append-only: one observations row per line. Lines for the same id merge in
+// order (later fields win), like an upsert; soft deletes append { id, is_active, deleted_at }.
+// Identifications go to <path>.identifications.ndjson the same way, keyed by inat_ident_id.
+// Checkpoints and the run ledger live next to it in <path>.state.json.
+
+import { createReadStream } from 'node:fs';
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createInterface } from 'node:readline';
+import { randomUUID } from 'node:crypto';
+
+// Merge an NDJSON observations file into Map(id -> row); missing file = empty
+export async function readNdjsonRows(path, { idColumn = 'inat_obs_id' } = {}) {
+  const rows = new Map();
+  let lineNo = 0;
+  try {
+    const lines = createInterface({ input: createReadStream(path, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      lineNo++;
+      if (!line.trim()) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${path}:${lineNo}: ${err.message}`);
+      }
+      const id = Number(row[idColumn]);
+      rows.set(id, { ...rows.get(id), ...row });
+    }
+  } catch (err) {
+    if (err.code === 'ENOENT') return rows;
+    throw err;
+  }
+  return rows;
+}
+
+// Where the identifications of an NDJSON observations file live
+export function identificationsPath(path) {
+  return `${path}.identifications.ndjson`;
+}
+
+export async function createNdjsonSink(path, { idColumn }) {
+  const statePath = `${path}.state.json`;
+  await mkdir(dirname(path), { recursive: true });
+
+  let state;
+  try {
+    state = JSON.parse(await readFile(statePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not read ${statePath}: ${err.message}`);
+    state = { checkpoints: {}, runs: [] };
+  }
+
+  // Write to a temp file and rename so an interrupted run never leaves half a state file
+  async function saveState() {
+    await writeFile(`${statePath}.tmp`, JSON.stringify(state, null, 2) + '\n');
+    await rename(`${statePath}.tmp`, statePath);
+  }
+
+  // Stored rows, loaded on first use by reconciliation
+  let stored = null;
+  const loadStored = async () => (stored ??= await readNdjsonRows(path, { idColumn }));
+
+  async function append(rows) {
+    if (!rows.length) return;
+    await appendFile(path, rows.map((r) => JSON.stringify(r)).join('\n') + '\n');
+    if (stored) {
+      for (const row of rows) {
+        const id = Number(row[idColumn]);
+        stored.set(id, { ...stored.get(id), ...row });
+      }
+    }
+  }
+
+  return {
+    name: `ndjson:${path}`,
+
+    async upsertObservations(rows) {
+      await append(rows);
+      return rows.length;
+    },
+
+    async upsertIdentifications(rows) {
+      if (!rows.length) return 0;
+      await appendFile(identificationsPath(path), rows.map((r) => JSON.stringify(r)).join('\n') + '\n');
+      return rows.length;
+    },
+
+    async loadCheckpoints(scopeKeys) {
+      const found = new Map();
+      for (const key of scopeKeys) if (state.checkpoints[key]) found.set(key, state.checkpoints[key]);
+      return found;
+    },
+
+    async saveCheckpoints(rows) {
+      for (const row of rows) state.checkpoints[row.scope_key] = { ...state.checkpoints[row.scope_key], ...row };
+      await saveState();
+    },
+
+    async openRun(row) {
+      const run = { id: randomUUID(), ...row };
+      state.runs.push(run);
+      await saveState();
+      return { id: run.id, started_at: run.started_at };
+    },
+
+    async closeRun(id, fields) {
+      const run = state.runs.find((r) => r.id === id);
+      if (run) Object.assign(run, fields);
+      await saveState();
+    },
+
+    async supportsSoftDelete() {
+      return true;
+    },
+
+    async storedIds({ logins = null, bbox = null, d1 = null, d2 = null }) {
+      const wanted = logins && new Set(logins);
+      const result = new Map();
+      for (const [id, row] of await loadStored()) {
+        if (wanted) {
+          if (!wanted.has(row.user_login)) continue;
+        } else {
+          if (bbox && !(row.longitude >= bbox.west && row.longitude <= bbox.east &&
+            row.latitude >= bbox.south && row.latitude <= bbox.north)) continue;
+          if (d1 && !(row.observed_on >= d1)) continue;
+          if (d2 && !(row.observed_on <= d2)) continue;
+        }
+        result.set(id, row.is_active !== false);
+      }
+      return result;
+    },
+
+    async loginsForIds(ids) {
+      const rows = await loadStored();
+      const logins = new Set();
+      for (const id of ids) {
+        const login = rows.get(Number(id))?.user_login;
+        if (login) logins.add(login);
+      }
+      return logins;
+    },
+
+    async setActive(ids, isActive) {
+      const deletedAt = isActive ? null : new Date().toISOString();
+      await append(ids.map((id) => ({ [idColumn]: id, is_active: isActive, deleted_at: deletedAt })));
+    },
+
+    async close() {},
+  };
+}
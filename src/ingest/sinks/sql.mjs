@@ -0,0 +1,144 @@
+// src/ingest/sinks/sql.mjs
+// Sink over a plain SQL connection, shared by the Postgres and SQLite sinks.
+// `db` supplies the dialect details:
+//   { dialect: 'postgres' | 'sqlite', all(sql, params) -> rows, run(sql, params), close() }
+// Statements use `?` placeholders; the Postgres driver wrapper rewrites them to $1..$n.
+
+import { randomUUID } from 'node:crypto';
+import { OBSERVATION_COLUMNS } from '../mapping.mjs';
+import { IDENTIFICATION_COLUMNS } from '../identifications.mjs';
+
+function chunked(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+export function createSqlSink(db, { name, table, idColumn, identTable = 'identifications', checkpointTable, runsTable, batchSize }) {
+  // JSON values go in as text (jsonb casts it; SQLite keeps it); SQLite has no booleans
+  const encode = (value) => {
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'boolean' && db.dialect === 'sqlite') return value ? 1 : 0;
+    return value ?? null;
+  };
+  const placeholders = (n) => Array(n).fill('?').join(', ');
+
+  // INSERT ... ON CONFLICT (key) DO UPDATE for one or more rows sharing `columns`
+  async function upsert(into, key, columns, rows) {
+    const updates = columns.filter((c) => c !== key).map((c) => `${c} = excluded.${c}`).join(', ');
+    const values = rows.map(() => `(${placeholders(columns.length)})`).join(', ');
+    await db.run(
+      `INSERT INTO ${into} (${columns.join(', ')}) VALUES ${values} ON CONFLICT (${key}) DO UPDATE SET ${updates}`,
+      rows.flatMap((row) => columns.map((c) => encode(row[c])))
+    );
+  }
+
+  const observationColumns = [idColumn, ...OBSERVATION_COLUMNS];
+  const identificationColumns = ['inat_ident_id', ...IDENTIFICATION_COLUMNS];
+
+  return {
+    name,
+
+    async upsertObservations(rows) {
+      await upsert(table, idColumn, observationColumns, rows);
+      return rows.length;
+    },
+
+    async upsertIdentifications(rows) {
+      await upsert(identTable, 'inat_ident_id', identificationColumns, rows);
+      return rows.length;
+    },
+
+    async loadCheckpoints(scopeKeys) {
+      const found = new Map();
+      try {
+        for (const batch of chunked(scopeKeys, 100)) {
+          const rows = await db.all(`SELECT * FROM ${checkpointTable} WHERE scope_key IN (${placeholders(batch.length)})`, batch);
+          for (const row of rows) found.set(row.scope_key, row);
+        }
+      } catch (err) {
+        console.warn(`⚠️  Could not read ${checkpointTable} (${err.message}); running without checkpoints`);
+        return undefined;
+      }
+      return found;
+    },
+
+    async saveCheckpoints(rows) {
+      for (const row of rows) await upsert(checkpointTable, 'scope_key', Object.keys(row), [row]);
+    },
+
+    async openRun(row) {
+      const full = { id: randomUUID(), ...row };
+      const columns = Object.keys(full);
+      await db.run(`INSERT INTO ${runsTable} (${columns.join(', ')}) VALUES (${placeholders(columns.length)})`, columns.map((c) => encode(full[c])));
+      return { id: full.id, started_at: full.started_at };
+    },
+
+    async closeRun(id, fields) {
+      const columns = Object.keys(fields);
+      await db.run(
+        `UPDATE ${runsTable} SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map((c) => encode(fields[c])), id]
+      );
+    },
+
+    async supportsSoftDelete() {
+      try {
+        await db.all(`SELECT is_active FROM ${table} LIMIT 1`, []);
+        return true;
+      } catch (err) {
+        console.warn(`⚠️  ${table}.is_active unavailable (${err.message})`);
+        return false;
+      }
+    },
+
+    async storedIds({ logins = null, bbox = null, d1 = null, d2 = null }) {
+      const stored = new Map();
+      const add = (rows) => {
+        for (const row of rows) stored.set(Number(row[idColumn]), row.is_active !== false && row.is_active !== 0);
+      };
+
+      if (logins) {
+        for (const batch of chunked(logins, 100)) {
+          add(await db.all(
+            `SELECT ${idColumn}, is_active FROM ${table} WHERE user_login IN (${placeholders(batch.length)})`,
+            batch
+          ));
+        }
+        return stored;
+      }
+
+      const where = [];
+      const params = [];
+      if (bbox) {
+        where.push('longitude >= ? AND longitude <= ? AND latitude >= ? AND latitude <= ?');
+        params.push(bbox.west, bbox.east, bbox.south, bbox.north);
+      }
+      if (d1) { where.push('observed_on >= ?'); params.push(d1); }
+      if (d2) { where.push('observed_on <= ?'); params.push(d2); }
+      add(await db.all(`SELECT ${idColumn}, is_active FROM ${table}${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`, params));
+      return stored;
+    },
+
+    async loginsForIds(ids) {
+      const logins = new Set();
+      for (const batch of chunked(ids, 200)) {
+        const rows = await db.all(`SELECT user_login FROM ${table} WHERE ${idColumn} IN (${placeholders(batch.length)})`, batch);
+        for (const row of rows) if (row.user_login) logins.add(row.user_login);
+      }
+      return logins;
+    },
+
+    async setActive(ids, isActive) {
+      const deletedAt = isActive ? null : new Date().toISOString();
+      for (const batch of chunked(ids, batchSize)) {
+        await db.run(
+          `UPDATE ${table} SET is_active = ?, deleted_at = ? WHERE ${idColumn} IN (${placeholders(batch.length)})`,
+          [encode(isActive), deletedAt, ...batch]
+        );
+      }
+    },
+
+    close: () => db.close(),
+  };
+}
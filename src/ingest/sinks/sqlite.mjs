@@ -0,0 +1,120 @@
+// src/ingest/sinks/sqlite.mjs
+// SQLite sink (INGEST_SINK=sqlite:./ingest.db). Creates the observations, identifications,
+// checkpoint and run tables on first use, with TEXT for timestamps and JSON. Needs the optional
+// `better-sqlite3` package.
+
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { OBSERVATION_COLUMNS, JSON_COLUMNS } from '../mapping.mjs';
+import { createSqlSink } from './sql.mjs';
+
+const INTEGER_COLUMNS = new Set([
+  'user_id', 'taxon_id', 'taxon_rank_level', 'votes', 'faves', 'ident_agreements', 'ident_disagreements',
+  'photo_count', 'sound_count', 'is_research', 'is_captive',
+]);
+const REAL_COLUMNS = new Set(['latitude', 'longitude']);
+
+function columnType(column) {
+  if (INTEGER_COLUMNS.has(column)) return 'INTEGER';
+  if (REAL_COLUMNS.has(column)) return 'REAL';
+  return 'TEXT';
+}
+
+function columnDefinition(column) {
+  return `${column} ${columnType(column)}${JSON_COLUMNS.has(column) ? " NOT NULL DEFAULT '{}'" : ''}`;
+}
+
+// Mirrors the columns ingest.mjs writes to public.ingest_checkpoints and public.score_runs
+function schema({ table, idColumn, identTable = 'identifications', checkpointTable, runsTable }) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      ${idColumn} INTEGER PRIMARY KEY,
+      ${OBSERVATION_COLUMNS.map(columnDefinition).join(',\n      ')},
+      is_active INTEGER NOT NULL DEFAULT 1,
+      deleted_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS ${identTable} (
+      inat_ident_id INTEGER PRIMARY KEY,
+      inat_obs_id INTEGER,
+      user_id INTEGER,
+      user_login TEXT,
+      created_at TEXT,
+      taxon_id INTEGER,
+      taxon_name TEXT,
+      taxon_rank TEXT,
+      category TEXT,
+      current INTEGER,
+      disagreement INTEGER,
+      own_observation INTEGER,
+      observation_user_login TEXT,
+      observation_taxon_id INTEGER,
+      observation_quality_grade TEXT,
+      tipped_research_grade INTEGER,
+      raw_json TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE TABLE IF NOT EXISTS ${checkpointTable} (
+      scope_key TEXT PRIMARY KEY,
+      mode TEXT NOT NULL,
+      user_login TEXT,
+      project_slug TEXT,
+      bbox TEXT,
+      d1 TEXT,
+      d2 TEXT,
+      status TEXT NOT NULL DEFAULT 'complete',
+      id_below INTEGER,
+      pass_updated_since TEXT,
+      pass_max_updated_at TEXT,
+      pages_committed INTEGER NOT NULL DEFAULT 0,
+      max_updated_at TEXT,
+      last_completed_at TEXT,
+      last_reconciled_at TEXT,
+      updated_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS ${runsTable} (
+      id TEXT PRIMARY KEY,
+      started_at TEXT NOT NULL,
+      ended_at TEXT,
+      mode TEXT,
+      scope_key TEXT,
+      params TEXT NOT NULL DEFAULT '{}',
+      status TEXT,
+      pages INTEGER,
+      fetched INTEGER,
+      upserted INTEGER,
+      skipped INTEGER,
+      deactivated INTEGER,
+      reactivated INTEGER,
+      ingested_count INTEGER,
+      duration_ms INTEGER,
+      error_text TEXT,
+      details TEXT
+    );`;
+}
+
+export async function createSqliteSink(path, options) {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch {
+    throw new Error('The sqlite sink needs the "better-sqlite3" package: npm install better-sqlite3');
+  }
+  mkdirSync(dirname(path), { recursive: true });
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.exec(schema(options));
+  // Tables created before a column joined OBSERVATION_COLUMNS get it now
+  const existing = new Set(db.prepare(`PRAGMA table_info(${options.table})`).all().map((c) => c.name));
+  for (const column of OBSERVATION_COLUMNS.filter((c) => !existing.has(c))) {
+    db.exec(`ALTER TABLE ${options.table} ADD COLUMN ${columnDefinition(column)}`);
+  }
+
+  return createSqlSink(
+    {
+      dialect: 'sqlite',
+      all: async (sql, params) => db.prepare(sql).all(params),
+      run: async (sql, params) => { db.prepare(sql).run(params); },
+      close: async () => db.close(),
+    },
+    { name: `sqlite:${path}`, ...options }
+  );
+}
@@ -0,0 +1,132 @@
+// src/ingest/sinks/supabase.mjs
+// Supabase sink (PostgREST via supabase-js, service role key). The default sink.
+
+import { createClient } from '@supabase/supabase-js';
+
+const STORED_PAGE_SIZE = 1000; // PostgREST default max rows
+
+function chunked(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+function fail(what, error) {
+  console.error(`❌ ${what} error:`, JSON.stringify(error, null, 2));
+  // Keep the Postgres code so callers can react to it (e.g. 57014 statement timeouts)
+  return Object.assign(new Error(`Supabase error: ${error.message} (Code: ${error.code})`), { code: error.code });
+}
+
+export function createSupabaseSink({ table, idColumn, identTable = 'identifications', checkpointTable, runsTable, batchSize, env = process.env }) {
+  const url = (env.SUPABASE_URL ?? '').trim();
+  // Use Service Role Key for secure access
+  const key = (env.SUPABASE_SERVICE_KEY || env.SUPABASE_SECRET_KEY || env.SUPABASE_SERVICE_ROLE_KEY || '').trim();
+  if (!url || !key) {
+    throw new Error('Missing Supabase URL or key (SUPABASE_URL, one of SUPABASE_*_KEY); set INGEST_SINK for another sink');
+  }
+  const supabase = createClient(url, key, { auth: { persistSession: false } });
+
+  return {
+    name: 'supabase',
+
+    async upsertObservations(rows) {
+      // The conflict column must match the ID_COL environment variable
+      const { error } = await supabase.from(table).upsert(rows, { onConflict: idColumn });
+      if (error) throw fail('Supabase UPSERT', error);
+      return rows.length;
+    },
+
+    async upsertIdentifications(rows) {
+      const { error } = await supabase.from(identTable).upsert(rows, { onConflict: 'inat_ident_id' });
+      if (error) throw fail('Identification UPSERT', error);
+      return rows.length;
+    },
+
+    async loadCheckpoints(scopeKeys) {
+      const found = new Map();
+      for (const batch of chunked(scopeKeys, 100)) {
+        const { data, error } = await supabase.from(checkpointTable).select('*').in('scope_key', batch);
+        if (error) {
+          console.warn(`⚠️  Could not read ${checkpointTable} (${error.message}); running without checkpoints`);
+          return undefined;
+        }
+        for (const row of data) found.set(row.scope_key, row);
+      }
+      return found;
+    },
+
+    async saveCheckpoints(rows) {
+      const { error } = await supabase.from(checkpointTable).upsert(rows, { onConflict: 'scope_key' });
+      if (error) throw fail('Checkpoint save', error);
+    },
+
+    async openRun(row) {
+      const { data, error } = await supabase.from(runsTable).insert(row).select('id, started_at').single();
+      if (error) throw fail('Run ledger insert', error);
+      return data;
+    },
+
+    async closeRun(id, fields) {
+      const { error } = await supabase.from(runsTable).update(fields).eq('id', id);
+      if (error) throw fail('Run ledger update', error);
+    },
+
+    async supportsSoftDelete() {
+      const probe = await supabase.from(table).select('is_active').limit(1);
+      if (probe.error) {
+        console.warn(`⚠️  ${table}.is_active unavailable (${probe.error.message})`);
+        return false;
+      }
+      return true;
+    },
+
+    async storedIds({ logins = null, bbox = null, d1 = null, d2 = null }) {
+      const stored = new Map();
+      const loginChunks = logins ? chunked(logins, 100) : [null];
+
+      for (const loginChunk of loginChunks) {
+        for (let from = 0; ; from += STORED_PAGE_SIZE) {
+          let q = supabase.from(table).select(`${idColumn}, is_active`);
+          if (loginChunk) {
+            q = q.in('user_login', loginChunk);
+          } else {
+            if (bbox) {
+              q = q.gte('longitude', bbox.west).lte('longitude', bbox.east)
+                .gte('latitude', bbox.south).lte('latitude', bbox.north);
+            }
+            if (d1) q = q.gte('observed_on', d1);
+            if (d2) q = q.lte('observed_on', d2);
+          }
+
+          const { data, error } = await q.order(idColumn).range(from, from + STORED_PAGE_SIZE - 1);
+          if (error) throw fail('Stored id lookup', error);
+          for (const row of data) stored.set(Number(row[idColumn]), row.is_active !== false);
+          if (data.length < STORED_PAGE_SIZE) break;
+        }
+      }
+      return stored;
+    },
+
+    async loginsForIds(ids) {
+      const logins = new Set();
+      for (const batch of chunked(ids, 200)) {
+        const { data, error } = await supabase.from(table).select('user_login').in(idColumn, batch);
+        if (error) throw fail('Login lookup', error);
+        for (const row of data) if (row.user_login) logins.add(row.user_login);
+      }
+      return logins;
+    },
+
+    async setActive(ids, isActive) {
+      for (const batch of chunked(ids, batchSize)) {
+        const { error } = await supabase
+          .from(table)
+          .update({ is_active: isActive, deleted_at: isActive ? null : new Date().toISOString() })
+          .in(idColumn, batch);
+        if (error) throw fail('Soft delete', error);
+      }
+    },
+
+    async close() {},
+  };
+}
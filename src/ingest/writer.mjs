@@ -0,0 +1,56 @@
+// src/ingest/writer.mjs
+// Maps iNat observations and upserts them through a sink in batches. A batch that hits a
+// Postgres statement timeout (57014) is split in half and retried, down to minBatchSize;
+// the smaller size sticks for the rest of the run.
+
+import { mapObservation } from './mapping.mjs';
+
+export function isStatementTimeout(err) {
+  return err?.code === '57014' || /\b57014\b|statement timeout/i.test(err?.message ?? '');
+}
+
+export function createObservationWriter(sink, { idColumn, batchSize = 50, minBatchSize = 10 }) {
+  let size = batchSize;
+
+  async function upsertRows(rows) {
+    try {
+      return await sink.upsertObservations(rows);
+    } catch (err) {
+      if (!isStatementTimeout(err) || rows.length <= minBatchSize) throw err;
+      const next = Math.max(minBatchSize, Math.floor(rows.length / 2));
+      if (next < size) {
+        console.warn(`⚠️  Statement timeout (57014) detected. Shrinking batch ${size} → ${next}`);
+        size = next;
+      }
+      let upserted = 0;
+      for (let i = 0; i < rows.length; i += next) upserted += await upsertRows(rows.slice(i, i + next));
+      return upserted;
+    }
+  }
+
+  return {
+    get batchSize() {
+      return size;
+    },
+
+    // Map and store a page of iNat observations; returns { upserted, skipped }
+    async write(observations) {
+      // Records without an iNat ID cannot be keyed on idColumn; skip rather than fail the whole batch
+      const keyed = observations.filter((o) => Number.isFinite(o?.id));
+      const skipped = observations.length - keyed.length;
+      if (skipped > 0) {
+        console.warn(`⚠️  Skipping ${skipped} record(s) without an observation id`);
+      }
+
+      const rows = keyed.map((o) => mapObservation(o, { idColumn }));
+      let upserted = 0;
+      // Advance by the chunk actually sent: `size` may shrink while it is being stored
+      for (let i = 0; i < rows.length;) {
+        const chunk = rows.slice(i, i + size);
+        upserted += await upsertRows(chunk);
+        i += chunk.length;
+      }
+      return { upserted, skipped };
+    },
+  };
+}
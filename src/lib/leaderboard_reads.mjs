@@ -0,0 +1,132 @@
+// src/lib/leaderboard_reads.mjs
+// The leaderboard and observation reads behind src/lib/supabase.ts, against any Supabase
+// client so they can be tested with a stand-in. supabase.ts binds its client and types the
+// results. Every read resolves to a Result: { data, error: null }, or { data: null, error }
+// with PostgREST's message and code, or one of ours:
+//   NO_RUN       nothing scored yet (for the trip)
+//   NOT_FOUND    the run did not score that observation
+//   BAD_REQUEST  a malformed day or empty login
+//   BAD_CURSOR   a cursor that is not a previous page's nextCursor
+// Reads that take a trip use the latest run scored for that trips.json key; without one,
+// the latest scored run, like the *_latest views. Runs opened by ingest but not scored yet
+// (or whose scoring failed) are never read.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const OBSERVATION_SELECT =
+  'inat_obs_id, user_id, user_login, observed_on, time_observed_at, created_at, updated_at, latitude, longitude, ' +
+  'taxon_id, taxon_name, taxon_rank, taxon_rank_level, taxon_kingdom, taxon_phylum, taxon_class, taxon_order, ' +
+  'taxon_family, taxon_genus, quality_grade, is_research, photo_url, photo_count, sound_count, is_captive, is_active';
+
+const ok = (data) => ({ data, error: null });
+const fail = (message, code = null) => ({ data: null, error: { message, code } });
+const fromPostgrest = (error) => fail(error.message, error.code ?? null);
+
+const orderByRank = (rows) =>
+  [...rows].sort((a, b) =>
+    (a.student_rank ?? Infinity) - (b.student_rank ?? Infinity) ||
+    b.points - a.points ||
+    a.display_name.localeCompare(b.display_name)
+  );
+
+function adultNotes(rows) {
+  return rows
+    .filter((r) => r.is_adult)
+    .sort((a, b) => b.points - a.points || a.display_name.localeCompare(b.display_name))
+    .map((r) => `${r.display_name} — ${r.points} pts`);
+}
+
+/** The latest scored run, for a trip or overall */
+export async function readScoreRun(client, trip) {
+  let query = client
+    .from('score_runs')
+    .select('id, started_at, scored_at, rule_set_id, rule_set_version, score_filters')
+    .not('scored_at', 'is', null);
+  if (trip) query = query.eq('score_filters->>trip_key', trip);
+  const { data, error } = await query
+    .order('scored_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) return fromPostgrest(error);
+  if (!data) return fail(trip ? `No scored run for trip "${trip}"` : 'No scored run yet', 'NO_RUN');
+  const { score_filters, ...run } = data;
+  return ok({ ...run, trip_key: score_filters?.trip_key ?? null });
+}
+
+/** Students by rank, adults unranked after them, and the adult footnotes */
+export async function readTripLeaderboard(client, tripKey) {
+  const run = await readScoreRun(client, tripKey);
+  if (run.error) return run;
+
+  const { data, error } = await client
+    .from('leaderboard_students_by_run_v1')
+    .select('student_key, display_name, user_logins, points, obs_count, distinct_taxa, student_rank, is_adult, ident_points, ident_count')
+    .eq('run_id', run.data.id);
+
+  if (error) return fromPostgrest(error);
+  const rows = orderByRank(data ?? []);
+  return ok({ run: run.data, rows, adultNotes: adultNotes(rows) });
+}
+
+/** One trip-local day (YYYY-MM-DD) of the run, ordered like readTripLeaderboard() */
+export async function readDailyLeaderboard(client, day, { trip } = {}) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return fail(`day must be YYYY-MM-DD, got "${day}"`, 'BAD_REQUEST');
+  const run = await readScoreRun(client, trip);
+  if (run.error) return run;
+
+  const { data, error } = await client
+    .from('leaderboard_students_daily_by_run_v1')
+    .select('day, student_key, display_name, points, obs_count, distinct_taxa, student_rank, is_adult, ident_points, ident_count')
+    .eq('run_id', run.data.id)
+    .eq('day', day);
+
+  if (error) return fromPostgrest(error);
+  const rows = orderByRank(data ?? []);
+  return ok({ run: run.data, day, rows, adultNotes: adultNotes(rows) });
+}
+
+/**
+ * Active observations of a login (or comma-separated logins), newest first. The cursor is
+ * the last id of the previous page: the next page is the ids below it, like ingest.mjs
+ * scrolls iNat with id_below. One extra row is read to know whether another page follows.
+ */
+export async function readStudentObservations(client, login, { page = {} } = {}) {
+  const logins = login.split(',').map((l) => l.trim()).filter(Boolean);
+  if (!logins.length) return fail('login is required', 'BAD_REQUEST');
+  const limit = Math.min(Math.max(Math.trunc(page.limit ?? DEFAULT_PAGE_SIZE), 1), MAX_PAGE_SIZE);
+  const below = page.cursor == null ? null : Number(page.cursor);
+  if (below != null && !Number.isInteger(below)) return fail(`Invalid cursor "${page.cursor}"`, 'BAD_CURSOR');
+
+  let query = client
+    .from('observations')
+    .select(OBSERVATION_SELECT)
+    .in('user_login', logins)
+    .eq('is_active', true);
+  if (below != null) query = query.lt('inat_obs_id', below);
+  const { data, error } = await query.order('inat_obs_id', { ascending: false }).limit(limit + 1);
+
+  if (error) return fromPostgrest(error);
+  const rows = data ?? [];
+  const items = rows.slice(0, limit);
+  return ok({ items, nextCursor: rows.length > limit ? String(items[items.length - 1].inat_obs_id) : null });
+}
+
+/** An observation's score entry in the run, with its rule-by-rule breakdown */
+export async function readScoreBreakdown(client, obsId, { trip } = {}) {
+  const run = await readScoreRun(client, trip);
+  if (run.error) return run;
+
+  const { data, error } = await client
+    .from('score_entries_obs')
+    .select('run_id, inat_obs_id, user_login, student_name, observed_at, observed_day, points, breakdown')
+    .eq('run_id', run.data.id)
+    .eq('inat_obs_id', obsId)
+    .maybeSingle();
+
+  if (error) return fromPostgrest(error);
+  if (!data) return fail(`Observation ${obsId} was not scored in run ${run.data.id}`, 'NOT_FOUND');
+  return ok({ ...data, breakdown: data.breakdown ?? [] });
+}
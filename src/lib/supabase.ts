@@ -7,6 +7,14 @@
  */
 
 import { createClient, SupabaseClient } from '@supabase/supabase-js';
+import { createLeaderboardFeed, DEFAULT_POLL_INTERVAL_MS } from '../live/feed.mjs';
+import {
+  readDailyLeaderboard,
+  readScoreBreakdown,
+  readScoreRun,
+  readStudentObservations,
+  readTripLeaderboard,
+} from './leaderboard_reads.mjs';
 
 // Environment variables (required)
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -90,17 +98,21 @@ export async function safeUpsertUserLogin(
 /**
  * Helper: Refresh leaderboards (calls DB function)
  *
- * @returns Success status
+ * Refreshes every materialized view, dependencies first
+ * (20251124000000_refresh_leaderboards.sql). Only the service role may execute it, so
+ * with the anon key this returns a permission error; scripts/pipeline.mjs refreshes instead
+ *
+ * @returns Success status and the views refreshed
  */
 export async function refreshLeaderboards() {
-  const { error } = await supabase.rpc('refresh_leaderboards_v1');
+  const { data, error } = await supabase.rpc('refresh_leaderboards_v1');
 
   if (error) {
     console.error('Error refreshing leaderboards:', error.message);
-    return { success: false, error };
+    return { success: false, refreshed: [], error };
   }
 
-  return { success: true, error: null };
+  return { success: true, refreshed: (data ?? []) as Array<{ matview: string; refreshed_concurrently: boolean; duration_ms: number }>, error: null };
 }
 
 /**
@@ -118,3 +130,339 @@ export async function assertSecurityAndPerfOk() {
 
   return { issues: data || [], error: null };
 }
+
+// ------------------ Leaderboards and observations ------------------
+//
+// Typed reads of the views compute-scores keeps current, in place of hand-written queries
+// against leaderboard_daily_mv, leaderboard_overall_mv and scoreboard_day_v1. Every helper
+// resolves to a Result: data, or an error with PostgREST's message and code (or one of
+// ours: NO_RUN, NOT_FOUND, BAD_REQUEST, BAD_CURSOR). Helpers that take { trip } read the
+// latest run scored for that trips.json key (leaderboard_*_by_run_v1, migration
+// 20251122000000_leaderboards_by_run.sql); without it, the latest scored run like the
+// *_latest views. The queries are src/lib/leaderboard_reads.mjs, tested in
+// test/leaderboard_reads.test.mjs.
+
+/** Error shape shared by the data-access helpers */
+export interface DataError {
+  message: string;
+  code: string | null;
+}
+
+export type Result<T> = { data: T; error: null } | { data: null; error: DataError };
+
+/** Cursor pagination: pass the previous page's nextCursor to continue */
+export interface PageRequest {
+  cursor?: string | null;
+  /** Rows per page (default 50, at most 200) */
+  limit?: number;
+}
+
+export interface Page<T> {
+  items: T[];
+  /** null on the last page */
+  nextCursor: string | null;
+}
+
+/** score_runs row the leaderboards were read from */
+export interface ScoreRun {
+  id: string;
+  started_at: string;
+  scored_at: string;
+  trip_key: string | null;
+  rule_set_id: string | null;
+  rule_set_version: number | null;
+}
+
+/** leaderboard_students_by_run_v1 / leaderboard_students_latest_v1 */
+export interface StudentLeaderboardRow {
+  student_key: string;
+  display_name: string;
+  /** Comma-separated iNat logins; getStudentObservations() takes it as is */
+  user_logins: string;
+  points: number;
+  obs_count: number;
+  /** Leaf taxa: a genus does not count next to one of its species */
+  distinct_taxa: number;
+  /** null for adults */
+  student_rank: number | null;
+  is_adult: boolean;
+  ident_points: number;
+  ident_count: number;
+}
+
+/** leaderboard_students_daily_by_run_v1 / leaderboard_students_daily_latest_v1 */
+export interface StudentDailyLeaderboardRow {
+  /** Trip-local day, YYYY-MM-DD */
+  day: string;
+  student_key: string;
+  display_name: string;
+  points: number;
+  obs_count: number;
+  distinct_taxa: number;
+  student_rank: number | null;
+  is_adult: boolean;
+  ident_points: number;
+  ident_count: number;
+}
+
+export interface Leaderboard<Row> {
+  run: ScoreRun;
+  /** Students by rank, then adults */
+  rows: Row[];
+  /** "Ms. Rivera — 12 pts" for each adult, like leaderboard_students_adult_footnotes_v1 */
+  adultNotes: string[];
+}
+
+/** observations row (src/ingest/mapping.mjs) */
+export interface ObservationRow {
+  inat_obs_id: number;
+  user_id: number | null;
+  user_login: string | null;
+  observed_on: string | null;
+  time_observed_at: string | null;
+  created_at: string;
+  updated_at: string;
+  latitude: number | null;
+  longitude: number | null;
+  taxon_id: number | null;
+  taxon_name: string | null;
+  taxon_rank: string | null;
+  taxon_rank_level: number | null;
+  taxon_kingdom: string | null;
+  taxon_phylum: string | null;
+  taxon_class: string | null;
+  taxon_order: string | null;
+  taxon_family: string | null;
+  taxon_genus: string | null;
+  quality_grade: string | null;
+  is_research: boolean;
+  photo_url: string | null;
+  photo_count: number;
+  sound_count: number;
+  is_captive: boolean;
+  is_active: boolean;
+}
+
+/** One rule of a score breakdown: applied with its points, or not with the reason */
+export interface BreakdownItem {
+  rule: string;
+  label: string;
+  points: number;
+  applied: boolean;
+  reason?: string;
+}
+
+/** score_entries_obs row with its breakdown */
+export interface ScoreBreakdown {
+  run_id: string;
+  inat_obs_id: number;
+  user_login: string;
+  student_name: string | null;
+  observed_at: string | null;
+  observed_day: string | null;
+  points: number;
+  breakdown: BreakdownItem[];
+}
+
+// Rows of the older views the helpers above replace, for code that still reads them.
+// Both materialized views show the run latest_run_v1 picks, as of their last refresh.
+
+/** leaderboard_overall_mv (leaderboard_overall_latest_v1): one row per login */
+export interface OverallLeaderboardMvRow {
+  user_login: string;
+  obs_count: number;
+  /** Leaf taxa, as StudentLeaderboardRow.distinct_taxa */
+  distinct_taxa: number;
+  first_observed_at: string | null;
+  last_observed_at: string | null;
+}
+
+/** leaderboard_daily_mv (leaderboard_daily_latest_v1): one row per login and UTC date */
+export interface DailyLeaderboardMvRow {
+  user_login: string;
+  /** UTC date, YYYY-MM-DD; leaderboard_daily_latest_v2 has trip-local days */
+  day_utc: string;
+  obs_count: number;
+  distinct_taxa: number;
+}
+
+/** scoreboard_day_v1 (sql/leaderboard_views.template.sql): daily_scores per participant */
+export interface ScoreboardDayRow {
+  /** YYYY-MM-DD */
+  score_date: string;
+  /** roster.id */
+  roster_id: string | number;
+  display_name: string;
+  points: number;
+  /** null for adults */
+  student_rank: number | null;
+  is_adult: boolean;
+}
+
+/**
+ * Helper: The run the leaderboards show
+ *
+ * Only scored runs: the run a new ingest opens is skipped until compute-scores scores it
+ *
+ * @param trip - trips.json key; the latest run scored for it (default: the latest scored run)
+ * @returns The score_runs row, or NO_RUN
+ */
+export async function getScoreRun(trip?: string): Promise<Result<ScoreRun>> {
+  return readScoreRun(supabase, trip);
+}
+
+/**
+ * Helper: Trip leaderboard, one row per student (all of their accounts)
+ *
+ * @param tripKey - trips.json key (default: the latest scored run)
+ * @returns Students by rank, adults unranked after them, and the adult footnotes
+ */
+export async function getTripLeaderboard(tripKey?: string): Promise<Result<Leaderboard<StudentLeaderboardRow>>> {
+  return readTripLeaderboard(supabase, tripKey);
+}
+
+/**
+ * Helper: One trip-local day's scoreboard
+ *
+ * @param day - YYYY-MM-DD
+ * @param options.trip - trips.json key (default: the latest scored run)
+ * @returns Students by rank for the day, adults unranked after them, and the adult footnotes
+ */
+export async function getDailyLeaderboard(
+  day: string,
+  { trip }: { trip?: string } = {}
+): Promise<Result<Leaderboard<StudentDailyLeaderboardRow> & { day: string }>> {
+  return readDailyLeaderboard(supabase, day, { trip });
+}
+
+/**
+ * Helper: A student's observations, newest first, a page at a time
+ *
+ * @param login - iNat login, or a leaderboard row's comma-separated user_logins
+ * @param options.page - { cursor, limit }; cursor is the previous page's nextCursor
+ * @returns Active observations (deleted on iNat excluded) and the next cursor
+ */
+export async function getStudentObservations(
+  login: string,
+  { page = {} }: { page?: PageRequest } = {}
+): Promise<Result<Page<ObservationRow>>> {
+  return readStudentObservations(supabase, login, { page });
+}
+
+/**
+ * Helper: How an observation scored, rule by rule
+ *
+ * @param obsId - iNat observation id
+ * @param options.trip - trips.json key (default: the latest scored run)
+ * @returns The observation's score entry with its breakdown, or NOT_FOUND when the run
+ *          did not score it (outside the trip filters, or not a roster login)
+ */
+export async function getScoreBreakdown(
+  obsId: number,
+  { trip }: { trip?: string } = {}
+): Promise<Result<ScoreBreakdown>> {
+  return readScoreBreakdown(supabase, obsId, { trip });
+}
+
+// ------------------ Live leaderboard feed ------------------
+//
+// For a leaderboard projected during the trip: events when a newly scored run changes the
+// standings, diffed by src/live/feed.mjs. Supabase Realtime on score_runs says when to look
+// (20251123000000_leaderboard_feed.sql); where Realtime is off or the channel fails, the
+// feed polls getScoreRun() instead.
+
+export type LeaderboardEvent =
+  | { type: 'run'; run_id: string; version: string }
+  | { type: 'observation'; student_key: string; display_name: string; inat_obs_id: number; taxon_name: string | null; photo_url: string | null; points: number }
+  | { type: 'rank_change'; student_key: string; display_name: string; from: number | null; to: number; points: number }
+  | { type: 'trip_first'; student_key: string; display_name: string; inat_obs_id: number; taxon_id: number; taxon_name: string | null };
+
+export interface LeaderboardSubscription {
+  /** Look for a newly scored run now, e.g. from a refresh button */
+  check(): Promise<LeaderboardEvent[]>;
+  unsubscribe(): void;
+}
+
+const FEED_PAGE_SIZE = 1000; // PostgREST default max rows
+
+async function loadRunRows<Row>(view: string, columns: string, runId: string): Promise<Row[]> {
+  const rows: Row[] = [];
+  for (let from = 0; ; from += FEED_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(view)
+      .select(columns)
+      .eq('run_id', runId)
+      .range(from, from + FEED_PAGE_SIZE - 1);
+    if (error) throw new Error(`Read ${view}: ${error.message} (Code: ${error.code})`);
+    rows.push(...((data ?? []) as unknown as Row[]));
+    if (!data || data.length < FEED_PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Helper: Subscribe to leaderboard changes
+ *
+ * Usage:
+ *   const feed = await subscribeToLeaderboard((e) => {
+ *     if (e.type === 'trip_first') toast(`${e.display_name} found the trip's first ${e.taxon_name}!`);
+ *   }, { trip: 'cr-2025' });
+ *   // later: feed.unsubscribe();
+ *
+ * @param onEvent - Called per event: run first, then observation, rank_change, trip_first
+ * @param options.trip - trips.json key (default: the latest run, like getTripLeaderboard())
+ * @param options.intervalMs - Polling interval without Realtime (default 60s)
+ * @param options.realtime - false to always poll
+ * @param options.onError - Failed checks; the feed keeps going
+ * @returns Once the current standings are loaded as the baseline (no events for them)
+ */
+export async function subscribeToLeaderboard(
+  onEvent: (event: LeaderboardEvent) => void,
+  {
+    trip,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    realtime = true,
+    onError = (err: Error) => console.error('Leaderboard feed:', err.message),
+  }: { trip?: string; intervalMs?: number; realtime?: boolean; onError?: (err: Error) => void } = {}
+): Promise<LeaderboardSubscription> {
+  const source = {
+    // getScoreRun() skips unscored runs, so one still ingesting keeps the last standings up
+    async current() {
+      const run = await getScoreRun(trip);
+      if (run.error) {
+        if (run.error.code === 'NO_RUN') return null;
+        throw new Error(run.error.message);
+      }
+      return { run_id: run.data.id, version: `${run.data.id}@${run.data.scored_at}` };
+    },
+    async snapshot({ run_id }: { run_id: string }) {
+      return {
+        run_id,
+        students: await loadRunRows('leaderboard_students_by_run_v1', 'student_key, display_name, student_rank, points, is_adult', run_id),
+        observations: await loadRunRows(
+          'scored_observations_by_run_v1',
+          'inat_obs_id, student_key, display_name, taxon_id, taxon_name, photo_url, points, trip_first',
+          run_id
+        ),
+      };
+    },
+    subscribe: realtime
+      ? (onChange: () => void, onFallback: (err?: Error) => void) => {
+          const channel = supabase
+            .channel(`leaderboard-feed:${trip ?? 'latest'}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'score_runs' }, () => onChange())
+            .subscribe((status, err) => {
+              // A run scored while the channel was connecting is picked up here
+              if (status === 'SUBSCRIBED') onChange();
+              else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                onFallback(err ?? new Error(`Realtime ${status}; polling every ${intervalMs / 1000}s`));
+              }
+            });
+          return () => { supabase.removeChannel(channel); };
+        }
+      : undefined,
+  };
+
+  const feed = createLeaderboardFeed({ source, onEvent, onError, intervalMs });
+  await feed.start();
+  return { check: () => feed.check() as Promise<LeaderboardEvent[]>, unsubscribe: () => feed.stop() };
+}
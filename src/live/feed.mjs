@@ -0,0 +1,146 @@
+// src/live/feed.mjs
+// Leaderboard change feed for live displays. A snapshot is one scored run's leaderboard:
+//   { run_id, students: [{ student_key, display_name, student_rank, points, is_adult }],
+//     observations: [{ inat_obs_id, student_key, display_name, taxon_id, taxon_name,
+//                      photo_url, points, trip_first }] }
+// leaderboardChanges() diffs two of them into events; createLeaderboardFeed() loads a new
+// snapshot whenever the run's version changes, pushed by a source's subscribe() (Supabase
+// Realtime in src/lib/supabase.ts) or found by polling, and hands the events to onEvent.
+// Events:
+//   run          { run_id, version }: a newly scored run; always first
+//   observation  { student_key, display_name, inat_obs_id, taxon_name, photo_url, points }
+//   rank_change  { student_key, display_name, from, to, points }: from is null for a student
+//                new to the board; adults have no rank and get none
+//   trip_first   { student_key, display_name, inat_obs_id, taxon_id, taxon_name }: a taxon
+//                nobody on the trip had found before (see rarity.mjs)
+// The first snapshot is the baseline and emits nothing. Pure apart from the timers.
+
+export const DEFAULT_POLL_INTERVAL_MS = 60_000;
+
+const byKey = (rows, key) => new Map((rows ?? []).map((r) => [r[key], r]));
+
+/**
+ * Events between two snapshots of the same trip, in display order: new observations,
+ * rank changes (best rank first), then trip firsts.
+ */
+export function leaderboardChanges(previous, next) {
+  if (!previous || !next) return [];
+  const events = [];
+
+  const seen = byKey(previous.observations, 'inat_obs_id');
+  for (const o of next.observations ?? []) {
+    if (seen.has(o.inat_obs_id)) continue;
+    events.push({
+      type: 'observation',
+      student_key: o.student_key,
+      display_name: o.display_name,
+      inat_obs_id: o.inat_obs_id,
+      taxon_name: o.taxon_name ?? null,
+      photo_url: o.photo_url ?? null,
+      points: o.points,
+    });
+  }
+
+  const before = byKey(previous.students, 'student_key');
+  const moves = [];
+  for (const s of next.students ?? []) {
+    if (s.is_adult || s.student_rank == null) continue;
+    const from = before.get(s.student_key)?.student_rank ?? null;
+    if (from === s.student_rank) continue;
+    moves.push({ type: 'rank_change', student_key: s.student_key, display_name: s.display_name, from, to: s.student_rank, points: s.points });
+  }
+  moves.sort((a, b) => a.to - b.to || a.display_name.localeCompare(b.display_name));
+  events.push(...moves);
+
+  // A rescore can move trip_first to an earlier upload; only a taxon new to the trip counts
+  const firstTaxa = new Set((previous.observations ?? []).filter((o) => o.trip_first).map((o) => o.taxon_id));
+  for (const o of next.observations ?? []) {
+    if (!o.trip_first || firstTaxa.has(o.taxon_id)) continue;
+    firstTaxa.add(o.taxon_id);
+    events.push({
+      type: 'trip_first',
+      student_key: o.student_key,
+      display_name: o.display_name,
+      inat_obs_id: o.inat_obs_id,
+      taxon_id: o.taxon_id,
+      taxon_name: o.taxon_name ?? null,
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Watch a source for newly scored runs.
+ *
+ * source:
+ *   current()          → { version, run_id } of the run to show, or null while none is scored
+ *   snapshot(current)  → that run's snapshot
+ *   subscribe?(onChange, onFallback) → unsubscribe; calls onChange when the run may have
+ *                        changed and onFallback(err) when it cannot push, which starts polling.
+ *                        Without subscribe, the feed polls.
+ *
+ * Returns { start, check, stop }. start() loads the baseline; check() looks for a new run
+ * right away and resolves to the events it emitted. Checks never overlap: one asked for
+ * while another runs happens after it.
+ */
+export function createLeaderboardFeed({
+  source,
+  onEvent,
+  onError = (err) => {},
+  intervalMs = DEFAULT_POLL_INTERVAL_MS,
+  timers = globalThis,
+}) {
+  let version = null;
+  let snapshot = null;
+  let running = null;
+  let timer = null;
+  let unsubscribe = null;
+  let stopped = false;
+
+  async function load() {
+    const current = await source.current();
+    if (!current || current.version === version) return [];
+    const next = await source.snapshot(current);
+    const events = snapshot ? [{ type: 'run', run_id: current.run_id, version: current.version }, ...leaderboardChanges(snapshot, next)] : [];
+    version = current.version;
+    snapshot = next;
+    return events;
+  }
+
+  async function check() {
+    if (running) return running.catch(() => {}).then(() => check());
+    running = load().finally(() => { running = null; });
+    const events = await running;
+    if (!stopped) for (const event of events) onEvent(event);
+    return events;
+  }
+
+  function poll() {
+    if (stopped || timer || !(intervalMs > 0)) return;
+    timer = timers.setInterval(() => { check().catch(onError); }, intervalMs);
+  }
+
+  async function start() {
+    stopped = false;
+    await check();
+    if (source.subscribe) {
+      unsubscribe = source.subscribe(
+        () => { check().catch(onError); },
+        (err) => { if (err) onError(err); poll(); }
+      );
+    } else {
+      poll();
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    if (timer) timers.clearInterval(timer);
+    timer = null;
+    unsubscribe?.();
+    unsubscribe = null;
+  }
+
+  return { start, check, stop };
+}
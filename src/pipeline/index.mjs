@@ -0,0 +1,108 @@
+// src/pipeline/index.mjs
+// ingest → score → refresh → checks as one run (scripts/pipeline.mjs). runPipeline() takes
+// the stages as functions, so the order and failure rules are testable without iNat or a
+// database:
+//   ingest   every scope in order, each opening its own score_runs row: members first, then
+//            the trips. The order does not decide what the *_latest views show: they read the
+//            active trip's latest scored run (latest_run_v1), whatever ran after it
+//   score    each trip's run, with the trip's window, area and rule set. A trip whose ingest
+//            failed is not scored; its unscored run is never shown, so its previous scored
+//            run stays up
+//   refresh  the materialized views (refresh_leaderboards_v1()), once anything was scored
+//   checks   assert_security_and_perf_ok(); any issue fails the stage
+// A failing stage never stops the other scopes. The summary lists every step; its status
+// is 'error' if any step failed.
+
+export const PIPELINE_STAGES = ['ingest', 'score', 'refresh', 'checks'];
+
+// assert_security_and_perf_ok() rows ({ issue }) from the migration, or the violation
+// objects ({ check, severity, message, ... }) of sql/assert_security_and_perf_ok.sql
+export function checkIssues(data) {
+  const rows = Array.isArray(data) ? data : data == null ? [] : [data];
+  return rows.map((row) => {
+    if (typeof row === 'string') return row;
+    if (row.issue) return row.issue;
+    const where = row.table ?? row.object;
+    return [row.severity && `[${row.severity}]`, row.check, where, row.column && `(${row.column})`, row.message && `— ${row.message}`]
+      .filter(Boolean)
+      .join(' ');
+  });
+}
+
+/**
+ * scopes: [{ kind: 'members', key: <project slug> } | { kind: 'trip', key: <trip key> }]
+ * stages: {
+ *   ingest(scope)        → { run_id, status: 'ok' | 'partial', ...counts }; throws on failure
+ *   score(trip, run_id)  → anything to record; throws on failure
+ *   refresh()            → [{ matview, ... }] refreshed
+ *   checks()             → the assert_security_and_perf_ok() result
+ * }
+ * skip: stage names not to run ('checks' for projects without the legacy tables)
+ */
+export async function runPipeline({ scopes, stages, skip = [], now = () => Date.now(), log = console.log }) {
+  const steps = [];
+
+  async function step(stage, scope, fn) {
+    const started = now();
+    const record = { stage, scope };
+    try {
+      Object.assign(record, { status: 'ok' }, await fn());
+    } catch (err) {
+      Object.assign(record, { status: 'error', error: err.message });
+    }
+    record.duration_ms = now() - started;
+    steps.push(record);
+    log(`${record.status === 'error' ? '❌' : record.status === 'ok' ? '✅' : '⚠️ '} ${stage}${scope ? ` ${scope}` : ''}: ${record.error ?? record.status}`);
+    return record;
+  }
+
+  const skipped = (stage, scope, reason) => {
+    steps.push({ stage, scope, status: 'skipped', reason });
+    log(`⏭️  ${stage}${scope ? ` ${scope}` : ''}: ${reason}`);
+  };
+
+  const runs = new Map();
+  for (const scope of scopes) {
+    const name = `${scope.kind}:${scope.key}`;
+    if (skip.includes('ingest')) {
+      skipped('ingest', name, 'skipped');
+      continue;
+    }
+    const record = await step('ingest', name, async () => {
+      const { run_id, status, fetched, upserted } = await stages.ingest(scope);
+      return { run_id, status, fetched, upserted };
+    });
+    if (record.status !== 'error' && scope.kind === 'trip') runs.set(scope.key, record.run_id);
+  }
+
+  let scored = 0;
+  for (const scope of scopes.filter((s) => s.kind === 'trip')) {
+    const name = `trip:${scope.key}`;
+    if (skip.includes('score')) skipped('score', name, 'skipped');
+    else if (!runs.has(scope.key)) skipped('score', name, 'no ingest run to score');
+    else {
+      const run_id = runs.get(scope.key);
+      const record = await step('score', name, async () => ({ run_id, ...(await stages.score(scope.key, run_id)) }));
+      if (record.status !== 'error') scored++;
+    }
+  }
+
+  if (skip.includes('refresh')) skipped('refresh', null, 'skipped');
+  else if (!scored) skipped('refresh', null, 'nothing scored');
+  else {
+    await step('refresh', null, async () => {
+      const refreshed = await stages.refresh();
+      return { matviews: (refreshed ?? []).map((r) => r.matview ?? r) };
+    });
+  }
+
+  if (skip.includes('checks')) skipped('checks', null, 'skipped');
+  else {
+    await step('checks', null, async () => {
+      const issues = checkIssues(await stages.checks());
+      return issues.length ? { status: 'error', error: `${issues.length} issue(s): ${issues.join('; ')}`, issues } : { issues };
+    });
+  }
+
+  return { status: steps.some((s) => s.status === 'error') ? 'error' : 'ok', steps };
+}
@@ -0,0 +1,143 @@
+// src/scoring/compare.mjs
+// Two scored runs side by side, for scripts/compare_runs.mjs:
+//   compareStandings     each student's rank and points in both, from frozen snapshots
+//                        (leaderboard_snapshots, or leaderboard_snapshots_daily for days)
+//   compareObservations  observations that entered or left scoring, or whose points changed,
+//                        with the reasons: the trip filters (filterMisses, so also deleted on
+//                        iNaturalist), the roster, a changed quality grade or taxon, a new rule
+//                        set, and the rules whose points moved
+// Entries are score_entries_obs rows (with the quality_grade frozen at scoring time); runs are
+// score_runs rows (score_filters, roster_report, rule_set_*); observations are the current
+// observations rows by inat_obs_id. Pure.
+
+import { filterMisses, formatPoints } from './scorer.mjs';
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+const num = (v) => (v == null ? 0 : Number(v));
+const CHANGE_ORDER = { entered: 0, left: 1, points: 2 };
+
+export function compareStandings(fromRows, toRows) {
+  const rows = new Map();
+  const row = (s) => {
+    if (!rows.has(s.student_key)) {
+      rows.set(s.student_key, {
+        student_key: s.student_key,
+        display_name: s.display_name,
+        user_logins: s.user_logins ?? null,
+        is_adult: s.is_adult === true,
+        from_rank: null,
+        to_rank: null,
+        rank_change: null,
+        from_points: null,
+        to_points: null,
+        points_delta: 0,
+      });
+    }
+    return rows.get(s.student_key);
+  };
+  for (const s of fromRows) Object.assign(row(s), { from_rank: s.student_rank ?? null, from_points: num(s.points) });
+  for (const s of toRows) Object.assign(row(s), { display_name: s.display_name, user_logins: s.user_logins ?? null, to_rank: s.student_rank ?? null, to_points: num(s.points) });
+
+  for (const r of rows.values()) {
+    r.points_delta = round(num(r.to_points) - num(r.from_points));
+    // Positive = moved up the board
+    r.rank_change = r.from_rank != null && r.to_rank != null ? r.from_rank - r.to_rank : null;
+  }
+  return [...rows.values()].sort((a, b) =>
+    a.is_adult - b.is_adult ||
+    (a.to_rank ?? Infinity) - (b.to_rank ?? Infinity) ||
+    (a.from_rank ?? Infinity) - (b.from_rank ?? Infinity) ||
+    a.display_name.localeCompare(b.display_name)
+  );
+}
+
+const ruleSetLabelOf = (run) => (run?.rule_set_id ? `${run.rule_set_id}@${run.rule_set_version}` : 'unknown');
+
+const unmatched = (run, login) =>
+  Boolean(login && run?.roster_report?.unmatched?.some((u) => u.user_login?.toLowerCase() === login.toLowerCase()));
+
+// Rules whose points differ: "research grade: +1 → 0"
+function breakdownChanges(from = [], to = []) {
+  const before = new Map((from ?? []).map((item) => [item.rule, item]));
+  const after = new Map((to ?? []).map((item) => [item.rule, item]));
+  const changes = [];
+  for (const rule of new Set([...before.keys(), ...after.keys()])) {
+    const a = before.get(rule);
+    const b = after.get(rule);
+    if (num(a?.points) === num(b?.points)) continue;
+    const why = b && !b.applied && b.reason ? ` (${b.reason})` : '';
+    changes.push(`${(b ?? a).label}: ${a ? formatPoints(num(a.points)) : 'none'} → ${b ? formatPoints(num(b.points)) : 'none'}${why}`);
+  }
+  return changes;
+}
+
+function whyLeft(entry, row, toRun) {
+  if (!row) return ['no longer in observations'];
+  const reasons = filterMisses(row, toRun?.score_filters ?? {});
+  if (!reasons.length && unmatched(toRun, row.user_login)) reasons.push('login not on the roster');
+  if (!reasons.length) reasons.push('not scored by the later run');
+  if (entry.quality_grade && row.quality_grade && entry.quality_grade !== row.quality_grade) {
+    reasons.push(`quality grade ${entry.quality_grade} → ${row.quality_grade}`);
+  }
+  return reasons;
+}
+
+function whyEntered(row, fromRun) {
+  if (!row) return ['not in the earlier run'];
+  const since = fromRun?.started_at;
+  if (since && row.created_at && new Date(row.created_at) > new Date(since)) return ['uploaded after the earlier run'];
+  const reasons = filterMisses(row, fromRun?.score_filters ?? {}).map((m) => `earlier run's filters: ${m}`);
+  if (!reasons.length && unmatched(fromRun, row.user_login)) reasons.push('login was not on the roster');
+  if (!reasons.length) reasons.push('ingested after the earlier run');
+  return reasons;
+}
+
+function whyPoints(from, to, fromRun, toRun) {
+  const reasons = [];
+  if (from.quality_grade && to.quality_grade && from.quality_grade !== to.quality_grade) {
+    reasons.push(`quality grade ${from.quality_grade} → ${to.quality_grade}`);
+  }
+  if (from.taxon_id != null && to.taxon_id != null && Number(from.taxon_id) !== Number(to.taxon_id)) {
+    reasons.push(`taxon ${from.taxon_id} → ${to.taxon_id}`);
+  }
+  if (fromRun?.rule_set_hash && toRun?.rule_set_hash && fromRun.rule_set_hash !== toRun.rule_set_hash) {
+    reasons.push(`rule set ${ruleSetLabelOf(fromRun)} → ${ruleSetLabelOf(toRun)}`);
+  }
+  return [...reasons, ...breakdownChanges(from.breakdown, to.breakdown)];
+}
+
+export function compareObservations(fromEntries, toEntries, { observations = new Map(), fromRun = null, toRun = null } = {}) {
+  const before = new Map(fromEntries.map((e) => [Number(e.inat_obs_id), e]));
+  const after = new Map(toEntries.map((e) => [Number(e.inat_obs_id), e]));
+  const changes = [];
+  const change = (kind, id, entry, from, to, reasons) => {
+    const row = observations.get(id);
+    changes.push({
+      change: kind,
+      inat_obs_id: id,
+      student_key: entry.student_key ?? entry.user_login,
+      display_name: entry.student_name ?? entry.user_login,
+      user_login: entry.user_login,
+      taxon_name: row?.taxon_name ?? null,
+      from_points: from == null ? null : num(from.points),
+      to_points: to == null ? null : num(to.points),
+      points_delta: round(num(to?.points) - num(from?.points)),
+      reasons,
+    });
+  };
+
+  for (const [id, from] of before) {
+    const to = after.get(id);
+    if (!to) change('left', id, from, from, null, whyLeft(from, observations.get(id), toRun));
+    else if (num(from.points) !== num(to.points)) change('points', id, to, from, to, whyPoints(from, to, fromRun, toRun));
+  }
+  for (const [id, to] of after) {
+    if (!before.has(id)) change('entered', id, to, null, to, whyEntered(observations.get(id), fromRun));
+  }
+
+  return changes.sort((a, b) =>
+    CHANGE_ORDER[a.change] - CHANGE_ORDER[b.change] ||
+    String(a.display_name).localeCompare(String(b.display_name)) ||
+    a.inat_obs_id - b.inat_obs_id
+  );
+}
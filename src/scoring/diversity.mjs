@@ -0,0 +1,154 @@
+// src/scoring/diversity.mjs
+// Biodiversity statistics for post-trip lab reports, from scored observations joined to their
+// observations rows: species accumulation by trip-local day, Shannon and Simpson indices,
+// Chao1 estimated richness and counts by kingdom ... genus, for the trip, each participant and
+// each team. Taxa are leaf taxa (taxa.mjs): within a scope, an observation of genus Anolis
+// adds no taxon when Anolis limifrons is also there, and is left out of the abundances (as are
+// IDs coarser than the trip's min_taxon_rank). diversity_latest_v1 and friends in
+// supabase/migrations/20251118000000_diversity.sql compute the same. Pure.
+
+import { entryDay } from './leaderboard.mjs';
+import { toCsv } from './csv.mjs';
+import { leafTaxa } from './taxa.mjs';
+
+export const TAXON_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+const round = (n) => (n == null ? null : Math.round(n * 1e6) / 1e6);
+
+// Abundances (observations per taxon) -> index values
+//   shannon   H' = -Σ p ln p (natural log)
+//   evenness  Pielou's J = H' / ln S; null below 2 taxa
+//   simpson   Simpson's index of diversity 1 - Σ n(n-1) / (N(N-1)); null below 2 observations
+//   chao1     bias-corrected S + F1(F1-1) / (2(F2+1)), F1/F2 = taxa seen once/twice
+export function diversityStats(abundances) {
+  const counts = [...abundances].filter((n) => n > 0);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  const richness = counts.length;
+  const shannon = total ? -counts.reduce((sum, n) => sum + (n / total) * Math.log(n / total), 0) : null;
+  const singletons = counts.filter((n) => n === 1).length;
+  const doubletons = counts.filter((n) => n === 2).length;
+  return {
+    observations: total,
+    richness,
+    shannon: round(shannon === 0 ? 0 : shannon),
+    evenness: richness > 1 ? round(shannon / Math.log(richness)) : null,
+    simpson: total > 1 ? round(1 - counts.reduce((sum, n) => sum + n * (n - 1), 0) / (total * (total - 1))) : null,
+    chao1: round(richness + (singletons * (singletons - 1)) / (2 * (doubletons + 1))),
+    singletons,
+    doubletons,
+  };
+}
+
+// One record per scored observation: who, when and what, with the taxonomy from observations
+export function diversityRecords(entries, observations) {
+  const byId = new Map(observations.map((o) => [Number(o.inat_obs_id), o]));
+  return entries.map((e) => {
+    const o = byId.get(Number(e.inat_obs_id)) ?? {};
+    return {
+      inat_obs_id: e.inat_obs_id,
+      user_login: e.user_login,
+      participant: e.student_key ?? e.user_login,
+      participant_name: e.student_name ?? e.user_login,
+      is_adult: e.is_adult === true,
+      team: e.team ?? null,
+      day: entryDay(e),
+      taxon_id: e.taxon_id ?? o.taxon_id ?? null,
+      taxon_name: o.taxon_name ?? null,
+      taxon_rank: o.taxon_rank ?? null,
+      taxon_ancestor_ids: e.taxon_ancestor_ids ?? [],
+      taxon_countable: e.taxon_countable !== false,
+      ...Object.fromEntries(TAXON_RANKS.map((rank) => [`taxon_${rank}`, o[`taxon_${rank}`] ?? null])),
+    };
+  });
+}
+
+// Observations per leaf taxon of the scope
+function abundances(records) {
+  const leaves = leafTaxa(records);
+  const counts = new Map();
+  for (const r of records) {
+    const id = Number(r.taxon_id);
+    if (leaves.has(id)) counts.set(id, (counts.get(id) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// Species accumulation: per day (ascending), the leaf taxa up to that day and how many more
+// than the day before. A finer ID can replace a coarser one, so new_taxa may be 0 on a day
+// with new IDs.
+export function accumulationCurve(records) {
+  const days = [...new Set(records.map((r) => r.day).filter(Boolean))].sort();
+  let observations = 0;
+  let taxa = 0;
+  return days.map((day) => {
+    const today = records.filter((r) => r.day === day);
+    const total = leafTaxa(records.filter((r) => r.day && r.day <= day)).size;
+    const row = { day, observations: today.length, new_taxa: total - taxa, cumulative_observations: observations + today.length, cumulative_taxa: total };
+    observations += today.length;
+    taxa = total;
+    return row;
+  });
+}
+
+// Observations and distinct taxa per kingdom ... genus; unresolved ranks are "(unknown)"
+export function taxonBreakdown(records) {
+  return TAXON_RANKS.flatMap((rank) => {
+    const groups = new Map();
+    for (const r of records) {
+      const name = r[`taxon_${rank}`] ?? '(unknown)';
+      const g = groups.get(name) ?? { rank, name, observations: 0, records: [] };
+      g.observations += 1;
+      g.records.push(r);
+      groups.set(name, g);
+    }
+    return [...groups.values()]
+      .map(({ records: rs, ...g }) => ({ ...g, taxa: leafTaxa(rs).size }))
+      .sort((a, b) => b.observations - a.observations || a.name.localeCompare(b.name));
+  });
+}
+
+function scopeSummary(scope, key, name, records) {
+  return {
+    scope,
+    key,
+    name,
+    ...diversityStats(abundances(records).values()),
+    unidentified: records.filter((r) => r.taxon_id == null).length,
+    accumulation: accumulationCurve(records),
+    taxa: taxonBreakdown(records),
+  };
+}
+
+function groupBy(records, keyOf) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = keyOf(r);
+    if (key != null) groups.set(key, [...(groups.get(key) ?? []), r]);
+  }
+  return groups;
+}
+
+// The trip (everyone scored), each participant (adults included, flagged by the caller's data)
+// and each team (students only, like the team standings)
+export function diversityReport(records) {
+  const participants = [...groupBy(records, (r) => r.participant)]
+    .map(([key, rs]) => ({ ...scopeSummary('participant', key, rs[0].participant_name, rs), is_adult: rs[0].is_adult }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const teams = [...groupBy(records.filter((r) => !r.is_adult), (r) => r.team)]
+    .map(([key, rs]) => scopeSummary('team', key, key, rs))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [scopeSummary('trip', 'trip', 'Whole trip', records), ...participants, ...teams];
+}
+
+const STAT_COLUMNS = ['observations', 'richness', 'shannon', 'evenness', 'simpson', 'chao1', 'singletons', 'doubletons', 'unidentified'];
+
+// diversity.csv / accumulation.csv / taxa.csv for a report: one table each, every scope in it
+export function diversityCsvFiles(report) {
+  const rows = (part) => report.flatMap(({ scope, key, name, [part]: items }) => items.map((item) => ({ scope, key, scope_name: name, ...item })));
+  return {
+    'diversity.csv': toCsv(report, ['scope', 'key', 'name', 'is_adult', ...STAT_COLUMNS]),
+    'accumulation.csv': toCsv(rows('accumulation'),
+      ['scope', 'key', 'scope_name', 'day', 'observations', 'new_taxa', 'cumulative_observations', 'cumulative_taxa']),
+    'taxa.csv': toCsv(rows('taxa'), ['scope', 'key', 'scope_name', 'rank', 'name', 'observations', 'taxa']),
+  };
+}
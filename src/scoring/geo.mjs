@@ -0,0 +1,93 @@
+// src/scoring/geo.mjs
+// Study-area geometry for trips: GeoJSON polygons normalized to one MultiPolygon, and the
+// exact point-in-polygon test the JS scorer uses. point_in_area() in
+// supabase/migrations/20251113000000_trip_areas.sql is the same algorithm in SQL.
+// Positions are GeoJSON [longitude, latitude]. Pure: no I/O.
+
+const POLYGON_TYPES = new Set(['Polygon', 'MultiPolygon']);
+
+function positionProblem(pos) {
+  if (!Array.isArray(pos) || pos.length < 2 || !pos.slice(0, 2).every((n) => typeof n === 'number' && Number.isFinite(n))) {
+    return 'positions must be [longitude, latitude] numbers';
+  }
+  const [lng, lat] = pos;
+  if (lat < -90 || lat > 90) return `latitude out of range in [${lng}, ${lat}]; GeoJSON positions are [longitude, latitude]`;
+  if (lng < -180 || lng > 180) return `longitude out of range in [${lng}, ${lat}]`;
+  return null;
+}
+
+function ringProblem(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) return 'every ring needs at least 4 positions';
+  for (const pos of ring) {
+    const problem = positionProblem(pos);
+    if (problem) return problem;
+  }
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) return 'every ring must end where it starts';
+  return null;
+}
+
+// GeoJSON Polygon/MultiPolygon, or a Feature/FeatureCollection of them -> list of polygons
+// (each [outer ring, ...holes]). Throws on anything else.
+function collectPolygons(geojson, path) {
+  if (!geojson || typeof geojson !== 'object') throw new Error(`${path} must be a GeoJSON object`);
+  if (geojson.type === 'FeatureCollection') {
+    if (!Array.isArray(geojson.features) || !geojson.features.length) throw new Error(`${path} has no features`);
+    return geojson.features.flatMap((f, i) => collectPolygons(f, `${path}.features[${i}]`));
+  }
+  if (geojson.type === 'Feature') return collectPolygons(geojson.geometry, `${path}.geometry`);
+  if (!POLYGON_TYPES.has(geojson.type)) {
+    throw new Error(`${path} must be a Polygon or MultiPolygon (or a Feature/FeatureCollection of them), got ${JSON.stringify(geojson.type)}`);
+  }
+  const polygons = geojson.type === 'Polygon' ? [geojson.coordinates] : geojson.coordinates;
+  if (!Array.isArray(polygons) || !polygons.length) throw new Error(`${path} has no coordinates`);
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || !polygon.length) throw new Error(`${path}: every polygon needs an outer ring`);
+    for (const ring of polygon) {
+      const problem = ringProblem(ring);
+      if (problem) throw new Error(`${path}: ${problem}`);
+    }
+  }
+  return polygons;
+}
+
+// Any accepted GeoJSON -> { type: 'MultiPolygon', coordinates } (positions trimmed to [lng, lat])
+export function normalizeArea(geojson, path = 'area') {
+  const polygons = collectPolygons(geojson, path);
+  return {
+    type: 'MultiPolygon',
+    coordinates: polygons.map((polygon) => polygon.map((ring) => ring.map(([lng, lat]) => [lng, lat]))),
+  };
+}
+
+// { west, south, east, north } around every outer ring
+export function areaBbox(area) {
+  const points = area.coordinates.flatMap((polygon) => polygon[0]);
+  return {
+    west: Math.min(...points.map((p) => p[0])),
+    south: Math.min(...points.map((p) => p[1])),
+    east: Math.max(...points.map((p) => p[0])),
+    north: Math.max(...points.map((p) => p[1])),
+  };
+}
+
+// Even-odd ray casting; points exactly on an edge may fall either way
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Inside some polygon's outer ring and none of its holes
+export function pointInArea(lng, lat, area) {
+  if (lng == null || lat == null || !area) return false;
+  return area.coordinates.some(([outer, ...holes]) => inRing(lng, lat, outer) && !holes.some((hole) => inRing(lng, lat, hole)));
+}
+
+export function pointInBbox(lng, lat, { west, south, east, north }) {
+  return lng >= west && lng <= east && lat >= south && lat <= north;
+}
@@ -0,0 +1,75 @@
+// src/scoring/identifications.mjs
+// Points for identifying other people's observations. A rule set's identification_rules
+// (rules.mjs) are evaluated like its observation rules, against each identifications row
+// (src/ingest/identifications.mjs) plus:
+//   agrees                     the ID is the observation's current taxon, or finer beneath it
+//   observation_taxon_id       the observation's current taxon
+//   observation_quality_grade  the observation's current quality grade
+// tipped_research_grade (ingest worked it out from all of the observation's IDs) marks the
+// ID that made the observation research grade. Only current IDs count, by participants (with a
+// roster, its students and adults) on observations that score under the same filters, and
+// never on the identifier's own observations under any of their accounts. Pure.
+
+import { applyRule, passesFilters } from './scorer.mjs';
+import { studentFor } from './roster.mjs';
+import { localDate, parseInstant } from './time.mjs';
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+// Rule fields for one identification of `observation` (an observations row)
+export function identificationSubject(ident, observation) {
+  const target = observation?.taxon_id ?? ident.observation_taxon_id;
+  const lineage = (ident.raw_json?.taxon?.ancestor_ids ?? []).map(Number);
+  return {
+    ...ident,
+    agrees: ident.taxon_id != null && target != null &&
+      (Number(ident.taxon_id) === Number(target) || lineage.includes(Number(target))),
+    observation_taxon_id: target ?? null,
+    observation_quality_grade: observation?.quality_grade ?? ident.observation_quality_grade ?? null,
+  };
+}
+
+// score_entries_ident rows ordered by inat_ident_id, each with its `breakdown` and the
+// trip-local day the ID was made (identified_day). [] when the rule set has no
+// identification_rules.
+export function scoreIdentifications(idents, observations, ruleSet, { runId = null, filters = null, roster = null } = {}) {
+  const rules = ruleSet.identification_rules ?? [];
+  if (!rules.length) return [];
+  const timeZone = filters?.timezone ?? 'UTC';
+  const studentOf = (login) => (roster ? studentFor(roster, login) : null);
+  const ownerOf = (login) => studentOf(login)?.key ?? login?.toLowerCase();
+  const scored = new Map(observations.filter((row) => passesFilters(row, filters)).map((row) => [Number(row.inat_obs_id), row]));
+
+  return idents
+    .filter((ident) => {
+      const observation = scored.get(Number(ident.inat_obs_id));
+      if (!observation || ident.current === false || ident.own_observation === true) return false;
+      if (roster && !studentOf(ident.user_login)) return false;
+      return ownerOf(ident.user_login) !== ownerOf(observation.user_login ?? ident.observation_user_login);
+    })
+    .map((ident) => {
+      const subject = identificationSubject(ident, scored.get(Number(ident.inat_obs_id)));
+      const breakdown = rules.map((rule) => applyRule(rule, subject));
+      const student = studentOf(ident.user_login);
+      const at = parseInstant(ident.created_at, timeZone);
+      return {
+        run_id: runId,
+        inat_ident_id: ident.inat_ident_id,
+        inat_obs_id: ident.inat_obs_id,
+        user_login: ident.user_login,
+        student_key: student?.key ?? null,
+        student_name: student?.name ?? null,
+        is_adult: student?.adult ?? false,
+        team: student?.team ?? null,
+        ident_taxon_id: ident.taxon_id ?? null,
+        category: ident.category ?? null,
+        agrees: subject.agrees,
+        tipped_research_grade: ident.tipped_research_grade === true,
+        points: round(breakdown.reduce((sum, item) => sum + item.points, 0)),
+        identified_at: ident.created_at ?? null,
+        identified_day: at == null ? null : localDate(at, timeZone),
+        breakdown,
+      };
+    })
+    .sort((a, b) => Number(a.inat_ident_id) - Number(b.inat_ident_id));
+}
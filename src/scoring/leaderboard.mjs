@@ -0,0 +1,138 @@
+// src/scoring/leaderboard.mjs
+// Leaderboards from scored rows (scoreObservations output), mirroring
+// leaderboard_overall_latest_v1 / leaderboard_daily_latest_v2 plus rank.
+// Rank is dense_rank() by points desc, like the leaderboard view templates; ties list by name.
+// Entries scored with a roster group by student (all of their logins); adults get no rank
+// and are listed after the students, like scoreboard_day_v1 and its adult footnotes.
+// distinct_taxa counts leaf taxa (taxa.mjs): a genus ID under a species the student has is not extra.
+// Identification entries (scoreIdentifications) add their points on the day the ID was made,
+// reported apart as ident_points / ident_count; obs_count and taxa stay observations only.
+
+import { observedAt } from './scorer.mjs';
+import { leafTaxa } from './taxa.mjs';
+
+// The entry's trip-local day (for identifications, the day the ID was made); entries scored
+// before observed_day existed fall back to the UTC date of observed_at, like the daily view
+export function entryDay(entry) {
+  const day = entry.observed_day ?? entry.identified_day;
+  if (day) return day;
+  const at = entry.observed_at ?? entry.identified_at;
+  const t = at == null ? NaN : Date.parse(at);
+  return Number.isNaN(t) ? null : new Date(t).toISOString().slice(0, 10);
+}
+
+const participantKey = (e) => e.student_key ?? e.user_login;
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+export const isIdentification = (entry) => entry.inat_ident_id != null;
+
+// Points, counts and taxa of a group of observation and identification entries
+export function tally(group) {
+  const observations = group.filter((e) => !isIdentification(e));
+  const idents = group.filter(isIdentification);
+  return {
+    points: round(group.reduce((sum, e) => sum + e.points, 0)),
+    obs_count: observations.length,
+    distinct_taxa: leafTaxa(observations).size,
+    ident_points: round(idents.reduce((sum, e) => sum + e.points, 0)),
+    ident_count: idents.length,
+  };
+}
+
+function aggregate(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    let g = groups.get(key);
+    if (!g) {
+      g = { entries: [], logins: new Set() };
+      groups.set(key, g);
+    }
+    g.entries.push(entry);
+    g.logins.add(entry.user_login);
+  }
+  return groups;
+}
+
+// Who a group is: its logins (comma-separated when a student has several), the student's
+// name (the login without a roster) and whether they are an adult
+function participant(g) {
+  const first = g.entries[0];
+  return {
+    user_login: [...g.logins].sort().join(','),
+    display_name: first.student_name ?? first.user_login,
+    is_adult: first.is_adult === true,
+  };
+}
+
+// Sorts rows (partition, students before adults, points desc, name) and sets their rank in place
+export function ranked(rows, partitionOf = () => '') {
+  rows.sort((a, b) =>
+    String(partitionOf(a)).localeCompare(String(partitionOf(b))) ||
+    Number(a.is_adult) - Number(b.is_adult) ||
+    b.points - a.points ||
+    a.display_name.localeCompare(b.display_name)
+  );
+  let partition;
+  let rank = 0;
+  let lastPoints;
+  for (const row of rows) {
+    if (partitionOf(row) !== partition) {
+      partition = partitionOf(row);
+      rank = 0;
+      lastPoints = undefined;
+    }
+    if (row.is_adult) {
+      row.rank = null;
+      continue;
+    }
+    if (row.points !== lastPoints) rank += 1;
+    lastPoints = row.points;
+    row.rank = rank;
+  }
+  return rows;
+}
+
+// identifications: scoreIdentifications() entries, counted toward points
+export function overallLeaderboard(entries, identifications = []) {
+  const rows = [];
+  for (const g of aggregate([...entries, ...identifications], participantKey).values()) {
+    const { ident_points, ident_count, ...counts } = tally(g.entries);
+    const times = g.entries.filter((e) => !isIdentification(e)).map((e) => observedAt(e)).filter(Boolean)
+      .sort((a, b) => Date.parse(a) - Date.parse(b));
+    rows.push({
+      rank: null,
+      ...participant(g),
+      ...counts,
+      first_observed_at: times[0] ?? null,
+      last_observed_at: times.at(-1) ?? null,
+      ident_points,
+      ident_count,
+    });
+  }
+  return ranked(rows);
+}
+
+// Newest trip-local day first, ranked within each day
+export function dailyLeaderboard(entries, identifications = []) {
+  const rows = [];
+  for (const g of aggregate([...entries, ...identifications], (e) => `${entryDay(e)}\u0000${participantKey(e)}`).values()) {
+    rows.push({
+      day: entryDay(g.entries[0]),
+      rank: null,
+      ...participant(g),
+      ...tally(g.entries),
+    });
+  }
+  ranked(rows, (r) => r.day ?? '');
+  // ranked() sorts days ascending; present newest first, undated last
+  return rows.sort((a, b) => (b.day ?? '').localeCompare(a.day ?? '') ||
+    Number(a.is_adult) - Number(b.is_adult) || (a.rank ?? 0) - (b.rank ?? 0) ||
+    b.points - a.points || a.display_name.localeCompare(b.display_name));
+}
+
+// "Ms. Rivera — 12 pts" for each adult row, like scoreboard_day_adult_footnotes_v1
+export function adultFootnotes(rows) {
+  return rows.filter((r) => r.is_adult).map((r) => `${r.display_name} — ${r.points} pts`);
+}
@@ -0,0 +1,75 @@
+// src/scoring/rarity.mjs
+// Trip-wide novelty: who found each taxon first on the whole trip, how many participants found
+// it, and how common it is on iNaturalist. scoreObservations exposes these to rules as fields:
+//   trip_finders              participants (adults too) who observed the taxon or one beneath it
+//   trip_rarity               1 / trip_finders, to split a bonus with "per"
+//   taxon_observations_count  iNat's worldwide observation count (taxon_stats cache, else the
+//                             count ingest stored in raw_json.taxon)
+// and { "first_of_taxon": "trip" } marks the first student observation of each taxon on the
+// trip (lineage-aware like "user_lineage"; ties go by time_observed_at, created_at, then
+// inat_obs_id). Those observations are each student's discoveries. Pure.
+
+import { observedAt } from './scorer.mjs';
+
+// Cached counts older than this are refetched from iNat by compute-scores
+export const TAXON_STATS_MAX_AGE_DAYS = 30;
+
+// Map(taxon_id -> Set of owners) for the rows that count (see taxa.mjs); an owner "found" a taxon
+// when they observed it or something finer beneath it
+export function taxonFinders(rows, ownerOf, lineageOf) {
+  const finders = new Map();
+  for (const row of rows) {
+    for (const id of lineageOf(row)) {
+      if (!finders.has(id)) finders.set(id, new Set());
+      finders.get(id).add(ownerOf(row));
+    }
+  }
+  return finders;
+}
+
+// Whether any rule reads taxon_observations_count, i.e. whether scoring needs the iNat counts
+export function usesTaxonCounts(ruleSet) {
+  return JSON.stringify(ruleSet.rules).includes('"taxon_observations_count"');
+}
+
+// Map(taxon_id -> observations_count) from taxon_stats rows or iNat /v1/taxa results
+export function taxonCountMap(stats) {
+  return new Map(stats.filter((s) => s.observations_count != null)
+    .map((s) => [Number(s.taxon_id ?? s.id), Number(s.observations_count)]));
+}
+
+// The rule fields above for one row
+export function rarityFields(row, finders, taxonCounts) {
+  const count = row.taxon_id == null ? 0 : finders.get(Number(row.taxon_id))?.size ?? 0;
+  const cached = row.taxon_id == null ? undefined : taxonCounts?.get(Number(row.taxon_id));
+  return {
+    trip_finders: count || null,
+    trip_rarity: count ? 1 / count : null,
+    taxon_observations_count: cached ?? row.raw_json?.taxon?.observations_count ?? null,
+  };
+}
+
+// Taxon ids whose cached count is missing or older than maxAgeDays. stats: taxon_stats rows
+export function staleTaxa(ids, stats, now = new Date(), maxAgeDays = TAXON_STATS_MAX_AGE_DAYS) {
+  const fetchedAt = new Map(stats.map((s) => [Number(s.taxon_id), Date.parse(s.fetched_at)]));
+  const cutoff = now.getTime() - maxAgeDays * 86_400_000;
+  return [...new Set(ids.map(Number))].filter((id) => !(fetchedAt.get(id) >= cutoff)).sort((a, b) => a - b);
+}
+
+// Each student's discoveries: the taxa they were first on the trip to find, in the order found
+export function discoveries(entries) {
+  return entries
+    .filter((e) => e.trip_first)
+    .map((e) => ({
+      student_key: e.student_key ?? e.user_login,
+      display_name: e.student_name ?? e.user_login,
+      user_login: e.user_login,
+      taxon_id: e.taxon_id,
+      taxon_name: e.taxon_name ?? null,
+      inat_obs_id: e.inat_obs_id,
+      observed_at: observedAt(e),
+      trip_finders: e.trip_finders ?? null,
+    }))
+    .sort((a, b) => a.display_name.localeCompare(b.display_name) ||
+      (Date.parse(a.observed_at) || Infinity) - (Date.parse(b.observed_at) || Infinity) || Number(a.inat_obs_id) - Number(b.inat_obs_id));
+}
@@ -0,0 +1,82 @@
+// src/scoring/roster.mjs
+// Who scores: the roster maps iNat logins to students (several accounts per student merge
+// into one), marks adults (listed as footnotes, never ranked) and leaves everyone else out.
+// Rosters come from trips.json (`roster`) or public.active_participants_v1. Pure: no I/O.
+
+// [{ key?, name, logins, adult, team? }] -> { students, byLogin: Map(lowercase login -> student) }.
+// A student's key is its roster id when it has one, else its name; entries with the same
+// key merge. One login cannot belong to two students.
+export function buildRoster(entries) {
+  const students = new Map();
+  const byLogin = new Map();
+  for (const entry of entries) {
+    const key = String(entry.key ?? entry.name);
+    let student = students.get(key);
+    if (!student) {
+      student = { key, name: entry.name ?? key, logins: [], adult: false, team: null };
+      students.set(key, student);
+    }
+    student.adult ||= entry.adult === true;
+    student.team ??= entry.team || null;
+    for (const login of entry.logins.map((l) => l.trim()).filter(Boolean)) {
+      const owner = byLogin.get(login.toLowerCase());
+      if (owner && owner !== student) {
+        throw new Error(`Roster login "${login}" belongs to both ${owner.name} and ${student.name}`);
+      }
+      if (!owner) {
+        byLogin.set(login.toLowerCase(), student);
+        student.logins.push(login);
+      }
+    }
+  }
+  return { students: [...students.values()], byLogin };
+}
+
+// active_participants_v1 rows (one per roster_id + iNat login) -> roster
+export function rosterFromParticipants(rows) {
+  return buildRoster(rows.map((row) => ({
+    key: row.roster_id,
+    name: row.display_name ?? String(row.roster_id),
+    logins: row.inat_login ? [row.inat_login] : [],
+    adult: row.is_adult === true,
+    team: row.team ?? null,
+  })));
+}
+
+export function studentFor(roster, login) {
+  return login ? roster.byLogin.get(login.toLowerCase()) ?? null : null;
+}
+
+// Observations by logins that are not on the roster, busiest first, so the teacher can link
+// them to a student (or ignore a stranger)
+export function unmatchedLogins(rows, roster) {
+  const counts = new Map();
+  for (const row of rows) {
+    if (!row.user_login || studentFor(roster, row.user_login)) continue;
+    const seen = counts.get(row.user_login) ?? { user_login: row.user_login, observations: 0, sample_obs_id: row.inat_obs_id };
+    seen.observations += 1;
+    counts.set(row.user_login, seen);
+  }
+  return [...counts.values()].sort((a, b) => b.observations - a.observations || a.user_login.localeCompare(b.user_login));
+}
+
+// Students (not adults) per team: { Tapir: 4, Sloth: 5 }; the divisor for "average" team standings
+export function teamSizes(roster) {
+  const sizes = {};
+  for (const s of roster.students) {
+    if (s.team && !s.adult) sizes[s.team] = (sizes[s.team] ?? 0) + 1;
+  }
+  return sizes;
+}
+
+// Summary stored on score_runs.roster_report and printed by the scorers
+export function rosterReport(rows, roster) {
+  const active = new Set(rows.map((r) => studentFor(roster, r.user_login)?.key).filter(Boolean));
+  return {
+    students: roster.students.filter((s) => !s.adult).length,
+    adults: roster.students.filter((s) => s.adult).length,
+    teams: teamSizes(roster),
+    without_observations: roster.students.filter((s) => !active.has(s.key)).map((s) => s.name),
+    unmatched: unmatchedLogins(rows, roster),
+  };
+}
@@ -0,0 +1,117 @@
+// src/scoring/rules.mjs
+// Scoring rule sets: loading, validation and content hashing.
+// A rule set is data (rules/*.json), identified by id + version. The hash pins everything
+// that affects points so a run scored with "default@1" can be re-scored identically later.
+// `rules` score observations; optional `identification_rules` score the identifications
+// students make of others' observations (src/scoring/identifications.mjs).
+
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+
+const COMPARATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+// ------------------ Validation ------------------
+function validateCondition(cond, where, identification = false) {
+  if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
+    throw new Error(`${where}: condition must be an object`);
+  }
+  if ('always' in cond) return;
+  if ('all' in cond || 'any' in cond) {
+    const list = cond.all ?? cond.any;
+    if (!Array.isArray(list) || !list.length) throw new Error(`${where}: all/any needs a non-empty array`);
+    list.forEach((c, i) => validateCondition(c, `${where}[${i}]`, identification));
+    return;
+  }
+  if ('not' in cond) return validateCondition(cond.not, `${where}.not`, identification);
+  if ('first_of_taxon' in cond) {
+    if (identification) throw new Error(`${where}: first_of_taxon does not apply to identifications`);
+    if (!['user', 'user_lineage', 'trip'].includes(cond.first_of_taxon)) {
+      throw new Error(`${where}: first_of_taxon must be "user", "user_lineage" or "trip"`);
+    }
+    return;
+  }
+  if (typeof cond.field !== 'string' || !cond.field) {
+    throw new Error(`${where}: expected always, all, any, not, first_of_taxon or field`);
+  }
+  const ops = COMPARATORS.filter((op) => op in cond);
+  if (ops.length !== 1) {
+    throw new Error(`${where}: field condition needs exactly one of ${COMPARATORS.join(', ')}`);
+  }
+  if ((ops[0] === 'in' || ops[0] === 'nin') && !Array.isArray(cond[ops[0]])) {
+    throw new Error(`${where}: ${ops[0]} needs an array`);
+  }
+}
+
+// One list of rules; identification rules have no first_of_taxon
+function validateRules(rules, prefix, identification = false) {
+  const seen = new Set();
+  rules.forEach((rule, i) => {
+    const where = `${prefix}[${i}]`;
+    if (typeof rule.id !== 'string' || !rule.id) throw new Error(`${where}: rule needs a string id`);
+    if (seen.has(rule.id)) throw new Error(`${where}: duplicate rule id "${rule.id}"`);
+    seen.add(rule.id);
+    if (!Number.isFinite(rule.points)) throw new Error(`${where} (${rule.id}): points must be a number`);
+    if (rule.per != null && typeof rule.per !== 'string') throw new Error(`${where} (${rule.id}): per must be a field name`);
+    if (rule.max != null && !(Number.isFinite(rule.max) && rule.max >= 0)) {
+      throw new Error(`${where} (${rule.id}): max must be a non-negative number`);
+    }
+    if (rule.label != null && typeof rule.label !== 'string') throw new Error(`${where} (${rule.id}): label must be a string`);
+    validateCondition(rule.when ?? { always: true }, `${where} (${rule.id}).when`, identification);
+  });
+}
+
+// Throws on the first problem; returns the rule set unchanged when valid.
+export function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object') throw new Error('Rule set must be a JSON object');
+  if (typeof ruleSet.id !== 'string' || !ruleSet.id) throw new Error('Rule set needs a string id');
+  if (!Number.isInteger(ruleSet.version) || ruleSet.version < 1) {
+    throw new Error(`Rule set ${ruleSet.id}: version must be a positive integer`);
+  }
+  if (!Array.isArray(ruleSet.rules) || !ruleSet.rules.length) {
+    throw new Error(`Rule set ${ruleSet.id}: rules must be a non-empty array`);
+  }
+  if (ruleSet.min_points != null && !Number.isFinite(ruleSet.min_points)) {
+    throw new Error(`Rule set ${ruleSet.id}: min_points must be a number`);
+  }
+
+  validateRules(ruleSet.rules, `Rule set ${ruleSet.id} rules`);
+  if (ruleSet.identification_rules != null) {
+    if (!Array.isArray(ruleSet.identification_rules)) {
+      throw new Error(`Rule set ${ruleSet.id}: identification_rules must be an array`);
+    }
+    validateRules(ruleSet.identification_rules, `Rule set ${ruleSet.id} identification_rules`, true);
+  }
+  return ruleSet;
+}
+
+// ------------------ Identity ------------------
+// Wording shown in score breakdowns; rewording never changes points, so it is not hashed
+const PRESENTATION_KEYS = new Set(['description', 'label']);
+
+// Key-sorted JSON so formatting or key order changes do not change the hash
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => !PRESENTATION_KEYS.has(k)).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function ruleSetHash(ruleSet) {
+  return createHash('sha256').update(canonicalJson(ruleSet)).digest('hex');
+}
+
+export function ruleSetLabel(ruleSet) {
+  return `${ruleSet.id}@${ruleSet.version}`;
+}
+
+export async function loadRuleSet(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read rule set ${path}: ${err.message}`);
+  }
+  return validateRuleSet(parsed);
+}
@@ -0,0 +1,331 @@
+// src/scoring/scorer.mjs
+// Deterministic JS scorer: evaluates a rule set (see rules.mjs) over `observations` rows
+// and returns rows shaped like public.score_entries_obs, including the per-rule breakdown.
+// Pure: no I/O, no clock, no randomness. Same rows + same rule set => same points.
+
+import { pointInArea, pointInBbox } from './geo.mjs';
+import { observationDay, observationInstant } from './time.mjs';
+import { studentFor } from './roster.mjs';
+import { meetsMinRank, taxonAncestorIds, taxonFields, taxonRankLevel } from './taxa.mjs';
+import { rarityFields, taxonFinders } from './rarity.mjs';
+
+// ------------------ Row helpers ------------------
+// Read a column or a dotted path into JSON columns, e.g. "raw_json.taxon.threatened"
+export function fieldValue(row, path) {
+  let value = row;
+  for (const key of path.split('.')) {
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// observations.observed_at when present, else the columns ingest.mjs writes
+export function observedAt(row) {
+  return row.observed_at ?? row.time_observed_at ?? row.observed_on ?? null;
+}
+
+function toTime(value) {
+  const t = value == null ? NaN : Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+// iNat hides the true location when the observer's or the taxon's geoprivacy says so;
+// the public coordinates are then a random point in a ~20 km cell
+export function isObscured(row) {
+  const raw = row.raw_json ?? {};
+  const hidden = (g) => g === 'obscured' || g === 'private';
+  return raw.obscured === true || hidden(raw.geoprivacy) || hidden(raw.taxon_geoprivacy);
+}
+
+// Accuracy radius in metres of the coordinates we have (public_positional_accuracy covers
+// obscuring), or null when iNat gives none
+export function positionalAccuracy(row) {
+  const raw = row.raw_json ?? {};
+  const value = raw.public_positional_accuracy ?? raw.positional_accuracy;
+  return Number.isFinite(value) ? value : null;
+}
+
+// In at least one of the trip's areas: a bbox, a polygon of `area`, or an iNat place
+function inTripAreas(row, { bboxes, area, place_ids: placeIds }) {
+  const { longitude: lng, latitude: lat } = row;
+  if (lng != null && lat != null) {
+    if (bboxes?.some((b) => pointInBbox(lng, lat, b))) return true;
+    if (area && pointInArea(lng, lat, area)) return true;
+  }
+  const rowPlaces = row.raw_json?.place_ids;
+  return Boolean(placeIds?.length && Array.isArray(rowPlaces) && rowPlaces.some((id) => placeIds.includes(id)));
+}
+
+// Why the filters compute_scores_mvp applies from config_filters exclude this row
+// (null bounds are open). Empty array = the row is scored. The trips.json areas
+// (filters.bboxes, filters.area as a MultiPolygon, filters.place_ids) additionally require
+// the observation to be in one of them, and the location policy (filters.obscured =
+// 'include' | 'exclude', filters.max_accuracy_m) decides which coordinates are trusted.
+// d1/d2 are days in filters.timezone (default UTC), see time.mjs.
+export function filterMisses(row, filters = {}) {
+  const misses = [];
+  if (!row.user_login) misses.push('no iNaturalist login');
+  if (row.is_active === false) misses.push('deleted on iNaturalist');
+
+  const { d1, d2, swlat, swlng, nelat, nelng } = filters ?? {};
+  const day = observationDay(row, filters?.timezone ?? 'UTC');
+  if ((d1 != null || d2 != null) && !day) misses.push('no observation date');
+  else if (d1 != null && day < d1) misses.push(`observed ${day}, before trip window (${d1})`);
+  else if (d2 != null && day > d2) misses.push(`observed ${day}, after trip window (${d2})`);
+
+  const { bboxes, area, place_ids: placeIds, obscured, max_accuracy_m: maxAccuracy } = filters ?? {};
+  const bounded = [swlat, swlng, nelat, nelng].some((b) => b != null);
+  const hasAreas = Boolean(bboxes?.length || area || placeIds?.length);
+  if ((bounded || ((bboxes?.length || area) && !placeIds?.length)) && (row.latitude == null || row.longitude == null)) {
+    misses.push('no coordinates');
+  } else if (
+    (swlat != null && row.latitude < swlat) || (nelat != null && row.latitude > nelat) ||
+    (swlng != null && row.longitude < swlng) || (nelng != null && row.longitude > nelng)
+  ) {
+    misses.push('outside trip bbox');
+  } else if (placeIds?.length && !Array.isArray(row.raw_json?.place_ids)) {
+    misses.push('no iNaturalist place_ids (re-ingest to fetch them)');
+  } else if (hasAreas && !inTripAreas(row, filters)) {
+    misses.push('outside trip areas');
+  }
+
+  if (obscured === 'exclude' && isObscured(row)) misses.push('location obscured on iNaturalist');
+  const accuracy = positionalAccuracy(row);
+  if (maxAccuracy != null && accuracy != null && accuracy > maxAccuracy) {
+    misses.push(`location accurate to ${accuracy} m (trip allows ${maxAccuracy} m)`);
+  }
+  return misses;
+}
+
+export function passesFilters(row, filters = {}) {
+  return filterMisses(row, filters).length === 0;
+}
+
+// Chronological order with NULLS LAST, then inat_obs_id so ties never depend on input order.
+// Date-only observations sort from local midnight in timeZone.
+export function compareChronological(a, b, timeZone = 'UTC') {
+  for (const key of [(r) => observationInstant(r, timeZone), (r) => toTime(r.created_at)]) {
+    const x = key(a);
+    const y = key(b);
+    if (x !== y) {
+      if (x == null) return 1;
+      if (y == null) return -1;
+      return x - y;
+    }
+  }
+  return Number(a.inat_obs_id) - Number(b.inat_obs_id);
+}
+
+// Each user's first observation of each taxon (PARTITION BY user_login, taxon_id; by student
+// when a roster merges accounts), as Map(inat_obs_id -> inat_obs_id of that first observation)
+function firstOfTaxonIds(rows, timeZone, ownerOf) {
+  const firstByKey = new Map();
+  const firstOf = new Map();
+  for (const row of [...rows].sort((a, b) => compareChronological(a, b, timeZone))) {
+    const key = `${ownerOf(row)}\u0000${row.taxon_id ?? ''}`;
+    if (!firstByKey.has(key)) firstByKey.set(key, row.inat_obs_id);
+    firstOf.set(row.inat_obs_id, firstByKey.get(key));
+  }
+  return firstOf;
+}
+
+// Taxonomy-aware variant (first_of_taxon "user_lineage"): for each row, the owner's earlier
+// observation of the same taxon or of one beneath it, as Map(inat_obs_id -> that row). A species
+// after its genus is new; the genus after one of its species is not.
+function coveredByEarlier(rows, timeZone, ownerOf) {
+  const covered = new Map(); // owner + taxon_id -> first row that covers it
+  const coveredBy = new Map();
+  for (const row of [...rows].sort((a, b) => compareChronological(a, b, timeZone))) {
+    if (row.taxon_id == null) continue;
+    const owner = ownerOf(row);
+    const earlier = covered.get(`${owner}\u0000${Number(row.taxon_id)}`);
+    if (earlier) coveredBy.set(row.inat_obs_id, earlier);
+    for (const id of [Number(row.taxon_id), ...taxonAncestorIds(row)]) {
+      const key = `${owner}\u0000${id}`;
+      if (!covered.has(key)) covered.set(key, row);
+    }
+  }
+  return coveredBy;
+}
+
+// ------------------ Rule evaluation ------------------
+// Avoid float drift (0.1 + 0.2) leaking into stored points
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    case 'nin': return !expected.includes(actual);
+    case 'gt': return actual != null && actual > expected;
+    case 'gte': return actual != null && actual >= expected;
+    case 'lt': return actual != null && actual < expected;
+    case 'lte': return actual != null && actual <= expected;
+    case 'exists': return (actual != null && actual !== false) === expected;
+    default: return false;
+  }
+}
+
+const OPERATOR_TEXT = {
+  eq: '', ne: 'not ', in: 'one of ', nin: 'none of ',
+  gt: 'over ', gte: 'at least ', lt: 'under ', lte: 'at most ',
+};
+
+const show = (v) => (v === undefined || v === null ? 'empty' : Array.isArray(v) ? v.join(', ') : String(v));
+
+// Evaluate a condition. Returns null when it holds, otherwise a short reason it does not.
+function explain(cond, row, ctx) {
+  if ('always' in cond) return cond.always ? null : 'disabled';
+  if ('all' in cond) {
+    for (const c of cond.all) {
+      const reason = explain(c, row, ctx);
+      if (reason) return reason;
+    }
+    return null;
+  }
+  if ('any' in cond) {
+    const reasons = [];
+    for (const c of cond.any) {
+      const reason = explain(c, row, ctx);
+      if (!reason) return null;
+      reasons.push(reason);
+    }
+    return reasons.join('; ');
+  }
+  if ('not' in cond) return explain(cond.not, row, ctx) ? null : 'excluded by rule';
+  if ('first_of_taxon' in cond) {
+    if (cond.first_of_taxon === 'user_lineage') return firstInLineage(row, ctx);
+    if (cond.first_of_taxon === 'trip') return firstOnTrip(row, ctx);
+    const first = ctx.firstOfTaxon.get(row.inat_obs_id);
+    return first === row.inat_obs_id ? null : `you observed ${row.taxon_name ?? 'this taxon'} earlier (#${first})`;
+  }
+  const op = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'].find((o) => o in cond);
+  const actual = fieldValue(row, cond.field);
+  if (compare(op, actual, cond[op])) return null;
+  if (op === 'exists') return `${cond.field} is ${cond.exists ? 'missing' : 'present'}`;
+  return `${cond.field} is ${show(actual)} (needs ${OPERATOR_TEXT[op]}${show(cond[op])})`;
+}
+
+function firstInLineage(row, ctx) {
+  if (row.taxon_id == null) return 'no taxon';
+  if (!meetsMinRank(taxonRankLevel(row), ctx.minRank)) {
+    return `identified only to ${row.taxon_rank ?? 'a coarse rank'} (trip counts ${ctx.minRank} or finer)`;
+  }
+  const earlier = ctx.coveredBy.get(row.inat_obs_id);
+  if (!earlier) return null;
+  if (Number(earlier.taxon_id) === Number(row.taxon_id)) {
+    return `you observed ${row.taxon_name ?? 'this taxon'} earlier (#${earlier.inat_obs_id})`;
+  }
+  return `you observed ${earlier.taxon_name ?? 'a finer taxon'}, within ${row.taxon_name ?? 'this taxon'}, earlier (#${earlier.inat_obs_id})`;
+}
+
+// { "first_of_taxon": "trip" }: the first student observation of the taxon on the whole trip
+function firstOnTrip(row, ctx) {
+  if (row.taxon_id == null) return 'no taxon';
+  if (ctx.studentOf(row)?.adult) return 'adults do not make trip discoveries';
+  if (!meetsMinRank(taxonRankLevel(row), ctx.minRank)) {
+    return `identified only to ${row.taxon_rank ?? 'a coarse rank'} (trip counts ${ctx.minRank} or finer)`;
+  }
+  const earlier = ctx.tripCoveredBy.get(row.inat_obs_id);
+  if (!earlier) return null;
+  const who = ctx.ownerOf(earlier) === ctx.ownerOf(row) ? 'you' : ctx.studentOf(earlier)?.name ?? earlier.user_login;
+  return `${who} found ${earlier.taxon_name ?? 'it'} first on the trip (#${earlier.inat_obs_id})`;
+}
+
+// Fill {column} placeholders in rule labels, e.g. "first {taxon_name} for you"
+function renderLabel(rule, row) {
+  return (rule.label ?? rule.id).replace(/\{([\w.]+)\}/g, (_, path) => {
+    const value = fieldValue(row, path);
+    return value == null ? 'unknown' : show(value);
+  });
+}
+
+// One breakdown item per rule: applied with its points, or not applied with the reason.
+// Also scores identifications (identifications.mjs), whose rules need no ctx.
+export function applyRule(rule, row, ctx = {}) {
+  const label = renderLabel(rule, row);
+  const reason = explain(rule.when ?? { always: true }, row, ctx);
+  if (reason) return { rule: rule.id, label, points: 0, applied: false, reason };
+
+  let points = rule.points;
+  if (rule.per) {
+    const n = Number(fieldValue(row, rule.per));
+    points *= Number.isFinite(n) ? n : 0;
+  }
+  if (rule.max != null) points = Math.sign(points) * Math.min(Math.abs(points), rule.max);
+  return { rule: rule.id, label, points: round(points), applied: true };
+}
+
+// ------------------ Scoring ------------------
+// Score every row that passes `filters`. Returns score_entries_obs rows ordered by inat_obs_id,
+// each with a `breakdown` of every rule considered (see applyRule) and its trip-local
+// `observed_day` (filters.timezone). With a `roster` (roster.mjs) only enrolled logins score,
+// "first of taxon" is per student across their accounts, and entries carry the student.
+// Entries also carry the taxon's lineage for leaf-taxon counting (taxa.mjs), with
+// taxon_countable false for IDs coarser than filters.min_taxon_rank, and the trip-wide novelty
+// of rarity.mjs (trip_first, trip_finders). taxonCounts: Map(taxon_id -> iNat observations_count).
+export function scoreObservations(rows, ruleSet, { runId = null, filters = null, roster = null, taxonCounts = null } = {}) {
+  const timeZone = filters?.timezone ?? 'UTC';
+  const minRank = filters?.min_taxon_rank ?? null;
+  const studentOf = (row) => (roster ? studentFor(roster, row.user_login) : null);
+  const ownerOf = (row) => studentOf(row)?.key ?? row.user_login;
+  const eligible = rows.filter((row) => passesFilters(row, filters) && (!roster || studentOf(row)));
+  const countable = (row) => row.taxon_id != null && meetsMinRank(taxonRankLevel(row), minRank);
+  const ctx = {
+    firstOfTaxon: firstOfTaxonIds(eligible, timeZone, ownerOf),
+    coveredBy: coveredByEarlier(eligible, timeZone, ownerOf),
+    tripCoveredBy: coveredByEarlier(eligible.filter((row) => countable(row) && !studentOf(row)?.adult), timeZone, () => 'trip'),
+    finders: taxonFinders(eligible.filter(countable), ownerOf, (row) => [Number(row.taxon_id), ...taxonAncestorIds(row)]),
+    minRank,
+    studentOf,
+    ownerOf,
+  };
+
+  return eligible
+    .map((row) => {
+      const rarity = rarityFields(row, ctx.finders, taxonCounts);
+      const breakdown = ruleSet.rules.map((rule) => applyRule(rule, { ...row, ...rarity }, ctx));
+      let total = breakdown.reduce((sum, item) => sum + item.points, 0);
+      if (ruleSet.min_points != null && total < ruleSet.min_points) {
+        breakdown.push({
+          rule: 'min_points',
+          label: `minimum ${ruleSet.min_points} points`,
+          points: round(ruleSet.min_points - total),
+          applied: true,
+        });
+        total = ruleSet.min_points;
+      }
+      const student = studentOf(row);
+      return {
+        run_id: runId,
+        user_login: row.user_login,
+        student_key: student?.key ?? null,
+        student_name: student?.name ?? null,
+        is_adult: student?.adult ?? false,
+        team: student?.team ?? null,
+        inat_obs_id: row.inat_obs_id,
+        taxon_id: row.taxon_id ?? null,
+        ...taxonFields(row, minRank),
+        trip_first: firstOnTrip(row, ctx) === null,
+        trip_finders: rarity.trip_finders,
+        points: round(total),
+        observed_at: observedAt(row),
+        observed_day: observationDay(row, timeZone),
+        breakdown,
+      };
+    })
+    .sort((a, b) => Number(a.inat_obs_id) - Number(b.inat_obs_id));
+}
+
+// ------------------ Presentation ------------------
+export const formatPoints = (points) => `${points >= 0 ? '+' : ''}${Number(points)}`;
+
+// One-line summary of the rules that awarded points, e.g. "base +1; research grade +1"
+export function formatBreakdown(breakdown) {
+  return (breakdown ?? [])
+    .filter((item) => item.applied && item.points !== 0)
+    .map((item) => `${item.label} ${formatPoints(item.points)}`)
+    .join('; ');
+}
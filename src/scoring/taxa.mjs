@@ -0,0 +1,58 @@
+// src/scoring/taxa.mjs
+// Taxonomy-aware "distinct taxa". Genus Anolis and Anolis limifrons are one taxon, not two:
+// within a scope (a student, a team, a day) only leaf taxa count, so a coarser ID counts only
+// while nothing finer beneath it has been seen. The lineage comes from the iNat taxon stored in
+// raw_json (ancestor_ids, else ancestors) and the rank from taxon_rank_level. A trip's
+// min_taxon_rank leaves IDs coarser than it out of the count altogether. count_leaf_taxa() in
+// supabase/migrations/20251119000000_taxon_lineage.sql counts the same way. Pure.
+
+// iNat rank levels (lower = finer)
+export const RANK_LEVELS = {
+  kingdom: 70, subkingdom: 67, phylum: 60, subphylum: 57, superclass: 53, class: 50, subclass: 47,
+  infraclass: 45, subterclass: 44, superorder: 43, order: 40, suborder: 37, infraorder: 35,
+  parvorder: 34.5, zoosection: 34, zoosubsection: 33.5, superfamily: 33, epifamily: 32, family: 30,
+  subfamily: 27, supertribe: 26, tribe: 25, subtribe: 24, genus: 20, genushybrid: 20, subgenus: 15,
+  section: 13, subsection: 12, complex: 11, species: 10, hybrid: 10, subspecies: 5, variety: 5,
+  form: 5, infrahybrid: 5,
+};
+
+// Thresholds a trip may set as min_taxon_rank
+export const MIN_TAXON_RANKS = ['species', 'genus', 'family', 'order', 'class', 'phylum'];
+
+// The observation's rank level: the column, else the raw taxon, else from the rank name
+export function taxonRankLevel(row) {
+  const level = row.taxon_rank_level ?? row.raw_json?.taxon?.rank_level ?? RANK_LEVELS[row.taxon_rank];
+  return level == null ? null : Number(level);
+}
+
+// Ids of the taxa above the observation's taxon (not itself); [] when raw_json has no lineage
+export function taxonAncestorIds(row) {
+  const taxon = row.raw_json?.taxon;
+  const ids = taxon?.ancestor_ids ?? taxon?.ancestors?.map((a) => a.id) ?? [];
+  const self = Number(row.taxon_id);
+  return [...new Set(ids.map(Number).filter((id) => Number.isFinite(id) && id !== self))];
+}
+
+// Whether an ID is fine enough for the trip; IDs of unknown rank count
+export function meetsMinRank(level, minRank) {
+  if (!minRank || level == null) return true;
+  return level <= RANK_LEVELS[minRank];
+}
+
+// The lineage columns scoreObservations puts on each entry (score_entries_obs)
+export function taxonFields(row, minRank = null) {
+  const level = taxonRankLevel(row);
+  return {
+    taxon_rank_level: level,
+    taxon_ancestor_ids: row.taxon_id == null ? [] : taxonAncestorIds(row),
+    taxon_countable: row.taxon_id != null && meetsMinRank(level, minRank),
+  };
+}
+
+// Leaf taxa among entries (or diversity records): countable taxa that are not an ancestor of
+// another countable taxon in the same list. Entries without lineage count by taxon_id alone.
+export function leafTaxa(items) {
+  const counted = items.filter((i) => i.taxon_id != null && i.taxon_countable !== false);
+  const ancestors = new Set(counted.flatMap((i) => i.taxon_ancestor_ids ?? []).map(Number));
+  return new Set(counted.map((i) => Number(i.taxon_id)).filter((id) => !ancestors.has(id)));
+}
@@ -0,0 +1,120 @@
+// src/scoring/teams.mjs
+// Team standings from scored rows whose students have a roster team (the entries' `team`).
+// A team's score is one of TEAM_AGGREGATIONS:
+//   sum            every member's points added up
+//   average        points per student on the team's roster, so a bigger team has no head start
+//   distinct_taxa  distinct (leaf, see taxa.mjs) taxa across the whole team; a species two
+//                  members found counts once
+// Identification points (scoreIdentifications) count toward sum and average like observation
+// points. Adults never count toward a team. leaderboard_teams_latest_v1 and friends in
+// supabase/migrations/20251117000000_teams.sql are the same rules in SQL. Pure.
+
+import { observedAt } from './scorer.mjs';
+import { entryDay, tally } from './leaderboard.mjs';
+
+export const TEAM_AGGREGATIONS = ['sum', 'average', 'distinct_taxa'];
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+function teamEntries(entries) {
+  return entries.filter((e) => e.team && !e.is_adult);
+}
+
+// One standings row; `members` is the team's roster size (sizes), else who scored
+function standing(team, group, aggregation, sizes) {
+  const { points, obs_count, distinct_taxa, ident_points, ident_count } = tally(group);
+  const active = new Set(group.map((e) => e.student_key ?? e.user_login));
+  const members = sizes?.[team] ?? active.size;
+  const average = members ? round(points / members) : 0;
+  const score = aggregation === 'average' ? average : aggregation === 'distinct_taxa' ? distinct_taxa : points;
+  return {
+    rank: null,
+    team,
+    score,
+    points,
+    points_per_member: average,
+    members,
+    active_members: active.size,
+    obs_count,
+    distinct_taxa,
+    ident_points,
+    ident_count,
+  };
+}
+
+function rankTeams(rows) {
+  rows.sort((a, b) => b.score - a.score || a.team.localeCompare(b.team));
+  let rank = 0;
+  let last;
+  for (const row of rows) {
+    if (row.score !== last) rank += 1;
+    last = row.score;
+    row.rank = rank;
+  }
+  return rows;
+}
+
+function checkAggregation(aggregation) {
+  if (!TEAM_AGGREGATIONS.includes(aggregation)) {
+    throw new Error(`team aggregation must be one of ${TEAM_AGGREGATIONS.join(', ')}, got "${aggregation}"`);
+  }
+}
+
+function byTeam(entries) {
+  const groups = new Map();
+  for (const e of entries) groups.set(e.team, [...(groups.get(e.team) ?? []), e]);
+  return groups;
+}
+
+// Trip standings. sizes: { team: students } (rosterReport().teams), so teams whose members have
+// not observed anything yet still appear, and averages divide by the whole team.
+// identifications: scoreIdentifications() entries.
+export function teamLeaderboard(entries, { aggregation = 'sum', sizes = null, identifications = [] } = {}) {
+  checkAggregation(aggregation);
+  const groups = byTeam(teamEntries([...entries, ...identifications]));
+  for (const team of Object.keys(sizes ?? {})) if (!groups.has(team)) groups.set(team, []);
+  return rankTeams([...groups].map(([team, group]) => standing(team, group, aggregation, sizes)));
+}
+
+// Standings per trip-local day, newest first
+export function teamDailyLeaderboard(entries, { aggregation = 'sum', sizes = null, identifications = [] } = {}) {
+  checkAggregation(aggregation);
+  const days = new Map();
+  for (const e of teamEntries([...entries, ...identifications])) {
+    const day = entryDay(e);
+    days.set(day, [...(days.get(day) ?? []), e]);
+  }
+  return [...days]
+    .sort(([a], [b]) => (b ?? '').localeCompare(a ?? ''))
+    .flatMap(([day, dayEntries]) =>
+      rankTeams([...byTeam(dayEntries)].map(([team, group]) => standing(team, group, aggregation, sizes))).map((row) => ({ day, ...row }))
+    );
+}
+
+// Each team's species list: one row per taxon with who found it and the first find
+export function teamSpecies(entries) {
+  const rows = new Map();
+  const sorted = teamEntries(entries).filter((e) => e.taxon_id != null)
+    .sort((a, b) => Date.parse(observedAt(a) ?? '') - Date.parse(observedAt(b) ?? '') || Number(a.inat_obs_id) - Number(b.inat_obs_id));
+  for (const e of sorted) {
+    const key = `${e.team}\u0000${e.taxon_id}`;
+    let row = rows.get(key);
+    if (!row) {
+      row = {
+        team: e.team,
+        taxon_id: e.taxon_id,
+        taxon_name: e.taxon_name ?? null,
+        observations: 0,
+        observers: [],
+        first_inat_obs_id: e.inat_obs_id,
+        first_observed_at: observedAt(e),
+      };
+      rows.set(key, row);
+    }
+    row.observations += 1;
+    const who = e.student_name ?? e.user_login;
+    if (!row.observers.includes(who)) row.observers.push(who);
+  }
+  return [...rows.values()].sort((a, b) =>
+    a.team.localeCompare(b.team) || String(a.taxon_name ?? '').localeCompare(String(b.taxon_name ?? '')) || a.taxon_id - b.taxon_id);
+}
@@ -0,0 +1,89 @@
+// src/scoring/time.mjs
+// Trip-local time. iNat's time_observed_at carries the observer's UTC offset and observed_on
+// is the observer's local date; a trip's IANA timezone puts both on one local calendar, so
+// an 8 pm night walk in Costa Rica stays on that day's scoreboard. observation_local_day()
+// and observation_local_instant() in supabase/migrations/20251114000000_trip_timezones.sql
+// are the same rules in SQL. Pure: no clock.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const HAS_ZONE = /(?:[zZ]|[+-]\d{2}(?::?\d{2})?)$/;
+
+export function isTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function partsIn(ms, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const parts = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((p) => [p.type, p.value]));
+  return parts;
+}
+
+// Local minus UTC, in ms, for timeZone at an instant
+function offsetAt(ms, timeZone) {
+  const p = partsIn(ms, timeZone);
+  const wall = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+// Instant at which the wall-clock time `wallMs` (as if UTC) happens in timeZone
+function fromWallClock(wallMs, timeZone) {
+  const guess = wallMs - offsetAt(wallMs, timeZone);
+  return wallMs - offsetAt(guess, timeZone);
+}
+
+// YYYY-MM-DD of an instant in timeZone
+export function localDate(ms, timeZone = 'UTC') {
+  const p = partsIn(ms, timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// Epoch ms of a timestamp. A date alone is local midnight and a time without an offset is
+// local wall-clock time, both in timeZone; null when unparseable.
+export function parseInstant(value, timeZone = 'UTC') {
+  if (value == null || value === '') return null;
+  const text = String(value).trim();
+  if (DATE_ONLY.test(text)) return fromWallClock(Date.parse(`${text}T00:00:00Z`), timeZone);
+  if (HAS_ZONE.test(text)) {
+    const t = Date.parse(text);
+    return Number.isNaN(t) ? null : t;
+  }
+  const wall = Date.parse(`${text}Z`);
+  return Number.isNaN(wall) ? null : fromWallClock(wall, timeZone);
+}
+
+// Trip-local calendar day of an observation: the exact time when iNat has one, else the
+// observer's observed_on date, else observed_at
+export function observationDay(row, timeZone = 'UTC') {
+  const exact = parseInstant(row.time_observed_at, timeZone);
+  if (exact != null) return localDate(exact, timeZone);
+  const onDay = row.observed_on == null ? '' : String(row.observed_on).slice(0, 10);
+  if (DATE_ONLY.test(onDay)) return onDay;
+  if (typeof row.observed_at === 'string' && DATE_ONLY.test(row.observed_at)) return row.observed_at;
+  const at = parseInstant(row.observed_at, timeZone);
+  return at == null ? null : localDate(at, timeZone);
+}
+
+// Instant that orders observations (first of taxon): the exact time, else local midnight of
+// observed_on, else observed_at; null when the row has no date at all
+export function observationInstant(row, timeZone = 'UTC') {
+  for (const value of [row.time_observed_at, row.observed_on, row.observed_at]) {
+    const t = parseInstant(value, timeZone);
+    if (t != null) return t;
+  }
+  return null;
+}
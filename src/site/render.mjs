@@ -0,0 +1,226 @@
+// src/site/render.mjs
+// Static leaderboard site. siteModel() takes a scoring output (the scores.json that
+// scripts/score.mjs writes, or the same shape that scripts/build_site.mjs reads from the
+// leaderboard views) and renderSite() turns it into pages:
+//   index.html            the day's scoreboard, the trip leaderboard with adult footnotes, teams
+//   species.html          a gallery card per taxon: photo, who found it, first find
+//   students/<slug>.html  one student's observations with photos and their score breakdown
+// Every page inlines its CSS and has no scripts, so the folder opens from disk or any static
+// host. Photos are linked from iNaturalist, not copied. Pure.
+
+import { adultFootnotes } from '../scoring/leaderboard.mjs';
+import { formatPoints } from '../scoring/scorer.mjs';
+import { localDate } from '../scoring/time.mjs';
+
+const INAT_OBSERVATION_URL = 'https://www.inaturalist.org/observations/';
+
+const CSS = `
+  body { font-family: system-ui, sans-serif; margin: 0; color: #1d2a22; background: #f5f7f2; }
+  header { background: #2f5d3a; color: #fff; padding: 1rem 2rem; display: flex; gap: 2rem; align-items: baseline; flex-wrap: wrap; }
+  header h1 { margin: 0; font-size: 1.6rem; }
+  header a { color: #fff; }
+  main { padding: 1rem 2rem 3rem; max-width: 72rem; }
+  h2 { margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 1.25rem; background: #fff; }
+  th, td { padding: .45rem .75rem; text-align: left; border-bottom: 1px solid #dde3d8; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+  tr.top td { font-weight: 600; }
+  .note { color: #5b6b60; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(15rem, 1fr)); gap: 1rem; }
+  .card { background: #fff; border: 1px solid #dde3d8; border-radius: .5rem; overflow: hidden; }
+  .card img, .card .nophoto { width: 100%; aspect-ratio: 4 / 3; object-fit: cover; display: block; background: #e4e9df; }
+  .card .nophoto { display: flex; align-items: center; justify-content: center; color: #5b6b60; }
+  .card .body { padding: .6rem .8rem; }
+  .card h3 { margin: 0 0 .3rem; font-size: 1.05rem; }
+  .card ul { margin: .4rem 0 0; padding-left: 1.1rem; font-size: .9rem; }
+  .card li.miss { color: #8a968d; }
+  footer { padding: 1rem 2rem; color: #5b6b60; font-size: .85rem; }
+`;
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// "Ana María" -> "ana-maria"; taken slugs get -2, -3, ...
+export function slugify(name, taken = new Set()) {
+  const base = String(name ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'student';
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  taken.add(slug);
+  return slug;
+}
+
+const dayOf = (entry) => entry.observed_day ?? (entry.observed_at ? String(entry.observed_at).slice(0, 10) : null);
+const byName = (a, b) => (a ?? '\uffff').localeCompare(b ?? '\uffff');
+
+// What the pages show. The scoreboard is for `day` (default: today in the trip's timezone);
+// when nobody scored that day yet it shows the latest day that has points.
+export function siteModel(results, { now = Date.now(), day = null, timeZone = null } = {}) {
+  const zone = timeZone ?? results.filters?.timezone ?? 'UTC';
+  const today = day ?? localDate(now, zone);
+  const daily = results.leaderboard_daily ?? [];
+  const days = [...new Set(daily.map((r) => r.day).filter(Boolean))].sort().reverse();
+  const shownDay = days.includes(today) ? today : days[0] ?? null;
+
+  const taken = new Set();
+  const byLogin = new Map();
+  const students = (results.leaderboard ?? []).map((row) => {
+    const student = { ...row, slug: slugify(row.display_name, taken), observations: [] };
+    for (const login of String(row.user_login ?? '').split(',')) byLogin.set(login.toLowerCase(), student);
+    return student;
+  });
+  const entries = (results.observations ?? []).map((e) => ({ ...e, student: byLogin.get(String(e.user_login).toLowerCase()) ?? null }));
+  for (const e of entries) e.student?.observations.push(e);
+  for (const s of students) {
+    s.observations.sort((a, b) => String(b.observed_at ?? '').localeCompare(String(a.observed_at ?? '')) || b.inat_obs_id - a.inat_obs_id);
+  }
+
+  const species = new Map();
+  const chronological = entries.filter((e) => e.taxon_id != null)
+    .sort((a, b) => String(a.observed_at ?? '').localeCompare(String(b.observed_at ?? '')) || a.inat_obs_id - b.inat_obs_id);
+  for (const e of chronological) {
+    let s = species.get(e.taxon_id);
+    if (!s) {
+      s = { taxon_id: e.taxon_id, taxon_name: e.taxon_name ?? null, photo_url: null, count: 0, observers: [], first: e };
+      species.set(e.taxon_id, s);
+    }
+    s.count += 1;
+    s.photo_url ??= e.photo_url ?? null;
+    const who = e.student ?? { display_name: e.student_name ?? e.user_login, slug: null };
+    if (!s.observers.some((o) => o.display_name === who.display_name)) s.observers.push(who);
+  }
+
+  return {
+    title: results.trip?.name ?? 'BioBlitz',
+    rule_set: results.rule_set ?? null,
+    generated_at: new Date(now).toISOString(),
+    today,
+    day: shownDay,
+    scoreboard: daily.filter((r) => r.day === shownDay),
+    leaderboard: students,
+    team_aggregation: results.team_aggregation ?? null,
+    teams: results.teams ?? null,
+    species: [...species.values()].sort((a, b) => byName(a.taxon_name, b.taxon_name)),
+  };
+}
+
+// ------------------ Pages ------------------
+function page(model, heading, body, { root = '', refresh = null } = {}) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refresh ? `<meta http-equiv="refresh" content="${Number(refresh)}">\n` : ''}<title>${escapeHtml(heading)} · ${escapeHtml(model.title)}</title>
+<style>${CSS}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(model.title)}</h1><a href="${root}index.html">Leaderboard</a><a href="${root}species.html">Species</a></header>
+<main>
+${body}
+</main>
+<footer>Updated ${escapeHtml(model.generated_at.slice(0, 16).replace('T', ' '))} UTC${model.rule_set ? ` · scored with ${escapeHtml(model.rule_set)}` : ''}</footer>
+</body>
+</html>
+`;
+}
+
+// A daily row may list fewer of the student's logins than the trip row; any one identifies them
+function studentLink(model, row) {
+  const login = String(row.user_login ?? '').split(',')[0].toLowerCase();
+  const student = model.leaderboard.find((s) => String(s.user_login ?? '').toLowerCase().split(',').includes(login));
+  const name = escapeHtml(row.display_name);
+  return student ? `<a href="students/${student.slug}.html">${name}</a>` : name;
+}
+
+// Ranked students; adults are left out of the table and listed in footnotes
+function standingsTable(model, rows) {
+  const ranked = rows.filter((r) => !r.is_adult);
+  if (!ranked.length) return '<p class="note">No points yet.</p>';
+  const idents = rows.some((r) => r.ident_count);
+  const head = `<tr><th class="num">#</th><th>Name</th><th class="num">Points</th><th class="num">Observations</th><th class="num">Taxa</th>${idents ? '<th class="num">IDs</th>' : ''}</tr>`;
+  const body = ranked.map((r) => `<tr${r.rank === 1 ? ' class="top"' : ''}><td class="num">${r.rank ?? ''}</td><td>${studentLink(model, r)}</td>` +
+    `<td class="num">${Number(r.points)}</td><td class="num">${r.obs_count}</td><td class="num">${r.distinct_taxa}</td>` +
+    `${idents ? `<td class="num">${r.ident_count ?? 0}</td>` : ''}</tr>`).join('\n');
+  const notes = adultFootnotes(rows);
+  return `<table>\n${head}\n${body}\n</table>` +
+    (notes.length ? `\n<p class="note">${notes.map((n) => `* ${escapeHtml(n)}`).join('<br>')}</p>` : '');
+}
+
+function teamsTable(model) {
+  if (!model.teams?.length) return '';
+  const rows = model.teams.map((t) => `<tr><td class="num">${t.rank}</td><td>${escapeHtml(t.team)}</td><td class="num">${Number(t.score)}</td>` +
+    `<td class="num">${Number(t.points)}</td><td class="num">${t.members}</td><td class="num">${t.distinct_taxa}</td></tr>`).join('\n');
+  return `<h2>Teams</h2>
+<p class="note">Ranked by ${escapeHtml(model.team_aggregation ?? 'sum')}</p>
+<table>
+<tr><th class="num">#</th><th>Team</th><th class="num">Score</th><th class="num">Points</th><th class="num">Members</th><th class="num">Taxa</th></tr>
+${rows}
+</table>`;
+}
+
+function indexPage(model, options) {
+  const dayHeading = model.day == null ? 'Today' : model.day === model.today ? `Today (${model.day})` : `Latest day (${model.day})`;
+  const body = `<h2>${escapeHtml(dayHeading)}</h2>
+${standingsTable(model, model.scoreboard)}
+<h2>Trip leaderboard</h2>
+${standingsTable(model, model.leaderboard)}
+${teamsTable(model)}`;
+  return page(model, 'Leaderboard', body, options);
+}
+
+function photo(url, alt) {
+  return url ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" loading="lazy">` : '<div class="nophoto">no photo</div>';
+}
+
+function breakdownList(breakdown) {
+  const items = (breakdown ?? []).map((b) => (b.applied
+    ? `<li>${escapeHtml(b.label)} ${escapeHtml(formatPoints(b.points))}</li>`
+    : `<li class="miss">${escapeHtml(b.label)}: ${escapeHtml(b.reason ?? 'not applied')}</li>`));
+  return items.length ? `<ul>${items.join('')}</ul>` : '';
+}
+
+function studentPage(model, student, options) {
+  const rank = student.is_adult ? 'adult (not ranked)' : `#${student.rank}`;
+  const idents = student.ident_count ? ` · ${student.ident_count} identifications (${formatPoints(student.ident_points)} pts)` : '';
+  const cards = student.observations.map((e) => `<div class="card">
+<a href="${INAT_OBSERVATION_URL}${encodeURIComponent(e.inat_obs_id)}">${photo(e.photo_url, e.taxon_name ?? 'observation')}</a>
+<div class="body"><h3>${escapeHtml(e.taxon_name ?? 'Unidentified')}</h3>
+<div class="note">${escapeHtml(dayOf(e) ?? '')} · ${Number(e.points)} pts</div>
+${breakdownList(e.breakdown)}</div>
+</div>`).join('\n');
+  const body = `<h2>${escapeHtml(student.display_name)}</h2>
+<p>${escapeHtml(rank)} · ${Number(student.points)} pts · ${student.obs_count} observations · ${student.distinct_taxa} taxa${escapeHtml(idents)}</p>
+${cards ? `<div class="grid">\n${cards}\n</div>` : '<p class="note">No scored observations.</p>'}`;
+  return page(model, student.display_name, body, options);
+}
+
+function speciesPage(model, options) {
+  const cards = model.species.map((s) => {
+    const observers = s.observers.map((o) => (o.slug ? `<a href="students/${o.slug}.html">${escapeHtml(o.display_name)}</a>` : escapeHtml(o.display_name)));
+    const first = s.first.student?.display_name ?? s.first.student_name ?? s.first.user_login;
+    return `<div class="card">
+<a href="${INAT_OBSERVATION_URL}${encodeURIComponent(s.first.inat_obs_id)}">${photo(s.photo_url, s.taxon_name ?? 'taxon')}</a>
+<div class="body"><h3>${escapeHtml(s.taxon_name ?? `Taxon ${s.taxon_id}`)}</h3>
+<div class="note">${s.count} observation${s.count === 1 ? '' : 's'} · first by ${escapeHtml(first)}${dayOf(s.first) ? ` on ${escapeHtml(dayOf(s.first))}` : ''}</div>
+<div>${observers.join(', ')}</div></div>
+</div>`;
+  }).join('\n');
+  const body = `<h2>Species (${model.species.length})</h2>
+${cards ? `<div class="grid">\n${cards}\n</div>` : '<p class="note">Nothing identified yet.</p>'}`;
+  return page(model, 'Species', body, options);
+}
+
+// { 'index.html': html, 'species.html': html, 'students/<slug>.html': html, ... }.
+// refresh: seconds after which the browser reloads the page (for a projector)
+export function renderSite(model, { refresh = null } = {}) {
+  const pages = {
+    'index.html': indexPage(model, { refresh }),
+    'species.html': speciesPage(model, { refresh }),
+  };
+  for (const student of model.leaderboard) {
+    pages[`students/${student.slug}.html`] = studentPage(model, student, { root: '../', refresh });
+  }
+  return pages;
+}
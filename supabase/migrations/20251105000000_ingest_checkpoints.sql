@@ -0,0 +1,65 @@
+-- Migration: Ingest Checkpoints
+-- Purpose: Persist one resume point per ingest mode/scope so ingest.mjs continues
+--          where the last run stopped instead of re-scrolling from the newest ID
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. CHECKPOINT TABLE
+-- ============================================================================
+
+-- One row per scope. scope_key is built by ingest.mjs:
+--   USER:<login> | PROJECT:<slug> | TRIP:<bbox>|<d1>|<d2>
+create table if not exists public.ingest_checkpoints (
+  scope_key            text primary key,
+  mode                 text not null,
+  user_login           text,
+  project_slug         text,
+  bbox                 text,
+  d1                   date,
+  d2                   date,
+  -- In-progress pass: cursor of the last fully committed page and the filter it used
+  status               text not null default 'complete',
+  id_below             bigint,
+  pass_updated_since   timestamptz,
+  pass_max_updated_at  timestamptz,
+  pages_committed      integer not null default 0,
+  -- Watermark of the last completed pass (next run uses updated_since = this - overlap)
+  max_updated_at       timestamptz,
+  last_completed_at    timestamptz,
+  updated_at           timestamptz not null default now(),
+  constraint ingest_checkpoints_status_check check (status in ('running', 'complete'))
+);
+
+comment on table public.ingest_checkpoints is
+  'Per-scope ingest resume points. status=running + id_below means a pass was interrupted; max_updated_at is the watermark of the last completed pass.';
+
+-- ============================================================================
+-- 2. ROW LEVEL SECURITY (RLS)
+-- ============================================================================
+
+alter table public.ingest_checkpoints enable row level security;
+
+-- Policy: only the service role (ingest) reads or writes checkpoints
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'ingest_checkpoints'
+      and policyname = 'ingest_checkpoints_service_role_all'
+  ) then
+    create policy ingest_checkpoints_service_role_all
+      on public.ingest_checkpoints
+      for all
+      using (auth.role() = 'service_role');
+  end if;
+end $$;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop table if exists public.ingest_checkpoints;
+-- (ingest.mjs falls back to full scrolls when the table is missing)
+
+-- Verification query (run manually to confirm)
+-- select scope_key, status, id_below, max_updated_at, last_completed_at
+-- from public.ingest_checkpoints order by updated_at desc;
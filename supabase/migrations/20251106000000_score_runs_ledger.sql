@@ -0,0 +1,66 @@
+-- Migration: score_runs Ledger Columns
+-- Purpose: Let ingest.mjs open and close one public.score_runs row per execution
+--          (mode, scope, params, counts, duration, status, error text) so
+--          compute_scores_mvp() and the *_latest_v1 views always have a run to pick
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. LEDGER TABLE (created only on fresh projects; existing table is extended)
+-- ============================================================================
+
+create table if not exists public.score_runs (
+  id          uuid primary key default gen_random_uuid(),
+  started_at  timestamptz not null default now(),
+  ended_at    timestamptz
+);
+
+alter table public.score_runs add column if not exists mode            text;
+alter table public.score_runs add column if not exists scope_key       text;
+alter table public.score_runs add column if not exists params          jsonb not null default '{}'::jsonb;
+alter table public.score_runs add column if not exists status          text;
+alter table public.score_runs add column if not exists pages           integer;
+alter table public.score_runs add column if not exists fetched         integer;
+alter table public.score_runs add column if not exists upserted        integer;
+alter table public.score_runs add column if not exists skipped         integer;
+alter table public.score_runs add column if not exists ingested_count  integer;
+alter table public.score_runs add column if not exists duration_ms     bigint;
+alter table public.score_runs add column if not exists error_text      text;
+
+-- Ingest does not know about assignments; a NOT NULL here blocks every ledger insert
+do $$ begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'score_runs'
+      and column_name = 'assignment_id'
+      and is_nullable = 'NO'
+  ) then
+    alter table public.score_runs alter column assignment_id drop not null;
+  end if;
+end $$;
+
+-- Latest-run lookups (compute_scores_mvp, leaderboard_*_latest_v1) order by started_at
+create index if not exists score_runs_started_at_idx
+  on public.score_runs (started_at desc);
+
+create index if not exists score_runs_scope_started_idx
+  on public.score_runs (scope_key, started_at desc);
+
+comment on column public.score_runs.status is
+  'running while ingest is in progress, then ok or error (see error_text).';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop index if exists public.score_runs_scope_started_idx;
+-- drop index if exists public.score_runs_started_at_idx;
+-- alter table public.score_runs
+--   drop column if exists mode, drop column if exists scope_key, drop column if exists params,
+--   drop column if exists status, drop column if exists pages, drop column if exists fetched,
+--   drop column if exists upserted, drop column if exists skipped,
+--   drop column if exists ingested_count, drop column if exists duration_ms,
+--   drop column if exists error_text;
+
+-- Verification query (run manually to confirm)
+-- select id, mode, scope_key, status, pages, fetched, upserted, skipped, duration_ms, error_text
+-- from public.score_runs order by started_at desc limit 10;
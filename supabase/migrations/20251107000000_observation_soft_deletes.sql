@@ -0,0 +1,177 @@
+-- Migration: Observation Soft Deletes
+-- Purpose: Mark observations deleted on iNaturalist as inactive (ingest.mjs
+--          reconciliation pass) and keep them out of scoring and leaderboards
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. SOFT DELETE COLUMNS
+-- ============================================================================
+
+alter table public.observations add column if not exists is_active  boolean not null default true;
+alter table public.observations add column if not exists deleted_at timestamptz;
+
+-- Most queries want active rows only; keep the inactive minority cheap to find
+create index if not exists idx_observations_inactive
+  on public.observations (inat_obs_id)
+  where is_active = false;
+
+-- Reconciliation bookkeeping
+alter table public.ingest_checkpoints add column if not exists last_reconciled_at timestamptz;
+alter table public.score_runs add column if not exists deactivated integer;
+alter table public.score_runs add column if not exists reactivated integer;
+
+-- ============================================================================
+-- 2. SCORING RPC: skip inactive observations
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, swlat, swlng, nelat, nelng
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else latest from score_runs
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No score_runs row available. Supply p_run_id or ensure ingest writes ledger.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon
+    FROM public.observations o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.observed_at::date >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.observed_at::date <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation) for the latest run. Filters by active config_filters and skips soft-deleted observations. Idempotent (deletes & rebuilds per run).';
+
+-- ============================================================================
+-- 3. LEADERBOARDS: hide rows soft-deleted since the run was scored
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.leaderboard_overall_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  se.user_login,
+  COUNT(*)::bigint                    AS obs_count,
+  COUNT(DISTINCT se.taxon_id)::bigint AS distinct_taxa,
+  MIN(se.observed_at)                 AS first_observed_at,
+  MAX(se.observed_at)                 AS last_observed_at
+FROM public.score_entries_obs se
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND NOT EXISTS (
+    SELECT 1 FROM public.observations o
+    WHERE o.inat_obs_id = se.inat_obs_id
+      AND NOT o.is_active
+  )
+GROUP BY se.user_login;
+
+CREATE OR REPLACE VIEW public.leaderboard_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.user_login,
+    (se.observed_at AT TIME ZONE 'UTC')::date AS day_utc,
+    se.taxon_id
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+)
+SELECT
+  user_login,
+  day_utc,
+  COUNT(*)::bigint                 AS obs_count,
+  COUNT(DISTINCT taxon_id)::bigint AS distinct_taxa
+FROM scored
+GROUP BY user_login, day_utc;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply sql/mvp_item_2_score_entries_obs_FINAL.sql and sql/mvp_daily_leaderboard.sql
+-- (restores the previous function and views), then:
+-- drop index if exists public.idx_observations_inactive;
+-- alter table public.observations drop column if exists deleted_at, drop column if exists is_active;
+-- alter table public.ingest_checkpoints drop column if exists last_reconciled_at;
+-- alter table public.score_runs drop column if exists deactivated, drop column if exists reactivated;
+
+-- Verification queries (run manually to confirm)
+-- select is_active, count(*) from public.observations group by 1;
+-- select inat_obs_id, user_login, deleted_at from public.observations
+-- where not is_active order by deleted_at desc limit 20;
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY public.leaderboard_overall_mv;
+-- REFRESH MATERIALIZED VIEW CONCURRENTLY public.leaderboard_daily_mv;
@@ -0,0 +1,25 @@
+-- Migration: score_runs Per-User Details
+-- Purpose: Store the per-user summary of USERS/MEMBERS ingest runs
+--          (login, status, fetched count, error) on the ledger row
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. DETAILS COLUMN
+-- ============================================================================
+
+alter table public.score_runs add column if not exists details jsonb;
+
+comment on column public.score_runs.details is
+  'Run-specific detail. USERS/MEMBERS runs: {"users": [{"login", "status", "fetched", "error"}]}.';
+
+comment on column public.score_runs.status is
+  'running while ingest is in progress, then ok, partial (some users failed; see details) or error (see error_text).';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- alter table public.score_runs drop column if exists details;
+
+-- Verification query (run manually to confirm)
+-- select id, mode, status, jsonb_array_length(details->'users') as users
+-- from public.score_runs where mode = 'MEMBERS' order by started_at desc limit 5;
@@ -0,0 +1,242 @@
+-- Migration: Versioned Scoring Rule Sets
+-- Purpose: Store every scoring rule set (rules/*.json) the JS scorer has used, record
+--          on each score_runs row which rule set version scored it, and let the scorer
+--          replace a run's score_entries_obs rows in one transaction
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. RULE SET HISTORY
+-- ============================================================================
+
+-- One row per (id, version). definition is the exact JSON the scorer evaluated;
+-- hash is sha256 of its key-sorted JSON, so an edit without a version bump is detectable.
+create table if not exists public.scoring_rule_sets (
+  id          text not null,
+  version     integer not null,
+  hash        text not null,
+  definition  jsonb not null,
+  created_at  timestamptz not null default now(),
+  primary key (id, version)
+);
+
+comment on table public.scoring_rule_sets is
+  'Scoring rule sets used by scripts/compute_scores.mjs. Immutable per (id, version); re-scoring a run with the same version yields identical points.';
+
+alter table public.scoring_rule_sets enable row level security;
+
+-- Policy: rule sets are public configuration; only the service role writes them
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'scoring_rule_sets'
+      and policyname = 'scoring_rule_sets_read_all'
+  ) then
+    create policy scoring_rule_sets_read_all
+      on public.scoring_rule_sets
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'scoring_rule_sets'
+      and policyname = 'scoring_rule_sets_service_role_all'
+  ) then
+    create policy scoring_rule_sets_service_role_all
+      on public.scoring_rule_sets
+      for all
+      using (auth.role() = 'service_role');
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. RUN → RULE SET
+-- ============================================================================
+
+alter table public.score_runs add column if not exists rule_set_id      text;
+alter table public.score_runs add column if not exists rule_set_version integer;
+alter table public.score_runs add column if not exists rule_set_hash    text;
+alter table public.score_runs add column if not exists scored_at        timestamptz;
+
+-- ============================================================================
+-- 3. SQL RPC records the rule set it hard-codes (rules/default.v1.json)
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, swlat, swlng, nelat, nelng
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else latest from score_runs
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No score_runs row available. Supply p_run_id or ensure ingest writes ledger.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon
+    FROM public.observations o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.observed_at::date >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.observed_at::date <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+
+  -- The points above are rules/default.v1.json expressed in SQL
+  UPDATE public.score_runs
+     SET rule_set_id = 'default',
+         rule_set_version = 1,
+         rule_set_hash = NULL,
+         scored_at = now()
+   WHERE id = v_run;
+
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation) for the latest run using the built-in default@1 rules. Filters by active config_filters and skips soft-deleted observations. Idempotent (deletes & rebuilds per run). For other rule sets use scripts/compute_scores.mjs.';
+
+-- ============================================================================
+-- 4. ATOMIC REPLACE for scripts/compute_scores.mjs
+-- ============================================================================
+
+-- Deleting a run's rows and inserting them again in batches, one request each, shows
+-- readers a partial or empty board meanwhile, and a failure halfway leaves the run
+-- half-written with its old scored_at. This swaps the rows and stamps score_runs in one
+-- transaction instead. p_entries: the rows scoreObservations() returns; the columns
+-- inserted are their keys, so entries can gain columns without changing this function.
+-- p_run: the score_runs columns to set alongside scored_at.
+create or replace function public.replace_score_entries_v1(
+  p_run_id uuid,
+  p_entries jsonb,
+  p_run jsonb
+)
+returns integer
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_columns text;
+  v_scored integer := 0;
+begin
+  -- Locks the run, so two scorings of it apply one after the other
+  perform 1 from public.score_runs where id = p_run_id for update;
+  if not found then
+    raise exception 'score_runs row % not found', p_run_id;
+  end if;
+
+  delete from public.score_entries_obs where run_id = p_run_id;
+
+  select string_agg(quote_ident(k), ', ' order by k)
+    into v_columns
+  from (
+    select distinct jsonb_object_keys(e) as k
+    from jsonb_array_elements(coalesce(p_entries, '[]'::jsonb)) e
+  ) keys
+  where k <> 'run_id';
+
+  if v_columns is not null then
+    execute format(
+      'insert into public.score_entries_obs (run_id, %1$s) '
+      'select $1, %1$s from jsonb_populate_recordset(null::public.score_entries_obs, $2)',
+      v_columns
+    ) using p_run_id, p_entries;
+    get diagnostics v_scored = row_count;
+  end if;
+
+  select string_agg(quote_ident(k), ', ' order by k)
+    into v_columns
+  from jsonb_object_keys(coalesce(p_run, '{}'::jsonb)) k
+  where k not in ('id', 'scored_at');
+
+  execute format(
+    'update public.score_runs set scored_at = now()%s where id = $1',
+    case when v_columns is null then ''
+         else format(', (%1$s) = (select %1$s from jsonb_populate_record(null::public.score_runs, $2))', v_columns)
+    end
+  ) using p_run_id, p_run;
+
+  return v_scored;
+end $$;
+
+comment on function public.replace_score_entries_v1(uuid, jsonb, jsonb) is
+  'Replaces a run''s score_entries_obs rows and stamps score_runs (rule set, scored_at) in one transaction. Used by scripts/compute_scores.mjs.';
+
+-- Writes every run's scores: the service role (compute_scores.mjs) only
+revoke execute on function public.replace_score_entries_v1(uuid, jsonb, jsonb) from public, anon, authenticated;
+grant execute on function public.replace_score_entries_v1(uuid, jsonb, jsonb) to service_role;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop function if exists public.replace_score_entries_v1(uuid, jsonb, jsonb);
+-- Re-apply supabase/migrations/20251107000000_observation_soft_deletes.sql (function), then:
+-- alter table public.score_runs
+--   drop column if exists rule_set_id, drop column if exists rule_set_version,
+--   drop column if exists rule_set_hash, drop column if exists scored_at;
+-- drop table if exists public.scoring_rule_sets;
+
+-- Verification queries (run manually to confirm)
+-- select id, version, hash, created_at from public.scoring_rule_sets order by id, version;
+-- select id, started_at, rule_set_id, rule_set_version, scored_at
+-- from public.score_runs order by started_at desc limit 5;
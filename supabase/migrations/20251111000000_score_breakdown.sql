@@ -0,0 +1,189 @@
+-- Migration: Per-Observation Score Breakdown
+-- Purpose: Keep, for every scored observation, the rules that awarded points and the
+--          rules that were considered but did not apply (with the reason), plus the
+--          config_filters a run was scored with, so "why did I get N points?" is answerable
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. BREAKDOWN + FILTER SNAPSHOT
+-- ============================================================================
+
+-- JSON array, one item per rule:
+--   {"rule": "research_grade", "label": "research grade", "points": 1, "applied": true}
+--   {"rule": "research_grade", "label": "research grade", "points": 0, "applied": false,
+--    "reason": "quality_grade is needs_id (needs research)"}
+alter table public.score_entries_obs add column if not exists breakdown jsonb;
+
+-- config_filters as they were when the run was scored (d1, d2, swlat, swlng, nelat, nelng)
+alter table public.score_runs add column if not exists score_filters jsonb;
+
+-- ============================================================================
+-- 2. SQL RPC writes the same breakdown as rules/default.v1.json in the JS scorer
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, swlat, swlng, nelat, nelng
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else latest from score_runs
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No score_runs row available. Supply p_run_id or ensure ingest writes ledger.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon,
+      FIRST_VALUE(o.inat_obs_id) OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS first_taxon_obs_id
+    FROM public.observations o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.observed_at::date >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.observed_at::date <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at,
+      jsonb_build_array(
+        jsonb_build_object('rule', 'base', 'label', 'base', 'points', 1, 'applied', true),
+        CASE WHEN o.quality_grade = 'research'
+          THEN jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 0, 'applied', false,
+                                  'reason', format('quality_grade is %s (needs research)',
+                                                   COALESCE(o.quality_grade, 'empty')))
+        END,
+        CASE WHEN o.rn_first_taxon = 1
+          THEN jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 0, 'applied', false,
+                                  'reason', format('you observed %s earlier (#%s)',
+                                                   COALESCE(o.taxon_name, 'this taxon'), o.first_taxon_obs_id))
+        END
+      )                         AS breakdown
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at, breakdown)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id,
+    breakdown   = EXCLUDED.breakdown;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+
+  -- The points above are rules/default.v1.json expressed in SQL
+  UPDATE public.score_runs
+     SET rule_set_id = 'default',
+         rule_set_version = 1,
+         rule_set_hash = NULL,
+         scored_at = now(),
+         score_filters = jsonb_build_object(
+           'd1', cfg.d1, 'd2', cfg.d2,
+           'swlat', cfg.swlat, 'swlng', cfg.swlng, 'nelat', cfg.nelat, 'nelng', cfg.nelng)
+   WHERE id = v_run;
+
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation, with rule breakdown) for the latest run using the built-in default@1 rules. Filters by active config_filters and skips soft-deleted observations. Idempotent (deletes & rebuilds per run). For other rule sets use scripts/compute_scores.mjs.';
+
+-- ============================================================================
+-- 3. QUERYABLE BREAKDOWN (latest run, one row per rule per observation)
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.score_breakdown_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  se.run_id,
+  se.user_login,
+  se.inat_obs_id,
+  o.taxon_name,
+  se.observed_at,
+  se.points                         AS obs_points,
+  item.ord::integer                 AS item_order,
+  item.value->>'rule'               AS rule_id,
+  item.value->>'label'              AS label,
+  (item.value->>'points')::numeric  AS points,
+  (item.value->>'applied')::boolean AS applied,
+  item.value->>'reason'             AS reason
+FROM public.score_entries_obs se
+LEFT JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+CROSS JOIN LATERAL jsonb_array_elements(COALESCE(se.breakdown, '[]'::jsonb))
+  WITH ORDINALITY AS item(value, ord)
+WHERE se.run_id = (SELECT id FROM latest_run);
+
+COMMENT ON VIEW public.score_breakdown_latest_v1 IS
+  'Per-rule score breakdown for the latest run. Filter by user_login for a student''s explanation; scripts/score_breakdown.mjs prints it and also lists observations the trip filters excluded.';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.score_breakdown_latest_v1;
+-- Re-apply supabase/migrations/20251110000000_scoring_rule_sets.sql (function), then:
+-- alter table public.score_entries_obs drop column if exists breakdown;
+-- alter table public.score_runs drop column if exists score_filters;
+
+-- Verification queries (run manually to confirm)
+-- select inat_obs_id, taxon_name, label, points, applied, reason
+-- from public.score_breakdown_latest_v1 where user_login = '<login>'
+-- order by observed_at, inat_obs_id, item_order;
+-- select id, rule_set_id, rule_set_version, score_filters from public.score_runs
+-- order by started_at desc limit 5;
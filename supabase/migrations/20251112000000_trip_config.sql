@@ -0,0 +1,217 @@
+-- Migration: Trip Configuration (trips.json)
+-- Purpose: Make trips.json the one definition of a trip. scripts/trips.mjs sync writes every
+--          trip to spider_trip_windows_v1 and the active trip to config_filters, so the SQL
+--          scorer and the leaderboard views read the same window and areas as ingest and the
+--          JS scorer
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. TRIPS
+-- ============================================================================
+
+create table if not exists public.spider_trip_windows_v1 (
+  trip_key   text primary key,
+  start_date date not null,
+  end_date   date not null
+);
+
+alter table public.spider_trip_windows_v1 add column if not exists name         text;
+alter table public.spider_trip_windows_v1 add column if not exists timezone     text;
+-- [{ "west": -84.05, "south": 10.40, "east": -83.48, "north": 10.62 }, ...]
+alter table public.spider_trip_windows_v1 add column if not exists bboxes       jsonb;
+alter table public.spider_trip_windows_v1 add column if not exists project_slug text;
+alter table public.spider_trip_windows_v1 add column if not exists rules        text;
+alter table public.spider_trip_windows_v1 add column if not exists is_active    boolean not null default false;
+alter table public.spider_trip_windows_v1 add column if not exists updated_at   timestamptz not null default now();
+
+-- At most one active trip; leaderboard_trip_v1 and config_filters follow it
+create unique index if not exists spider_trip_windows_v1_one_active
+  on public.spider_trip_windows_v1 (is_active) where is_active;
+
+comment on table public.spider_trip_windows_v1 is
+  'Trips from trips.json (written by scripts/trips.mjs sync; do not edit by hand). is_active marks the trip the leaderboards show.';
+
+alter table public.spider_trip_windows_v1 enable row level security;
+
+-- Policy: trip windows are public configuration; only the service role writes them
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'spider_trip_windows_v1'
+      and policyname = 'spider_trip_windows_v1_read_all'
+  ) then
+    create policy spider_trip_windows_v1_read_all
+      on public.spider_trip_windows_v1
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'spider_trip_windows_v1'
+      and policyname = 'spider_trip_windows_v1_service_role_all'
+  ) then
+    create policy spider_trip_windows_v1_service_role_all
+      on public.spider_trip_windows_v1
+      for all
+      using (auth.role() = 'service_role');
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. ACTIVE FILTERS CARRY THE TRIP
+-- ============================================================================
+
+-- swlat..nelng stay the enclosing box; bboxes are the trip's actual areas
+alter table public.config_filters add column if not exists trip_key text;
+alter table public.config_filters add column if not exists bboxes   jsonb;
+
+-- ============================================================================
+-- 3. SQL RPC honours per-trip bboxes
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, swlat, swlng, nelat, nelng, trip_key, bboxes
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else latest from score_runs
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No score_runs row available. Supply p_run_id or ensure ingest writes ledger.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon,
+      FIRST_VALUE(o.inat_obs_id) OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS first_taxon_obs_id
+    FROM public.observations o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.observed_at::date >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.observed_at::date <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+      -- trips.json areas: inside at least one of the trip's boxes
+      AND (cfg.bboxes IS NULL OR jsonb_array_length(cfg.bboxes) = 0 OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(cfg.bboxes) AS b(box)
+            WHERE o.longitude BETWEEN (b.box->>'west')::float8 AND (b.box->>'east')::float8
+              AND o.latitude  BETWEEN (b.box->>'south')::float8 AND (b.box->>'north')::float8))
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at,
+      jsonb_build_array(
+        jsonb_build_object('rule', 'base', 'label', 'base', 'points', 1, 'applied', true),
+        CASE WHEN o.quality_grade = 'research'
+          THEN jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 0, 'applied', false,
+                                  'reason', format('quality_grade is %s (needs research)',
+                                                   COALESCE(o.quality_grade, 'empty')))
+        END,
+        CASE WHEN o.rn_first_taxon = 1
+          THEN jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 0, 'applied', false,
+                                  'reason', format('you observed %s earlier (#%s)',
+                                                   COALESCE(o.taxon_name, 'this taxon'), o.first_taxon_obs_id))
+        END
+      )                         AS breakdown
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at, breakdown)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id,
+    breakdown   = EXCLUDED.breakdown;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+
+  -- The points above are rules/default.v1.json expressed in SQL
+  UPDATE public.score_runs
+     SET rule_set_id = 'default',
+         rule_set_version = 1,
+         rule_set_hash = NULL,
+         scored_at = now(),
+         score_filters = jsonb_build_object(
+           'd1', cfg.d1, 'd2', cfg.d2,
+           'swlat', cfg.swlat, 'swlng', cfg.swlng, 'nelat', cfg.nelat, 'nelng', cfg.nelng,
+           'trip_key', cfg.trip_key, 'bboxes', cfg.bboxes)
+   WHERE id = v_run;
+
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation, with rule breakdown) for the latest run using the built-in default@1 rules. Filters by active config_filters (including per-trip bboxes) and skips soft-deleted observations. Idempotent (deletes & rebuilds per run). For other rule sets use scripts/compute_scores.mjs.';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply supabase/migrations/20251111000000_score_breakdown.sql (function), then:
+-- alter table public.config_filters drop column if exists bboxes;
+-- alter table public.config_filters drop column if exists trip_key;
+-- drop index if exists public.spider_trip_windows_v1_one_active;
+-- alter table public.spider_trip_windows_v1
+--   drop column if exists name, drop column if exists timezone, drop column if exists bboxes,
+--   drop column if exists project_slug, drop column if exists rules,
+--   drop column if exists is_active, drop column if exists updated_at;
+
+-- Verification queries (run manually to confirm)
+-- select trip_key, start_date, end_date, timezone, is_active from public.spider_trip_windows_v1;
+-- select trip_key, d1, d2, bboxes from public.config_filters where id is true;
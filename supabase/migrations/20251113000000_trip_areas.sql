@@ -0,0 +1,273 @@
+-- Migration: Trip Areas (polygons, iNat places, location policy)
+-- Purpose: Let a trip's study area be GeoJSON polygons or iNat places instead of rectangles
+--          only, and decide which coordinates count (obscured, positional accuracy).
+--          compute_scores_mvp tests points exactly with point_in_area(), the same even-odd
+--          ray casting as src/scoring/geo.mjs
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. TRIP AREA COLUMNS
+-- ============================================================================
+
+-- GeoJSON MultiPolygon ({ "type": "MultiPolygon", "coordinates": [...] }, [longitude, latitude])
+alter table public.spider_trip_windows_v1 add column if not exists area            jsonb;
+alter table public.spider_trip_windows_v1 add column if not exists place_ids       integer[];
+-- { "obscured": "include" | "exclude", "max_accuracy_m": 1000 | null }
+alter table public.spider_trip_windows_v1 add column if not exists location_policy jsonb;
+
+alter table public.config_filters add column if not exists area           jsonb;
+alter table public.config_filters add column if not exists place_ids      integer[];
+alter table public.config_filters add column if not exists obscured       text;
+alter table public.config_filters add column if not exists max_accuracy_m numeric;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'config_filters_obscured_check'
+  ) then
+    alter table public.config_filters
+      add constraint config_filters_obscured_check
+      check (obscured is null or obscured in ('include', 'exclude'));
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. GEOMETRY HELPERS
+-- ============================================================================
+
+-- Point in a GeoJSON MultiPolygon: inside some polygon's outer ring and none of its holes.
+-- Even-odd ray casting; points exactly on an edge may fall either way. NULLs are outside.
+CREATE OR REPLACE FUNCTION public.point_in_area(p_lng float8, p_lat float8, p_area jsonb)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_polygon jsonb;
+  v_ring jsonb;
+  v_ring_no integer;
+  v_inside boolean;
+  v_in_ring boolean;
+  v_n integer;
+  v_j integer;
+  xi float8; yi float8; xj float8; yj float8;
+BEGIN
+  IF p_lng IS NULL OR p_lat IS NULL OR p_area IS NULL THEN
+    RETURN false;
+  END IF;
+
+  FOR v_polygon IN SELECT value FROM jsonb_array_elements(p_area->'coordinates') LOOP
+    v_ring_no := 0;
+    v_inside := false;
+    FOR v_ring IN SELECT value FROM jsonb_array_elements(v_polygon) LOOP
+      v_n := jsonb_array_length(v_ring);
+      v_in_ring := false;
+      v_j := v_n - 1;
+      FOR i IN 0 .. v_n - 1 LOOP
+        xi := (v_ring->i->>0)::float8;  yi := (v_ring->i->>1)::float8;
+        xj := (v_ring->v_j->>0)::float8; yj := (v_ring->v_j->>1)::float8;
+        IF (yi > p_lat) <> (yj > p_lat)
+           AND p_lng < (xj - xi) * (p_lat - yi) / (yj - yi) + xi THEN
+          v_in_ring := NOT v_in_ring;
+        END IF;
+        v_j := i;
+      END LOOP;
+
+      IF v_ring_no = 0 THEN
+        v_inside := v_in_ring;          -- outer ring
+      ELSIF v_in_ring THEN
+        v_inside := false;              -- inside a hole
+      END IF;
+      EXIT WHEN NOT v_inside;
+      v_ring_no := v_ring_no + 1;
+    END LOOP;
+
+    IF v_inside THEN
+      RETURN true;
+    END IF;
+  END LOOP;
+  RETURN false;
+END$$;
+
+COMMENT ON FUNCTION public.point_in_area IS
+  'True when (lng, lat) is inside a GeoJSON MultiPolygon (holes excluded). Same algorithm as src/scoring/geo.mjs pointInArea.';
+
+-- iNat hid the true location (observer or taxon geoprivacy); raw_json is the API record
+CREATE OR REPLACE FUNCTION public.observation_is_obscured(p_raw jsonb)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE((p_raw->>'obscured')::boolean, false)
+      OR COALESCE(p_raw->>'geoprivacy', '') IN ('obscured', 'private')
+      OR COALESCE(p_raw->>'taxon_geoprivacy', '') IN ('obscured', 'private')
+$$;
+
+-- ============================================================================
+-- 3. SQL RPC honours trip polygons, places and the location policy
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, swlat, swlng, nelat, nelng, trip_key, bboxes, area, place_ids,
+         obscured, max_accuracy_m
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else latest from score_runs
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No score_runs row available. Supply p_run_id or ensure ingest writes ledger.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon,
+      FIRST_VALUE(o.inat_obs_id) OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.observed_at NULLS LAST, o.created_at NULLS LAST
+      ) AS first_taxon_obs_id
+    FROM public.observations o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.observed_at::date >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.observed_at::date <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+      -- trips.json areas: inside one of the trip's boxes or polygons, or in one of its iNat places
+      AND ((COALESCE(jsonb_array_length(cfg.bboxes), 0) = 0
+            AND cfg.area IS NULL
+            AND COALESCE(cardinality(cfg.place_ids), 0) = 0)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(COALESCE(cfg.bboxes, '[]'::jsonb)) AS b(box)
+            WHERE o.longitude BETWEEN (b.box->>'west')::float8 AND (b.box->>'east')::float8
+              AND o.latitude  BETWEEN (b.box->>'south')::float8 AND (b.box->>'north')::float8)
+        OR public.point_in_area(o.longitude, o.latitude, cfg.area)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(
+                   CASE WHEN jsonb_typeof(o.raw_json->'place_ids') = 'array'
+                        THEN o.raw_json->'place_ids' ELSE '[]'::jsonb END) AS p(place_id)
+            WHERE p.place_id::integer = ANY (cfg.place_ids)))
+      -- location policy
+      AND (cfg.obscured IS DISTINCT FROM 'exclude' OR NOT public.observation_is_obscured(o.raw_json))
+      AND (cfg.max_accuracy_m IS NULL
+        OR COALESCE((o.raw_json->>'public_positional_accuracy')::numeric,
+                    (o.raw_json->>'positional_accuracy')::numeric) IS NULL
+        OR COALESCE((o.raw_json->>'public_positional_accuracy')::numeric,
+                    (o.raw_json->>'positional_accuracy')::numeric) <= cfg.max_accuracy_m)
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at,
+      jsonb_build_array(
+        jsonb_build_object('rule', 'base', 'label', 'base', 'points', 1, 'applied', true),
+        CASE WHEN o.quality_grade = 'research'
+          THEN jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 0, 'applied', false,
+                                  'reason', format('quality_grade is %s (needs research)',
+                                                   COALESCE(o.quality_grade, 'empty')))
+        END,
+        CASE WHEN o.rn_first_taxon = 1
+          THEN jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 0, 'applied', false,
+                                  'reason', format('you observed %s earlier (#%s)',
+                                                   COALESCE(o.taxon_name, 'this taxon'), o.first_taxon_obs_id))
+        END
+      )                         AS breakdown
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at, breakdown)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id,
+    breakdown   = EXCLUDED.breakdown;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+
+  -- The points above are rules/default.v1.json expressed in SQL
+  UPDATE public.score_runs
+     SET rule_set_id = 'default',
+         rule_set_version = 1,
+         rule_set_hash = NULL,
+         scored_at = now(),
+         score_filters = jsonb_build_object(
+           'd1', cfg.d1, 'd2', cfg.d2,
+           'swlat', cfg.swlat, 'swlng', cfg.swlng, 'nelat', cfg.nelat, 'nelng', cfg.nelng,
+           'trip_key', cfg.trip_key, 'bboxes', cfg.bboxes, 'area', cfg.area,
+           'place_ids', to_jsonb(cfg.place_ids), 'obscured', cfg.obscured,
+           'max_accuracy_m', cfg.max_accuracy_m)
+   WHERE id = v_run;
+
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation, with rule breakdown) for the latest run using the built-in default@1 rules. Filters by active config_filters (including per-trip bboxes, polygons, places and location policy) and skips soft-deleted observations. Idempotent (deletes & rebuilds per run). For other rule sets use scripts/compute_scores.mjs.';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply supabase/migrations/20251112000000_trip_config.sql (function), then:
+-- drop function if exists public.observation_is_obscured(jsonb);
+-- drop function if exists public.point_in_area(float8, float8, jsonb);
+-- alter table public.config_filters drop constraint if exists config_filters_obscured_check;
+-- alter table public.config_filters
+--   drop column if exists area, drop column if exists place_ids,
+--   drop column if exists obscured, drop column if exists max_accuracy_m;
+-- alter table public.spider_trip_windows_v1
+--   drop column if exists area, drop column if exists place_ids, drop column if exists location_policy;
+
+-- Verification queries (run manually to confirm)
+-- select public.point_in_area(-84.0, 10.43,
+--   '{"type":"MultiPolygon","coordinates":[[[[-84.05,10.40],[-83.95,10.40],[-83.95,10.47],[-84.05,10.47],[-84.05,10.40]]]]}');  -- true
+-- select trip_key, place_ids, location_policy, jsonb_array_length(area->'coordinates') as polygons
+--   from public.spider_trip_windows_v1;
+-- select trip_key, obscured, max_accuracy_m, place_ids from public.config_filters where id is true;
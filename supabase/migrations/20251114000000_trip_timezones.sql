@@ -0,0 +1,276 @@
+-- Migration: Trip Timezones
+-- Purpose: Evaluate trip days in the trip's IANA timezone instead of UTC. In Costa Rica
+--          (UTC-6) an observation at 7 pm was landing on the next day's scoreboard. The d1/d2
+--          window, the daily buckets and the "first of taxon" order now use local trip time,
+--          with observed_on standing in when iNat has no exact time. Same rules as
+--          src/scoring/time.mjs
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- IANA zone of the active trip (scripts/trips.mjs sync copies it from trips.json); NULL = UTC
+alter table public.config_filters add column if not exists timezone text;
+
+-- Trip-local calendar day of each scored observation, fixed when the run is scored
+alter table public.score_entries_obs add column if not exists observed_day date;
+
+-- ============================================================================
+-- 2. LOCAL TIME HELPERS
+-- ============================================================================
+
+-- Trip-local day: the exact time in the trip zone, else the observer's observed_on, else
+-- observed_at in the trip zone
+CREATE OR REPLACE FUNCTION public.observation_local_day(
+  p_time_observed_at timestamptz,
+  p_observed_on date,
+  p_observed_at timestamptz,
+  p_tz text
+)
+RETURNS date
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(
+    (p_time_observed_at AT TIME ZONE COALESCE(p_tz, 'UTC'))::date,
+    p_observed_on,
+    (p_observed_at AT TIME ZONE COALESCE(p_tz, 'UTC'))::date)
+$$;
+
+-- Ordering instant: the exact time, else local midnight of observed_on in the trip zone,
+-- else observed_at
+CREATE OR REPLACE FUNCTION public.observation_local_instant(
+  p_time_observed_at timestamptz,
+  p_observed_on date,
+  p_observed_at timestamptz,
+  p_tz text
+)
+RETURNS timestamptz
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(
+    p_time_observed_at,
+    p_observed_on::timestamp AT TIME ZONE COALESCE(p_tz, 'UTC'),
+    p_observed_at)
+$$;
+
+-- ============================================================================
+-- 3. SQL RPC scores in trip-local time
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, timezone, swlat, swlng, nelat, nelng, trip_key, bboxes, area, place_ids,
+         obscured, max_accuracy_m
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else latest from score_runs
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No score_runs row available. Supply p_run_id or ensure ingest writes ledger.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH timed AS (
+    -- Days and first-of-taxon order in the trip's zone (src/scoring/time.mjs)
+    SELECT
+      o.*,
+      public.observation_local_day(o.time_observed_at::timestamptz, o.observed_on::date,
+                                   o.observed_at::timestamptz, cfg.timezone) AS local_day,
+      public.observation_local_instant(o.time_observed_at::timestamptz, o.observed_on::date,
+                                       o.observed_at::timestamptz, cfg.timezone) AS local_at
+    FROM public.observations o
+  ),
+  obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.local_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon,
+      FIRST_VALUE(o.inat_obs_id) OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.local_at NULLS LAST, o.created_at NULLS LAST
+      ) AS first_taxon_obs_id
+    FROM timed o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.local_day >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.local_day <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+      -- trips.json areas: inside one of the trip's boxes or polygons, or in one of its iNat places
+      AND ((COALESCE(jsonb_array_length(cfg.bboxes), 0) = 0
+            AND cfg.area IS NULL
+            AND COALESCE(cardinality(cfg.place_ids), 0) = 0)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(COALESCE(cfg.bboxes, '[]'::jsonb)) AS b(box)
+            WHERE o.longitude BETWEEN (b.box->>'west')::float8 AND (b.box->>'east')::float8
+              AND o.latitude  BETWEEN (b.box->>'south')::float8 AND (b.box->>'north')::float8)
+        OR public.point_in_area(o.longitude, o.latitude, cfg.area)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(
+                   CASE WHEN jsonb_typeof(o.raw_json->'place_ids') = 'array'
+                        THEN o.raw_json->'place_ids' ELSE '[]'::jsonb END) AS p(place_id)
+            WHERE p.place_id::integer = ANY (cfg.place_ids)))
+      -- location policy
+      AND (cfg.obscured IS DISTINCT FROM 'exclude' OR NOT public.observation_is_obscured(o.raw_json))
+      AND (cfg.max_accuracy_m IS NULL
+        OR COALESCE((o.raw_json->>'public_positional_accuracy')::numeric,
+                    (o.raw_json->>'positional_accuracy')::numeric) IS NULL
+        OR COALESCE((o.raw_json->>'public_positional_accuracy')::numeric,
+                    (o.raw_json->>'positional_accuracy')::numeric) <= cfg.max_accuracy_m)
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at,
+      o.local_day               AS observed_day,
+      jsonb_build_array(
+        jsonb_build_object('rule', 'base', 'label', 'base', 'points', 1, 'applied', true),
+        CASE WHEN o.quality_grade = 'research'
+          THEN jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 0, 'applied', false,
+                                  'reason', format('quality_grade is %s (needs research)',
+                                                   COALESCE(o.quality_grade, 'empty')))
+        END,
+        CASE WHEN o.rn_first_taxon = 1
+          THEN jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 0, 'applied', false,
+                                  'reason', format('you observed %s earlier (#%s)',
+                                                   COALESCE(o.taxon_name, 'this taxon'), o.first_taxon_obs_id))
+        END
+      )                         AS breakdown
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at, observed_day, breakdown)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    observed_day = EXCLUDED.observed_day,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id,
+    breakdown   = EXCLUDED.breakdown;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+
+  -- The points above are rules/default.v1.json expressed in SQL
+  UPDATE public.score_runs
+     SET rule_set_id = 'default',
+         rule_set_version = 1,
+         rule_set_hash = NULL,
+         scored_at = now(),
+         score_filters = jsonb_build_object(
+           'd1', cfg.d1, 'd2', cfg.d2, 'timezone', cfg.timezone,
+           'swlat', cfg.swlat, 'swlng', cfg.swlng, 'nelat', cfg.nelat, 'nelng', cfg.nelng,
+           'trip_key', cfg.trip_key, 'bboxes', cfg.bboxes, 'area', cfg.area,
+           'place_ids', to_jsonb(cfg.place_ids), 'obscured', cfg.obscured,
+           'max_accuracy_m', cfg.max_accuracy_m)
+   WHERE id = v_run;
+
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation, with rule breakdown) for the latest run using the built-in default@1 rules. Filters by active config_filters (including per-trip bboxes, polygons, places, location policy and the trip timezone for d1/d2, days and first-of-taxon order) and skips soft-deleted observations. Idempotent (deletes & rebuilds per run). For other rule sets use scripts/compute_scores.mjs.';
+
+-- ============================================================================
+-- 4. DAILY LEADERBOARD IN TRIP-LOCAL DAYS
+-- ============================================================================
+
+-- v1 keeps its day_utc column for existing readers; v2 buckets by observed_day. Runs
+-- scored before this migration have no observed_day and fall back to the UTC date.
+CREATE OR REPLACE VIEW public.leaderboard_daily_latest_v2 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.user_login,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    se.taxon_id,
+    se.points
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+)
+SELECT
+  user_login,
+  day,
+  SUM(points)                      AS points,
+  COUNT(*)::bigint                 AS obs_count,
+  COUNT(DISTINCT taxon_id)::bigint AS distinct_taxa
+FROM scored
+GROUP BY user_login, day;
+
+COMMENT ON VIEW public.leaderboard_daily_latest_v2 IS
+  'Per user per trip-local day (config_filters.timezone at scoring time) for the latest run. Supersedes leaderboard_daily_latest_v1, which buckets by UTC date.';
+
+COMMENT ON VIEW public.leaderboard_daily_latest_v1 IS
+  'Deprecated: buckets by UTC date. Use leaderboard_daily_latest_v2 (trip-local days).';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.leaderboard_daily_latest_v2;
+-- Re-apply supabase/migrations/20251113000000_trip_areas.sql (function), then:
+-- drop function if exists public.observation_local_instant(timestamptz, date, timestamptz, text);
+-- drop function if exists public.observation_local_day(timestamptz, date, timestamptz, text);
+-- alter table public.score_entries_obs drop column if exists observed_day;
+-- alter table public.config_filters drop column if exists timezone;
+
+-- Verification queries (run manually to confirm)
+-- select public.observation_local_day('2025-11-10T19:30:00-06:00', '2025-11-10', null, 'America/Costa_Rica');  -- 2025-11-10
+-- select public.observation_local_day('2025-11-10T19:30:00-06:00', '2025-11-10', null, null);                  -- 2025-11-11 (UTC)
+-- select day, user_login, points, obs_count from public.leaderboard_daily_latest_v2 order by day desc, points desc;
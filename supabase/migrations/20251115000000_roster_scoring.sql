@@ -0,0 +1,146 @@
+-- Migration: Roster Scoring
+-- Purpose: Let the JS scorer (scripts/compute_scores.mjs) score only enrolled participants.
+--          Each scored observation records the student it belongs to, so a student's iNat
+--          accounts merge into one leaderboard row and adults can be footnoted instead of
+--          ranked, as scoreboard_day_v1 / leaderboard_trip_v1 do for daily_scores. Logins
+--          in the area that are not on the roster are summarized on the run for the teacher.
+--          Same rules as src/scoring/roster.mjs and src/scoring/leaderboard.mjs
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- Student behind each scored observation: roster id (trips.json: the name), display name and
+-- adult flag. NULL student_key = scored without a roster (compute_scores_mvp(), --all-logins)
+alter table public.score_entries_obs add column if not exists student_key text;
+alter table public.score_entries_obs add column if not exists student_name text;
+alter table public.score_entries_obs add column if not exists is_adult boolean not null default false;
+
+-- { students, adults, without_observations: [name], unmatched: [{ user_login, observations,
+-- sample_obs_id }] } for runs scored with a roster; NULL otherwise
+alter table public.score_runs add column if not exists roster_report jsonb;
+
+create index if not exists idx_score_entries_obs_run_student
+  on public.score_entries_obs (run_id, student_key);
+
+-- ============================================================================
+-- 2. STUDENT LEADERBOARDS (latest run)
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.leaderboard_students_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT se.*
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    student_key,
+    MIN(student_name)                                       AS display_name,
+    BOOL_OR(is_adult)                                       AS is_adult,
+    STRING_AGG(DISTINCT user_login, ',' ORDER BY user_login) AS user_logins,
+    SUM(points)                                             AS points,
+    COUNT(*)::bigint                                        AS obs_count,
+    COUNT(DISTINCT taxon_id)::bigint                        AS distinct_taxa
+  FROM scored
+  GROUP BY student_key
+)
+SELECT
+  t.student_key,
+  t.display_name,
+  t.user_logins,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult
+FROM totals t;
+
+COMMENT ON VIEW public.leaderboard_students_latest_v1 IS
+  'Per student (all of their iNat accounts) for the latest run scored with a roster. Adults have no student_rank; see leaderboard_students_adult_footnotes_v1.';
+
+CREATE OR REPLACE VIEW public.leaderboard_students_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.*,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    day,
+    student_key,
+    MIN(student_name)                AS display_name,
+    BOOL_OR(is_adult)                AS is_adult,
+    SUM(points)                      AS points,
+    COUNT(*)::bigint                 AS obs_count,
+    COUNT(DISTINCT taxon_id)::bigint AS distinct_taxa
+  FROM scored
+  GROUP BY day, student_key
+)
+SELECT
+  t.day,
+  t.student_key,
+  t.display_name,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.day, t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult
+FROM totals t;
+
+COMMENT ON VIEW public.leaderboard_students_daily_latest_v1 IS
+  'Per student per trip-local day for the latest run scored with a roster. Adults have no student_rank.';
+
+CREATE OR REPLACE VIEW public.leaderboard_students_adult_footnotes_v1 AS
+SELECT
+  array_agg(format('%s — %s pts', l.display_name, l.points) ORDER BY l.points DESC, l.display_name) AS adult_notes
+FROM public.leaderboard_students_latest_v1 l
+WHERE l.is_adult;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.leaderboard_students_adult_footnotes_v1;
+-- drop view if exists public.leaderboard_students_daily_latest_v1;
+-- drop view if exists public.leaderboard_students_latest_v1;
+-- drop index if exists public.idx_score_entries_obs_run_student;
+-- alter table public.score_runs drop column if exists roster_report;
+-- alter table public.score_entries_obs drop column if exists is_adult;
+-- alter table public.score_entries_obs drop column if exists student_name;
+-- alter table public.score_entries_obs drop column if exists student_key;
+
+-- Verification queries (run manually to confirm)
+-- select student_rank, display_name, user_logins, points from public.leaderboard_students_latest_v1 order by student_rank nulls last, points desc;
+-- select adult_notes from public.leaderboard_students_adult_footnotes_v1;
+-- select jsonb_pretty(roster_report->'unmatched') from public.score_runs order by started_at desc nulls last limit 1;
@@ -0,0 +1,44 @@
+-- Migration: Roster Import
+-- Purpose: Columns scripts/roster.mjs fills from a class CSV, so roster and student_identities
+--          no longer have to be edited by hand in the dashboard. roster keeps one row per
+--          person (display_name, is_adult, first inat_login); every iNat account is a
+--          provider='inat' student_identities row, which active_participants_v1 reads
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- Class grade as written in the CSV ("7", "8th"); NULL for adults
+alter table if exists public.roster add column if not exists grade text;
+
+-- Optional contact email from the CSV. RLS on roster already keeps it from anon clients
+alter table if exists public.roster add column if not exists email text;
+
+-- ============================================================================
+-- 2. INDEXES
+-- ============================================================================
+
+-- Import looks identities up by provider + login; iNat logins are case-insensitive
+do $$
+begin
+  if to_regclass('public.student_identities') is not null
+     and not exists (select 1 from pg_indexes where indexname = 'idx_student_identities_provider_uid') then
+    create index idx_student_identities_provider_uid
+      on public.student_identities (provider, lower(provider_uid));
+  end if;
+end $$;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop index if exists public.idx_student_identities_provider_uid;
+-- alter table public.roster drop column if exists email;
+-- alter table public.roster drop column if exists grade;
+
+-- Verification queries (run manually to confirm)
+-- select column_name, data_type from information_schema.columns
+--   where table_schema = 'public' and table_name = 'roster' and column_name in ('grade', 'email');
+-- select r.display_name, r.grade, r.is_adult, string_agg(si.provider_uid, ';') as logins
+--   from public.roster r left join public.student_identities si on si.user_id = r.id and si.provider = 'inat'
+--   group by r.id, r.display_name, r.grade, r.is_adult order by r.display_name;
@@ -0,0 +1,252 @@
+-- Migration: Teams
+-- Purpose: Team competitions. Students belong to a field group on the roster ("Tapir",
+--          "Sloth"); scored observations carry it, and the team views rank groups for the
+--          trip and per day. A trip's team_aggregation decides the standing: sum of points,
+--          average per student on the team, or distinct taxa across the team (a species two
+--          members found counts once). Same rules as src/scoring/teams.mjs
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- Field group; NULL = no team. Filled by scripts/roster.mjs import (CSV "team" column)
+alter table if exists public.roster add column if not exists team text;
+
+-- Team of the student behind each scored observation (scripts/compute_scores.mjs)
+alter table public.score_entries_obs add column if not exists team text;
+
+-- sum | average | distinct_taxa; copied from trips.json by scripts/trips.mjs sync
+alter table public.spider_trip_windows_v1 add column if not exists team_aggregation text;
+alter table public.config_filters add column if not exists team_aggregation text;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'config_filters_team_aggregation_check'
+  ) then
+    alter table public.config_filters
+      add constraint config_filters_team_aggregation_check
+      check (team_aggregation is null or team_aggregation in ('sum', 'average', 'distinct_taxa'));
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. PARTICIPANTS WITH TEAMS
+-- ============================================================================
+
+-- active_participants_v1 (sql/leaderboard_views.template.sql) gains team as its last column,
+-- which compute-scores reads into the roster. Skipped where roster/student_identities do not exist
+do $$ begin
+  if to_regclass('public.roster') is not null and to_regclass('public.student_identities') is not null then
+    execute $view$
+      create or replace view public.active_participants_v1 as
+      select
+        r.id                        as roster_id,
+        r.display_name,
+        coalesce(r.is_adult, false) as is_adult,
+        si.provider_uid             as inat_login,
+        r.team
+      from public.roster r
+      join public.student_identities si on si.user_id = r.id
+      where si.provider = 'inat'
+        and coalesce(si.active, true)
+    $view$;
+  end if;
+end $$;
+
+-- ============================================================================
+-- 3. TEAM LEADERBOARDS (latest run)
+-- ============================================================================
+
+-- Team sizes come from the run's roster_report (students per team when it was scored), so
+-- averages divide by the whole team, not just members who have observed something
+CREATE OR REPLACE VIEW public.leaderboard_teams_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT se.*
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*)::bigint                                   AS obs_count,
+    COUNT(DISTINCT s.taxon_id)::bigint                 AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members
+  FROM scored s
+  GROUP BY s.team
+),
+-- Teams on the roster with no observations yet still get a row
+teams AS (
+  SELECT team FROM totals
+  UNION
+  SELECT jsonb_object_keys(COALESCE(sizes, '{}'::jsonb)) FROM latest_run
+),
+sized AS (
+  SELECT
+    tm.team,
+    COALESCE(t.points, 0)         AS points,
+    COALESCE(t.obs_count, 0)      AS obs_count,
+    COALESCE(t.distinct_taxa, 0)  AS distinct_taxa,
+    COALESCE(t.active_members, 0) AS active_members,
+    COALESCE((lr.sizes->>tm.team)::bigint, t.active_members) AS members,
+    lr.aggregation
+  FROM teams tm
+  LEFT JOIN totals t ON t.team = tm.team
+  CROSS JOIN latest_run lr
+),
+standings AS (
+  SELECT
+    z.*,
+    ROUND(z.points / NULLIF(z.members, 0), 6) AS points_per_member,
+    CASE z.aggregation
+      WHEN 'average'       THEN COALESCE(ROUND(z.points / NULLIF(z.members, 0), 6), 0)
+      WHEN 'distinct_taxa' THEN z.distinct_taxa
+      ELSE z.points
+    END AS score
+  FROM sized z
+)
+SELECT
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (ORDER BY st.score DESC) AS team_rank,
+  st.points,
+  st.points_per_member,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa
+FROM standings st;
+
+COMMENT ON VIEW public.leaderboard_teams_latest_v1 IS
+  'Team standings for the latest run, scored by the run''s team_aggregation (sum, average per student, or distinct taxa across the team). Adults do not count.';
+
+CREATE OR REPLACE VIEW public.leaderboard_teams_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.*,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.day,
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*)::bigint                                   AS obs_count,
+    COUNT(DISTINCT s.taxon_id)::bigint                 AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members
+  FROM scored s
+  GROUP BY s.day, s.team
+),
+standings AS (
+  SELECT
+    t.*,
+    COALESCE((lr.sizes->>t.team)::bigint, t.active_members) AS members,
+    lr.aggregation,
+    CASE lr.aggregation
+      WHEN 'average'       THEN ROUND(t.points / NULLIF(COALESCE((lr.sizes->>t.team)::bigint, t.active_members), 0), 6)
+      WHEN 'distinct_taxa' THEN t.distinct_taxa
+      ELSE t.points
+    END AS score
+  FROM totals t CROSS JOIN latest_run lr
+)
+SELECT
+  st.day,
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (PARTITION BY st.day ORDER BY st.score DESC NULLS LAST) AS team_rank,
+  st.points,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa
+FROM standings st;
+
+COMMENT ON VIEW public.leaderboard_teams_daily_latest_v1 IS
+  'Team standings per trip-local day for the latest run, scored like leaderboard_teams_latest_v1.';
+
+-- One row per team per taxon: how often it was seen, by whom, and the first find
+CREATE OR REPLACE VIEW public.team_species_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT se.*, o.taxon_name
+  FROM public.score_entries_obs se
+  JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND se.taxon_id IS NOT NULL
+    AND NOT se.is_adult
+    AND o.is_active
+)
+SELECT
+  s.team,
+  s.taxon_id,
+  MIN(s.taxon_name)                                                        AS taxon_name,
+  COUNT(*)::bigint                                                         AS observations,
+  array_agg(DISTINCT COALESCE(s.student_name, s.user_login))               AS observers,
+  (array_agg(s.inat_obs_id ORDER BY s.observed_at NULLS LAST, s.inat_obs_id))[1] AS first_inat_obs_id,
+  MIN(s.observed_at)                                                       AS first_observed_at
+FROM scored s
+GROUP BY s.team, s.taxon_id;
+
+COMMENT ON VIEW public.team_species_latest_v1 IS
+  'Each team''s species list for the latest run: observations, observers and the first find per taxon.';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.team_species_latest_v1;
+-- drop view if exists public.leaderboard_teams_daily_latest_v1;
+-- drop view if exists public.leaderboard_teams_latest_v1;
+-- Re-create active_participants_v1 from sql/leaderboard_views.template.sql without team (drop view first), then:
+-- alter table public.config_filters drop constraint if exists config_filters_team_aggregation_check;
+-- alter table public.config_filters drop column if exists team_aggregation;
+-- alter table public.spider_trip_windows_v1 drop column if exists team_aggregation;
+-- alter table public.score_entries_obs drop column if exists team;
+-- alter table public.roster drop column if exists team;
+
+-- Verification queries (run manually to confirm)
+-- select team_rank, team, aggregation, score, points, members, distinct_taxa from public.leaderboard_teams_latest_v1 order by team_rank;
+-- select day, team_rank, team, score from public.leaderboard_teams_daily_latest_v1 order by day desc, team_rank;
+-- select team, taxon_name, observations, observers from public.team_species_latest_v1 order by team, taxon_name;
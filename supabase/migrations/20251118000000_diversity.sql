@@ -0,0 +1,204 @@
+-- Migration: Diversity
+-- Purpose: Biodiversity numbers for post-trip lab reports. biodiversity_obs_latest_v1 is the
+--          dataset (one row per scored observation of the latest run, with who, which day and
+--          the taxonomy from observations); the other views summarise it for the whole trip,
+--          each participant and each team: Shannon, Simpson and Chao1, species accumulation
+--          by day and counts by kingdom ... genus. Same maths as src/scoring/diversity.mjs;
+--          scripts/diversity.mjs exports it as JSON/CSV
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. DATASET (latest run)
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.biodiversity_obs_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  se.inat_obs_id,
+  se.user_login,
+  COALESCE(se.student_key, se.user_login)  AS participant,
+  COALESCE(se.student_name, se.user_login) AS participant_name,
+  COALESCE(se.is_adult, false)             AS is_adult,
+  se.team,
+  COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+  COALESCE(se.taxon_id, o.taxon_id)        AS taxon_id,
+  o.taxon_name,
+  o.taxon_rank,
+  o.taxon_kingdom,
+  o.taxon_phylum,
+  o.taxon_class,
+  o.taxon_order,
+  o.taxon_family,
+  o.taxon_genus
+FROM public.score_entries_obs se
+JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND o.is_active;
+
+COMMENT ON VIEW public.biodiversity_obs_latest_v1 IS
+  'Scored observations of the latest run with participant, team, trip-local day and taxonomy (kingdom ... genus), for lab reports.';
+
+-- ============================================================================
+-- 2. DIVERSITY INDICES (trip, participant, team)
+-- ============================================================================
+
+-- Scopes: the whole trip, each participant (adults included, flagged) and each team (students only)
+CREATE OR REPLACE VIEW public.diversity_latest_v1 AS
+WITH scoped AS (
+  SELECT 'trip' AS scope, 'trip' AS key, 'Whole trip' AS name, false AS adult_scope, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'participant', b.participant, b.participant_name, b.is_adult, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'team', b.team, b.team, false, b.* FROM public.biodiversity_obs_latest_v1 b
+  WHERE b.team IS NOT NULL AND NOT b.is_adult
+),
+abundance AS (
+  SELECT s.scope, s.key, s.taxon_id, COUNT(*)::numeric AS n
+  FROM scoped s
+  WHERE s.taxon_id IS NOT NULL
+  GROUP BY s.scope, s.key, s.taxon_id
+),
+sums AS (
+  SELECT
+    a.scope,
+    a.key,
+    SUM(a.n)                                   AS total,
+    COUNT(*)::bigint                           AS richness,
+    SUM(a.n * LN(a.n))                         AS n_ln_n,
+    SUM(a.n * (a.n - 1))                       AS n_n1,
+    COUNT(*) FILTER (WHERE a.n = 1)::bigint    AS singletons,
+    COUNT(*) FILTER (WHERE a.n = 2)::bigint    AS doubletons
+  FROM abundance a
+  GROUP BY a.scope, a.key
+),
+scopes AS (
+  SELECT
+    s.scope,
+    s.key,
+    MIN(s.name)                                      AS name,
+    BOOL_OR(s.adult_scope)                           AS is_adult,
+    COUNT(*) FILTER (WHERE s.taxon_id IS NULL)::bigint AS unidentified
+  FROM scoped s
+  GROUP BY s.scope, s.key
+)
+SELECT
+  sc.scope,
+  sc.key,
+  sc.name,
+  sc.is_adult,
+  COALESCE(su.total, 0)::bigint AS observations,
+  COALESCE(su.richness, 0)      AS richness,
+  -- H' = ln N - Σ n ln n / N
+  ROUND(LN(su.total) - su.n_ln_n / su.total, 6)                                           AS shannon,
+  CASE WHEN su.richness > 1 THEN ROUND((LN(su.total) - su.n_ln_n / su.total) / LN(su.richness), 6) END AS evenness,
+  CASE WHEN su.total > 1 THEN ROUND(1 - su.n_n1 / (su.total * (su.total - 1)), 6) END     AS simpson,
+  ROUND(COALESCE(su.richness, 0) + COALESCE(su.singletons * (su.singletons - 1) / (2.0 * (su.doubletons + 1)), 0), 6) AS chao1,
+  COALESCE(su.singletons, 0)    AS singletons,
+  COALESCE(su.doubletons, 0)    AS doubletons,
+  sc.unidentified
+FROM scopes sc
+LEFT JOIN sums su ON su.scope = sc.scope AND su.key = sc.key;
+
+COMMENT ON VIEW public.diversity_latest_v1 IS
+  'Richness, Shannon H'' (natural log), Pielou evenness, Simpson 1-D, bias-corrected Chao1 for the trip, each participant and each team (latest run).';
+
+-- ============================================================================
+-- 3. SPECIES ACCUMULATION
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.species_accumulation_latest_v1 AS
+WITH scoped AS (
+  SELECT 'trip' AS scope, 'trip' AS key, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'participant', b.participant, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'team', b.team, b.* FROM public.biodiversity_obs_latest_v1 b
+  WHERE b.team IS NOT NULL AND NOT b.is_adult
+),
+first_seen AS (
+  SELECT s.scope, s.key, s.taxon_id, MIN(s.day) AS day
+  FROM scoped s
+  WHERE s.taxon_id IS NOT NULL AND s.day IS NOT NULL
+  GROUP BY s.scope, s.key, s.taxon_id
+),
+days AS (
+  SELECT s.scope, s.key, s.day, COUNT(*)::bigint AS observations
+  FROM scoped s
+  WHERE s.day IS NOT NULL
+  GROUP BY s.scope, s.key, s.day
+),
+fresh AS (
+  SELECT f.scope, f.key, f.day, COUNT(*)::bigint AS new_taxa
+  FROM first_seen f
+  GROUP BY f.scope, f.key, f.day
+)
+SELECT
+  d.scope,
+  d.key,
+  d.day,
+  d.observations,
+  COALESCE(f.new_taxa, 0) AS new_taxa,
+  (SUM(d.observations) OVER w)::bigint          AS cumulative_observations,
+  (SUM(COALESCE(f.new_taxa, 0)) OVER w)::bigint AS cumulative_taxa
+FROM days d
+LEFT JOIN fresh f ON f.scope = d.scope AND f.key = d.key AND f.day = d.day
+WINDOW w AS (PARTITION BY d.scope, d.key ORDER BY d.day);
+
+COMMENT ON VIEW public.species_accumulation_latest_v1 IS
+  'Species accumulation per trip-local day for the trip, each participant and each team: taxa first seen that day and running totals (latest run).';
+
+-- ============================================================================
+-- 4. TAXONOMIC BREAKDOWN
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.taxon_breakdown_latest_v1 AS
+WITH scoped AS (
+  SELECT 'trip' AS scope, 'trip' AS key, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'participant', b.participant, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'team', b.team, b.* FROM public.biodiversity_obs_latest_v1 b
+  WHERE b.team IS NOT NULL AND NOT b.is_adult
+),
+ranked AS (
+  SELECT s.scope, s.key, r.rank, COALESCE(r.name, '(unknown)') AS name, s.taxon_id
+  FROM scoped s
+  CROSS JOIN LATERAL (VALUES
+    ('kingdom', s.taxon_kingdom),
+    ('phylum',  s.taxon_phylum),
+    ('class',   s.taxon_class),
+    ('order',   s.taxon_order),
+    ('family',  s.taxon_family),
+    ('genus',   s.taxon_genus)
+  ) AS r(rank, name)
+)
+SELECT
+  r.scope,
+  r.key,
+  r.rank,
+  r.name,
+  COUNT(*)::bigint                   AS observations,
+  COUNT(DISTINCT r.taxon_id)::bigint AS taxa
+FROM ranked r
+GROUP BY r.scope, r.key, r.rank, r.name;
+
+COMMENT ON VIEW public.taxon_breakdown_latest_v1 IS
+  'Observations and distinct taxa per kingdom, phylum, class, order, family and genus for the trip, each participant and each team (latest run).';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.taxon_breakdown_latest_v1;
+-- drop view if exists public.species_accumulation_latest_v1;
+-- drop view if exists public.diversity_latest_v1;
+-- drop view if exists public.biodiversity_obs_latest_v1;
+
+-- Verification queries (run manually to confirm)
+-- select scope, name, observations, richness, shannon, simpson, chao1 from public.diversity_latest_v1 order by scope, name;
+-- select day, new_taxa, cumulative_taxa from public.species_accumulation_latest_v1 where scope = 'trip' order by day;
+-- select name, observations, taxa from public.taxon_breakdown_latest_v1 where scope = 'trip' and rank = 'class' order by observations desc;
@@ -0,0 +1,559 @@
+-- Migration: Taxon Lineage
+-- Purpose: "Distinct taxa" that do not double count nested IDs. Genus Anolis and Anolis
+--          limifrons are one taxon: within a scope (student, team, day, trip) only leaf taxa
+--          count, so a coarser ID counts only while nothing finer beneath it was observed.
+--          scripts/compute_scores.mjs stores each scored observation's rank level and
+--          ancestor ids (from raw_json.taxon), and whether it is fine enough for the trip's
+--          min_taxon_rank; the count_leaf_taxa() aggregate replaces COUNT(DISTINCT taxon_id)
+--          in the leaderboard, team and diversity views. Same rules as src/scoring/taxa.mjs.
+--          Rows scored without lineage (compute_scores_mvp()) count by taxon_id as before
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- iNat rank level (species 10, genus 20, family 30, ...) and the ids of the taxa above it
+alter table public.score_entries_obs add column if not exists taxon_rank_level numeric;
+alter table public.score_entries_obs add column if not exists taxon_ancestor_ids bigint[];
+-- false when the ID is coarser than the trip's min_taxon_rank; NULL (legacy rows) counts
+alter table public.score_entries_obs add column if not exists taxon_countable boolean;
+
+-- species | genus | family | order | class | phylum; NULL = every rank counts.
+-- Copied from trips.json by scripts/trips.mjs sync
+alter table public.spider_trip_windows_v1 add column if not exists min_taxon_rank text;
+alter table public.config_filters add column if not exists min_taxon_rank text;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'config_filters_min_taxon_rank_check'
+  ) then
+    alter table public.config_filters
+      add constraint config_filters_min_taxon_rank_check
+      check (min_taxon_rank is null or min_taxon_rank in ('species', 'genus', 'family', 'order', 'class', 'phylum'));
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable)
+-- ============================================================================
+
+do $$ begin
+  if to_regtype('public.leaf_taxa_state') is null then
+    create type public.leaf_taxa_state as (taxa bigint[], ancestors bigint[]);
+  end if;
+end $$;
+
+create or replace function public.leaf_taxa_step(
+  state public.leaf_taxa_state, taxon_id bigint, ancestor_ids bigint[], countable boolean
+) returns public.leaf_taxa_state
+language sql immutable as $$
+  select case
+    when taxon_id is null or countable is false then state
+    else row((state).taxa || taxon_id, (state).ancestors || coalesce(ancestor_ids, '{}'))::public.leaf_taxa_state
+  end
+$$;
+
+-- Distinct taxa that are not an ancestor of another counted taxon
+create or replace function public.leaf_taxa_final(state public.leaf_taxa_state)
+returns bigint
+language sql immutable as $$
+  select count(distinct t)::bigint
+  from unnest((state).taxa) as t
+  where not (t = any((state).ancestors))
+$$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_proc p join pg_namespace n on n.oid = p.pronamespace
+    where n.nspname = 'public' and p.proname = 'count_leaf_taxa'
+  ) then
+    create aggregate public.count_leaf_taxa(bigint, bigint[], boolean) (
+      sfunc = public.leaf_taxa_step,
+      stype = public.leaf_taxa_state,
+      finalfunc = public.leaf_taxa_final,
+      initcond = '("{}","{}")'
+    );
+  end if;
+end $$;
+
+COMMENT ON AGGREGATE public.count_leaf_taxa(bigint, bigint[], boolean) IS
+  'Leaf taxa among score_entries_obs rows: count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable). A genus does not count next to one of its species.';
+
+-- ============================================================================
+-- 3. LEADERBOARDS
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.leaderboard_overall_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  se.user_login,
+  COUNT(*)::bigint                    AS obs_count,
+  public.count_leaf_taxa(se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable) AS distinct_taxa,
+  MIN(se.observed_at)                 AS first_observed_at,
+  MAX(se.observed_at)                 AS last_observed_at
+FROM public.score_entries_obs se
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND NOT EXISTS (
+    SELECT 1 FROM public.observations o
+    WHERE o.inat_obs_id = se.inat_obs_id
+      AND NOT o.is_active
+  )
+GROUP BY se.user_login;
+
+CREATE OR REPLACE VIEW public.leaderboard_daily_latest_v2 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.user_login,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    se.taxon_id,
+    se.taxon_ancestor_ids,
+    se.taxon_countable,
+    se.points
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+)
+SELECT
+  user_login,
+  day,
+  SUM(points)                      AS points,
+  COUNT(*)::bigint                 AS obs_count,
+  public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa
+FROM scored
+GROUP BY user_login, day;
+
+CREATE OR REPLACE VIEW public.leaderboard_students_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT se.*
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    student_key,
+    MIN(student_name)                                       AS display_name,
+    BOOL_OR(is_adult)                                       AS is_adult,
+    STRING_AGG(DISTINCT user_login, ',' ORDER BY user_login) AS user_logins,
+    SUM(points)                                             AS points,
+    COUNT(*)::bigint                                        AS obs_count,
+    public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa
+  FROM scored
+  GROUP BY student_key
+)
+SELECT
+  t.student_key,
+  t.display_name,
+  t.user_logins,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult
+FROM totals t;
+
+CREATE OR REPLACE VIEW public.leaderboard_students_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.*,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    day,
+    student_key,
+    MIN(student_name)                AS display_name,
+    BOOL_OR(is_adult)                AS is_adult,
+    SUM(points)                      AS points,
+    COUNT(*)::bigint                 AS obs_count,
+    public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa
+  FROM scored
+  GROUP BY day, student_key
+)
+SELECT
+  t.day,
+  t.student_key,
+  t.display_name,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.day, t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult
+FROM totals t;
+
+-- ============================================================================
+-- 4. TEAMS
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.leaderboard_teams_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT se.*
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*)::bigint                                   AS obs_count,
+    public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable) AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members
+  FROM scored s
+  GROUP BY s.team
+),
+teams AS (
+  SELECT team FROM totals
+  UNION
+  SELECT jsonb_object_keys(COALESCE(sizes, '{}'::jsonb)) FROM latest_run
+),
+sized AS (
+  SELECT
+    tm.team,
+    COALESCE(t.points, 0)         AS points,
+    COALESCE(t.obs_count, 0)      AS obs_count,
+    COALESCE(t.distinct_taxa, 0)  AS distinct_taxa,
+    COALESCE(t.active_members, 0) AS active_members,
+    COALESCE((lr.sizes->>tm.team)::bigint, t.active_members) AS members,
+    lr.aggregation
+  FROM teams tm
+  LEFT JOIN totals t ON t.team = tm.team
+  CROSS JOIN latest_run lr
+),
+standings AS (
+  SELECT
+    z.*,
+    ROUND(z.points / NULLIF(z.members, 0), 6) AS points_per_member,
+    CASE z.aggregation
+      WHEN 'average'       THEN COALESCE(ROUND(z.points / NULLIF(z.members, 0), 6), 0)
+      WHEN 'distinct_taxa' THEN z.distinct_taxa
+      ELSE z.points
+    END AS score
+  FROM sized z
+)
+SELECT
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (ORDER BY st.score DESC) AS team_rank,
+  st.points,
+  st.points_per_member,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa
+FROM standings st;
+
+CREATE OR REPLACE VIEW public.leaderboard_teams_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.*,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.day,
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*)::bigint                                   AS obs_count,
+    public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable) AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members
+  FROM scored s
+  GROUP BY s.day, s.team
+),
+standings AS (
+  SELECT
+    t.*,
+    COALESCE((lr.sizes->>t.team)::bigint, t.active_members) AS members,
+    lr.aggregation,
+    CASE lr.aggregation
+      WHEN 'average'       THEN ROUND(t.points / NULLIF(COALESCE((lr.sizes->>t.team)::bigint, t.active_members), 0), 6)
+      WHEN 'distinct_taxa' THEN t.distinct_taxa
+      ELSE t.points
+    END AS score
+  FROM totals t CROSS JOIN latest_run lr
+)
+SELECT
+  st.day,
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (PARTITION BY st.day ORDER BY st.score DESC NULLS LAST) AS team_rank,
+  st.points,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa
+FROM standings st;
+
+-- ============================================================================
+-- 5. DIVERSITY
+-- ============================================================================
+
+-- Lineage columns appended to the dataset
+CREATE OR REPLACE VIEW public.biodiversity_obs_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  se.inat_obs_id,
+  se.user_login,
+  COALESCE(se.student_key, se.user_login)  AS participant,
+  COALESCE(se.student_name, se.user_login) AS participant_name,
+  COALESCE(se.is_adult, false)             AS is_adult,
+  se.team,
+  COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+  COALESCE(se.taxon_id, o.taxon_id)        AS taxon_id,
+  o.taxon_name,
+  o.taxon_rank,
+  o.taxon_kingdom,
+  o.taxon_phylum,
+  o.taxon_class,
+  o.taxon_order,
+  o.taxon_family,
+  o.taxon_genus,
+  COALESCE(se.taxon_ancestor_ids, '{}')    AS taxon_ancestor_ids,
+  COALESCE(se.taxon_countable, true)       AS taxon_countable
+FROM public.score_entries_obs se
+JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND o.is_active;
+
+-- Abundances over leaf taxa only: an observation of a genus with one of its species in the
+-- same scope adds nothing, and neither does an ID coarser than the trip's min_taxon_rank
+CREATE OR REPLACE VIEW public.diversity_latest_v1 AS
+WITH scoped AS (
+  SELECT 'trip' AS scope, 'trip' AS key, 'Whole trip' AS name, false AS adult_scope, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'participant', b.participant, b.participant_name, b.is_adult, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'team', b.team, b.team, false, b.* FROM public.biodiversity_obs_latest_v1 b
+  WHERE b.team IS NOT NULL AND NOT b.is_adult
+),
+leaves AS (
+  SELECT s.*
+  FROM scoped s
+  WHERE s.taxon_id IS NOT NULL
+    AND s.taxon_countable
+    AND NOT EXISTS (
+      SELECT 1 FROM scoped finer
+      WHERE finer.scope = s.scope
+        AND finer.key = s.key
+        AND finer.taxon_countable
+        AND s.taxon_id = ANY(finer.taxon_ancestor_ids)
+    )
+),
+abundance AS (
+  SELECT l.scope, l.key, l.taxon_id, COUNT(*)::numeric AS n
+  FROM leaves l
+  GROUP BY l.scope, l.key, l.taxon_id
+),
+sums AS (
+  SELECT
+    a.scope,
+    a.key,
+    SUM(a.n)                                   AS total,
+    COUNT(*)::bigint                           AS richness,
+    SUM(a.n * LN(a.n))                         AS n_ln_n,
+    SUM(a.n * (a.n - 1))                       AS n_n1,
+    COUNT(*) FILTER (WHERE a.n = 1)::bigint    AS singletons,
+    COUNT(*) FILTER (WHERE a.n = 2)::bigint    AS doubletons
+  FROM abundance a
+  GROUP BY a.scope, a.key
+),
+scopes AS (
+  SELECT
+    s.scope,
+    s.key,
+    MIN(s.name)                                      AS name,
+    BOOL_OR(s.adult_scope)                           AS is_adult,
+    COUNT(*) FILTER (WHERE s.taxon_id IS NULL)::bigint AS unidentified
+  FROM scoped s
+  GROUP BY s.scope, s.key
+)
+SELECT
+  sc.scope,
+  sc.key,
+  sc.name,
+  sc.is_adult,
+  COALESCE(su.total, 0)::bigint AS observations,
+  COALESCE(su.richness, 0)      AS richness,
+  ROUND(LN(su.total) - su.n_ln_n / su.total, 6)                                           AS shannon,
+  CASE WHEN su.richness > 1 THEN ROUND((LN(su.total) - su.n_ln_n / su.total) / LN(su.richness), 6) END AS evenness,
+  CASE WHEN su.total > 1 THEN ROUND(1 - su.n_n1 / (su.total * (su.total - 1)), 6) END     AS simpson,
+  ROUND(COALESCE(su.richness, 0) + COALESCE(su.singletons * (su.singletons - 1) / (2.0 * (su.doubletons + 1)), 0), 6) AS chao1,
+  COALESCE(su.singletons, 0)    AS singletons,
+  COALESCE(su.doubletons, 0)    AS doubletons,
+  sc.unidentified
+FROM scopes sc
+LEFT JOIN sums su ON su.scope = sc.scope AND su.key = sc.key;
+
+-- Leaf taxa up to each day; a finer ID replacing a coarser one adds no taxon
+CREATE OR REPLACE VIEW public.species_accumulation_latest_v1 AS
+WITH scoped AS (
+  SELECT 'trip' AS scope, 'trip' AS key, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'participant', b.participant, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'team', b.team, b.* FROM public.biodiversity_obs_latest_v1 b
+  WHERE b.team IS NOT NULL AND NOT b.is_adult
+),
+days AS (
+  SELECT s.scope, s.key, s.day, COUNT(*)::bigint AS observations
+  FROM scoped s
+  WHERE s.day IS NOT NULL
+  GROUP BY s.scope, s.key, s.day
+),
+running AS (
+  SELECT
+    d.*,
+    (SELECT public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable)
+     FROM scoped s
+     WHERE s.scope = d.scope AND s.key = d.key AND s.day <= d.day) AS cumulative_taxa
+  FROM days d
+)
+SELECT
+  r.scope,
+  r.key,
+  r.day,
+  r.observations,
+  r.cumulative_taxa - COALESCE(LAG(r.cumulative_taxa) OVER w, 0) AS new_taxa,
+  (SUM(r.observations) OVER w)::bigint AS cumulative_observations,
+  r.cumulative_taxa
+FROM running r
+WINDOW w AS (PARTITION BY r.scope, r.key ORDER BY r.day);
+
+CREATE OR REPLACE VIEW public.taxon_breakdown_latest_v1 AS
+WITH scoped AS (
+  SELECT 'trip' AS scope, 'trip' AS key, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'participant', b.participant, b.* FROM public.biodiversity_obs_latest_v1 b
+  UNION ALL
+  SELECT 'team', b.team, b.* FROM public.biodiversity_obs_latest_v1 b
+  WHERE b.team IS NOT NULL AND NOT b.is_adult
+),
+ranked AS (
+  SELECT s.scope, s.key, r.rank, COALESCE(r.name, '(unknown)') AS name, s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable
+  FROM scoped s
+  CROSS JOIN LATERAL (VALUES
+    ('kingdom', s.taxon_kingdom),
+    ('phylum',  s.taxon_phylum),
+    ('class',   s.taxon_class),
+    ('order',   s.taxon_order),
+    ('family',  s.taxon_family),
+    ('genus',   s.taxon_genus)
+  ) AS r(rank, name)
+)
+SELECT
+  r.scope,
+  r.key,
+  r.rank,
+  r.name,
+  COUNT(*)::bigint AS observations,
+  public.count_leaf_taxa(r.taxon_id, r.taxon_ancestor_ids, r.taxon_countable) AS taxa
+FROM ranked r
+GROUP BY r.scope, r.key, r.rank, r.name;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply the views from 20251107000000_observation_soft_deletes.sql (leaderboard_overall_latest_v1),
+-- 20251114000000_trip_timezones.sql (leaderboard_daily_latest_v2), 20251115000000_roster_scoring.sql,
+-- 20251117000000_teams.sql and 20251118000000_diversity.sql (drop biodiversity_obs_latest_v1 and
+-- the views on it first; its columns shrink), then:
+-- drop aggregate if exists public.count_leaf_taxa(bigint, bigint[], boolean);
+-- drop function if exists public.leaf_taxa_final(public.leaf_taxa_state);
+-- drop function if exists public.leaf_taxa_step(public.leaf_taxa_state, bigint, bigint[], boolean);
+-- drop type if exists public.leaf_taxa_state;
+-- alter table public.config_filters drop constraint if exists config_filters_min_taxon_rank_check;
+-- alter table public.config_filters drop column if exists min_taxon_rank;
+-- alter table public.spider_trip_windows_v1 drop column if exists min_taxon_rank;
+-- alter table public.score_entries_obs drop column if exists taxon_countable;
+-- alter table public.score_entries_obs drop column if exists taxon_ancestor_ids;
+-- alter table public.score_entries_obs drop column if exists taxon_rank_level;
+
+-- Verification queries (run manually to confirm)
+-- Genus 36514 (Anolis) with its species 36391: one taxon, not two
+-- select public.count_leaf_taxa(t, a, true) from (values (36514::bigint, '{1,2}'::bigint[]), (36391, '{1,2,36514}')) v(t, a);  -- 1
+-- select display_name, obs_count, distinct_taxa from public.leaderboard_students_latest_v1 order by distinct_taxa desc;
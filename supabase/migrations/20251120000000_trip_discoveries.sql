@@ -0,0 +1,111 @@
+-- Migration: Trip Discoveries and Rarity
+-- Purpose: Trip-wide novelty for scoring rules. scripts/compute_scores.mjs stores, per scored
+--          observation, whether it was the first student observation of its taxon on the
+--          whole trip (first_of_taxon "trip", lineage-aware, ties by time_observed_at,
+--          created_at, inat_obs_id) and how many participants found the taxon. taxon_stats
+--          caches iNat's worldwide observation count per taxon for taxon_observations_count
+--          rules. discoveries_latest_v1 lists each student's discoveries. Same rules as
+--          src/scoring/rarity.mjs
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- true when this was the first student observation of the taxon (or one beneath it) on the trip
+alter table public.score_entries_obs add column if not exists trip_first boolean;
+-- participants (adults too) who observed the taxon or something finer beneath it
+alter table public.score_entries_obs add column if not exists trip_finders integer;
+
+-- ============================================================================
+-- 2. TAXON STATS CACHE
+-- ============================================================================
+
+-- iNat /v1/taxa observations_count, refreshed by compute_scores.mjs once older than 30 days
+create table if not exists public.taxon_stats (
+  taxon_id            bigint primary key,
+  name                text,
+  rank                text,
+  observations_count  bigint,
+  fetched_at          timestamptz not null default now()
+);
+
+comment on table public.taxon_stats is
+  'iNaturalist observation counts per taxon, cached by scripts/compute_scores.mjs for rules on taxon_observations_count.';
+
+alter table public.taxon_stats enable row level security;
+
+-- Policy: public iNat data; only the service role writes it
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'taxon_stats'
+      and policyname = 'taxon_stats_read_all'
+  ) then
+    create policy taxon_stats_read_all
+      on public.taxon_stats
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'taxon_stats'
+      and policyname = 'taxon_stats_service_role_all'
+  ) then
+    create policy taxon_stats_service_role_all
+      on public.taxon_stats
+      for all
+      using (auth.role() = 'service_role');
+  end if;
+end $$;
+
+-- ============================================================================
+-- 3. DISCOVERIES VIEW
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.discoveries_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  COALESCE(se.student_key, se.user_login)  AS student_key,
+  COALESCE(se.student_name, se.user_login) AS display_name,
+  se.user_login,
+  se.team,
+  se.taxon_id,
+  o.taxon_name,
+  o.taxon_rank,
+  se.inat_obs_id,
+  se.observed_at,
+  se.observed_day,
+  se.trip_finders,
+  ts.observations_count AS inat_observations_count
+FROM public.score_entries_obs se
+JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+LEFT JOIN public.taxon_stats ts ON ts.taxon_id = se.taxon_id
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND se.trip_first
+  AND o.is_active;
+
+COMMENT ON VIEW public.discoveries_latest_v1 IS
+  'Each student''s trip discoveries: the taxa they were first on the trip to observe (latest run).';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.discoveries_latest_v1;
+-- drop table if exists public.taxon_stats;
+-- alter table public.score_entries_obs drop column if exists trip_finders;
+-- alter table public.score_entries_obs drop column if exists trip_first;
+
+-- Verification queries (run manually to confirm)
+-- select display_name, count(*) as discoveries from public.discoveries_latest_v1 group by display_name order by discoveries desc;
+-- select taxon_id, name, observations_count, fetched_at from public.taxon_stats order by fetched_at desc limit 20;
@@ -0,0 +1,516 @@
+-- Migration: Identifications
+-- Purpose: Points for helping others. ingest.mjs (INGEST_IDENTIFICATIONS=1) stores the
+--          identifications roster members made on other people's observations in the trip
+--          scope, marking the one that tipped an observation to research grade.
+--          scripts/compute_scores.mjs scores them with the rule set's identification_rules
+--          into score_entries_ident, and the student, team and daily leaderboards add those
+--          points on the trip-local day the ID was made. obs_count and distinct_taxa stay
+--          observations only; ident_points / ident_count report the identification share.
+--          Same rules as src/scoring/identifications.mjs and src/scoring/leaderboard.mjs
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. IDENTIFICATIONS
+-- ============================================================================
+
+-- One row per iNat identification (src/ingest/identifications.mjs mapIdentification)
+create table if not exists public.identifications (
+  inat_ident_id              bigint primary key,
+  inat_obs_id                bigint not null,
+  user_id                    bigint,
+  user_login                 text,
+  created_at                 timestamptz,
+  taxon_id                   bigint,
+  taxon_name                 text,
+  taxon_rank                 text,
+  category                   text,   -- improving | supporting | leading | maverick
+  current                    boolean not null default true,  -- false once withdrawn
+  disagreement               boolean not null default false,
+  own_observation            boolean not null default false,
+  observation_user_login     text,
+  observation_taxon_id       bigint,
+  observation_quality_grade  text,
+  tipped_research_grade      boolean not null default false,
+  raw_json                   jsonb
+);
+
+comment on table public.identifications is
+  'Identifications roster members made on other people''s observations, upserted by scripts/ingest.mjs with INGEST_IDENTIFICATIONS=1.';
+
+create index if not exists idx_identifications_inat_obs_id on public.identifications (inat_obs_id);
+create index if not exists idx_identifications_user_login on public.identifications (user_login);
+
+alter table public.identifications enable row level security;
+
+-- Policy: public iNat data; only the service role writes it
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'identifications'
+      and policyname = 'identifications_read_all'
+  ) then
+    create policy identifications_read_all
+      on public.identifications
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'identifications'
+      and policyname = 'identifications_service_role_all'
+  ) then
+    create policy identifications_service_role_all
+      on public.identifications
+      for all
+      using (auth.role() = 'service_role');
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. SCORED IDENTIFICATIONS
+-- ============================================================================
+
+-- scoreIdentifications() rows; rebuilt per run like score_entries_obs
+create table if not exists public.score_entries_ident (
+  run_id                 uuid not null references public.score_runs (id) on delete cascade,
+  inat_ident_id          bigint not null,
+  inat_obs_id            bigint not null,
+  user_login             text,
+  student_key            text,
+  student_name           text,
+  is_adult               boolean not null default false,
+  team                   text,
+  ident_taxon_id         bigint,
+  category               text,
+  agrees                 boolean,
+  tipped_research_grade  boolean not null default false,
+  points                 numeric not null default 0,
+  identified_at          timestamptz,
+  identified_day         date,   -- trip-local day the ID was made
+  breakdown              jsonb,
+  primary key (run_id, inat_ident_id)
+);
+
+comment on table public.score_entries_ident is
+  'Points per identification for a score run (scripts/compute_scores.mjs, identification_rules). Idempotent per run.';
+
+create index if not exists idx_score_entries_ident_run_student
+  on public.score_entries_ident (run_id, student_key);
+
+alter table public.score_entries_ident enable row level security;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'score_entries_ident'
+      and policyname = 'score_entries_ident_read_all'
+  ) then
+    create policy score_entries_ident_read_all
+      on public.score_entries_ident
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'score_entries_ident'
+      and policyname = 'score_entries_ident_service_role_all'
+  ) then
+    create policy score_entries_ident_service_role_all
+      on public.score_entries_ident
+      for all
+      using (auth.role() = 'service_role');
+  end if;
+end $$;
+
+-- ============================================================================
+-- 3. LEADERBOARDS
+-- ============================================================================
+
+-- In each view, `scored` is the run's observation rows plus its identification rows
+-- (is_ident, no taxon). Identifications on observations deleted since are dropped with them.
+
+CREATE OR REPLACE VIEW public.leaderboard_daily_latest_v2 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.user_login,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    se.taxon_id,
+    se.taxon_ancestor_ids,
+    se.taxon_countable,
+    se.points,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.user_login,
+    COALESCE(si.identified_day, (si.identified_at AT TIME ZONE 'UTC')::date),
+    NULL::bigint,
+    NULL::bigint[],
+    NULL::boolean,
+    si.points,
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+)
+SELECT
+  user_login,
+  day,
+  SUM(points)                      AS points,
+  COUNT(*) FILTER (WHERE NOT is_ident)::bigint AS obs_count,
+  public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa,
+  COALESCE(SUM(points) FILTER (WHERE is_ident), 0) AS ident_points,
+  COUNT(*) FILTER (WHERE is_ident)::bigint     AS ident_count
+FROM scored
+GROUP BY user_login, day;
+
+CREATE OR REPLACE VIEW public.leaderboard_students_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.student_key, se.student_name, se.is_adult, se.user_login, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.student_key, si.student_name, si.is_adult, si.user_login, si.points,
+    NULL, NULL, NULL,
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND si.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    student_key,
+    MIN(student_name)                                       AS display_name,
+    BOOL_OR(is_adult)                                       AS is_adult,
+    STRING_AGG(DISTINCT user_login, ',' ORDER BY user_login) AS user_logins,
+    SUM(points)                                             AS points,
+    COUNT(*) FILTER (WHERE NOT is_ident)::bigint            AS obs_count,
+    public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa,
+    COALESCE(SUM(points) FILTER (WHERE is_ident), 0)        AS ident_points,
+    COUNT(*) FILTER (WHERE is_ident)::bigint                AS ident_count
+  FROM scored
+  GROUP BY student_key
+)
+SELECT
+  t.student_key,
+  t.display_name,
+  t.user_logins,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult,
+  t.ident_points,
+  t.ident_count
+FROM totals t;
+
+CREATE OR REPLACE VIEW public.leaderboard_students_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.student_key, se.student_name, se.is_adult, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.student_key, si.student_name, si.is_adult, si.points,
+    NULL, NULL, NULL,
+    COALESCE(si.identified_day, (si.identified_at AT TIME ZONE 'UTC')::date),
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND si.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    day,
+    student_key,
+    MIN(student_name)                AS display_name,
+    BOOL_OR(is_adult)                AS is_adult,
+    SUM(points)                      AS points,
+    COUNT(*) FILTER (WHERE NOT is_ident)::bigint AS obs_count,
+    public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa,
+    COALESCE(SUM(points) FILTER (WHERE is_ident), 0) AS ident_points,
+    COUNT(*) FILTER (WHERE is_ident)::bigint     AS ident_count
+  FROM scored
+  GROUP BY day, student_key
+)
+SELECT
+  t.day,
+  t.student_key,
+  t.display_name,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.day, t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult,
+  t.ident_points,
+  t.ident_count
+FROM totals t;
+
+-- ============================================================================
+-- 4. TEAMS
+-- ============================================================================
+
+-- Identification points count toward sum and average; active_members includes students who
+-- have only identified so far
+CREATE OR REPLACE VIEW public.leaderboard_teams_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.team, se.student_key, se.user_login, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.team, si.student_key, si.user_login, si.points,
+    NULL, NULL, NULL,
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND si.team IS NOT NULL
+    AND NOT si.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*) FILTER (WHERE NOT s.is_ident)::bigint     AS obs_count,
+    public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable) AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members,
+    COALESCE(SUM(s.points) FILTER (WHERE s.is_ident), 0) AS ident_points,
+    COUNT(*) FILTER (WHERE s.is_ident)::bigint         AS ident_count
+  FROM scored s
+  GROUP BY s.team
+),
+teams AS (
+  SELECT team FROM totals
+  UNION
+  SELECT jsonb_object_keys(COALESCE(sizes, '{}'::jsonb)) FROM latest_run
+),
+sized AS (
+  SELECT
+    tm.team,
+    COALESCE(t.points, 0)         AS points,
+    COALESCE(t.obs_count, 0)      AS obs_count,
+    COALESCE(t.distinct_taxa, 0)  AS distinct_taxa,
+    COALESCE(t.active_members, 0) AS active_members,
+    COALESCE(t.ident_points, 0)   AS ident_points,
+    COALESCE(t.ident_count, 0)    AS ident_count,
+    COALESCE((lr.sizes->>tm.team)::bigint, t.active_members) AS members,
+    lr.aggregation
+  FROM teams tm
+  LEFT JOIN totals t ON t.team = tm.team
+  CROSS JOIN latest_run lr
+),
+standings AS (
+  SELECT
+    z.*,
+    ROUND(z.points / NULLIF(z.members, 0), 6) AS points_per_member,
+    CASE z.aggregation
+      WHEN 'average'       THEN COALESCE(ROUND(z.points / NULLIF(z.members, 0), 6), 0)
+      WHEN 'distinct_taxa' THEN z.distinct_taxa
+      ELSE z.points
+    END AS score
+  FROM sized z
+)
+SELECT
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (ORDER BY st.score DESC) AS team_rank,
+  st.points,
+  st.points_per_member,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa,
+  st.ident_points,
+  st.ident_count
+FROM standings st;
+
+CREATE OR REPLACE VIEW public.leaderboard_teams_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+),
+scored AS (
+  SELECT
+    se.team, se.student_key, se.user_login, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.team, si.student_key, si.user_login, si.points,
+    NULL, NULL, NULL,
+    COALESCE(si.identified_day, (si.identified_at AT TIME ZONE 'UTC')::date),
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND si.team IS NOT NULL
+    AND NOT si.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.day,
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*) FILTER (WHERE NOT s.is_ident)::bigint     AS obs_count,
+    public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable) AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members,
+    COALESCE(SUM(s.points) FILTER (WHERE s.is_ident), 0) AS ident_points,
+    COUNT(*) FILTER (WHERE s.is_ident)::bigint         AS ident_count
+  FROM scored s
+  GROUP BY s.day, s.team
+),
+standings AS (
+  SELECT
+    t.*,
+    COALESCE((lr.sizes->>t.team)::bigint, t.active_members) AS members,
+    lr.aggregation,
+    CASE lr.aggregation
+      WHEN 'average'       THEN ROUND(t.points / NULLIF(COALESCE((lr.sizes->>t.team)::bigint, t.active_members), 0), 6)
+      WHEN 'distinct_taxa' THEN t.distinct_taxa
+      ELSE t.points
+    END AS score
+  FROM totals t CROSS JOIN latest_run lr
+)
+SELECT
+  st.day,
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (PARTITION BY st.day ORDER BY st.score DESC NULLS LAST) AS team_rank,
+  st.points,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa,
+  st.ident_points,
+  st.ident_count
+FROM standings st;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Drop the five views above (their columns shrink), re-apply them from
+-- 20251119000000_taxon_lineage.sql, re-create leaderboard_students_adult_footnotes_v1 from
+-- 20251115000000_roster_scoring.sql, then:
+-- drop table if exists public.score_entries_ident;
+-- drop table if exists public.identifications;
+
+-- Verification queries (run manually to confirm)
+-- select user_login, count(*) filter (where current) as standing, count(*) filter (where tipped_research_grade) as tipped from public.identifications group by user_login order by standing desc;
+-- select display_name, points, ident_points, ident_count from public.leaderboard_students_latest_v1 order by ident_points desc;
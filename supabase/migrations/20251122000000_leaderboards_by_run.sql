@@ -0,0 +1,201 @@
+-- Migration: Leaderboards by Run
+-- Purpose: Student leaderboards for any scored run, not only the latest. The *_by_run_v1
+--          views have one row per run and student, with the run's trip_key (from
+--          score_runs.score_filters), so src/lib/supabase.ts can show a trip's standings
+--          after another trip was scored. The *_latest_v1 views become the latest run's rows
+--          of these; their columns do not change
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. STUDENT LEADERBOARDS PER RUN
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.leaderboard_students_by_run_v1 AS
+WITH scored AS (
+  SELECT
+    se.run_id, se.student_key, se.student_name, se.is_adult, se.user_login, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.run_id, si.student_key, si.student_name, si.is_adult, si.user_login, si.points,
+    NULL, NULL, NULL,
+    true
+  FROM public.score_entries_ident si
+  WHERE si.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    run_id,
+    student_key,
+    MIN(student_name)                                       AS display_name,
+    BOOL_OR(is_adult)                                       AS is_adult,
+    STRING_AGG(DISTINCT user_login, ',' ORDER BY user_login) AS user_logins,
+    SUM(points)                                             AS points,
+    COUNT(*) FILTER (WHERE NOT is_ident)::bigint            AS obs_count,
+    public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa,
+    COALESCE(SUM(points) FILTER (WHERE is_ident), 0)        AS ident_points,
+    COUNT(*) FILTER (WHERE is_ident)::bigint                AS ident_count
+  FROM scored
+  GROUP BY run_id, student_key
+)
+SELECT
+  t.run_id,
+  r.score_filters->>'trip_key' AS trip_key,
+  t.student_key,
+  t.display_name,
+  t.user_logins,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.run_id, t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult,
+  t.ident_points,
+  t.ident_count
+FROM totals t
+JOIN public.score_runs r ON r.id = t.run_id;
+
+COMMENT ON VIEW public.leaderboard_students_by_run_v1 IS
+  'Per-student totals and rank for every scored run, with the run''s trip_key. Filter by run_id; leaderboard_students_latest_v1 is the latest run.';
+
+CREATE OR REPLACE VIEW public.leaderboard_students_daily_by_run_v1 AS
+WITH scored AS (
+  SELECT
+    se.run_id, se.student_key, se.student_name, se.is_adult, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.run_id, si.student_key, si.student_name, si.is_adult, si.points,
+    NULL, NULL, NULL,
+    COALESCE(si.identified_day, (si.identified_at AT TIME ZONE 'UTC')::date),
+    true
+  FROM public.score_entries_ident si
+  WHERE si.student_key IS NOT NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    run_id,
+    day,
+    student_key,
+    MIN(student_name)                AS display_name,
+    BOOL_OR(is_adult)                AS is_adult,
+    SUM(points)                      AS points,
+    COUNT(*) FILTER (WHERE NOT is_ident)::bigint AS obs_count,
+    public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa,
+    COALESCE(SUM(points) FILTER (WHERE is_ident), 0) AS ident_points,
+    COUNT(*) FILTER (WHERE is_ident)::bigint     AS ident_count
+  FROM scored
+  GROUP BY run_id, day, student_key
+)
+SELECT
+  t.run_id,
+  r.score_filters->>'trip_key' AS trip_key,
+  t.day,
+  t.student_key,
+  t.display_name,
+  t.points,
+  t.obs_count,
+  t.distinct_taxa,
+  CASE WHEN t.is_adult THEN NULL
+       ELSE dense_rank() OVER (PARTITION BY t.run_id, t.day, t.is_adult ORDER BY t.points DESC)
+  END AS student_rank,
+  t.is_adult,
+  t.ident_points,
+  t.ident_count
+FROM totals t
+JOIN public.score_runs r ON r.id = t.run_id;
+
+COMMENT ON VIEW public.leaderboard_students_daily_by_run_v1 IS
+  'Per-student totals and rank per trip-local day for every scored run, with the run''s trip_key.';
+
+create index if not exists idx_score_runs_trip_key
+  on public.score_runs ((score_filters->>'trip_key'), started_at desc);
+
+-- ============================================================================
+-- 2. LATEST-RUN VIEWS ON TOP
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.leaderboard_students_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  b.student_key,
+  b.display_name,
+  b.user_logins,
+  b.points,
+  b.obs_count,
+  b.distinct_taxa,
+  b.student_rank,
+  b.is_adult,
+  b.ident_points,
+  b.ident_count
+FROM public.leaderboard_students_by_run_v1 b
+WHERE b.run_id = (SELECT id FROM latest_run);
+
+CREATE OR REPLACE VIEW public.leaderboard_students_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.score_runs
+  ORDER BY started_at DESC NULLS LAST, id DESC
+  LIMIT 1
+)
+SELECT
+  b.day,
+  b.student_key,
+  b.display_name,
+  b.points,
+  b.obs_count,
+  b.distinct_taxa,
+  b.student_rank,
+  b.is_adult,
+  b.ident_points,
+  b.ident_count
+FROM public.leaderboard_students_daily_by_run_v1 b
+WHERE b.run_id = (SELECT id FROM latest_run);
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply leaderboard_students_latest_v1 and leaderboard_students_daily_latest_v1 from
+-- 20251121000000_identifications.sql, then:
+-- drop index if exists public.idx_score_runs_trip_key;
+-- drop view if exists public.leaderboard_students_daily_by_run_v1;
+-- drop view if exists public.leaderboard_students_by_run_v1;
+
+-- Verification queries (run manually to confirm)
+-- select trip_key, run_id, count(*) as students, sum(points) as points from public.leaderboard_students_by_run_v1 group by trip_key, run_id;
+-- The latest view is the latest run's rows of the per-run view:
+-- select count(*) from public.leaderboard_students_latest_v1;
+-- select count(*) from public.leaderboard_students_by_run_v1 where run_id = (select id from public.score_runs order by started_at desc nulls last, id desc limit 1);
@@ -0,0 +1,63 @@
+-- Migration: Leaderboard Feed
+-- Purpose: What the live leaderboard feed (subscribeToLeaderboard in src/lib/supabase.ts,
+--          src/live/feed.mjs) reads. Publishes score_runs to Supabase Realtime so clients
+--          hear when compute-scores finishes a run (scored_at), and adds
+--          scored_observations_by_run_v1: each run's scored observations with the taxon and
+--          photo to announce them with
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. REALTIME
+-- ============================================================================
+
+-- score_runs rather than score_entries_obs: a run's entries arrive in thousands of inserts
+-- while it is being written, and scored_at is set once they are all in. Projects without
+-- Realtime (no supabase_realtime publication) keep working; the feed polls instead.
+do $$ begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+     and not exists (
+       select 1 from pg_publication_tables
+       where pubname = 'supabase_realtime'
+         and schemaname = 'public'
+         and tablename = 'score_runs'
+     ) then
+    alter publication supabase_realtime add table public.score_runs;
+  end if;
+end $$;
+
+-- ============================================================================
+-- 2. SCORED OBSERVATIONS PER RUN
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.scored_observations_by_run_v1 AS
+SELECT
+  se.run_id,
+  r.score_filters->>'trip_key'             AS trip_key,
+  se.inat_obs_id,
+  COALESCE(se.student_key, se.user_login)  AS student_key,
+  COALESCE(se.student_name, se.user_login) AS display_name,
+  se.user_login,
+  COALESCE(se.is_adult, false)             AS is_adult,
+  se.taxon_id,
+  o.taxon_name,
+  o.photo_url,
+  se.points,
+  se.observed_at,
+  COALESCE(se.trip_first, false)           AS trip_first
+FROM public.score_entries_obs se
+JOIN public.score_runs r ON r.id = se.run_id
+JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+WHERE o.is_active;
+
+COMMENT ON VIEW public.scored_observations_by_run_v1 IS
+  'Scored observations of every run with taxon, photo and trip_first, for the live leaderboard feed. Filter by run_id.';
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop view if exists public.scored_observations_by_run_v1;
+-- alter publication supabase_realtime drop table public.score_runs;
+
+-- Verification queries (run manually to confirm)
+-- select * from pg_publication_tables where pubname = 'supabase_realtime' and tablename = 'score_runs';
+-- select run_id, count(*) as observations, count(*) filter (where trip_first) as trip_firsts from public.scored_observations_by_run_v1 group by run_id;
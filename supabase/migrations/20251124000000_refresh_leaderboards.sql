@@ -0,0 +1,103 @@
+-- Migration: Refresh Leaderboards
+-- Purpose: refresh_leaderboards_v1() was a no-op. It now refreshes every materialized view
+--          in public (leaderboard_overall_mv, leaderboard_daily_mv from sql/ and any added
+--          later), a view before those built on it, and returns what it refreshed.
+--          scripts/pipeline.mjs calls it after scoring
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. REFRESH FUNCTION
+-- ============================================================================
+
+-- The return type changes from void, which CREATE OR REPLACE cannot do
+drop function if exists public.refresh_leaderboards_v1();
+
+create or replace function public.refresh_leaderboards_v1()
+returns table(matview text, refreshed_concurrently boolean, duration_ms integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v record;
+  v_started timestamptz;
+begin
+  for v in
+    -- depth = longest chain of materialized views a view reads from (through plain views
+    -- too), so dependencies are refreshed first
+    with recursive mv as (
+      select c.oid, c.relname
+      from pg_class c
+      join pg_namespace n on n.oid = c.relnamespace
+      where n.nspname = 'public'
+        and c.relkind = 'm'
+    ),
+    reads as (
+      -- relation r.ev_class is defined by a query over d.refobjid
+      select distinct r.ev_class as reader, d.refobjid as source
+      from pg_rewrite r
+      join pg_depend d on d.objid = r.oid and d.classid = 'pg_rewrite'::regclass
+      where d.refclassid = 'pg_class'::regclass
+        and d.refobjid <> r.ev_class
+    ),
+    chain as (
+      select m.oid as mv_oid, m.oid as reader, 0 as depth
+      from mv m
+      union
+      select c.mv_oid, r.source, c.depth + 1
+      from chain c
+      join reads r on r.reader = c.reader
+      where c.depth < 32
+    ),
+    depths as (
+      select c.mv_oid, max(c.depth) filter (where c.depth > 0 and c.reader in (select oid from mv)) as depth
+      from chain c
+      group by c.mv_oid
+    )
+    select
+      m.relname,
+      m.oid,
+      coalesce(d.depth, 0) as depth,
+      -- CONCURRENTLY keeps the view readable, but needs a unique index and existing rows
+      exists (
+        select 1 from pg_index i
+        where i.indrelid = m.oid
+          and i.indisunique
+          and i.indpred is null
+      ) and pv.ispopulated as can_concurrently
+    from mv m
+    join pg_matviews pv on pv.schemaname = 'public' and pv.matviewname = m.relname
+    left join depths d on d.mv_oid = m.oid
+    order by coalesce(d.depth, 0), m.relname
+  loop
+    v_started := clock_timestamp();
+    if v.can_concurrently then
+      execute format('refresh materialized view concurrently public.%I', v.relname);
+    else
+      execute format('refresh materialized view public.%I', v.relname);
+    end if;
+    matview := v.relname;
+    refreshed_concurrently := v.can_concurrently;
+    duration_ms := (extract(epoch from clock_timestamp() - v_started) * 1000)::integer;
+    return next;
+  end loop;
+
+  raise notice 'Leaderboards refreshed at %', now();
+end $$;
+
+comment on function public.refresh_leaderboards_v1() is
+  'Refreshes every materialized view in public, dependencies first; one row per view refreshed.';
+
+-- Full refreshes lock the views: only the service role (scripts/pipeline.mjs) may start them
+revoke execute on function public.refresh_leaderboards_v1() from public, anon, authenticated;
+grant execute on function public.refresh_leaderboards_v1() to service_role;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply section 7 of 20251022000000_user_login_and_scoring_v2.sql after:
+-- drop function if exists public.refresh_leaderboards_v1();
+
+-- Verification queries (run manually to confirm)
+-- select * from public.refresh_leaderboards_v1();
+-- select matviewname, ispopulated from pg_matviews where schemaname = 'public';
@@ -0,0 +1,239 @@
+-- Migration: Leaderboard Snapshots
+-- Purpose: Freeze the standings each run showed, so they can be compared after the fact
+--          (scripts/compare_runs.mjs). The views recompute from current observations, and
+--          re-scoring a run rebuilds its rows; these tables keep what was on the board:
+--            leaderboard_snapshots        per run: every student's total and rank
+--            leaderboard_snapshots_daily  per trip and trip-local day: the standings after the
+--                                         last run scored that day
+--          snapshot_leaderboards_v1(run_id) writes both; compute_scores.mjs calls it after
+--          scoring. score_entries_obs also keeps each observation's quality grade at scoring
+--          time, to explain why its points changed
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. COLUMNS
+-- ============================================================================
+
+-- quality_grade when the run scored the observation
+alter table public.score_entries_obs add column if not exists quality_grade text;
+
+-- ============================================================================
+-- 2. TABLES
+-- ============================================================================
+
+create table if not exists public.leaderboard_snapshots (
+  run_id          uuid not null references public.score_runs(id) on delete cascade,
+  student_key     text not null,
+  trip_key        text,
+  display_name    text,
+  user_logins     text,
+  points          numeric not null default 0,
+  obs_count       bigint not null default 0,
+  distinct_taxa   bigint not null default 0,
+  student_rank    bigint,
+  is_adult        boolean not null default false,
+  ident_points    numeric not null default 0,
+  ident_count     bigint not null default 0,
+  rule_set_id     text,
+  rule_set_version integer,
+  scored_at       timestamptz,
+  snapshot_at     timestamptz not null default now(),
+  primary key (run_id, student_key)
+);
+
+comment on table public.leaderboard_snapshots is
+  'Each run''s student standings as scored (leaderboard_students_by_run_v1 frozen by snapshot_leaderboards_v1()).';
+
+create index if not exists idx_leaderboard_snapshots_trip
+  on public.leaderboard_snapshots (trip_key, scored_at desc);
+
+create table if not exists public.leaderboard_snapshots_daily (
+  trip_key        text not null default '',
+  day             date not null,
+  student_key     text not null,
+  run_id          uuid not null references public.score_runs(id) on delete cascade,
+  display_name    text,
+  points          numeric not null default 0,
+  obs_count       bigint not null default 0,
+  distinct_taxa   bigint not null default 0,
+  student_rank    bigint,
+  is_adult        boolean not null default false,
+  ident_points    numeric not null default 0,
+  ident_count     bigint not null default 0,
+  snapshot_at     timestamptz not null default now(),
+  primary key (trip_key, day, student_key)
+);
+
+comment on table public.leaderboard_snapshots_daily is
+  'End-of-day trip standings: the last run scored on each trip-local day. trip_key is '''' for runs scored without a trip.';
+
+alter table public.leaderboard_snapshots enable row level security;
+alter table public.leaderboard_snapshots_daily enable row level security;
+
+-- Policies: standings are public like the leaderboard views; only the service role writes
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'leaderboard_snapshots'
+      and policyname = 'leaderboard_snapshots_read_all'
+  ) then
+    create policy leaderboard_snapshots_read_all
+      on public.leaderboard_snapshots
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'leaderboard_snapshots'
+      and policyname = 'leaderboard_snapshots_service_role_all'
+  ) then
+    create policy leaderboard_snapshots_service_role_all
+      on public.leaderboard_snapshots
+      for all
+      to service_role
+      using (true)
+      with check (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'leaderboard_snapshots_daily'
+      and policyname = 'leaderboard_snapshots_daily_read_all'
+  ) then
+    create policy leaderboard_snapshots_daily_read_all
+      on public.leaderboard_snapshots_daily
+      for select
+      using (true);
+  end if;
+end $$;
+
+do $$ begin
+  if not exists (
+    select 1 from pg_policies
+    where schemaname = 'public'
+      and tablename = 'leaderboard_snapshots_daily'
+      and policyname = 'leaderboard_snapshots_daily_service_role_all'
+  ) then
+    create policy leaderboard_snapshots_daily_service_role_all
+      on public.leaderboard_snapshots_daily
+      for all
+      to service_role
+      using (true)
+      with check (true);
+  end if;
+end $$;
+
+-- ============================================================================
+-- 3. SNAPSHOT FUNCTION
+-- ============================================================================
+
+-- Replaces the run's snapshot (re-scoring a run re-freezes it) and makes it the snapshot of
+-- the day it was scored on, in the trip's timezone (score_filters), unless a later run
+-- already holds that day
+create or replace function public.snapshot_leaderboards_v1(p_run_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_run record;
+  v_day date;
+  v_trip text;
+  v_count integer;
+begin
+  select id, started_at, scored_at, rule_set_id, rule_set_version, score_filters
+    into v_run
+    from public.score_runs
+   where id = p_run_id;
+  if not found then
+    raise exception 'score_runs row % not found', p_run_id;
+  end if;
+
+  delete from public.leaderboard_snapshots where run_id = p_run_id;
+  insert into public.leaderboard_snapshots (
+    run_id, student_key, trip_key, display_name, user_logins, points, obs_count, distinct_taxa,
+    student_rank, is_adult, ident_points, ident_count, rule_set_id, rule_set_version, scored_at
+  )
+  select
+    b.run_id, b.student_key, b.trip_key, b.display_name, b.user_logins, b.points, b.obs_count, b.distinct_taxa,
+    b.student_rank, b.is_adult, b.ident_points, b.ident_count, v_run.rule_set_id, v_run.rule_set_version, v_run.scored_at
+  from public.leaderboard_students_by_run_v1 b
+  where b.run_id = p_run_id;
+  get diagnostics v_count = row_count;
+
+  v_trip := coalesce(v_run.score_filters->>'trip_key', '');
+  v_day := (coalesce(v_run.scored_at, v_run.started_at)
+            at time zone coalesce(nullif(v_run.score_filters->>'timezone', ''), 'UTC'))::date;
+
+  -- The day belongs to the latest run scored on it
+  if not exists (
+    select 1
+    from public.leaderboard_snapshots_daily d
+    join public.score_runs r on r.id = d.run_id
+    where d.trip_key = v_trip
+      and d.day = v_day
+      and d.run_id <> p_run_id
+      and coalesce(r.scored_at, r.started_at) > coalesce(v_run.scored_at, v_run.started_at)
+  ) then
+    delete from public.leaderboard_snapshots_daily where trip_key = v_trip and day = v_day;
+    insert into public.leaderboard_snapshots_daily (
+      trip_key, day, student_key, run_id, display_name, points, obs_count, distinct_taxa,
+      student_rank, is_adult, ident_points, ident_count
+    )
+    select
+      v_trip, v_day, s.student_key, s.run_id, s.display_name, s.points, s.obs_count, s.distinct_taxa,
+      s.student_rank, s.is_adult, s.ident_points, s.ident_count
+    from public.leaderboard_snapshots s
+    where s.run_id = p_run_id;
+  end if;
+
+  return v_count;
+end $$;
+
+comment on function public.snapshot_leaderboards_v1(uuid) is
+  'Freezes a run''s student standings into leaderboard_snapshots and its day''s leaderboard_snapshots_daily; returns the rows written.';
+
+grant execute on function public.snapshot_leaderboards_v1(uuid) to service_role;
+
+-- ============================================================================
+-- 4. BACKFILL
+-- ============================================================================
+
+-- Runs scored before this migration, oldest first so each day ends on its last run. Their
+-- standings are recomputed now, so observations deleted since are already gone from them
+do $$
+declare
+  v_run record;
+begin
+  for v_run in
+    select r.id
+    from public.score_runs r
+    where r.scored_at is not null
+      and not exists (select 1 from public.leaderboard_snapshots s where s.run_id = r.id)
+    order by r.scored_at, r.id
+  loop
+    perform public.snapshot_leaderboards_v1(v_run.id);
+  end loop;
+end $$;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop function if exists public.snapshot_leaderboards_v1(uuid);
+-- drop table if exists public.leaderboard_snapshots_daily;
+-- drop table if exists public.leaderboard_snapshots;
+-- alter table public.score_entries_obs drop column if exists quality_grade;
+
+-- Verification queries (run manually to confirm)
+-- select trip_key, run_id, scored_at, count(*) as students from public.leaderboard_snapshots group by trip_key, run_id, scored_at order by scored_at desc;
+-- How a trip's standings moved day by day:
+-- select day, display_name, student_rank, points from public.leaderboard_snapshots_daily where trip_key = 'costa-rica-2025' and not is_adult order by day, student_rank;
@@ -0,0 +1,71 @@
+-- Migration: Atomic Scoring
+-- Purpose: scripts/compute_scores.mjs replaced a run's score_entries_obs rows and stamped
+--          score_runs in one transaction (replace_score_entries_v1()), but cleared and
+--          re-inserted score_entries_ident in separate requests and took the snapshot in
+--          another. A failure between them left identification points or the snapshot from
+--          another scoring. replace_score_entries_v2() does all of it in one transaction:
+--          readers see the old run until it commits, and a failure leaves it untouched
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. REPLACE FUNCTION
+-- ============================================================================
+
+-- p_entries / p_run: as replace_score_entries_v1() (20251110000000_scoring_rule_sets.sql).
+-- p_ident_entries: the rows scoreIdentifications() returns; the columns inserted are their
+-- keys, like p_entries.
+create or replace function public.replace_score_entries_v2(
+  p_run_id uuid,
+  p_entries jsonb,
+  p_ident_entries jsonb,
+  p_run jsonb
+)
+returns table(scored integer, ident_scored integer, snapshot_students integer)
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_columns text;
+begin
+  -- Locks the run, replaces score_entries_obs and stamps score_runs
+  scored := public.replace_score_entries_v1(p_run_id, p_entries, p_run);
+
+  delete from public.score_entries_ident where run_id = p_run_id;
+  ident_scored := 0;
+
+  select string_agg(quote_ident(k), ', ' order by k)
+    into v_columns
+  from (
+    select distinct jsonb_object_keys(e) as k
+    from jsonb_array_elements(coalesce(p_ident_entries, '[]'::jsonb)) e
+  ) keys
+  where k <> 'run_id';
+
+  if v_columns is not null then
+    execute format(
+      'insert into public.score_entries_ident (run_id, %1$s) '
+      'select $1, %1$s from jsonb_populate_recordset(null::public.score_entries_ident, $2)',
+      v_columns
+    ) using p_run_id, p_ident_entries;
+    get diagnostics ident_scored = row_count;
+  end if;
+
+  snapshot_students := public.snapshot_leaderboards_v1(p_run_id);
+  return next;
+end $$;
+
+comment on function public.replace_score_entries_v2(uuid, jsonb, jsonb, jsonb) is
+  'Replaces a run''s score_entries_obs and score_entries_ident rows, stamps score_runs (rule set, filters, roster report, scored_at) and snapshots its standings, in one transaction.';
+
+-- Writes every run's scores: the service role (compute_scores.mjs) only
+revoke execute on function public.replace_score_entries_v2(uuid, jsonb, jsonb, jsonb) from public, anon, authenticated;
+grant execute on function public.replace_score_entries_v2(uuid, jsonb, jsonb, jsonb) to service_role;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- drop function if exists public.replace_score_entries_v2(uuid, jsonb, jsonb, jsonb);
+
+-- Verification queries (run manually to confirm)
+-- select proname, prosecdef from pg_proc where proname like 'replace_score_entries_v%';
+-- select id, scored_at, rule_set_id, rule_set_version from public.score_runs where scored_at is not null order by scored_at desc limit 5;
@@ -0,0 +1,644 @@
+-- Migration: Latest Scored Run
+-- Purpose: The *_latest views and compute_scores_mvp() took the newest score_runs row by
+--          started_at. Every ingest opens a row (MEMBERS runs, failed runs and runs still
+--          in progress too), so the views went blank until that run was scored, and the RPC
+--          re-scored whatever ran last. The views now read latest_run_v1, the run scored
+--          most recently (as readScoreRun() in src/lib/leaderboard_reads.mjs picks it), and
+--          the RPC defaults to the newest finished ingest run not scored yet. View columns
+--          do not change
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. THE RUN THE LATEST VIEWS SHOW
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.latest_run_v1 AS
+SELECT
+  id,
+  started_at,
+  scored_at,
+  rule_set_id,
+  rule_set_version,
+  score_filters,
+  roster_report
+FROM public.score_runs
+WHERE scored_at IS NOT NULL
+ORDER BY scored_at DESC, id DESC
+LIMIT 1;
+
+COMMENT ON VIEW public.latest_run_v1 IS
+  'The score_runs row the *_latest views show: the run scored most recently. Unscored ingest runs (members, failed, in progress) never replace it.';
+
+CREATE INDEX IF NOT EXISTS score_runs_scored_at_idx
+  ON public.score_runs (scored_at DESC)
+  WHERE scored_at IS NOT NULL;
+
+-- ============================================================================
+-- 2. SQL RPC DEFAULTS TO THE RUN AWAITING SCORING
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.compute_scores_mvp(p_run_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_run uuid;
+  v_inserted integer := 0;
+  cfg RECORD;
+BEGIN
+  -- Active filter row (single-row table with id = true)
+  SELECT id, mode, d1, d2, timezone, swlat, swlng, nelat, nelng, trip_key, bboxes, area, place_ids,
+         obscured, max_accuracy_m
+    INTO cfg
+  FROM public.config_filters
+  WHERE id IS TRUE
+  LIMIT 1;
+
+  -- Choose run id: param wins; else the newest finished ingest run not scored yet. Runs
+  -- still running or that failed have nothing to score
+  SELECT COALESCE(p_run_id,
+          (SELECT id FROM public.score_runs
+           WHERE scored_at IS NULL
+             AND status IN ('ok', 'partial')
+           ORDER BY started_at DESC NULLS LAST, id DESC
+           LIMIT 1))
+    INTO v_run;
+
+  IF v_run IS NULL THEN
+    RAISE NOTICE 'No ingest run awaiting scoring. Supply p_run_id to re-score a run.';
+    RETURN 0;
+  END IF;
+
+  -- Idempotent: wipe & rebuild this run's rows in score_entries_obs
+  DELETE FROM public.score_entries_obs WHERE run_id = v_run;
+
+  WITH timed AS (
+    -- Days and first-of-taxon order in the trip's zone (src/scoring/time.mjs)
+    SELECT
+      o.*,
+      public.observation_local_day(o.time_observed_at::timestamptz, o.observed_on::date,
+                                   o.observed_at::timestamptz, cfg.timezone) AS local_day,
+      public.observation_local_instant(o.time_observed_at::timestamptz, o.observed_on::date,
+                                       o.observed_at::timestamptz, cfg.timezone) AS local_at
+    FROM public.observations o
+  ),
+  obs AS (
+    SELECT
+      o.*,
+      ROW_NUMBER() OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.local_at NULLS LAST, o.created_at NULLS LAST
+      ) AS rn_first_taxon,
+      FIRST_VALUE(o.inat_obs_id) OVER (
+        PARTITION BY o.user_login, o.taxon_id
+        ORDER BY o.local_at NULLS LAST, o.created_at NULLS LAST
+      ) AS first_taxon_obs_id
+    FROM timed o
+    WHERE o.user_login IS NOT NULL
+      AND o.is_active
+      AND (cfg.d1   IS NULL OR o.local_day >= cfg.d1)
+      AND (cfg.d2   IS NULL OR o.local_day <= cfg.d2)
+      AND (cfg.swlat IS NULL OR o.latitude  >= cfg.swlat)
+      AND (cfg.nelat IS NULL OR o.latitude  <= cfg.nelat)
+      AND (cfg.swlng IS NULL OR o.longitude >= cfg.swlng)
+      AND (cfg.nelng IS NULL OR o.longitude <= cfg.nelng)
+      -- trips.json areas: inside one of the trip's boxes or polygons, or in one of its iNat places
+      AND ((COALESCE(jsonb_array_length(cfg.bboxes), 0) = 0
+            AND cfg.area IS NULL
+            AND COALESCE(cardinality(cfg.place_ids), 0) = 0)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(COALESCE(cfg.bboxes, '[]'::jsonb)) AS b(box)
+            WHERE o.longitude BETWEEN (b.box->>'west')::float8 AND (b.box->>'east')::float8
+              AND o.latitude  BETWEEN (b.box->>'south')::float8 AND (b.box->>'north')::float8)
+        OR public.point_in_area(o.longitude, o.latitude, cfg.area)
+        OR EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements_text(
+                   CASE WHEN jsonb_typeof(o.raw_json->'place_ids') = 'array'
+                        THEN o.raw_json->'place_ids' ELSE '[]'::jsonb END) AS p(place_id)
+            WHERE p.place_id::integer = ANY (cfg.place_ids)))
+      -- location policy
+      AND (cfg.obscured IS DISTINCT FROM 'exclude' OR NOT public.observation_is_obscured(o.raw_json))
+      AND (cfg.max_accuracy_m IS NULL
+        OR COALESCE((o.raw_json->>'public_positional_accuracy')::numeric,
+                    (o.raw_json->>'positional_accuracy')::numeric) IS NULL
+        OR COALESCE((o.raw_json->>'public_positional_accuracy')::numeric,
+                    (o.raw_json->>'positional_accuracy')::numeric) <= cfg.max_accuracy_m)
+  ),
+  scored AS (
+    SELECT
+      v_run                     AS run_id,
+      o.user_login,
+      o.inat_obs_id,
+      o.taxon_id,
+      (
+        1
+        + CASE WHEN o.quality_grade = 'research' THEN 1 ELSE 0 END
+        + CASE WHEN o.rn_first_taxon = 1 THEN 1 ELSE 0 END
+      )::numeric                AS points,
+      o.observed_at,
+      o.local_day               AS observed_day,
+      jsonb_build_array(
+        jsonb_build_object('rule', 'base', 'label', 'base', 'points', 1, 'applied', true),
+        CASE WHEN o.quality_grade = 'research'
+          THEN jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'research_grade', 'label', 'research grade',
+                                  'points', 0, 'applied', false,
+                                  'reason', format('quality_grade is %s (needs research)',
+                                                   COALESCE(o.quality_grade, 'empty')))
+        END,
+        CASE WHEN o.rn_first_taxon = 1
+          THEN jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 1, 'applied', true)
+          ELSE jsonb_build_object('rule', 'first_of_taxon',
+                                  'label', format('first %s for you', COALESCE(o.taxon_name, 'unknown')),
+                                  'points', 0, 'applied', false,
+                                  'reason', format('you observed %s earlier (#%s)',
+                                                   COALESCE(o.taxon_name, 'this taxon'), o.first_taxon_obs_id))
+        END
+      )                         AS breakdown
+    FROM obs o
+  )
+  INSERT INTO public.score_entries_obs
+    (run_id, user_login, inat_obs_id, taxon_id, points, observed_at, observed_day, breakdown)
+  SELECT * FROM scored
+  ON CONFLICT (run_id, inat_obs_id) DO UPDATE SET
+    points      = EXCLUDED.points,
+    observed_at = EXCLUDED.observed_at,
+    observed_day = EXCLUDED.observed_day,
+    user_login  = EXCLUDED.user_login,
+    taxon_id    = EXCLUDED.taxon_id,
+    breakdown   = EXCLUDED.breakdown;
+
+  GET DIAGNOSTICS v_inserted = ROW_COUNT;
+
+  -- The points above are rules/default.v1.json expressed in SQL
+  UPDATE public.score_runs
+     SET rule_set_id = 'default',
+         rule_set_version = 1,
+         rule_set_hash = NULL,
+         scored_at = now(),
+         score_filters = jsonb_build_object(
+           'd1', cfg.d1, 'd2', cfg.d2, 'timezone', cfg.timezone,
+           'swlat', cfg.swlat, 'swlng', cfg.swlng, 'nelat', cfg.nelat, 'nelng', cfg.nelng,
+           'trip_key', cfg.trip_key, 'bboxes', cfg.bboxes, 'area', cfg.area,
+           'place_ids', to_jsonb(cfg.place_ids), 'obscured', cfg.obscured,
+           'max_accuracy_m', cfg.max_accuracy_m)
+   WHERE id = v_run;
+
+  RETURN v_inserted;
+END$$;
+
+ALTER FUNCTION public.compute_scores_mvp SET search_path = public;
+
+COMMENT ON FUNCTION public.compute_scores_mvp IS
+  'Populates score_entries_obs (per-observation, with rule breakdown) for a run (default: the newest finished ingest run not scored yet) using the built-in default@1 rules. Filters by active config_filters (including per-trip bboxes, polygons, places, location policy and the trip timezone for d1/d2, days and first-of-taxon order) and skips soft-deleted observations. Idempotent (deletes & rebuilds per run). For other rule sets use scripts/compute_scores.mjs.';
+
+-- ============================================================================
+-- 3. LATEST VIEWS READ latest_run_v1
+-- ============================================================================
+
+-- Each view as last defined, with only its latest_run CTE changed. Views built on these
+-- (diversity_latest_v1, species_accumulation_latest_v1, taxon_breakdown_latest_v1,
+-- leaderboard_students_adult_footnotes_v1, leaderboard_daily_mv, leaderboard_overall_mv)
+-- follow them.
+
+-- leaderboard_overall_latest_v1 (last defined in 20251119000000_taxon_lineage.sql)
+CREATE OR REPLACE VIEW public.leaderboard_overall_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+)
+SELECT
+  se.user_login,
+  COUNT(*)::bigint                    AS obs_count,
+  public.count_leaf_taxa(se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable) AS distinct_taxa,
+  MIN(se.observed_at)                 AS first_observed_at,
+  MAX(se.observed_at)                 AS last_observed_at
+FROM public.score_entries_obs se
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND NOT EXISTS (
+    SELECT 1 FROM public.observations o
+    WHERE o.inat_obs_id = se.inat_obs_id
+      AND NOT o.is_active
+  )
+GROUP BY se.user_login;
+
+-- leaderboard_daily_latest_v1 (last defined in 20251107000000_observation_soft_deletes.sql)
+CREATE OR REPLACE VIEW public.leaderboard_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+),
+scored AS (
+  SELECT
+    se.user_login,
+    (se.observed_at AT TIME ZONE 'UTC')::date AS day_utc,
+    se.taxon_id
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+)
+SELECT
+  user_login,
+  day_utc,
+  COUNT(*)::bigint                 AS obs_count,
+  COUNT(DISTINCT taxon_id)::bigint AS distinct_taxa
+FROM scored
+GROUP BY user_login, day_utc;
+
+-- score_breakdown_latest_v1 (last defined in 20251111000000_score_breakdown.sql)
+CREATE OR REPLACE VIEW public.score_breakdown_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+)
+SELECT
+  se.run_id,
+  se.user_login,
+  se.inat_obs_id,
+  o.taxon_name,
+  se.observed_at,
+  se.points                         AS obs_points,
+  item.ord::integer                 AS item_order,
+  item.value->>'rule'               AS rule_id,
+  item.value->>'label'              AS label,
+  (item.value->>'points')::numeric  AS points,
+  (item.value->>'applied')::boolean AS applied,
+  item.value->>'reason'             AS reason
+FROM public.score_entries_obs se
+LEFT JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+CROSS JOIN LATERAL jsonb_array_elements(COALESCE(se.breakdown, '[]'::jsonb))
+  WITH ORDINALITY AS item(value, ord)
+WHERE se.run_id = (SELECT id FROM latest_run);
+
+-- leaderboard_daily_latest_v2 (last defined in 20251121000000_identifications.sql)
+CREATE OR REPLACE VIEW public.leaderboard_daily_latest_v2 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+),
+scored AS (
+  SELECT
+    se.user_login,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    se.taxon_id,
+    se.taxon_ancestor_ids,
+    se.taxon_countable,
+    se.points,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.user_login,
+    COALESCE(si.identified_day, (si.identified_at AT TIME ZONE 'UTC')::date),
+    NULL::bigint,
+    NULL::bigint[],
+    NULL::boolean,
+    si.points,
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+)
+SELECT
+  user_login,
+  day,
+  SUM(points)                      AS points,
+  COUNT(*) FILTER (WHERE NOT is_ident)::bigint AS obs_count,
+  public.count_leaf_taxa(taxon_id, taxon_ancestor_ids, taxon_countable) AS distinct_taxa,
+  COALESCE(SUM(points) FILTER (WHERE is_ident), 0) AS ident_points,
+  COUNT(*) FILTER (WHERE is_ident)::bigint     AS ident_count
+FROM scored
+GROUP BY user_login, day;
+
+-- leaderboard_students_latest_v1 (last defined in 20251122000000_leaderboards_by_run.sql)
+CREATE OR REPLACE VIEW public.leaderboard_students_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+)
+SELECT
+  b.student_key,
+  b.display_name,
+  b.user_logins,
+  b.points,
+  b.obs_count,
+  b.distinct_taxa,
+  b.student_rank,
+  b.is_adult,
+  b.ident_points,
+  b.ident_count
+FROM public.leaderboard_students_by_run_v1 b
+WHERE b.run_id = (SELECT id FROM latest_run);
+
+-- leaderboard_students_daily_latest_v1 (last defined in 20251122000000_leaderboards_by_run.sql)
+CREATE OR REPLACE VIEW public.leaderboard_students_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+)
+SELECT
+  b.day,
+  b.student_key,
+  b.display_name,
+  b.points,
+  b.obs_count,
+  b.distinct_taxa,
+  b.student_rank,
+  b.is_adult,
+  b.ident_points,
+  b.ident_count
+FROM public.leaderboard_students_daily_by_run_v1 b
+WHERE b.run_id = (SELECT id FROM latest_run);
+
+-- leaderboard_teams_latest_v1 (last defined in 20251121000000_identifications.sql)
+CREATE OR REPLACE VIEW public.leaderboard_teams_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.latest_run_v1
+),
+scored AS (
+  SELECT
+    se.team, se.student_key, se.user_login, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.team, si.student_key, si.user_login, si.points,
+    NULL, NULL, NULL,
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND si.team IS NOT NULL
+    AND NOT si.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*) FILTER (WHERE NOT s.is_ident)::bigint     AS obs_count,
+    public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable) AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members,
+    COALESCE(SUM(s.points) FILTER (WHERE s.is_ident), 0) AS ident_points,
+    COUNT(*) FILTER (WHERE s.is_ident)::bigint         AS ident_count
+  FROM scored s
+  GROUP BY s.team
+),
+teams AS (
+  SELECT team FROM totals
+  UNION
+  SELECT jsonb_object_keys(COALESCE(sizes, '{}'::jsonb)) FROM latest_run
+),
+sized AS (
+  SELECT
+    tm.team,
+    COALESCE(t.points, 0)         AS points,
+    COALESCE(t.obs_count, 0)      AS obs_count,
+    COALESCE(t.distinct_taxa, 0)  AS distinct_taxa,
+    COALESCE(t.active_members, 0) AS active_members,
+    COALESCE(t.ident_points, 0)   AS ident_points,
+    COALESCE(t.ident_count, 0)    AS ident_count,
+    COALESCE((lr.sizes->>tm.team)::bigint, t.active_members) AS members,
+    lr.aggregation
+  FROM teams tm
+  LEFT JOIN totals t ON t.team = tm.team
+  CROSS JOIN latest_run lr
+),
+standings AS (
+  SELECT
+    z.*,
+    ROUND(z.points / NULLIF(z.members, 0), 6) AS points_per_member,
+    CASE z.aggregation
+      WHEN 'average'       THEN COALESCE(ROUND(z.points / NULLIF(z.members, 0), 6), 0)
+      WHEN 'distinct_taxa' THEN z.distinct_taxa
+      ELSE z.points
+    END AS score
+  FROM sized z
+)
+SELECT
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (ORDER BY st.score DESC) AS team_rank,
+  st.points,
+  st.points_per_member,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa,
+  st.ident_points,
+  st.ident_count
+FROM standings st;
+
+-- leaderboard_teams_daily_latest_v1 (last defined in 20251121000000_identifications.sql)
+CREATE OR REPLACE VIEW public.leaderboard_teams_daily_latest_v1 AS
+WITH latest_run AS (
+  SELECT
+    id,
+    COALESCE(score_filters->>'team_aggregation', 'sum') AS aggregation,
+    roster_report->'teams'                             AS sizes
+  FROM public.latest_run_v1
+),
+scored AS (
+  SELECT
+    se.team, se.student_key, se.user_login, se.points,
+    se.taxon_id, se.taxon_ancestor_ids, se.taxon_countable,
+    COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+    false AS is_ident
+  FROM public.score_entries_obs se
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND NOT se.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = se.inat_obs_id
+        AND NOT o.is_active
+    )
+  UNION ALL
+  SELECT
+    si.team, si.student_key, si.user_login, si.points,
+    NULL, NULL, NULL,
+    COALESCE(si.identified_day, (si.identified_at AT TIME ZONE 'UTC')::date),
+    true
+  FROM public.score_entries_ident si
+  WHERE si.run_id = (SELECT id FROM latest_run)
+    AND si.team IS NOT NULL
+    AND NOT si.is_adult
+    AND NOT EXISTS (
+      SELECT 1 FROM public.observations o
+      WHERE o.inat_obs_id = si.inat_obs_id
+        AND NOT o.is_active
+    )
+),
+totals AS (
+  SELECT
+    s.day,
+    s.team,
+    SUM(s.points)                                      AS points,
+    COUNT(*) FILTER (WHERE NOT s.is_ident)::bigint     AS obs_count,
+    public.count_leaf_taxa(s.taxon_id, s.taxon_ancestor_ids, s.taxon_countable) AS distinct_taxa,
+    COUNT(DISTINCT COALESCE(s.student_key, s.user_login))::bigint AS active_members,
+    COALESCE(SUM(s.points) FILTER (WHERE s.is_ident), 0) AS ident_points,
+    COUNT(*) FILTER (WHERE s.is_ident)::bigint         AS ident_count
+  FROM scored s
+  GROUP BY s.day, s.team
+),
+standings AS (
+  SELECT
+    t.*,
+    COALESCE((lr.sizes->>t.team)::bigint, t.active_members) AS members,
+    lr.aggregation,
+    CASE lr.aggregation
+      WHEN 'average'       THEN ROUND(t.points / NULLIF(COALESCE((lr.sizes->>t.team)::bigint, t.active_members), 0), 6)
+      WHEN 'distinct_taxa' THEN t.distinct_taxa
+      ELSE t.points
+    END AS score
+  FROM totals t CROSS JOIN latest_run lr
+)
+SELECT
+  st.day,
+  st.team,
+  st.aggregation,
+  st.score,
+  dense_rank() OVER (PARTITION BY st.day ORDER BY st.score DESC NULLS LAST) AS team_rank,
+  st.points,
+  st.members,
+  st.active_members,
+  st.obs_count,
+  st.distinct_taxa,
+  st.ident_points,
+  st.ident_count
+FROM standings st;
+
+-- team_species_latest_v1 (last defined in 20251117000000_teams.sql)
+CREATE OR REPLACE VIEW public.team_species_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+),
+scored AS (
+  SELECT se.*, o.taxon_name
+  FROM public.score_entries_obs se
+  JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+  WHERE se.run_id = (SELECT id FROM latest_run)
+    AND se.team IS NOT NULL
+    AND se.taxon_id IS NOT NULL
+    AND NOT se.is_adult
+    AND o.is_active
+)
+SELECT
+  s.team,
+  s.taxon_id,
+  MIN(s.taxon_name)                                                        AS taxon_name,
+  COUNT(*)::bigint                                                         AS observations,
+  array_agg(DISTINCT COALESCE(s.student_name, s.user_login))               AS observers,
+  (array_agg(s.inat_obs_id ORDER BY s.observed_at NULLS LAST, s.inat_obs_id))[1] AS first_inat_obs_id,
+  MIN(s.observed_at)                                                       AS first_observed_at
+FROM scored s
+GROUP BY s.team, s.taxon_id;
+
+-- biodiversity_obs_latest_v1 (last defined in 20251119000000_taxon_lineage.sql)
+CREATE OR REPLACE VIEW public.biodiversity_obs_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+)
+SELECT
+  se.inat_obs_id,
+  se.user_login,
+  COALESCE(se.student_key, se.user_login)  AS participant,
+  COALESCE(se.student_name, se.user_login) AS participant_name,
+  COALESCE(se.is_adult, false)             AS is_adult,
+  se.team,
+  COALESCE(se.observed_day, (se.observed_at AT TIME ZONE 'UTC')::date) AS day,
+  COALESCE(se.taxon_id, o.taxon_id)        AS taxon_id,
+  o.taxon_name,
+  o.taxon_rank,
+  o.taxon_kingdom,
+  o.taxon_phylum,
+  o.taxon_class,
+  o.taxon_order,
+  o.taxon_family,
+  o.taxon_genus,
+  COALESCE(se.taxon_ancestor_ids, '{}')    AS taxon_ancestor_ids,
+  COALESCE(se.taxon_countable, true)       AS taxon_countable
+FROM public.score_entries_obs se
+JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND o.is_active;
+
+-- discoveries_latest_v1 (last defined in 20251120000000_trip_discoveries.sql)
+CREATE OR REPLACE VIEW public.discoveries_latest_v1 AS
+WITH latest_run AS (
+  SELECT id
+  FROM public.latest_run_v1
+)
+SELECT
+  COALESCE(se.student_key, se.user_login)  AS student_key,
+  COALESCE(se.student_name, se.user_login) AS display_name,
+  se.user_login,
+  se.team,
+  se.taxon_id,
+  o.taxon_name,
+  o.taxon_rank,
+  se.inat_obs_id,
+  se.observed_at,
+  se.observed_day,
+  se.trip_finders,
+  ts.observations_count AS inat_observations_count
+FROM public.score_entries_obs se
+JOIN public.observations o ON o.inat_obs_id = se.inat_obs_id
+LEFT JOIN public.taxon_stats ts ON ts.taxon_id = se.taxon_id
+WHERE se.run_id = (SELECT id FROM latest_run)
+  AND se.trip_first
+  AND o.is_active;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply compute_scores_mvp from 20251114000000_trip_timezones.sql and each view above
+-- from the migration named in its heading, then:
+-- drop index if exists public.score_runs_scored_at_idx;
+-- drop view if exists public.latest_run_v1;
+
+-- Verification queries (run manually to confirm)
+-- select id, started_at, scored_at, score_filters->>'trip_key' as trip_key from public.latest_run_v1;
+-- Unscored runs newer than it, which the views no longer show:
+-- select id, mode, status, started_at from public.score_runs where scored_at is null and started_at > (select started_at from public.latest_run_v1);
+-- select count(*) from public.leaderboard_students_latest_v1;
@@ -0,0 +1,57 @@
+-- Migration: Latest Run by Trip
+-- Purpose: latest_run_v1 (and so every *_latest view and leaderboard_daily_mv /
+--          leaderboard_overall_mv) was the run scored most recently, whichever trip it
+--          scored. scripts/pipeline.mjs scores the trips in trips.json order, so the last
+--          trip in the file replaced the active one. latest_run_v1 is now the latest scored
+--          run of the active trip (spider_trip_windows_v1.is_active, set by
+--          scripts/trips.mjs sync --activate), matched on score_filters->>'trip_key'. With
+--          no active trip it is the latest scored run, as before. Columns do not change
+-- Safe to re-run: Yes (idempotent patterns throughout)
+
+-- ============================================================================
+-- 1. THE RUN THE LATEST VIEWS SHOW
+-- ============================================================================
+
+CREATE OR REPLACE VIEW public.latest_run_v1 AS
+WITH active_trip AS (
+  SELECT trip_key
+  FROM public.spider_trip_windows_v1
+  WHERE is_active
+)
+SELECT
+  r.id,
+  r.started_at,
+  r.scored_at,
+  r.rule_set_id,
+  r.rule_set_version,
+  r.score_filters,
+  r.roster_report
+FROM public.score_runs r
+WHERE r.scored_at IS NOT NULL
+  AND (
+    NOT EXISTS (SELECT 1 FROM active_trip)
+    OR r.score_filters->>'trip_key' = (SELECT trip_key FROM active_trip)
+  )
+ORDER BY r.scored_at DESC, r.id DESC
+LIMIT 1;
+
+COMMENT ON VIEW public.latest_run_v1 IS
+  'The score_runs row the *_latest views show: the active trip''s run scored most recently (any trip''s when none is active). Other trips'' runs and unscored ingest runs never replace it; the views are empty until the active trip is scored.';
+
+-- The active trip's scored runs, newest first
+CREATE INDEX IF NOT EXISTS score_runs_trip_scored_at_idx
+  ON public.score_runs ((score_filters->>'trip_key'), scored_at DESC)
+  WHERE scored_at IS NOT NULL;
+
+-- ============================================================================
+-- ROLLBACK
+-- ============================================================================
+-- Re-apply section 1 of 20251127000000_latest_scored_run.sql, then:
+-- drop index if exists public.score_runs_trip_scored_at_idx;
+
+-- Verification queries (run manually to confirm)
+-- select trip_key from public.spider_trip_windows_v1 where is_active;
+-- select id, scored_at, score_filters->>'trip_key' as trip_key from public.latest_run_v1;
+-- Each trip's latest scored run; the active one's is the row above:
+-- select distinct on (score_filters->>'trip_key') score_filters->>'trip_key' as trip_key, id, scored_at
+-- from public.score_runs where scored_at is not null order by score_filters->>'trip_key', scored_at desc;
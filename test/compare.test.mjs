@@ -0,0 +1,85 @@
+// Run comparison: rank movement from snapshots, and why observations entered, left or changed
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareObservations, compareStandings } from '../src/scoring/compare.mjs';
+
+const standing = (student_key, student_rank, points, extra = {}) => ({ student_key, display_name: student_key, user_logins: student_key.toLowerCase(), student_rank, points, is_adult: false, ...extra });
+
+test('compareStandings lines up both runs with rank movement and points delta', () => {
+  const rows = compareStandings(
+    [standing('Ann', 1, 6), standing('Bob', 2, 4), standing('Dee', 3, 1), standing('Ms. Rivera', null, 3, { is_adult: true })],
+    [standing('Bob', 1, 7.5), standing('Ann', 2, 6), standing('Cy', 3, 2), standing('Ms. Rivera', null, 5, { is_adult: true })]
+  );
+  assert.deepEqual(rows.map((r) => [r.display_name, r.from_rank, r.to_rank, r.rank_change, r.points_delta]), [
+    ['Bob', 2, 1, 1, 3.5],
+    ['Ann', 1, 2, -1, 0],
+    ['Cy', null, 3, null, 2],
+    ['Dee', 3, null, null, -1],
+    ['Ms. Rivera', null, null, null, 2],
+  ]);
+});
+
+const FILTERS = { trip_key: 'cr', d1: '2025-11-01', d2: '2025-11-30', timezone: 'America/Costa_Rica' };
+const FROM_RUN = { id: 'a', started_at: '2025-11-12T02:00:00Z', rule_set_id: 'default', rule_set_version: 1, rule_set_hash: 'h1', score_filters: FILTERS, roster_report: null };
+const TO_RUN = { ...FROM_RUN, id: 'b', started_at: '2025-11-13T02:00:00Z', rule_set_version: 2, rule_set_hash: 'h2', roster_report: { unmatched: [{ user_login: 'stranger', observations: 1 }] } };
+
+const entry = (inat_obs_id, user_login, points, breakdown, extra = {}) => ({
+  inat_obs_id, user_login, student_key: user_login, student_name: user_login, taxon_id: 6, quality_grade: 'research', points, breakdown, ...extra,
+});
+const base = { rule: 'base', label: 'base', points: 1, applied: true };
+const research = (points) => ({ rule: 'research', label: 'research grade', points, applied: points !== 0, ...(points ? {} : { reason: 'quality_grade is needs_id' }) });
+const obsRow = (inat_obs_id, user_login, extra = {}) => ({
+  inat_obs_id, user_login, observed_on: '2025-11-10', time_observed_at: '2025-11-10T15:00:00Z', created_at: '2025-11-10T16:00:00Z',
+  latitude: 10.4, longitude: -84, is_active: true, quality_grade: 'research', taxon_name: 'Anolis limifrons', ...extra,
+});
+
+test('compareObservations explains what entered, left and changed points', () => {
+  const from = [
+    entry(1, 'ann', 2, [base, research(1)]),
+    entry(2, 'ann', 2, [base, research(1)]),
+    entry(3, 'bob', 1, [base, research(0)]),
+    entry(4, 'stranger', 1, [base]),
+  ];
+  const to = [
+    entry(2, 'ann', 1, [base, research(0)], { quality_grade: 'needs_id' }),
+    entry(3, 'bob', 1, [base, research(0)]),
+    entry(5, 'bob', 2, [base, research(1)]),
+    entry(6, 'cy', 1, [base]),
+  ];
+  const observations = new Map([
+    [1, obsRow(1, 'ann', { is_active: false })],
+    [2, obsRow(2, 'ann', { quality_grade: 'needs_id' })],
+    [4, obsRow(4, 'stranger')],
+    [5, obsRow(5, 'bob', { created_at: '2025-11-12T20:00:00Z' })],
+    [6, obsRow(6, 'cy', { created_at: '2025-11-01T20:00:00Z' })],
+  ]);
+
+  const changes = compareObservations(from, to, { observations, fromRun: FROM_RUN, toRun: TO_RUN });
+  assert.deepEqual(changes.map((c) => [c.change, c.inat_obs_id, c.points_delta]), [
+    ['entered', 5, 2],
+    ['entered', 6, 1],
+    ['left', 1, -2],
+    ['left', 4, -1],
+    ['points', 2, -1],
+  ]);
+  const why = (id) => changes.find((c) => c.inat_obs_id === id).reasons;
+  assert.deepEqual(why(5), ['uploaded after the earlier run']);
+  assert.deepEqual(why(6), ['ingested after the earlier run']);
+  assert.deepEqual(why(1), ['deleted on iNaturalist']);
+  assert.deepEqual(why(4), ['login not on the roster']);
+  assert.deepEqual(why(2), [
+    'quality grade research → needs_id',
+    'rule set default@1 → default@2',
+    'research grade: +1 → +0 (quality_grade is needs_id)',
+  ]);
+  assert.equal(changes.find((c) => c.inat_obs_id === 2).taxon_name, 'Anolis limifrons');
+});
+
+test('an observation now outside the trip window says so', () => {
+  const changes = compareObservations(
+    [entry(7, 'ann', 1, [base])],
+    [],
+    { observations: new Map([[7, obsRow(7, 'ann', { observed_on: '2025-12-02', time_observed_at: '2025-12-02T15:00:00Z' })]]), fromRun: FROM_RUN, toRun: TO_RUN }
+  );
+  assert.deepEqual(changes[0].reasons, ['observed 2025-12-02, after trip window (2025-11-30)']);
+});
@@ -0,0 +1,60 @@
+// Ingest config schema: mode selection, bbox axis order, validation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadIngestConfig, parseBbox } from '../src/ingest/config.mjs';
+import { buildObservationParams } from '../src/ingest/query.mjs';
+import { checkpointScope } from '../src/ingest/checkpoints.mjs';
+
+test('parses a west,south,east,north bbox into iNat sw/ne params', () => {
+  const config = loadIngestConfig({ INAT_MODE: 'TRIP', TRIP_BBOX: '-84.05, 10.40, -83.48, 10.62' });
+  assert.deepEqual(config.trip.bbox, { west: -84.05, south: 10.4, east: -83.48, north: 10.62 });
+  assert.equal(config.trip.bboxSpec, '-84.05, 10.40, -83.48, 10.62');
+
+  const p = buildObservationParams({ mode: 'TRIP', logins: [] }, config);
+  assert.deepEqual(['swlng', 'swlat', 'nelng', 'nelat'].map((k) => p.get(k)), ['-84.05', '10.4', '-83.48', '10.62']);
+});
+
+test('queries iNat places instead of a box with TRIP_PLACE_ID', () => {
+  const config = loadIngestConfig({ TRIP_PLACE_ID: '6924, 150129', TRIP_D1: '2025-11-01' });
+  assert.deepEqual(config.trip.placeIds, [6924, 150129]);
+  const p = buildObservationParams({ mode: 'TRIP', logins: [] }, config);
+  assert.equal(p.get('place_id'), '6924,150129');
+  assert.equal(p.has('swlat'), false);
+  assert.match(checkpointScope('TRIP', config).scope_key, /^TRIP:place_id=6924,150129\|2025-11-01\|$/);
+
+  assert.throws(() => loadIngestConfig({ TRIP_PLACE_ID: 'tortuguero' }), /comma-separated iNat place ids/);
+  assert.throws(() => loadIngestConfig({ TRIP_PLACE_ID: '6924', TRIP_BBOX: '-84,10,-83,11' }), /not both/);
+});
+
+test('rejects latitude-first and malformed boxes', () => {
+  // south,west,north,east puts longitudes where latitudes belong
+  assert.throws(() => parseBbox('29.10,-103.60,29.30,-102.95'), /latitude out of range.*west,south,east,north/);
+  assert.throws(() => parseBbox('-84,11,-83,10'), /south \(11\) is above north/);
+  assert.throws(() => parseBbox('-83,10,-84,11'), /west \(-83\) is east of east/);
+  assert.throws(() => parseBbox('-84,10,-83'), /four numbers/);
+  assert.throws(() => parseBbox('-84,10,,11'), /four numbers/);
+});
+
+test('picks the mode from whichever inputs are set', () => {
+  assert.equal(loadIngestConfig({ INAT_USER_LOGIN: 'ann', INAT_MODE: 'TRIP' }).mode, 'USER');
+  assert.equal(loadIngestConfig({ INAT_USER_LOGINS: 'ann, bob' }).mode, 'USERS');
+  assert.deepEqual(loadIngestConfig({ INAT_USER_LOGINS: 'ann, bob' }).userLogins, ['ann', 'bob']);
+  assert.equal(loadIngestConfig({ INAT_PROJECT_SLUG: 'trip' }).mode, 'PROJECT');
+  assert.equal(loadIngestConfig({ INAT_MODE: 'members', INAT_PROJECT_SLUG: 'trip' }).mode, 'MEMBERS');
+});
+
+test('fails loudly on unsafe or invalid config', () => {
+  assert.throws(() => loadIngestConfig({}), /TRIP mode requires at least one filter/);
+  assert.throws(() => loadIngestConfig({ INAT_MODE: 'DEMO' }), /Unknown INAT_MODE "DEMO"/);
+  assert.throws(() => loadIngestConfig({ INAT_MODE: 'MEMBERS' }), /INAT_PROJECT_SLUG is required/);
+  assert.throws(() => loadIngestConfig({ TRIP_D1: '2025-11-31' }), /TRIP_D1 must be YYYY-MM-DD/);
+  assert.throws(() => loadIngestConfig({ TRIP_D1: '2025-11-20', TRIP_D2: '2025-11-10' }), /after TRIP_D2/);
+  assert.throws(() => loadIngestConfig({ TRIP_D1: '2025-11-01', UPSERT_BATCH_SIZE: 'lots' }), /positive integer/);
+  assert.throws(() => loadIngestConfig({ TRIP_D1: '2025-11-01', INGEST_SINK: 'mongo://x' }), /Unknown INGEST_SINK/);
+});
+
+test('overrides win over the environment', () => {
+  const config = loadIngestConfig({ TRIP_D1: '2025-11-01', INGEST_SINK: 'ndjson:x.ndjson' }, { sink: 'supabase' });
+  assert.equal(config.sink, 'supabase');
+  assert.equal(config.idColumn, 'inat_obs_id');
+});
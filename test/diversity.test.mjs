@@ -0,0 +1,87 @@
+// Diversity for lab reports: indices, species accumulation and taxonomic breakdowns
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoster } from '../src/scoring/roster.mjs';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { diversityCsvFiles, diversityRecords, diversityReport, diversityStats } from '../src/scoring/diversity.mjs';
+
+const roster = buildRoster([
+  { name: 'Ann', logins: ['ann'], team: 'Tapir' },
+  { name: 'Bob', logins: ['bob'], team: 'Tapir' },
+  { name: 'Ms. Rivera', logins: ['rivera'], adult: true, team: 'Tapir' },
+]);
+
+const FROG = { taxon_id: 7, taxon_name: 'Dendrobates auratus', taxon_kingdom: 'Animalia', taxon_class: 'Amphibia', taxon_genus: 'Dendrobates' };
+const TOAD = { taxon_id: 8, taxon_name: 'Rhinella horribilis', taxon_kingdom: 'Animalia', taxon_class: 'Amphibia', taxon_genus: 'Rhinella' };
+const PALM = { taxon_id: 9, taxon_name: 'Welfia regia', taxon_kingdom: 'Plantae', taxon_class: 'Liliopsida', taxon_genus: 'Welfia' };
+
+const obs = (id, user_login, taxon, day) => ({
+  inat_obs_id: id, user_login, ...taxon, observed_on: day, observed_at: `${day}T15:00:00Z`, quality_grade: 'needs_id',
+});
+
+// Ann: frog, frog, palm on day one, toad on day two. Bob: frog on day two, plus an unidentified one.
+const rows = [
+  obs(1, 'ann', FROG, '2025-11-10'),
+  obs(2, 'ann', FROG, '2025-11-10'),
+  obs(3, 'ann', PALM, '2025-11-10'),
+  obs(4, 'ann', TOAD, '2025-11-11'),
+  obs(5, 'bob', FROG, '2025-11-11'),
+  obs(6, 'bob', { taxon_id: null }, '2025-11-11'),
+  obs(7, 'rivera', PALM, '2025-11-11'),
+];
+
+async function report() {
+  const ruleSet = await loadRuleSet('rules/default.v1.json');
+  const entries = scoreObservations(rows, ruleSet, { roster });
+  return diversityReport(diversityRecords(entries, rows));
+}
+
+test('Shannon, Simpson and Chao1 match worked examples', () => {
+  // 12 observations of 5 taxa: two singletons and one doubleton
+  assert.deepEqual(diversityStats([5, 3, 2, 1, 1]), {
+    observations: 12, richness: 5, shannon: 1.42413, evenness: 0.884862, simpson: 0.787879, chao1: 5.5, singletons: 2, doubletons: 1,
+  });
+  // A monoculture has no diversity; one observation says nothing about Simpson or evenness
+  assert.deepEqual(diversityStats([4]), {
+    observations: 4, richness: 1, shannon: 0, evenness: null, simpson: 0, chao1: 1, singletons: 0, doubletons: 0,
+  });
+  assert.equal(diversityStats([1]).simpson, null);
+  assert.equal(diversityStats([]).shannon, null);
+});
+
+test('one summary for the trip, each participant and each team; adults stay off the team', async () => {
+  const scopes = await report();
+  assert.deepEqual(scopes.map((s) => [s.scope, s.name, s.observations, s.richness, s.unidentified]), [
+    ['trip', 'Whole trip', 6, 3, 1],
+    ['participant', 'Ann', 4, 3, 0],
+    ['participant', 'Bob', 1, 1, 1],
+    ['participant', 'Ms. Rivera', 1, 1, 0],
+    ['team', 'Tapir', 5, 3, 1],
+  ]);
+  assert.equal(scopes.find((s) => s.name === 'Ms. Rivera').is_adult, true);
+});
+
+test('species accumulation by day and counts by rank', async () => {
+  const trip = (await report())[0];
+  assert.deepEqual(trip.accumulation, [
+    { day: '2025-11-10', observations: 3, new_taxa: 2, cumulative_observations: 3, cumulative_taxa: 2 },
+    { day: '2025-11-11', observations: 4, new_taxa: 1, cumulative_observations: 7, cumulative_taxa: 3 },
+  ]);
+  assert.deepEqual(trip.taxa.filter((t) => t.rank === 'class'), [
+    { rank: 'class', name: 'Amphibia', observations: 4, taxa: 2 },
+    { rank: 'class', name: 'Liliopsida', observations: 2, taxa: 1 },
+    { rank: 'class', name: '(unknown)', observations: 1, taxa: 0 },
+  ]);
+  // Ranks the dump does not carry are unknown, not dropped
+  assert.deepEqual(trip.taxa.filter((t) => t.rank === 'family').map((t) => [t.name, t.observations]), [['(unknown)', 7]]);
+});
+
+test('CSV exports put every scope in one table', async () => {
+  const files = diversityCsvFiles(await report());
+  assert.deepEqual(Object.keys(files), ['diversity.csv', 'accumulation.csv', 'taxa.csv']);
+  assert.match(files['diversity.csv'], /^scope,key,name,is_adult,observations,richness,shannon,evenness,simpson,chao1,singletons,doubletons,unidentified\n/);
+  assert.match(files['diversity.csv'], /\nteam,Tapir,Tapir,,5,3,/);
+  assert.match(files['accumulation.csv'], /\ntrip,trip,Whole trip,2025-11-11,4,1,7,3\n/);
+  assert.match(files['taxa.csv'], /\nparticipant,Ann,Ann,genus,Dendrobates,2,1\n/);
+});
@@ -0,0 +1,57 @@
+// Study-area geometry: GeoJSON normalization and point-in-polygon
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { areaBbox, normalizeArea, pointInArea } from '../src/scoring/geo.mjs';
+
+const square = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+test('normalizes Polygon, Feature and FeatureCollection to one MultiPolygon', () => {
+  const polygon = { type: 'Polygon', coordinates: [square(0, 0, 1, 1)] };
+  assert.deepEqual(normalizeArea(polygon), { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)]] });
+
+  const area = normalizeArea({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: {}, geometry: polygon },
+      { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: [[square(5, 5, 6, 6)], [square(8, 8, 9, 9)]] } },
+    ],
+  });
+  assert.equal(area.coordinates.length, 3);
+  assert.deepEqual(areaBbox(area), { west: 0, south: 0, east: 9, north: 9 });
+});
+
+test('rejects what is not a usable polygon', () => {
+  assert.throws(() => normalizeArea({ type: 'Point', coordinates: [0, 0] }), /must be a Polygon or MultiPolygon/);
+  assert.throws(() => normalizeArea({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] }), /at least 4 positions/);
+  assert.throws(() => normalizeArea({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }), /end where it starts/);
+  // [latitude, longitude] gives itself away outside ±90
+  assert.throws(
+    () => normalizeArea({ type: 'Polygon', coordinates: [square(29.1, -103.6, 29.3, -102.95)] }),
+    /latitude out of range.*\[longitude, latitude\]/
+  );
+  assert.throws(() => normalizeArea({ type: 'FeatureCollection', features: [] }), /no features/);
+});
+
+test('tests points exactly, including concave edges and holes', () => {
+  // An L shape: the notch at (1.5, 1.5) is inside the bbox but outside the polygon
+  const area = normalizeArea({
+    type: 'Polygon',
+    coordinates: [
+      [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]],
+      square(0.2, 0.2, 0.4, 0.4), // hole
+    ],
+  });
+  assert.equal(pointInArea(0.5, 1.5, area), true);
+  assert.equal(pointInArea(1.5, 0.5, area), true);
+  assert.equal(pointInArea(1.5, 1.5, area), false);
+  assert.equal(pointInArea(0.3, 0.3, area), false);
+  assert.equal(pointInArea(null, 0.5, area), false);
+});
+
+test('the Costa Rica areas keep the gap between Sarapiquí and Tortuguero out', async () => {
+  const area = normalizeArea(JSON.parse(await readFile('areas/costa-rica-2025.geojson', 'utf8')));
+  assert.equal(pointInArea(-84.0072, 10.4301, area), true); // La Selva
+  assert.equal(pointInArea(-83.5100, 10.5400, area), true); // Tortuguero village
+  assert.equal(pointInArea(-83.7500, 10.5000, area), false); // between them
+});
@@ -0,0 +1,151 @@
+// Identification activity: ingest, the research-grade tipper, scoring and leaderboard points
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockINat } from './mock_inat_server.mjs';
+import { loadIngestConfig, runIngest } from '../src/ingest/index.mjs';
+import { mapIdentification, researchGradeTipper } from '../src/ingest/identifications.mjs';
+import { identificationsPath, readNdjsonRows } from '../src/ingest/sinks/ndjson.mjs';
+import { loadRuleSet, validateRuleSet } from '../src/scoring/rules.mjs';
+import { buildRoster } from '../src/scoring/roster.mjs';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { scoreIdentifications } from '../src/scoring/identifications.mjs';
+import { overallLeaderboard, dailyLeaderboard } from '../src/scoring/leaderboard.mjs';
+import { teamLeaderboard } from '../src/scoring/teams.mjs';
+
+// Anolis 5 > A. limifrons 6; Morpho 8 is unrelated
+const TAXA = {
+  5: { id: 5, name: 'Anolis', rank: 'genus', rank_level: 20, ancestor_ids: [1, 5] },
+  6: { id: 6, name: 'Anolis limifrons', rank: 'species', rank_level: 10, ancestor_ids: [1, 5, 6] },
+  8: { id: 8, name: 'Morpho peleides', rank: 'species', rank_level: 10, ancestor_ids: [1, 8] },
+};
+const USERS = { ann: 101, bob: 102, cy: 103, dee: 104 };
+const user = (login) => ({ id: USERS[login], login });
+
+const observation = (id, login, taxon, quality_grade) => ({
+  id,
+  created_at: '2025-11-10T10:00:00Z',
+  updated_at: '2025-11-10T10:00:00Z',
+  observed_on: '2025-11-10',
+  time_observed_at: '2025-11-10T09:00:00Z',
+  user: user(login),
+  taxon: TAXA[taxon],
+  quality_grade,
+  geojson: { type: 'Point', coordinates: [-84, 10.5] },
+});
+
+const ident = (id, obsId, login, taxon, created_at, extra = {}) => ({
+  id, created_at, current: true, category: 'supporting', user: user(login), taxon: TAXA[taxon], observation: { id: obsId }, ...extra,
+});
+
+const OBSERVATIONS = [observation(1, 'bob', 6, 'research'), observation(2, 'ann', 8, 'needs_id')];
+const IDENTIFICATIONS = [
+  ident(11, 1, 'bob', 6, '2025-11-10T09:05:00Z', { own_observation: true, category: 'leading' }),
+  ident(12, 1, 'ann', 6, '2025-11-11T08:00:00Z', { category: 'improving' }),
+  ident(13, 1, 'cy', 5, '2025-11-11T09:00:00Z'), // the genus: takes no side
+  ident(14, 1, 'dee', 6, '2025-11-11T10:00:00Z'),
+  ident(15, 2, 'bob', 5, '2025-11-11T11:00:00Z', { current: false, category: 'maverick' }),
+];
+
+test('researchGradeTipper finds the ID after which two thirds agreed', () => {
+  const obs = { ...OBSERVATIONS[0], identifications: IDENTIFICATIONS.filter((i) => i.observation.id === 1) };
+  assert.equal(researchGradeTipper(obs), 12);
+  // A disagreement first means a third agreeing ID is needed
+  const disputed = { ...obs, identifications: [ident(10, 1, 'cy', 8, '2025-11-10T09:01:00Z'), ...obs.identifications] };
+  assert.equal(researchGradeTipper(disputed), 14);
+  assert.equal(researchGradeTipper({ ...obs, quality_grade: 'needs_id' }), null);
+});
+
+test('mapIdentification keeps the observation it was made on', () => {
+  const row = mapIdentification({ ...IDENTIFICATIONS[1], observation: { id: 1, quality_grade: 'research', taxon: { id: 6 }, user: user('bob') } });
+  assert.equal(row.inat_ident_id, 12);
+  assert.equal(row.inat_obs_id, 1);
+  assert.equal(row.user_login, 'ann');
+  assert.equal(row.observation_user_login, 'bob');
+  assert.equal(row.observation_quality_grade, 'research');
+  assert.equal(row.current, true);
+  assert.equal(row.raw_json.observation, undefined);
+});
+
+test('INGEST_IDENTIFICATIONS stores the logins\' IDs on others\' observations and marks the tipper', async () => {
+  const mock = await startMockINat({ observations: OBSERVATIONS, identifications: IDENTIFICATIONS });
+  const dir = await mkdtemp(join(tmpdir(), 'idents-'));
+  try {
+    const sinkFile = join(dir, 'obs.ndjson');
+    const config = loadIngestConfig({
+      INAT_API_BASE: mock.url,
+      INAT_MIN_INTERVAL_MS: '0',
+      INGEST_SINK: `ndjson:${sinkFile}`,
+      INAT_USER_LOGINS: 'ann,bob,cy',
+      INGEST_IDENTIFICATIONS: 'true',
+      SKIP_DELETES: 'true',
+    });
+    const result = await runIngest(config);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.identifications, 3);
+
+    const rows = await readNdjsonRows(identificationsPath(sinkFile), { idColumn: 'inat_ident_id' });
+    assert.deepEqual([...rows.keys()].sort(), [12, 13, 15]); // not bob's own, not dee's
+    assert.equal(rows.get(12).tipped_research_grade, true);
+    assert.equal(rows.get(13).tipped_research_grade, false);
+    assert.equal(rows.get(15).current, false);
+    assert.ok(mock.requests.some((r) => r.startsWith('/v1/identifications?') && r.includes('own_observation=false')));
+  } finally {
+    await mock.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('identification points go to roster students on the day they identified', async () => {
+  const ruleSet = await loadRuleSet('rules/identifications.v1.json');
+  const roster = buildRoster([
+    { name: 'Ann', logins: ['ann'], team: 'Tapir' },
+    { name: 'Bob', logins: ['bob', 'bob_2'], team: 'Tapir' },
+    { name: 'Cy', logins: ['cy'], team: 'Sloth' },
+  ]);
+  const observations = [
+    { inat_obs_id: 1, user_login: 'bob', taxon_id: 6, quality_grade: 'research', time_observed_at: '2025-11-10T09:00:00Z', raw_json: { taxon: TAXA[6] } },
+    { inat_obs_id: 2, user_login: 'ann', taxon_id: 8, quality_grade: 'needs_id', time_observed_at: '2025-11-10T09:00:00Z', raw_json: { taxon: TAXA[8] } },
+  ];
+  const idents = [
+    ...IDENTIFICATIONS.map((i) => mapIdentification({ ...i, observation: { id: i.observation.id } })),
+    // bob_2 identifying bob's own observation is still his own
+    mapIdentification(ident(16, 1, 'bob_2', 6, '2025-11-11T12:00:00Z')),
+  ];
+  idents.find((r) => r.inat_ident_id === 12).tipped_research_grade = true;
+
+  const scored = scoreIdentifications(idents, observations, ruleSet, { roster, filters: { timezone: 'America/Costa_Rica' } });
+  assert.deepEqual(scored.map((e) => [e.inat_ident_id, e.student_name, e.points]), [[12, 'Ann', 2], [13, 'Cy', 0]]);
+  assert.equal(scored[0].identified_day, '2025-11-11');
+  assert.equal(scored[1].breakdown.find((b) => b.rule === 'agreeing_id').applied, false);
+
+  const entries = scoreObservations(observations, ruleSet, { roster });
+  const board = overallLeaderboard(entries, scored);
+  const ann = board.find((r) => r.display_name === 'Ann');
+  assert.equal(ann.points, 2 + 2); // base and first of taxon, then the ID
+  assert.equal(ann.obs_count, 1);
+  assert.equal(ann.ident_points, 2);
+  assert.equal(ann.ident_count, 1);
+  // Cy only identified: on the board with no observations
+  assert.deepEqual(board.find((r) => r.display_name === 'Cy'), {
+    rank: 3, user_login: 'cy', display_name: 'Cy', is_adult: false, points: 0, obs_count: 0, distinct_taxa: 0,
+    first_observed_at: null, last_observed_at: null, ident_points: 0, ident_count: 1,
+  });
+  assert.deepEqual(dailyLeaderboard(entries, scored).filter((r) => r.day === '2025-11-11').map((r) => [r.display_name, r.points]),
+    [['Ann', 2], ['Cy', 0]]);
+
+  const teams = teamLeaderboard(entries, { identifications: scored });
+  assert.deepEqual(teams.map((t) => [t.team, t.points, t.ident_points, t.active_members]), [['Tapir', 7, 2, 2], ['Sloth', 0, 0, 1]]);
+});
+
+test('identification_rules cannot use first_of_taxon', () => {
+  const ruleSet = {
+    id: 'x',
+    version: 1,
+    rules: [{ id: 'base', points: 1 }],
+    identification_rules: [{ id: 'new', points: 1, when: { first_of_taxon: 'user' } }],
+  };
+  assert.throws(() => validateRuleSet(ruleSet), /identification_rules\[0\].*first_of_taxon does not apply to identifications/);
+});
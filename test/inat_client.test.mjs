@@ -0,0 +1,74 @@
+// iNat client: retry/backoff against injected faults, and fixture record/replay
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMockINat, loadFixtureDir } from './mock_inat_server.mjs';
+import { createINatClient, fixtureName } from '../src/ingest/inat.mjs';
+
+let mock;
+let dir;
+// Fast timings: the mock is local, so no pacing and millisecond backoff
+const client = (options = {}) =>
+  createINatClient({ baseUrl: mock.url, minIntervalMs: 0, initialDelayMs: 1, minRetryWaitMs: 1, ...options });
+
+before(async () => {
+  mock = await startMockINat(await loadFixtureDir(new URL('./fixtures/inat', import.meta.url).pathname));
+  dir = await mkdtemp(join(tmpdir(), 'inat-fixtures-'));
+});
+
+after(async () => {
+  await mock.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+for (const status of [429, 403, 500, 503]) {
+  test(`retries HTTP ${status} and then succeeds`, async () => {
+    const before = mock.requests.length;
+    mock.inject({ path: '/v1/observations', status, times: 2, retryAfter: 0 });
+    const json = await client().getJson('/v1/observations?id=9001');
+    assert.equal(json.results[0].id, 9001);
+    assert.equal(mock.requests.length - before, 3);
+  });
+}
+
+test('honours Retry-After', async () => {
+  mock.inject({ path: '/v1/observations', status: 429, retryAfter: 0.2 });
+  const started = Date.now();
+  await client().getJson('/v1/observations?id=9001');
+  assert.ok(Date.now() - started >= 200, 'waited at least Retry-After');
+});
+
+test('does not retry client errors and reports the body', async () => {
+  const before = mock.requests.length;
+  mock.inject({ path: '/v1/observations', status: 422, body: { error: 'bad per_page' } });
+  await assert.rejects(client().getJson('/v1/observations?per_page=9999'), /HTTP 422.*bad per_page/);
+  assert.equal(mock.requests.length - before, 1);
+});
+
+test('gives up after maxRetries', async () => {
+  mock.inject({ path: '/v1/observations', status: 503, times: 3 });
+  await assert.rejects(client({ maxRetries: 3 }).getJson('/v1/observations?id=9001'), /HTTP 503/);
+});
+
+test('record saves responses that replay serves offline', async () => {
+  const path = '/v1/projects/test-trip/members?page=1&per_page=100';
+  const live = await client({ fixtures: { mode: 'record', dir } }).getJson(path);
+  assert.deepEqual(await readdir(dir), [fixtureName(path)]);
+
+  const before = mock.requests.length;
+  const replayed = await createINatClient({ baseUrl: 'http://127.0.0.1:9', fixtures: { mode: 'replay', dir } }).getJson(path);
+  assert.deepEqual(replayed, live);
+  assert.equal(mock.requests.length, before, 'replay made no request');
+});
+
+test('fixture names ignore query parameter order', () => {
+  assert.equal(fixtureName('/v1/observations?a=1&b=2'), fixtureName('/v1/observations?b=2&a=1'));
+  assert.notEqual(fixtureName('/v1/observations?a=1'), fixtureName('/v1/observations?a=2'));
+});
+
+test('replay fails clearly on a request that was never recorded', async () => {
+  const replay = createINatClient({ fixtures: { mode: 'replay', dir } });
+  await assert.rejects(replay.getJson('/v1/observations?id=1'), /No recorded fixture for \/v1\/observations\?id=1/);
+});
@@ -0,0 +1,251 @@
+// End to end: ingest.mjs against the mock iNat server, writing to the NDJSON sink
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startMockINat } from './mock_inat_server.mjs';
+import { readNdjsonRows } from '../src/ingest/sinks/ndjson.mjs';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'ingest-e2e-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// Synthetic observations 1..n, three users, all inside the Costa Rica test bbox
+function generate(n, { logins = ['ann', 'bob', 'cy'] } = {}) {
+  return Array.from({ length: n }, (_, i) => {
+    const id = i + 1;
+    const login = logins[id % logins.length];
+    return {
+      id,
+      created_at: '2025-11-10T10:00:00Z',
+      updated_at: `2025-11-10T10:${String(id % 60).padStart(2, '0')}:00Z`,
+      observed_on: '2025-11-10',
+      time_observed_at: '2025-11-10T09:00:00Z',
+      user: { id: 100 + logins.indexOf(login), login },
+      taxon: { id: 1000 + (id % 5), name: `Taxon ${id % 5}`, rank: 'species', rank_level: 10 },
+      quality_grade: id % 2 ? 'research' : 'needs_id',
+      geojson: { type: 'Point', coordinates: [-84, 10.5] },
+    };
+  });
+}
+
+// Run ingest.mjs to completion; resolves { code, stdout, stderr } instead of rejecting
+function runIngest(env) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      ['ingest.mjs'],
+      {
+        cwd: root,
+        timeout: 60_000,
+        env: {
+          PATH: process.env.PATH,
+          INAT_MIN_INTERVAL_MS: '0',
+          RECONCILE_INTERVAL_MIN: '0',
+          ...env,
+        },
+      },
+      (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr })
+    );
+  });
+}
+
+const sinkPath = (name) => join(dir, `${name}.ndjson`);
+const readState = async (name) => JSON.parse(await readFile(`${sinkPath(name)}.state.json`, 'utf8'));
+
+test('TRIP mode scrolls every page with the id_below cursor', async () => {
+  const mock = await startMockINat({ observations: generate(250) });
+  try {
+    const run = await runIngest({
+      INAT_API_BASE: mock.url,
+      INGEST_SINK: `ndjson:${sinkPath('trip')}`,
+      INAT_MODE: 'TRIP',
+      TRIP_BBOX: '-84.5,10,-83.5,11',
+      TRIP_D1: '2025-11-01',
+      SKIP_DELETES: 'true',
+    });
+    assert.equal(run.code, 0, run.stderr);
+
+    const pages = mock.requests.filter((r) => r.startsWith('/v1/observations?'));
+    const cursors = pages.map((r) => new URL(r, mock.url).searchParams.get('id_below'));
+    assert.deepEqual(cursors, [null, '151', '51', '1']);
+    // Standard iNat bbox params, not swapped
+    const first = new URL(pages[0], mock.url).searchParams;
+    assert.deepEqual(['swlng', 'swlat', 'nelng', 'nelat'].map((k) => first.get(k)), ['-84.5', '10', '-83.5', '11']);
+
+    const rows = await readNdjsonRows(sinkPath('trip'));
+    assert.equal(rows.size, 250);
+    assert.equal(rows.get(42).user_login, 'ann');
+    assert.equal(rows.get(42).latitude, 10.5);
+
+    const state = await readState('trip');
+    assert.equal(state.runs[0].status, 'ok');
+    assert.equal(state.runs[0].fetched, 250);
+    const [checkpoint] = Object.values(state.checkpoints);
+    assert.equal(checkpoint.status, 'complete');
+    assert.equal(checkpoint.max_updated_at, '2025-11-10T10:59:00Z');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('retries an injected 503 mid-scroll without losing rows', async () => {
+  const mock = await startMockINat({ observations: generate(150) });
+  try {
+    mock.inject({ path: '/v1/observations', status: 503, retryAfter: 0 });
+    const run = await runIngest({
+      INAT_API_BASE: mock.url,
+      INGEST_SINK: `ndjson:${sinkPath('retry')}`,
+      INAT_MODE: 'TRIP',
+      TRIP_D1: '2025-11-01',
+      SKIP_DELETES: 'true',
+    });
+    assert.equal(run.code, 0, run.stderr);
+    assert.match(run.stderr, /HTTP 503/);
+    assert.equal((await readNdjsonRows(sinkPath('retry'))).size, 150);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('an interrupted scroll resumes from its checkpoint', async () => {
+  const mock = await startMockINat({ observations: generate(250) });
+  const env = {
+    INAT_API_BASE: mock.url,
+    INGEST_SINK: `ndjson:${sinkPath('resume')}`,
+    INAT_MODE: 'TRIP',
+    TRIP_D1: '2025-11-01',
+    SKIP_DELETES: 'true',
+  };
+  try {
+    // First page succeeds, then a non-retryable error stops the run
+    mock.inject({ path: '/v1/observations', status: 400, after: 1, body: { error: 'boom' } });
+    const failed = await runIngest(env);
+    assert.notEqual(failed.code, 0);
+    assert.match(failed.stderr, /HTTP 400.*boom/);
+
+    const interrupted = Object.values((await readState('resume')).checkpoints)[0];
+    assert.equal(interrupted.status, 'running');
+    assert.equal(interrupted.id_below, 151);
+
+    mock.requests.length = 0;
+    const resumed = await runIngest(env);
+    assert.equal(resumed.code, 0, resumed.stderr);
+    assert.equal(new URL(mock.requests[0], mock.url).searchParams.get('id_below'), '151');
+    assert.equal((await readNdjsonRows(sinkPath('resume'))).size, 250);
+    assert.equal(Object.values((await readState('resume')).checkpoints)[0].status, 'complete');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('MEMBERS mode pages project members and batches user_id queries', async () => {
+  const logins = ['ann', 'bob', 'cy', 'dee', 'eve'];
+  const mock = await startMockINat({ observations: generate(40, { logins }), members: { 'test-trip': logins } });
+  try {
+    const run = await runIngest({
+      INAT_API_BASE: mock.url,
+      INGEST_SINK: `ndjson:${sinkPath('members')}`,
+      INAT_MODE: 'MEMBERS',
+      INAT_PROJECT_SLUG: 'test-trip',
+      MEMBERS_BATCH_SIZE: '2',
+      SKIP_DELETES: 'true',
+    });
+    assert.equal(run.code, 0, run.stderr);
+    assert.ok(mock.requests.some((r) => r.startsWith('/v1/projects/test-trip/members?page=1')));
+
+    // First page of each batch's scroll (later pages carry id_below)
+    const userQueries = mock.requests
+      .filter((r) => r.startsWith('/v1/observations?'))
+      .map((r) => new URL(r, mock.url).searchParams)
+      .filter((p) => !p.has('id_below'))
+      .map((p) => p.get('user_id') ?? p.get('user_login'));
+    assert.deepEqual(userQueries, ['ann,bob', 'cy,dee', 'eve']);
+    assert.equal((await readNdjsonRows(sinkPath('members'))).size, 40);
+    assert.match(run.stdout, /5\/5 users ingested/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('reconciliation soft-deletes observations iNat no longer serves', async () => {
+  const observations = generate(30);
+  const mock = await startMockINat({ observations });
+  const env = {
+    INAT_API_BASE: mock.url,
+    INGEST_SINK: `ndjson:${sinkPath('deletes')}`,
+    INAT_MODE: 'TRIP',
+    TRIP_D1: '2025-11-01',
+  };
+  try {
+    assert.equal((await runIngest(env)).code, 0);
+    mock.setObservations(observations.filter((o) => o.id !== 7));
+    const run = await runIngest(env);
+    assert.equal(run.code, 0, run.stderr);
+
+    const rows = await readNdjsonRows(sinkPath('deletes'));
+    assert.equal(rows.get(7).is_active, false);
+    assert.equal(rows.get(8).is_active, undefined);
+    assert.equal((await readState('deletes')).runs[1].deactivated, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a recorded ingest replays with no network', async () => {
+  const fixtures = join(dir, 'recorded');
+  const mock = await startMockINat({ observations: generate(120) });
+  const base = { INAT_MODE: 'TRIP', TRIP_D1: '2025-11-01', SKIP_DELETES: 'true', INAT_FIXTURE_DIR: fixtures };
+  try {
+    const recorded = await runIngest({
+      ...base,
+      INAT_API_BASE: mock.url,
+      INAT_FIXTURES: 'record',
+      INGEST_SINK: `ndjson:${sinkPath('record')}`,
+    });
+    assert.equal(recorded.code, 0, recorded.stderr);
+  } finally {
+    await mock.close();
+  }
+
+  const replayed = await runIngest({
+    ...base,
+    INAT_API_BASE: mock.url, // closed: any real request would fail
+    INAT_FIXTURES: 'replay',
+    INGEST_SINK: `ndjson:${sinkPath('replay')}`,
+  });
+  assert.equal(replayed.code, 0, replayed.stderr);
+  assert.deepEqual(
+    [...(await readNdjsonRows(sinkPath('replay'))).keys()],
+    [...(await readNdjsonRows(sinkPath('record'))).keys()]
+  );
+});
+
+test('a failed run posts to ALERT_WEBHOOK_URL', async () => {
+  const mock = await startMockINat({ observations: generate(10) });
+  try {
+    mock.inject({ path: '/v1/observations', status: 422 });
+    const run = await runIngest({
+      INAT_API_BASE: mock.url,
+      INGEST_SINK: `ndjson:${sinkPath('alert')}`,
+      INAT_MODE: 'TRIP',
+      TRIP_D1: '2025-11-01',
+      ALERT_WEBHOOK_URL: `${mock.url}/alert`,
+    });
+    assert.notEqual(run.code, 0);
+    assert.ok(mock.requests.includes('/alert'));
+    assert.equal((await readState('alert')).runs[0].status, 'error');
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,177 @@
+// Leaderboard reads: which run they read, the trip filter and observation paging, against
+// an in-memory stand-in for the Supabase client
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  readDailyLeaderboard,
+  readScoreBreakdown,
+  readScoreRun,
+  readStudentObservations,
+  readTripLeaderboard,
+} from '../src/lib/leaderboard_reads.mjs';
+
+// 'score_filters->>trip_key' reads the JSON key, like PostgREST
+const valueOf = (row, column) => {
+  const [col, key] = column.split('->>');
+  const v = key ? row[col]?.[key] : row[col];
+  return v == null ? null : key ? String(v) : v;
+};
+
+// Enough of the query builder for the reads: filters, order, limit, maybeSingle, await
+function standIn(tables) {
+  const queries = [];
+  const from = (table) => {
+    const q = { table, filters: [], orders: [], limit: null, single: false };
+    queries.push(q);
+    const run = () => {
+      let rows = (tables[table] ?? []).filter((row) => q.filters.every((f) => f(row)));
+      rows = [...rows].sort((a, b) => {
+        for (const [column, ascending] of q.orders) {
+          const x = valueOf(a, column);
+          const y = valueOf(b, column);
+          if (x === y) continue;
+          return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+        }
+        return 0;
+      });
+      if (q.limit != null) rows = rows.slice(0, q.limit);
+      return { data: q.single ? rows[0] ?? null : rows, error: null };
+    };
+    const builder = {
+      select() { return builder; },
+      eq(column, value) { q.filters.push((row) => valueOf(row, column) === value); return builder; },
+      not(column, op, value) {
+        assert.equal(op, 'is');
+        q.filters.push((row) => valueOf(row, column) !== value);
+        return builder;
+      },
+      in(column, values) { q.filters.push((row) => values.includes(valueOf(row, column))); return builder; },
+      lt(column, value) { q.filters.push((row) => valueOf(row, column) < value); return builder; },
+      order(column, { ascending = true } = {}) { q.orders.push([column, ascending]); return builder; },
+      limit(n) { q.limit = n; return builder; },
+      maybeSingle() { q.single = true; return builder; },
+      then(resolve, reject) { return Promise.resolve(run()).then(resolve, reject); },
+    };
+    return builder;
+  };
+  return { client: { from }, queries };
+}
+
+const run = (id, started_at, scored_at, trip_key) => ({
+  id, started_at, scored_at, rule_set_id: 'default', rule_set_version: 1, score_filters: trip_key ? { trip_key } : {},
+});
+
+const RUNS = [
+  run('cr-1', '2025-11-10T10:00:00Z', '2025-11-10T10:05:00Z', 'cr'),
+  run('bb-1', '2025-11-10T11:00:00Z', '2025-11-10T11:05:00Z', 'bb'),
+  // Started first, scored last: a slow re-score
+  run('cr-0', '2025-11-10T09:00:00Z', '2025-11-10T12:00:00Z', 'cr'),
+  // Opened by the latest ingests, not scored yet
+  run('cr-2', '2025-11-10T13:00:00Z', null, 'cr'),
+  run('members-1', '2025-11-10T13:30:00Z', null, null),
+];
+
+const STUDENTS = [
+  { run_id: 'cr-0', student_key: 'ann', display_name: 'Ann', user_logins: 'ann', points: 5, student_rank: 2, is_adult: false },
+  { run_id: 'cr-0', student_key: 'bob', display_name: 'Bob', user_logins: 'bob', points: 8, student_rank: 1, is_adult: false },
+  { run_id: 'cr-0', student_key: 'rivera', display_name: 'Ms. Rivera', user_logins: 'rivera', points: 6, student_rank: null, is_adult: true },
+  { run_id: 'bb-1', student_key: 'cy', display_name: 'Cy', user_logins: 'cy', points: 1, student_rank: 1, is_adult: false },
+];
+
+test('reads the latest scored run, never one an ingest has only opened', async () => {
+  const { client } = standIn({ score_runs: RUNS });
+  const latest = await readScoreRun(client);
+  assert.equal(latest.error, null);
+  assert.equal(latest.data.id, 'cr-0');
+  assert.equal(latest.data.trip_key, 'cr');
+  assert.equal('score_filters' in latest.data, false);
+
+  const none = await readScoreRun(standIn({ score_runs: [RUNS[3], RUNS[4]] }).client);
+  assert.equal(none.data, null);
+  assert.equal(none.error.code, 'NO_RUN');
+});
+
+test('a trip reads only its own runs', async () => {
+  const { client, queries } = standIn({ score_runs: RUNS });
+  assert.equal((await readScoreRun(client, 'bb')).data.id, 'bb-1');
+  assert.equal((await readScoreRun(client, 'cr')).data.id, 'cr-0');
+  const missing = await readScoreRun(client, 'nowhere');
+  assert.equal(missing.error.code, 'NO_RUN');
+  assert.match(missing.error.message, /trip "nowhere"/);
+  assert.deepEqual(queries[0].orders, [['scored_at', false], ['id', false]]);
+});
+
+test('leaderboards come from the selected run, students by rank and adults last', async () => {
+  const { client } = standIn({ score_runs: RUNS, leaderboard_students_by_run_v1: STUDENTS });
+  const board = await readTripLeaderboard(client, 'cr');
+  assert.equal(board.data.run.id, 'cr-0');
+  assert.deepEqual(board.data.rows.map((r) => r.student_key), ['bob', 'ann', 'rivera']);
+  assert.deepEqual(board.data.adultNotes, ['Ms. Rivera — 6 pts']);
+
+  assert.deepEqual((await readTripLeaderboard(client, 'bb')).data.rows.map((r) => r.student_key), ['cy']);
+  assert.equal((await readTripLeaderboard(standIn({ score_runs: [] }).client)).error.code, 'NO_RUN');
+});
+
+test('a day must be YYYY-MM-DD and reads that day of the run', async () => {
+  const daily = [
+    { ...STUDENTS[0], day: '2025-11-10' },
+    { ...STUDENTS[1], day: '2025-11-11' },
+  ];
+  const { client } = standIn({ score_runs: RUNS, leaderboard_students_daily_by_run_v1: daily });
+  const day = await readDailyLeaderboard(client, '2025-11-10', { trip: 'cr' });
+  assert.equal(day.data.day, '2025-11-10');
+  assert.deepEqual(day.data.rows.map((r) => r.student_key), ['ann']);
+  assert.equal((await readDailyLeaderboard(client, '11/10/2025')).error.code, 'BAD_REQUEST');
+});
+
+test('observations page newest first until the cursor runs out', async () => {
+  const observations = [
+    ...[101, 102, 103, 104, 105].map((id) => ({ inat_obs_id: id, user_login: 'ann', is_active: true })),
+    { inat_obs_id: 106, user_login: 'ann', is_active: false },
+    { inat_obs_id: 107, user_login: 'ann2', is_active: true },
+    { inat_obs_id: 108, user_login: 'bob', is_active: true },
+  ];
+  const { client } = standIn({ observations });
+
+  const ids = [];
+  let cursor = null;
+  const cursors = [];
+  do {
+    const page = await readStudentObservations(client, 'ann, ann2', { page: { cursor, limit: 2 } });
+    assert.equal(page.error, null);
+    ids.push(page.data.items.map((o) => o.inat_obs_id));
+    cursor = page.data.nextCursor;
+    cursors.push(cursor);
+  } while (cursor);
+  assert.deepEqual(ids, [[107, 105], [104, 103], [102, 101]]);
+  assert.deepEqual(cursors, ['105', '103', null]);
+
+  const exact = await readStudentObservations(client, 'ann', { page: { limit: 5 } });
+  assert.equal(exact.data.items.length, 5);
+  assert.equal(exact.data.nextCursor, null);
+
+  assert.equal((await readStudentObservations(client, 'ann', { page: { cursor: 'abc' } })).error.code, 'BAD_CURSOR');
+  assert.equal((await readStudentObservations(client, ' , ')).error.code, 'BAD_REQUEST');
+});
+
+test('page size defaults to 50 and is capped at 200', async () => {
+  const observations = Array.from({ length: 250 }, (_, i) => ({ inat_obs_id: i + 1, user_login: 'ann', is_active: true }));
+  const { client, queries } = standIn({ observations });
+  assert.equal((await readStudentObservations(client, 'ann')).data.items.length, 50);
+  assert.equal((await readStudentObservations(client, 'ann', { page: { limit: 1000 } })).data.items.length, 200);
+  assert.deepEqual(queries.map((q) => q.limit), [51, 201]);
+});
+
+test('a breakdown is read from the selected run, NOT_FOUND when it did not score the observation', async () => {
+  const entries = [
+    { run_id: 'cr-1', inat_obs_id: 7, points: 2, breakdown: [{ rule: 'base', label: 'observation', points: 1, applied: true }] },
+    { run_id: 'cr-0', inat_obs_id: 7, points: 3, breakdown: null },
+  ];
+  const { client } = standIn({ score_runs: RUNS, score_entries_obs: entries });
+  const found = await readScoreBreakdown(client, 7, { trip: 'cr' });
+  assert.equal(found.data.run_id, 'cr-0');
+  assert.deepEqual(found.data.breakdown, []);
+
+  const missing = await readScoreBreakdown(client, 8, { trip: 'cr' });
+  assert.equal(missing.error.code, 'NOT_FOUND');
+});
@@ -0,0 +1,110 @@
+// Live leaderboard feed: snapshot diffs, and the feed against a stand-in for Supabase
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLeaderboardFeed, leaderboardChanges } from '../src/live/feed.mjs';
+
+const student = (student_key, student_rank, points, is_adult = false) => ({ student_key, display_name: student_key, student_rank, points, is_adult });
+const obs = (inat_obs_id, student_key, taxon_id, points, trip_first = false) => ({
+  inat_obs_id, student_key, display_name: student_key, taxon_id, taxon_name: `Taxon ${taxon_id}`, photo_url: null, points, trip_first,
+});
+
+const RUN_1 = {
+  run_id: 'r1',
+  students: [student('Ann', 1, 5), student('Bob', 2, 3), student('Ms. Rivera', null, 4, true)],
+  observations: [obs(1, 'Ann', 10, 3, true), obs(2, 'Ann', 11, 2, true), obs(3, 'Bob', 10, 3)],
+};
+const RUN_2 = {
+  run_id: 'r2',
+  students: [student('Bob', 1, 8), student('Ann', 2, 5), student('Cy', 3, 1), student('Ms. Rivera', null, 6, true)],
+  observations: [...RUN_1.observations, obs(4, 'Bob', 12, 5, true), obs(5, 'Cy', 10, 1), obs(6, 'Ms. Rivera', 12, 2)],
+};
+
+test('leaderboardChanges lists new observations, rank changes and trip firsts', () => {
+  const events = leaderboardChanges(RUN_1, RUN_2);
+  assert.deepEqual(events.filter((e) => e.type === 'observation').map((e) => [e.inat_obs_id, e.student_key, e.points]),
+    [[4, 'Bob', 5], [5, 'Cy', 1], [6, 'Ms. Rivera', 2]]);
+  assert.deepEqual(events.filter((e) => e.type === 'rank_change').map((e) => [e.student_key, e.from, e.to]),
+    [['Bob', 2, 1], ['Ann', 1, 2], ['Cy', null, 3]]);
+  assert.deepEqual(events.filter((e) => e.type === 'trip_first').map((e) => [e.student_key, e.taxon_name]), [['Bob', 'Taxon 12']]);
+  assert.deepEqual(leaderboardChanges(RUN_2, RUN_2), []);
+});
+
+test('a trip first that moves to an earlier upload is not announced again', () => {
+  const rescored = { ...RUN_1, observations: [obs(1, 'Ann', 10, 3), obs(2, 'Ann', 11, 2, true), obs(3, 'Bob', 10, 3, true)] };
+  assert.deepEqual(leaderboardChanges(RUN_1, rescored), []);
+});
+
+// Stand-in for the Supabase source: runs are published by hand
+function standIn({ realtime = true } = {}) {
+  const state = { current: null, snapshots: {}, onChange: null, onFallback: null, unsubscribed: false, snapshotReads: 0 };
+  const source = {
+    async current() { return state.current; },
+    async snapshot({ run_id }) { state.snapshotReads++; return state.snapshots[run_id]; },
+    subscribe: realtime
+      ? (onChange, onFallback) => {
+          Object.assign(state, { onChange, onFallback });
+          return () => { state.unsubscribed = true; };
+        }
+      : undefined,
+  };
+  const publish = (snapshot) => {
+    state.snapshots[snapshot.run_id] = snapshot;
+    state.current = { run_id: snapshot.run_id, version: `${snapshot.run_id}@t` };
+  };
+  return { state, source, publish };
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('the feed emits on a pushed change, once per run', async () => {
+  const { state, source, publish } = standIn();
+  const events = [];
+  publish(RUN_1);
+  const feed = createLeaderboardFeed({ source, onEvent: (e) => events.push(e), intervalMs: 0 });
+  await feed.start();
+  assert.deepEqual(events, []); // baseline
+
+  publish(RUN_2);
+  state.onChange();
+  state.onChange(); // a second notice for the same run
+  await settle();
+  await feed.check();
+  assert.deepEqual(events[0], { type: 'run', run_id: 'r2', version: 'r2@t' });
+  assert.equal(events.filter((e) => e.type === 'run').length, 1);
+  assert.equal(events.filter((e) => e.type === 'trip_first').length, 1);
+  assert.equal(state.snapshotReads, 2);
+
+  feed.stop();
+  assert.equal(state.unsubscribed, true);
+});
+
+test('the feed polls when the source cannot push', async () => {
+  const { state, source, publish } = standIn();
+  const events = [];
+  const errors = [];
+  publish(RUN_1);
+  const feed = createLeaderboardFeed({ source, onEvent: (e) => events.push(e), onError: (err) => errors.push(err.message), intervalMs: 5 });
+  await feed.start();
+  state.onFallback(new Error('Realtime TIMED_OUT'));
+  publish(RUN_2);
+  for (let i = 0; i < 50 && !events.length; i++) await new Promise((resolve) => setTimeout(resolve, 5));
+  feed.stop();
+  assert.deepEqual(errors, ['Realtime TIMED_OUT']);
+  assert.equal(events[0]?.type, 'run');
+  assert.ok(events.some((e) => e.type === 'rank_change' && e.student_key === 'Cy'));
+});
+
+test('no new run, no events; an unscored run keeps the standings', async () => {
+  const { state, source, publish } = standIn({ realtime: false });
+  const events = [];
+  publish(RUN_1);
+  const feed = createLeaderboardFeed({ source, onEvent: (e) => events.push(e), intervalMs: 0 });
+  await feed.start();
+  assert.deepEqual(await feed.check(), []);
+  state.current = null;
+  assert.deepEqual(await feed.check(), []);
+  publish(RUN_2);
+  assert.equal((await feed.check()).length, events.length);
+  assert.ok(events.length > 1);
+  feed.stop();
+});
@@ -0,0 +1,78 @@
+// Mapping edge cases: iNat API observation -> observations row
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixtureDir } from './mock_inat_server.mjs';
+import { mapObservation, OBSERVATION_COLUMNS } from '../src/ingest/mapping.mjs';
+
+const { observations } = await loadFixtureDir(new URL('./fixtures/inat', import.meta.url).pathname);
+const byId = (id) => mapObservation(observations.find((o) => o.id === id));
+
+test('maps a complete observation', () => {
+  const row = byId(9001);
+  assert.equal(row.inat_obs_id, 9001);
+  assert.equal(row.user_login, 'ann');
+  assert.equal(row.latitude, 10.4301);
+  assert.equal(row.longitude, -84.0072);
+  assert.equal(row.taxon_class, 'Aves');
+  assert.equal(row.taxon_genus, 'Ramphastos');
+  assert.equal(row.is_research, true);
+  assert.equal(row.ident_agreements, 3);
+  assert.equal(row.photo_url, 'https://static.inaturalist.org/photos/1/medium.jpg');
+  assert.equal(row.photo_count, 2);
+  assert.equal(row.sound_count, 1);
+  assert.deepEqual(row.ofvs, [{ name: 'Habitat', value: 'Forest edge' }]);
+  assert.equal(row.raw_json.id, 9001);
+});
+
+test('every row has exactly the id column plus OBSERVATION_COLUMNS', () => {
+  for (const o of observations) {
+    assert.deepEqual(Object.keys(mapObservation(o)).sort(), ['inat_obs_id', ...OBSERVATION_COLUMNS].sort());
+  }
+});
+
+test('observed_at is the observation time, else its date', () => {
+  assert.equal(byId(9001).observed_at, '2025-11-10T08:15:00-06:00');
+  assert.equal(byId(9002).observed_at, '2025-11-10');
+  assert.equal(mapObservation({ id: 1, created_at: '2025-11-10T16:00:00Z' }).observed_at, null);
+});
+
+test('falls back to the "lat,lng" location string without geojson', () => {
+  const row = byId(9002);
+  assert.equal(row.latitude, 10.512);
+  assert.equal(row.longitude, -83.9011);
+});
+
+test('missing ancestors leave the taxonomic hierarchy empty', () => {
+  const row = byId(9002);
+  assert.equal(row.taxon_name, 'Lepidoptera');
+  assert.equal(row.taxon_kingdom, null);
+  assert.equal(row.taxon_order, null);
+  // Non-"square" photo URLs are kept as they are
+  assert.equal(row.photo_url, 'https://static.inaturalist.org/photos/4/original.jpg');
+});
+
+test('no taxon, location or photos', () => {
+  const row = byId(9003);
+  assert.equal(row.taxon_id, null);
+  assert.equal(row.taxon_class, null);
+  assert.equal(row.latitude, null);
+  assert.equal(row.longitude, null);
+  assert.equal(row.photo_url, null);
+  assert.equal(row.photo_count, 0);
+  assert.equal(row.is_captive, true);
+  assert.deepEqual(row.ofvs, []);
+});
+
+test('malformed geojson and location give null coordinates, not NaN', () => {
+  const row = byId(9004);
+  assert.equal(row.latitude, null);
+  assert.equal(row.longitude, null);
+  // updated_at falls back to created_at
+  assert.equal(row.updated_at, row.created_at);
+});
+
+test('honours a custom id column', () => {
+  const row = mapObservation(observations[0], { idColumn: 'id' });
+  assert.equal(row.id, 9001);
+  assert.equal('inat_obs_id' in row, false);
+});
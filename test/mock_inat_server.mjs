@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// test/mock_inat_server.mjs
+// Local stand-in for the parts of the iNaturalist API that ingest.mjs uses:
+//   GET /v1/observations                  id_below scrolling, per_page, fields=id, id=,
+//                                         user_login, user_id, project_slug, place_id, d1/d2, bbox,
+//                                         updated_since
+//   GET /v1/projects/{slug}/members       page / per_page
+//   GET /v1/users/{login}                 known users: `users`, project members and observers
+//   GET /v1/taxa/{ids}                    `taxa`, else the taxa of the observations
+//   GET /v1/identifications               `identifications`: user_id, own_observation, place_id,
+//                                         observed_d1/d2 (of the observation), id_below, per_page
+// Faults (status codes, Retry-After) can be injected to exercise the client's backoff.
+//
+// In tests:
+//   const mock = await startMockINat({ observations, members: { slug: ['ann'] }, users: ['dee'] });
+//   mock.inject({ path: '/v1/observations', status: 429, times: 2, retryAfter: 0 });
+//   ... INAT_API_BASE=mock.url ...; mock.requests lists every URL served; await mock.close();
+//
+// Standalone:
+//   node test/mock_inat_server.mjs [--port 4010] [--fixtures test/fixtures/inat] [--fail 429x2]
+//   POST /__mock/faults with a fault JSON body injects faults into a running server.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+function coordinates(o) {
+  if (o.geojson?.coordinates?.length === 2) return { lng: o.geojson.coordinates[0], lat: o.geojson.coordinates[1] };
+  if (o.location) {
+    const [lat, lng] = o.location.split(',').map(Number);
+    return { lat, lng };
+  }
+  return null;
+}
+
+// Apply the query params ingest.mjs sends, newest id first like order_by=id&order=desc
+function queryObservations(all, params, projects) {
+  let rows = [...all];
+  const list = (name) => params.get(name)?.split(',').map((s) => s.trim()).filter(Boolean);
+
+  const ids = list('id');
+  if (ids) rows = rows.filter((o) => ids.includes(String(o.id)));
+  const login = params.get('user_login');
+  if (login) rows = rows.filter((o) => o.user?.login?.toLowerCase() === login.toLowerCase());
+  const users = list('user_id');
+  if (users) {
+    const wanted = new Set(users.map((u) => u.toLowerCase()));
+    rows = rows.filter((o) => wanted.has(String(o.user?.id)) || wanted.has(o.user?.login?.toLowerCase()));
+  }
+  const slug = params.get('project_slug');
+  if (slug) rows = rows.filter((o) => (projects[slug] ?? []).includes(o.id));
+  const places = list('place_id');
+  if (places) rows = rows.filter((o) => (o.place_ids ?? []).some((id) => places.includes(String(id))));
+  if (params.get('d1')) rows = rows.filter((o) => o.observed_on && o.observed_on >= params.get('d1'));
+  if (params.get('d2')) rows = rows.filter((o) => o.observed_on && o.observed_on <= params.get('d2'));
+  if (params.has('swlat')) {
+    const [swlat, swlng, nelat, nelng] = ['swlat', 'swlng', 'nelat', 'nelng'].map((k) => Number(params.get(k)));
+    rows = rows.filter((o) => {
+      const c = coordinates(o);
+      return c && c.lat >= swlat && c.lat <= nelat && c.lng >= swlng && c.lng <= nelng;
+    });
+  }
+  if (params.get('updated_since')) {
+    const since = Date.parse(params.get('updated_since'));
+    rows = rows.filter((o) => Date.parse(o.updated_at ?? o.created_at) >= since);
+  }
+  if (params.get('id_below')) rows = rows.filter((o) => o.id < Number(params.get('id_below')));
+
+  rows.sort((a, b) => (params.get('order') === 'asc' ? a.id - b.id : b.id - a.id));
+  const perPage = Math.min(Number(params.get('per_page') || 30), 200);
+  const page = rows.slice(0, perPage);
+  return {
+    total_results: rows.length,
+    page: 1,
+    per_page: perPage,
+    results: params.get('fields') === 'id' ? page.map((o) => ({ id: o.id })) : page,
+  };
+}
+
+// Identifications with their observation embedded the way iNat does it, newest id first
+function queryIdentifications(all, observations, params) {
+  const byId = new Map(observations.map((o) => [o.id, o]));
+  let rows = all.map((i) => {
+    const o = byId.get(i.observation?.id) ?? i.observation ?? {};
+    return {
+      ...i,
+      own_observation: i.own_observation ?? i.user?.login === o.user?.login,
+      observation: { id: o.id, quality_grade: o.quality_grade, taxon: o.taxon, user: o.user, observed_on: o.observed_on, place_ids: o.place_ids },
+    };
+  });
+  const list = (name) => params.get(name)?.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  const users = list('user_id');
+  if (users) rows = rows.filter((i) => users.includes(String(i.user?.id)) || users.includes(i.user?.login?.toLowerCase()));
+  if (params.get('own_observation') === 'false') rows = rows.filter((i) => !i.own_observation);
+  const places = list('place_id');
+  if (places) rows = rows.filter((i) => (i.observation.place_ids ?? []).some((id) => places.includes(String(id))));
+  if (params.get('observed_d1')) rows = rows.filter((i) => i.observation.observed_on >= params.get('observed_d1'));
+  if (params.get('observed_d2')) rows = rows.filter((i) => i.observation.observed_on <= params.get('observed_d2'));
+  if (params.get('id_below')) rows = rows.filter((i) => i.id < Number(params.get('id_below')));
+  rows.sort((a, b) => b.id - a.id);
+  const perPage = Math.min(Number(params.get('per_page') || 30), 200);
+  return { total_results: rows.length, page: 1, per_page: perPage, results: rows.slice(0, perPage) };
+}
+
+function queryMembers(logins, params) {
+  const perPage = Math.min(Number(params.get('per_page') || 30), 200);
+  const page = Math.max(Number(params.get('page') || 1), 1);
+  const slice = logins.slice((page - 1) * perPage, page * perPage);
+  return {
+    total_results: logins.length,
+    page,
+    per_page: perPage,
+    results: slice.map((login, i) => ({ id: i + 1, user: { id: 1000 + (page - 1) * perPage + i, login } })),
+  };
+}
+
+// Every login the mock knows, once each
+function knownUsers(observations, members, users) {
+  const logins = [...users, ...Object.values(members).flat(), ...observations.map((o) => o.user?.login).filter(Boolean)];
+  return [...new Map(logins.map((login) => [login.toLowerCase(), login])).values()];
+}
+
+// Taxa by id: `taxa` entries win over the taxon objects of observations
+function knownTaxa(observations, taxa) {
+  const byId = new Map(observations.filter((o) => o.taxon?.id != null).map((o) => [Number(o.taxon.id), o.taxon]));
+  for (const t of taxa) byId.set(Number(t.id), t);
+  return byId;
+}
+
+// observations: iNat API objects; members: { slug: [login] }; projects: { slug: [observation id] };
+// users: extra logins for /v1/users; taxa: iNat taxon objects for /v1/taxa; identifications:
+// iNat identification objects ({ id, user, taxon, current, created_at, observation: { id } }),
+// also listed under their observation when /v1/observations is asked for identifications
+export async function startMockINat({ observations = [], members = {}, projects = {}, users = [], taxa = [], identifications = [], port = 0 } = {}) {
+  let data = observations;
+  const faults = [];
+  const requests = [];
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+
+    if (req.method === 'POST' && url.pathname === '/__mock/faults') {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      mock.inject(JSON.parse(body || '{}'));
+      return send(res, 204, '');
+    }
+
+    requests.push(`${url.pathname}${url.search}`);
+    const fault = faults.find((f) => f.times > 0 && url.pathname.startsWith(f.path ?? '/') && f.after-- <= 0);
+    if (fault) {
+      fault.times--;
+      const headers = fault.retryAfter != null ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return send(res, fault.status, fault.body ?? { error: `injected ${fault.status}` }, headers);
+    }
+
+    if (url.pathname === '/v1/observations') {
+      const json = queryObservations(data, url.searchParams, projects);
+      if (url.searchParams.get('fields')?.includes('identifications.')) {
+        json.results = json.results.map((o) => ({
+          ...o,
+          identifications: o.identifications ?? identifications.filter((i) => i.observation?.id === o.id),
+        }));
+      }
+      return send(res, 200, json);
+    }
+    if (url.pathname === '/v1/identifications') {
+      return send(res, 200, queryIdentifications(identifications, data, url.searchParams));
+    }
+    const membersPath = /^\/v1\/projects\/([^/]+)\/members$/.exec(url.pathname);
+    if (membersPath) {
+      const slug = decodeURIComponent(membersPath[1]);
+      if (!members[slug]) return send(res, 404, { error: `unknown project ${slug}` });
+      return send(res, 200, queryMembers(members[slug], url.searchParams));
+    }
+    const userPath = /^\/v1\/users\/([^/]+)$/.exec(url.pathname);
+    if (userPath) {
+      const known = knownUsers(data, members, users);
+      const index = known.findIndex((login) => login.toLowerCase() === decodeURIComponent(userPath[1]).toLowerCase());
+      if (index < 0) return send(res, 404, { error: 'Not found', status: 404 });
+      return send(res, 200, { total_results: 1, page: 1, per_page: 1, results: [{ id: 5000 + index, login: known[index], name: null }] });
+    }
+    const taxaPath = /^\/v1\/taxa\/([\d,]+)$/.exec(url.pathname);
+    if (taxaPath) {
+      const known = knownTaxa(data, taxa);
+      const results = taxaPath[1].split(',').map((id) => known.get(Number(id))).filter(Boolean);
+      return send(res, 200, { total_results: results.length, page: 1, per_page: results.length, results });
+    }
+    return send(res, 404, { error: `no mock for ${url.pathname}` });
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+  const mock = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // { path = '/', status, times = 1, after = 0, retryAfter, body }: serve `status` to `times`
+    // matching requests, after letting `after` of them through normally
+    inject(fault) {
+      faults.push({ times: 1, after: 0, ...fault });
+    },
+    setObservations(next) {
+      data = next;
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    }),
+  };
+  return mock;
+}
+
+// Fixture directory layout: observations.json (array), members.json ({ slug: [login] }),
+// projects.json ({ slug: [observation id] }), users.json ([login]), taxa.json ([taxon]),
+// identifications.json ([identification]); each optional
+export async function loadFixtureDir(dir) {
+  const read = async (name, fallback) => {
+    try {
+      return JSON.parse(await readFile(join(dir, name), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return fallback;
+      throw err;
+    }
+  };
+  return {
+    observations: await read('observations.json', []),
+    members: await read('members.json', {}),
+    projects: await read('projects.json', {}),
+    users: await read('users.json', []),
+    taxa: await read('taxa.json', []),
+    identifications: await read('identifications.json', []),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? '').href) {
+  const { values: args } = parseArgs({
+    options: {
+      port: { type: 'string', default: '4010' },
+      fixtures: { type: 'string', default: 'test/fixtures/inat' },
+      fail: { type: 'string', multiple: true, default: [] },
+    },
+  });
+  const mock = await startMockINat({ ...(await loadFixtureDir(args.fixtures)), port: Number(args.port) });
+  // --fail 429x2 => two 429 responses before fixtures are served
+  for (const spec of args.fail) {
+    const [status, times = '1'] = spec.split('x');
+    mock.inject({ status: Number(status), times: Number(times), retryAfter: 1 });
+  }
+  console.log(`Mock iNat API on ${mock.url} (fixtures: ${args.fixtures}); INAT_API_BASE=${mock.url}`);
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
@@ -0,0 +1,85 @@
+// test/mock_postgrest.mjs
+// Local stand-in for the PostgREST reads the scripts make through supabase-js:
+//   GET /rest/v1/{table}   filters col=eq.v | neq.v | lt.v | gt.v | is.null | not.is.null | in.(a,b),
+//                          order=col.asc|desc[,...], limit, offset. Nested JSON paths
+//                          (score_filters->>trip_key) and select= are not interpreted:
+//                          every column comes back
+// Rows are served from `tables` ({ table: [row] }); anything else is a 404 with a
+// PostgREST-shaped error.
+//
+// In tests:
+//   const mock = await startMockPostgrest({ score_runs: [...], observations: [...] });
+//   ... SUPABASE_URL=mock.url SUPABASE_SERVICE_KEY=test ...; mock.requests lists every URL served;
+//   await mock.close();
+
+import { createServer } from 'node:http';
+
+// PostgREST compares as the column type; the fixtures only need strings, numbers and booleans
+function matches(value, op, operand) {
+  const same = (v) => (v == null ? false : String(v) === operand);
+  switch (op) {
+    case 'eq': return same(value);
+    case 'neq': return value != null && !same(value);
+    case 'lt': return value != null && (typeof value === 'number' ? value < Number(operand) : String(value) < operand);
+    case 'gt': return value != null && (typeof value === 'number' ? value > Number(operand) : String(value) > operand);
+    case 'is': return operand === 'null' ? value == null : String(value) === operand;
+    case 'in': return value != null && operand.replace(/^\(|\)$/g, '').split(',').includes(String(value));
+    default: throw new Error(`mock_postgrest: unsupported operator ${op}`);
+  }
+}
+
+function filterRow(row, column, expression) {
+  const negated = expression.startsWith('not.');
+  const [op, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+  const result = matches(row[column], op, rest.join('.'));
+  return negated ? !result : result;
+}
+
+function queryTable(rows, params) {
+  let out = [...rows];
+  for (const [column, expression] of params) {
+    if (['select', 'order', 'limit', 'offset'].includes(column)) continue;
+    out = out.filter((row) => filterRow(row, column, expression));
+  }
+  const orders = (params.get('order') ?? '').split(',').filter(Boolean).map((o) => o.split('.'));
+  out.sort((a, b) => {
+    for (const [column, direction = 'asc'] of orders) {
+      const [x, y] = [a[column], b[column]];
+      if (x === y) continue;
+      if (x == null) return 1;
+      if (y == null) return -1;
+      return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+  const offset = Number(params.get('offset') ?? 0);
+  const limit = params.has('limit') ? Number(params.get('limit')) : Infinity;
+  return out.slice(offset, offset + limit);
+}
+
+export async function startMockPostgrest(tables) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    requests.push(req.url);
+    const url = new URL(req.url, 'http://localhost');
+    const table = /^\/rest\/v1\/(\w+)$/.exec(url.pathname)?.[1];
+    const send = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== 'GET' || !table || !tables[table]) {
+      return send(404, { code: '42P01', message: `relation "public.${table}" does not exist`, details: null, hint: null });
+    }
+    try {
+      send(200, queryTable(tables[table], url.searchParams));
+    } catch (err) {
+      send(400, { code: 'PGRST100', message: err.message, details: null, hint: null });
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,85 @@
+// Pipeline: stage order, what a failure skips, and the summary
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkIssues, runPipeline } from '../src/pipeline/index.mjs';
+
+const SCOPES = [{ kind: 'members', key: 'class-project' }, { kind: 'trip', key: 'cr' }, { kind: 'trip', key: 'bb' }];
+
+function stages({ failIngest = [], failScore = [], issues = [] } = {}) {
+  const calls = [];
+  let run = 0;
+  return {
+    calls,
+    stages: {
+      async ingest(scope) {
+        calls.push(`ingest ${scope.kind}:${scope.key}`);
+        if (failIngest.includes(scope.key)) throw new Error('iNat is down');
+        return { run_id: `run-${++run}`, status: scope.kind === 'members' ? 'partial' : 'ok', fetched: 3, upserted: 3 };
+      },
+      async score(trip, runId) {
+        calls.push(`score ${trip} ${runId}`);
+        if (failScore.includes(trip)) throw new Error('compute_scores.mjs exited with code 1');
+        return {};
+      },
+      async refresh() {
+        calls.push('refresh');
+        return [{ matview: 'leaderboard_overall_mv', refreshed_concurrently: true, duration_ms: 4 }];
+      },
+      async checks() {
+        calls.push('checks');
+        return issues;
+      },
+    },
+  };
+}
+
+const quiet = { log: () => {}, now: () => 0 };
+
+test('runs ingest, then scores each trip\'s own run, then refresh and checks', async () => {
+  const { calls, stages: s } = stages();
+  const summary = await runPipeline({ scopes: SCOPES, stages: s, ...quiet });
+  assert.deepEqual(calls, ['ingest members:class-project', 'ingest trip:cr', 'ingest trip:bb', 'score cr run-2', 'score bb run-3', 'refresh', 'checks']);
+  assert.equal(summary.status, 'ok');
+  assert.deepEqual(summary.steps.map((x) => [x.stage, x.scope, x.status]), [
+    ['ingest', 'members:class-project', 'partial'],
+    ['ingest', 'trip:cr', 'ok'],
+    ['ingest', 'trip:bb', 'ok'],
+    ['score', 'trip:cr', 'ok'],
+    ['score', 'trip:bb', 'ok'],
+    ['refresh', null, 'ok'],
+    ['checks', null, 'ok'],
+  ]);
+  assert.deepEqual(summary.steps[5].matviews, ['leaderboard_overall_mv']);
+});
+
+test('a failed ingest skips that trip\'s scoring but not the others', async () => {
+  const { calls, stages: s } = stages({ failIngest: ['cr'] });
+  const summary = await runPipeline({ scopes: SCOPES, stages: s, ...quiet });
+  assert.equal(summary.status, 'error');
+  assert.ok(!calls.some((c) => c.startsWith('score cr')));
+  assert.ok(calls.includes('score bb run-2'));
+  assert.deepEqual(summary.steps.find((x) => x.stage === 'score' && x.scope === 'trip:cr'), { stage: 'score', scope: 'trip:cr', status: 'skipped', reason: 'no ingest run to score' });
+  assert.equal(summary.steps.find((x) => x.stage === 'ingest' && x.scope === 'trip:cr').error, 'iNat is down');
+});
+
+test('nothing scored, nothing refreshed; check issues fail the run', async () => {
+  const { calls, stages: s } = stages({ failScore: ['cr', 'bb'], issues: [{ issue: 'RLS not enabled on public.user_login' }] });
+  const summary = await runPipeline({ scopes: SCOPES, stages: s, ...quiet });
+  assert.ok(!calls.includes('refresh'));
+  const checks = summary.steps.find((x) => x.stage === 'checks');
+  assert.equal(checks.status, 'error');
+  assert.deepEqual(checks.issues, ['RLS not enabled on public.user_login']);
+  assert.deepEqual(summary.steps.filter((x) => x.status === 'error').map((x) => x.stage), ['score', 'score', 'checks']);
+
+  const skipped = await runPipeline({ scopes: SCOPES, stages: stages().stages, skip: ['checks'], ...quiet });
+  assert.equal(skipped.status, 'ok');
+  assert.equal(skipped.steps.at(-1).status, 'skipped');
+});
+
+test('checkIssues reads both assert_security_and_perf_ok() shapes', () => {
+  assert.deepEqual(checkIssues([{ issue: 'Missing index: idx_daily_scores_date' }]), ['Missing index: idx_daily_scores_date']);
+  assert.deepEqual(checkIssues([{ check: 'missing_index', severity: 'medium', table: 'public.observations', column: 'updated_at', message: 'Missing index on frequently queried column' }]),
+    ['[medium] missing_index public.observations (updated_at) — Missing index on frequently queried column']);
+  assert.deepEqual(checkIssues([]), []);
+  assert.deepEqual(checkIssues(null), []);
+});
@@ -0,0 +1,83 @@
+// Trip-wide novelty: first finders, rarity among participants, iNat counts and discoveries
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { buildRoster } from '../src/scoring/roster.mjs';
+import { discoveries, staleTaxa, taxonCountMap } from '../src/scoring/rarity.mjs';
+import { startMockINat, loadFixtureDir } from './mock_inat_server.mjs';
+import { createINatClient } from '../src/ingest/inat.mjs';
+import { fetchTaxonCounts } from '../src/ingest/query.mjs';
+
+const roster = buildRoster([
+  { name: 'Ann', logins: ['ann'] },
+  { name: 'Bob', logins: ['bob'] },
+  { name: 'Cy', logins: ['cy'] },
+  { name: 'Ms. Rivera', logins: ['rivera'], adult: true },
+]);
+
+// Anolis 5 > A. limifrons 6; taxon 8 is unrelated
+const LINEAGE = { 5: [1, 5], 6: [1, 5, 6], 8: [1, 8] };
+const NAMES = { 5: 'Anolis', 6: 'Anolis limifrons', 8: 'Morpho peleides' };
+const obs = (id, user_login, taxon_id, time, created = time) => ({
+  inat_obs_id: id, user_login, taxon_id, taxon_name: NAMES[taxon_id], taxon_rank_level: taxon_id === 5 ? 20 : 10,
+  time_observed_at: time, created_at: created, quality_grade: 'needs_id',
+  raw_json: { taxon: { id: taxon_id, ancestor_ids: LINEAGE[taxon_id] } },
+});
+
+const bonus = (entry, rule) => entry.breakdown.find((b) => b.rule === rule);
+
+test('the first student on the trip takes the discovery; ties go by created_at, then id', async () => {
+  const ruleSet = await loadRuleSet('rules/trip-rarity.v1.json');
+  const rows = [
+    obs(1, 'rivera', 6, '2025-11-10T08:00:00Z'), // adults never take discoveries
+    obs(2, 'bob', 6, '2025-11-10T09:00:00Z', '2025-11-10T12:00:00Z'),
+    obs(3, 'ann', 6, '2025-11-10T09:00:00Z', '2025-11-10T11:00:00Z'),
+    obs(4, 'cy', 5, '2025-11-10T10:00:00Z'), // the genus, after its species was found
+    obs(5, 'cy', 8, '2025-11-11T10:00:00Z'),
+    obs(6, 'ann', 8, '2025-11-11T10:00:00Z'),
+  ];
+  const entries = scoreObservations(rows, ruleSet, { roster });
+  assert.deepEqual(entries.map((e) => e.trip_first), [false, false, true, false, true, false]);
+  assert.equal(bonus(entries[0], 'first_finder').reason, 'adults do not make trip discoveries');
+  assert.equal(bonus(entries[1], 'first_finder').reason, 'Ann found Anolis limifrons first on the trip (#3)');
+  assert.equal(bonus(entries[3], 'first_finder').reason, 'Ann found Anolis limifrons first on the trip (#3)');
+
+  // Two students and an adult found A. limifrons; the genus also counts everyone beneath it
+  assert.deepEqual(entries.map((e) => e.trip_finders), [3, 3, 3, 4, 2, 2]);
+  assert.equal(bonus(entries[3], 'trip_rarity').reason, 'trip_finders is 4 (needs at most 3)');
+  assert.equal(bonus(entries[4], 'trip_rarity').points, 1.5);
+  assert.equal(bonus(entries[4], 'trip_rarity').label, 'rare on the trip (found by 2)');
+  // base, first for Ann, first on the trip, a third of the rarity bonus
+  assert.equal(entries[2].points, 1 + 1 + 2 + 1);
+
+  const found = discoveries(entries.map((e) => ({ ...e, taxon_name: NAMES[e.taxon_id] })));
+  assert.deepEqual(found.map((d) => [d.display_name, d.taxon_name, d.inat_obs_id]),
+    [['Ann', 'Anolis limifrons', 3], ['Cy', 'Morpho peleides', 5]]);
+});
+
+test('taxon_observations_count comes from the cache, else raw_json', async () => {
+  const ruleSet = await loadRuleSet('rules/trip-rarity.v1.json');
+  const rows = [obs(1, 'ann', 6, '2025-11-10T08:00:00Z'), obs(2, 'bob', 8, '2025-11-10T08:00:00Z')];
+  rows[1].raw_json.taxon.observations_count = 120;
+  const entries = scoreObservations(rows, ruleSet, { taxonCounts: taxonCountMap([{ taxon_id: 6, observations_count: 52000 }]) });
+  assert.deepEqual(entries.map((e) => bonus(e, 'globally_rare').applied), [false, true]);
+  assert.equal(bonus(entries[0], 'globally_rare').reason, 'taxon_observations_count is 52000 (needs under 1000)');
+
+  const now = new Date('2025-12-01T00:00:00Z');
+  const stats = [{ taxon_id: 6, fetched_at: '2025-11-20T00:00:00Z' }, { taxon_id: 8, fetched_at: '2025-10-01T00:00:00Z' }];
+  assert.deepEqual(staleTaxa([8, 6, 9, 6], stats, now), [8, 9]);
+});
+
+test('fetchTaxonCounts reads /v1/taxa in batches', async () => {
+  const mock = await startMockINat(await loadFixtureDir(new URL('./fixtures/inat', import.meta.url).pathname));
+  try {
+    const inat = createINatClient({ baseUrl: mock.url, minIntervalMs: 0 });
+    const ids = [18945, 52381, ...Array.from({ length: 30 }, (_, i) => 900000 + i)];
+    const taxa = await fetchTaxonCounts(inat, ids);
+    assert.deepEqual(taxa.map((t) => [t.taxon_id, t.observations_count]), [[18945, 18652], [52381, 9431]]);
+    assert.equal(mock.requests.filter((r) => r.startsWith('/v1/taxa/')).length, 2);
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,80 @@
+// Roster scoring: merged accounts, adult footnotes and the unmatched-login report
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoster, rosterFromParticipants, rosterReport } from '../src/scoring/roster.mjs';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { adultFootnotes, dailyLeaderboard, overallLeaderboard } from '../src/scoring/leaderboard.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { tripsProblems } from '../src/config/trips.mjs';
+
+const roster = buildRoster([
+  { name: 'Ann', logins: ['ann', 'Ann_Phone'] },
+  { name: 'Bob', logins: ['bob'] },
+  { name: 'Ms. Rivera', logins: ['rivera'], adult: true },
+  { name: 'Cy', logins: ['cy'] },
+]);
+
+const obs = (id, user_login, taxon_id, day = '2025-11-10') => ({
+  inat_obs_id: id, user_login, taxon_id, observed_on: day, quality_grade: 'needs_id',
+});
+
+test('accounts merge into one student; strangers do not score', async () => {
+  const ruleSet = await loadRuleSet('rules/default.v1.json');
+  const rows = [obs(1, 'ann', 7), obs(2, 'ann_phone', 7), obs(3, 'ann_phone', 8), obs(4, 'bob', 7), obs(5, 'stranger', 7)];
+  const entries = scoreObservations(rows, ruleSet, { roster });
+
+  assert.deepEqual(entries.map((e) => e.inat_obs_id), [1, 2, 3, 4]);
+  assert.deepEqual(entries.map((e) => e.student_name), ['Ann', 'Ann', 'Ann', 'Bob']);
+  // Ann's second account does not get a second "first of taxon" for taxon 7
+  const first = (id) => entries.find((e) => e.inat_obs_id === id).breakdown.find((b) => b.rule === 'first_of_taxon').applied;
+  assert.deepEqual([first(1), first(2), first(3), first(4)], [true, false, true, true]);
+
+  const board = overallLeaderboard(entries);
+  const ann = board.find((r) => r.display_name === 'Ann');
+  assert.equal(ann.user_login, 'ann,ann_phone');
+  assert.equal(ann.obs_count, 3);
+  assert.equal(ann.distinct_taxa, 2);
+  assert.equal(board.length, 2);
+});
+
+test('adults are listed after the students, unranked, as footnotes', async () => {
+  const ruleSet = await loadRuleSet('rules/default.v1.json');
+  const rows = [obs(1, 'rivera', 7), obs(2, 'rivera', 8), obs(3, 'rivera', 9), obs(4, 'bob', 7), obs(5, 'cy', 7)];
+  const entries = scoreObservations(rows, ruleSet, { roster });
+
+  const board = overallLeaderboard(entries);
+  assert.deepEqual(board.map((r) => [r.rank, r.display_name]), [[1, 'Bob'], [1, 'Cy'], [null, 'Ms. Rivera']]);
+  assert.deepEqual(adultFootnotes(board), [`Ms. Rivera — ${board[2].points} pts`]);
+
+  const daily = dailyLeaderboard(entries);
+  assert.deepEqual(daily.map((r) => r.rank), [1, 1, null]);
+});
+
+test('the report lists logins to link and students with nothing yet', () => {
+  const rows = [obs(1, 'ann', 7), obs(2, 'stranger', 7), obs(3, 'visitor', 7), obs(4, 'stranger', 8)];
+  assert.deepEqual(rosterReport(rows, roster), {
+    students: 3,
+    adults: 1,
+    teams: {},
+    without_observations: ['Bob', 'Ms. Rivera', 'Cy'],
+    unmatched: [
+      { user_login: 'stranger', observations: 2, sample_obs_id: 2 },
+      { user_login: 'visitor', observations: 1, sample_obs_id: 3 },
+    ],
+  });
+});
+
+test('participants rows merge by roster_id and a login cannot belong to two students', () => {
+  const fromView = rosterFromParticipants([
+    { roster_id: 11, display_name: 'Ann', is_adult: false, inat_login: 'ann' },
+    { roster_id: 11, display_name: 'Ann', is_adult: false, inat_login: 'ann_phone' },
+    { roster_id: 12, display_name: 'Ms. Rivera', is_adult: true, inat_login: 'rivera' },
+  ]);
+  assert.deepEqual(fromView.students.map((s) => [s.key, s.logins, s.adult]), [['11', ['ann', 'ann_phone'], false], ['12', ['rivera'], true]]);
+
+  assert.throws(() => buildRoster([{ name: 'Ann', logins: ['ann'] }, { name: 'Bob', logins: ['ANN'] }]), /belongs to both Ann and Bob/);
+
+  const trip = { key: 't', d1: '2025-11-01', d2: '2025-11-10', timezone: 'UTC', rules: 'rules/default.v1.json',
+    bboxes: [{ west: 0, south: 0, east: 1, north: 1 }], roster: ['sam', { name: 'sam', logins: ['sam_2'] }] };
+  assert.match(tripsProblems({ trips: [trip] }).join('\n'), /roster name "sam" is listed twice/);
+});
@@ -0,0 +1,112 @@
+// Class roster CSV: parsing, iNat login checks, the import plan and export
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { checkLogins, parseRosterCsv, planRosterImport, rosterToCsv } from '../src/config/roster.mjs';
+import { startMockINat } from './mock_inat_server.mjs';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+const CLASS_CSV = [
+  'Name,Grade,Adult,iNat_Login,Email,Team',
+  'Ann Lee,7,,ann,ann@example.org,Tapir',
+  'ann lee,7,,ann_phone,,',
+  'Bob,8,,bob;bob-2,,Sloth',
+  '"Rivera, Ms.",adult,,rivera,,Tapir',
+  '',
+].join('\n');
+
+test('parses a class CSV, merging repeated names into one student', () => {
+  const { students, problems } = parseRosterCsv(CLASS_CSV);
+  assert.deepEqual(problems, []);
+  assert.deepEqual(students, [
+    { name: 'Ann Lee', grade: '7', adult: false, logins: ['ann', 'ann_phone'], email: 'ann@example.org', team: 'Tapir' },
+    { name: 'Bob', grade: '8', adult: false, logins: ['bob', 'bob-2'], email: null, team: 'Sloth' },
+    { name: 'Rivera, Ms.', grade: null, adult: true, logins: ['rivera'], email: null, team: 'Tapir' },
+  ]);
+});
+
+test('lists every problem in the CSV at once', () => {
+  const { problems } = parseRosterCsv([
+    'name,adult,login,email',
+    ',,ann,',
+    'Ann,maybe,ann,not-an-email',
+    'Bob,,9lives,',
+    'Cy,,ANN,',
+  ].join('\n'));
+  assert.deepEqual(problems, [
+    'row 2: name is empty',
+    'row 3: adult must be yes/no, got "maybe"',
+    'row 3: "not-an-email" is not an email address',
+    'row 4: "9lives" is not a valid iNat login (3-40 letters, digits, _ or -, starting with a letter)',
+    'row 5: login "ANN" is already listed for Ann',
+  ]);
+  assert.deepEqual(parseRosterCsv('student,grade\nAnn,7\n').problems, ['header must have an inat_login column']);
+});
+
+test('unknown logins are errors, non-members warnings, spelling follows iNat', () => {
+  const { students } = parseRosterCsv(CLASS_CSV);
+  const users = new Map([['ann', { login: 'Ann' }], ['ann_phone', { login: 'ann_phone' }], ['bob', { login: 'bob' }], ['bob-2', null], ['rivera', { login: 'rivera' }]]);
+  const result = checkLogins(students, users, new Set(['ann', 'bob', 'rivera']));
+  assert.deepEqual(result.errors, ['Bob: iNat has no user "bob-2" (typo?)']);
+  assert.deepEqual(result.warnings, ['Ann Lee: ann_phone has not joined the iNat project']);
+  assert.deepEqual(result.students[0].logins, ['Ann', 'ann_phone']);
+});
+
+test('plans inserts, updates and identity moves without deleting anything', () => {
+  const { students } = parseRosterCsv(CLASS_CSV);
+  const plan = planRosterImport(students, {
+    roster: [
+      { id: 1, display_name: 'Ann L.', is_adult: false, grade: '7', email: null, team: 'Tapir', inat_login: 'ann' },
+      { id: 2, display_name: 'Bob', is_adult: false, grade: '8', email: null, team: 'Sloth', inat_login: 'bob' },
+      { id: 3, display_name: 'Old account', is_adult: false },
+    ],
+    identities: [
+      { user_id: 1, provider_uid: 'ann', active: true },
+      { user_id: 2, provider_uid: 'bob', active: false },
+      { user_id: 3, provider_uid: 'Bob-2', active: true },
+    ],
+  });
+  assert.deepEqual(plan.map(({ student, ...step }) => [student.name, step]), [
+    ['Ann Lee', { rosterId: 1, roster: 'update', add: ['ann_phone'], link: [], reactivate: [] }],
+    ['Bob', { rosterId: 2, roster: null, add: [], link: [{ login: 'Bob-2', from: 3 }], reactivate: ['bob'] }],
+    ['Rivera, Ms.', { rosterId: null, roster: 'insert', add: ['rivera'], link: [], reactivate: [] }],
+  ]);
+});
+
+test('export writes the import format back, one row per person', () => {
+  const csv = rosterToCsv(
+    [{ id: 2, display_name: 'Rivera, Ms.', is_adult: true }, { id: 1, display_name: 'Ann Lee', is_adult: false, grade: '7', email: 'ann@example.org', team: 'Tapir' }],
+    [{ user_id: 1, provider_uid: 'ann', active: true }, { user_id: 1, provider_uid: 'ann_phone' }, { user_id: 1, provider_uid: 'ann_old', active: false }, { user_id: 2, provider_uid: 'rivera' }]
+  );
+  assert.equal(csv, 'name,grade,adult,inat_login,email,team\nAnn Lee,7,,ann;ann_phone,ann@example.org,Tapir\n"Rivera, Ms.",adult,yes,rivera,,\n');
+  assert.deepEqual(parseRosterCsv(csv).students.map((s) => [s.name, s.adult, s.logins]), [['Ann Lee', false, ['ann', 'ann_phone']], ['Rivera, Ms.', true, ['rivera']]]);
+});
+
+test('roster check looks logins up on the (mock) iNat API', async () => {
+  const mock = await startMockINat({ members: { 'test-trip': ['ann', 'bob'] }, users: ['ann_phone', 'rivera'] });
+  const dir = await mkdtemp(join(tmpdir(), 'roster-'));
+  try {
+    await writeFile(join(dir, 'class.csv'), CLASS_CSV);
+    const run = () => new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        ['scripts/roster.mjs', 'check', join(dir, 'class.csv'), '--project', 'test-trip'],
+        { cwd: root, timeout: 30_000, env: { PATH: process.env.PATH, INAT_API_BASE: mock.url, INAT_MIN_INTERVAL_MS: '0' } },
+        (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr })
+      );
+    });
+    const { code, stderr } = await run();
+    assert.equal(code, 1);
+    assert.match(stderr, /Bob: iNat has no user "bob-2" \(typo\?\)/);
+    assert.match(stderr, /Ann Lee: ann_phone has not joined the iNat project/);
+    assert.ok(mock.requests.includes('/v1/users/rivera'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+    await mock.close();
+  }
+});
@@ -0,0 +1,131 @@
+// End to end: scripts/score_breakdown.mjs against a PostgREST stand-in holding runs the JS
+// scorer made from the NDJSON fixture in test/fixtures/score
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { startMockPostgrest } from './mock_postgrest.mjs';
+import { readNdjsonRows } from '../src/ingest/sinks/ndjson.mjs';
+import { loadTrip, tripFilters, tripRoster } from '../src/config/trips.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { passesFilters, scoreObservations } from '../src/scoring/scorer.mjs';
+import { rosterReport } from '../src/scoring/roster.mjs';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+let mock;
+
+before(async () => {
+  const observations = [...(await readNdjsonRows(`${root}test/fixtures/score/observations.ndjson`)).values()];
+  const trip = await loadTrip('fixture-trip', `${root}test/fixtures/score/trips.json`);
+  const filters = tripFilters(trip);
+  const roster = tripRoster(trip);
+  const ruleSet = await loadRuleSet(trip.rules_file);
+  const run = (id, started_at, scored_at) => ({
+    id, started_at, scored_at,
+    rule_set_id: scored_at ? ruleSet.id : null,
+    rule_set_version: scored_at ? ruleSet.version : null,
+    score_filters: scored_at ? filters : null,
+    roster_report: scored_at ? rosterReport(observations.filter((row) => passesFilters(row, filters)), roster) : null,
+  });
+  // run-old scored only ann's first observation; run-new is the latest scored run; the
+  // ingest run after it is not scored yet, so the default skips it
+  const entries = (runId, rows) =>
+    scoreObservations(rows, ruleSet, { runId, filters, roster }).map(({ run_id, inat_obs_id, user_login, points, breakdown }) =>
+      ({ run_id, inat_obs_id, user_login, points, breakdown }));
+
+  mock = await startMockPostgrest({
+    score_runs: [
+      run('run-old', '2025-11-10T00:00:00Z', '2025-11-10T00:05:00Z'),
+      run('run-new', '2025-11-12T00:00:00Z', '2025-11-12T00:05:00Z'),
+      run('run-ingest', '2025-11-13T00:00:00Z', null),
+    ],
+    score_entries_obs: [
+      ...entries('run-old', observations.filter((row) => row.inat_obs_id === 1)),
+      ...entries('run-new', observations),
+    ],
+    observations,
+  });
+});
+
+after(async () => {
+  await mock?.close();
+});
+
+// Run score_breakdown.mjs to completion; resolves { code, stdout, stderr } instead of rejecting
+function runBreakdown(args) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      ['scripts/score_breakdown.mjs', ...args],
+      { cwd: root, timeout: 30_000, env: { PATH: process.env.PATH, SUPABASE_URL: mock.url, SUPABASE_SERVICE_KEY: 'test-key' } },
+      (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr })
+    );
+  });
+}
+
+test('lists applied and missed rules per observation, exclusions and the totals', async () => {
+  const run = await runBreakdown(['--login', 'ann']);
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal(
+    run.stdout,
+    [
+      'Score breakdown for ann — run run-new (default@1)',
+      '',
+      '#1  2025-11-10  Ramphastos sulfuratus  = 3 pts',
+      '    base +1',
+      '    research grade +1',
+      '    first Ramphastos sulfuratus for you +1',
+      '',
+      '#2  2025-11-11  Ramphastos sulfuratus  = 1 pt',
+      '    base +1',
+      '    ✗ research grade: quality_grade is needs_id (needs research)',
+      '    ✗ first Ramphastos sulfuratus for you: you observed Ramphastos sulfuratus earlier (#1)',
+      '',
+      '#6  2025-11-12  Morpho peleides  — not scored',
+      '    ✗ outside trip bbox',
+      '',
+      'Total: 4 pts from 2 scored observations (1 not scored)',
+      '',
+    ].join('\n')
+  );
+});
+
+test('a login off the roster is explained, and --run reads an older run', async () => {
+  const zed = await runBreakdown(['--login', 'zed']);
+  assert.equal(zed.code, 0, zed.stderr);
+  assert.match(zed.stdout, /#5 {2}2025-11-10 {2}Bradypus variegatus {2}— not scored\n {4}✗ login not on the roster; link it to a student and re-score/);
+  assert.match(zed.stdout, /Total: 0 pts from 0 scored observations \(1 not scored\)/);
+
+  const old = await runBreakdown(['--login', 'ann', '--run', 'run-old']);
+  assert.equal(old.code, 0, old.stderr);
+  assert.match(old.stdout, /run run-old/);
+  assert.match(old.stdout, /#2 .*— not scored\n {4}✗ not in this run; ingested after it was scored/);
+  assert.match(old.stdout, /Total: 3 pts from 1 scored observation \(2 not scored\)/);
+});
+
+test('--json --obs prints one observation and its totals', async () => {
+  const run = await runBreakdown(['--login', 'ann', '--obs', '2', '--json']);
+  assert.equal(run.code, 0, run.stderr);
+  const report = JSON.parse(run.stdout);
+  assert.equal(report.run.id, 'run-new');
+  assert.deepEqual(report.totals, { points: 1, scored: 1, excluded: 0 });
+  assert.deepEqual(report.observations[0].breakdown.map((r) => [r.rule, r.applied, r.points]), [
+    ['base', true, 1],
+    ['research_grade', false, 0],
+    ['first_of_taxon', false, 0],
+  ]);
+});
+
+test('a missing login, observations or run exits 1', async () => {
+  const usage = await runBreakdown([]);
+  assert.equal(usage.code, 1);
+  assert.match(usage.stderr, /Usage: node scripts\/score_breakdown\.mjs --login/);
+
+  const nobody = await runBreakdown(['--login', 'nobody']);
+  assert.equal(nobody.code, 1);
+  assert.match(nobody.stderr, /No observations found for nobody/);
+
+  const unknown = await runBreakdown(['--login', 'ann', '--run', 'run-missing']);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /BREAKDOWN FAILED: score_runs row run-missing not found/);
+});
@@ -0,0 +1,112 @@
+// End to end: scripts/score.mjs over the NDJSON fixture in test/fixtures/score
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const INPUT = 'test/fixtures/score/observations.ndjson';
+const TRIPS = 'test/fixtures/score/trips.json';
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'score-cli-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+// Run score.mjs to completion; resolves { code, stdout, stderr } instead of rejecting
+function runScore(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      ['scripts/score.mjs', ...args],
+      { cwd: root, timeout: 30_000, env: { PATH: process.env.PATH, TRIPS_FILE: TRIPS, ...env } },
+      (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr })
+    );
+  });
+}
+
+// The first stdout line is the JSON summary
+const summary = (run) => JSON.parse(run.stdout.split('\n')[0]);
+
+test('--trip applies its window, boxes and roster', async () => {
+  const run = await runScore([INPUT, '--trip', 'fixture-trip']);
+  assert.equal(run.code, 0, run.stderr);
+  // 6 is outside the boxes, 7 after the window; zed is not on the roster
+  assert.deepEqual(summary(run), {
+    trip: 'fixture-trip', rule_set: 'default@1', path: INPUT, observations: 7, scored: 4, identifications: 0,
+  });
+  assert.match(run.stdout, /1\. ann +4 pts {2}2 obs {2}1 taxa/);
+  // bob_alt is one of Bob's accounts
+  assert.match(run.stdout, /2\. Bob +3 pts {2}1 obs {2}1 taxa/);
+  assert.match(run.stdout, /\* Ms\. T — 2 pts/);
+  assert.match(run.stderr, /zed is not on the roster \(1 observation\(s\) not scored\)/);
+});
+
+test('--d1/--d2 keep only the days in the window', async () => {
+  const run = await runScore([INPUT, '--d1', '2025-11-11', '--d2', '2025-11-11']);
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal(summary(run).scored, 1);
+  // Alone in the window, ann's second toucan is her first
+  assert.match(run.stdout, /1\. ann +2 pts {2}1 obs/);
+});
+
+test('--all-logins scores logins the roster leaves out', async () => {
+  const run = await runScore([INPUT, '--trip', 'fixture-trip', '--all-logins']);
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal(summary(run).scored, 5);
+  assert.match(run.stdout, /\. zed +3 pts/);
+  assert.doesNotMatch(run.stderr, /not on the roster/);
+});
+
+test('--format json writes scores.json only', async () => {
+  const out = join(dir, 'json');
+  const run = await runScore([INPUT, '--trip', 'fixture-trip', '--out', out, '--format', 'json']);
+  assert.equal(run.code, 0, run.stderr);
+  assert.deepEqual(await readdir(out), ['scores.json']);
+
+  const results = JSON.parse(await readFile(join(out, 'scores.json'), 'utf8'));
+  assert.equal(results.trip.key, 'fixture-trip');
+  assert.deepEqual(results.observations.map((e) => [e.inat_obs_id, e.points]).sort((a, b) => a[0] - b[0]), [[1, 3], [2, 1], [3, 3], [4, 2]]);
+  assert.deepEqual(results.leaderboard.map((r) => [r.display_name, r.rank, r.points]), [['ann', 1, 4], ['Bob', 2, 3], ['Ms. T', null, 2]]);
+  assert.deepEqual(results.roster.unmatched.map((u) => u.user_login), ['zed']);
+});
+
+test('--format csv writes the CSV files only', async () => {
+  const out = join(dir, 'csv');
+  const run = await runScore([INPUT, '--trip', 'fixture-trip', '--out', out, '--format', 'csv']);
+  assert.equal(run.code, 0, run.stderr);
+  const files = await readdir(out);
+  assert.ok(files.includes('scores.csv') && files.includes('leaderboard.csv') && files.includes('leaderboard_daily.csv'));
+  assert.ok(!files.includes('scores.json'));
+
+  const [header, ...rows] = (await readFile(join(out, 'leaderboard.csv'), 'utf8')).trim().split('\n');
+  assert.equal(header, 'rank,display_name,user_login,is_adult,points,obs_count,distinct_taxa,first_observed_at,last_observed_at,ident_points,ident_count');
+  assert.equal(rows.length, 3);
+  assert.match(rows[0], /^1,ann,ann,false,4,2,1,/);
+  const scores = await readFile(join(out, 'scores.csv'), 'utf8');
+  assert.match(scores, /research grade \+1/);
+});
+
+test('bad arguments and inputs exit 1 with a message', async () => {
+  const cases = [
+    [[], /Usage: node scripts\/score\.mjs/],
+    [[INPUT, '--format', 'xml'], /--format must be json, csv or both, got "xml"/],
+    [[INPUT, '--trip', 'nowhere'], /nowhere/],
+    [[INPUT, '--d1', '2025-11-31x'], /d1 must be YYYY-MM-DD/],
+    [[INPUT, '--d1', '2025-11-12', '--d2', '2025-11-10'], /d1 \(2025-11-12\) is after d2 \(2025-11-10\)/],
+    [['test/fixtures/score/missing.ndjson'], /Could not read test\/fixtures\/score\/missing\.ndjson/],
+  ];
+  for (const [args, message] of cases) {
+    const run = await runScore(args);
+    assert.equal(run.code, 1, `${args.join(' ')}: ${run.stdout}`);
+    assert.match(run.stderr, /❌ SCORING FAILED: /);
+    assert.match(run.stderr, message);
+  }
+});
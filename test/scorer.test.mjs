@@ -0,0 +1,146 @@
+// Rules engine: default@1 against the SQL scoring, rule options, validation, hashing, determinism
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { loadRuleSet, ruleSetHash, validateRuleSet } from '../src/scoring/rules.mjs';
+
+const obs = (id, user_login, taxon_id, time, quality_grade = 'needs_id', extra = {}) => ({
+  inat_obs_id: id, user_login, taxon_id, taxon_name: taxon_id == null ? null : `Taxon ${taxon_id}`,
+  time_observed_at: time, created_at: time, quality_grade, is_active: true, ...extra,
+});
+
+const ROWS = [
+  obs(1, 'ann', 10, '2025-11-10T09:00:00Z', 'research'),
+  obs(2, 'ann', 10, '2025-11-10T08:00:00Z'), // earlier, so the first of taxon 10 for ann
+  obs(3, 'ann', 11, '2025-11-10T10:00:00Z', 'research'),
+  obs(4, 'bob', 10, '2025-11-10T11:00:00Z'),
+  obs(5, 'bob', null, '2025-11-10T12:00:00Z', 'casual'),
+  obs(6, 'bob', null, '2025-11-10T13:00:00Z'),
+  obs(7, 'cy', 12, null, 'research', { created_at: '2025-11-09T00:00:00Z' }), // no time: sorts last
+  obs(8, 'cy', 12, '2025-11-10T07:00:00Z'),
+  obs(9, 'cy', 13, '2025-11-10T07:00:00Z', 'research', { is_active: false }),
+];
+
+// compute_scores_mvp(): 1 + research grade + first of (user_login, taxon_id) by observation
+// time NULLS LAST, then created_at
+function sqlPoints(rows) {
+  const active = rows.filter((r) => r.user_login && r.is_active);
+  const time = (r) => (r.time_observed_at == null ? Infinity : Date.parse(r.time_observed_at));
+  const sorted = [...active].sort((a, b) => time(a) - time(b) || Date.parse(a.created_at) - Date.parse(b.created_at));
+  const seen = new Set();
+  const first = new Set();
+  for (const r of sorted) {
+    const key = `${r.user_login}|${r.taxon_id}`;
+    if (!seen.has(key)) first.add(r.inat_obs_id);
+    seen.add(key);
+  }
+  return new Map(active.map((r) => [r.inat_obs_id, 1 + (r.quality_grade === 'research' ? 1 : 0) + (first.has(r.inat_obs_id) ? 1 : 0)]));
+}
+
+const pointsById = (entries) => new Map(entries.map((e) => [e.inat_obs_id, e.points]));
+const totals = (entries) => entries.reduce((acc, e) => acc.set(e.user_login, (acc.get(e.user_login) ?? 0) + e.points), new Map());
+
+const ruleSet = (rules, extra = {}) => validateRuleSet({ id: 'test', version: 1, rules, ...extra });
+const one = (rules, row, extra) => scoreObservations([row], ruleSet(rules, extra))[0];
+
+test('default@1 gives the same points as the SQL 1+1+1 scoring', async () => {
+  const entries = scoreObservations(ROWS, await loadRuleSet('rules/default.v1.json'));
+  assert.deepEqual(pointsById(entries), sqlPoints(ROWS));
+  assert.deepEqual(Object.fromEntries(totals(entries)), { ann: 7, bob: 5, cy: 4 });
+  assert.equal(entries.some((e) => e.inat_obs_id === 9), false, 'deleted observations do not score');
+
+  const [second] = entries.filter((e) => e.inat_obs_id === 1);
+  assert.deepEqual(second.breakdown.map((b) => [b.rule, b.points, b.applied]), [
+    ['base', 1, true], ['research_grade', 1, true], ['first_of_taxon', 0, false],
+  ]);
+  assert.equal(second.breakdown[2].reason, 'you observed Taxon 10 earlier (#2)');
+});
+
+test('per multiplies by a field and max caps the rule, penalties included', () => {
+  const row = obs(1, 'ann', 10, '2025-11-10T09:00:00Z', 'research', { photo_count: 4, sound_count: 'n/a' });
+  const rules = [
+    { id: 'photos', points: 0.5, per: 'photo_count' },
+    { id: 'capped', points: 1, per: 'photo_count', max: 3 },
+    { id: 'sounds', points: 1, per: 'sound_count' },
+    { id: 'penalty', points: -2, per: 'photo_count', max: 5 },
+  ];
+  const entry = one(rules, row);
+  assert.deepEqual(entry.breakdown.map((b) => b.points), [2, 3, 0, -5]);
+  assert.equal(entry.points, 0);
+});
+
+test('min_points raises a total below it and says so in the breakdown', () => {
+  const row = obs(1, 'ann', 10, '2025-11-10T09:00:00Z', 'casual');
+  const rules = [
+    { id: 'base', points: 1 },
+    { id: 'casual', points: -3, when: { field: 'quality_grade', eq: 'casual' } },
+  ];
+  const entry = one(rules, row, { min_points: 0 });
+  assert.equal(entry.points, 0);
+  assert.deepEqual(entry.breakdown.at(-1), { rule: 'min_points', label: 'minimum 0 points', points: 2, applied: true });
+
+  const above = one(rules, { ...row, quality_grade: 'research' }, { min_points: 0 });
+  assert.equal(above.points, 1);
+  assert.equal(above.breakdown.some((b) => b.rule === 'min_points'), false);
+});
+
+test('conditions explain why a rule did not apply', () => {
+  const row = obs(1, 'ann', 10, '2025-11-10T09:00:00Z', 'needs_id', { raw_json: { taxon: { threatened: true } } });
+  const entry = one([
+    { id: 'rg', points: 1, when: { field: 'quality_grade', in: ['research', 'casual'] } },
+    { id: 'threatened', label: 'threatened {taxon_name}', points: 2, when: { field: 'raw_json.taxon.threatened', eq: true } },
+    { id: 'both', points: 1, when: { all: [{ field: 'taxon_id', gte: 10 }, { not: { field: 'quality_grade', eq: 'needs_id' } }] } },
+  ], row);
+  assert.deepEqual(entry.breakdown, [
+    { rule: 'rg', label: 'rg', points: 0, applied: false, reason: 'quality_grade is needs_id (needs one of research, casual)' },
+    { rule: 'threatened', label: 'threatened Taxon 10', points: 2, applied: true },
+    { rule: 'both', label: 'both', points: 0, applied: false, reason: 'excluded by rule' },
+  ]);
+});
+
+test('validateRuleSet rejects malformed rule sets with where the problem is', () => {
+  const invalid = [
+    [null, /must be a JSON object/],
+    [{ version: 1, rules: [{ id: 'a', points: 1 }] }, /needs a string id/],
+    [{ id: 'x', version: 0, rules: [{ id: 'a', points: 1 }] }, /version must be a positive integer/],
+    [{ id: 'x', version: 1, rules: [] }, /rules must be a non-empty array/],
+    [{ id: 'x', version: 1, min_points: 'none', rules: [{ id: 'a', points: 1 }] }, /min_points must be a number/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1 }, { id: 'a', points: 2 }] }, /rules\[1\]: duplicate rule id "a"/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: '1' }] }, /\(a\): points must be a number/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1, max: -1 }] }, /max must be a non-negative number/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1, when: { field: 'q', eq: 1, ne: 2 } }] }, /exactly one of/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1, when: { field: 'q', in: 'research' } }] }, /in needs an array/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1, when: { any: [] } }] }, /all\/any needs a non-empty array/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1, when: { first_of_taxon: 'team' } }] }, /first_of_taxon must be/],
+    [{ id: 'x', version: 1, rules: [{ id: 'a', points: 1 }], identification_rules: [{ id: 'i', points: 1, when: { first_of_taxon: 'user' } }] },
+      /identification_rules\[0\] \(i\)\.when: first_of_taxon does not apply to identifications/],
+  ];
+  for (const [set, message] of invalid) assert.throws(() => validateRuleSet(set), message);
+});
+
+test('ruleSetHash ignores key order and wording, not points or conditions', async () => {
+  const set = await loadRuleSet('rules/default.v1.json');
+  const hash = ruleSetHash(set);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(ruleSetHash(JSON.parse(JSON.stringify(set))), hash);
+
+  const reordered = { rules: set.rules.map((r) => Object.fromEntries(Object.entries(r).reverse())), description: set.description, version: set.version, id: set.id };
+  assert.equal(ruleSetHash(reordered), hash);
+  assert.equal(ruleSetHash({ ...set, description: 'reworded', rules: set.rules.map((r) => ({ ...r, label: 'x' })) }), hash);
+
+  assert.notEqual(ruleSetHash({ ...set, rules: set.rules.map((r) => (r.id === 'base' ? { ...r, points: 2 } : r)) }), hash);
+  assert.notEqual(ruleSetHash({ ...set, version: 2 }), hash);
+  assert.notEqual(ruleSetHash({ ...set, rules: set.rules.map((r) => (r.id === 'first_of_taxon' ? { ...r, when: { field: 'quality_grade', eq: 'casual' } } : r)) }), hash);
+  assert.notEqual(ruleSetHash({ ...set, rules: [set.rules[1], set.rules[0], set.rules[2]] }), hash, 'rule order is kept');
+});
+
+test('scoring the same rows twice, in any order, gives identical entries', async () => {
+  const set = await loadRuleSet('rules/default.v1.json');
+  const filters = { timezone: 'America/Costa_Rica' };
+  const first = scoreObservations(ROWS, set, { runId: 'run-1', filters });
+  const again = scoreObservations(ROWS, set, { runId: 'run-1', filters });
+  const shuffled = scoreObservations([...ROWS].reverse(), set, { runId: 'run-1', filters });
+  assert.deepEqual(again, first);
+  assert.deepEqual(shuffled, first);
+  assert.deepEqual(first.map((e) => e.inat_obs_id), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
@@ -0,0 +1,219 @@
+// SQL sinks: the SQLite sink against a real database file, and the statements sql.mjs builds
+// for both dialects (the Postgres sink runs the same ones with $n placeholders)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Database from 'better-sqlite3';
+import { createSqliteSink } from '../src/ingest/sinks/sqlite.mjs';
+import { createSqlSink } from '../src/ingest/sinks/sql.mjs';
+import { mapObservation, OBSERVATION_COLUMNS } from '../src/ingest/mapping.mjs';
+
+const OPTIONS = {
+  table: 'observations',
+  idColumn: 'inat_obs_id',
+  checkpointTable: 'ingest_checkpoints',
+  runsTable: 'score_runs',
+  batchSize: 2,
+};
+
+let dir;
+let n = 0;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'sinks-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const dbPath = () => join(dir, `ingest-${++n}.db`);
+
+const obs = (id, login, { lng = -84, lat = 10.5, observed_on = '2025-11-10', quality_grade = 'needs_id' } = {}) =>
+  mapObservation({
+    id,
+    created_at: '2025-11-10T10:00:00Z',
+    updated_at: '2025-11-10T10:00:00Z',
+    observed_on,
+    time_observed_at: `${observed_on}T09:00:00Z`,
+    user: { id: 100 + id, login },
+    taxon: { id: 1000 + id, name: `Taxon ${id}`, rank: 'species', rank_level: 10 },
+    quality_grade,
+    geojson: { type: 'Point', coordinates: [lng, lat] },
+  });
+
+// Opens the sink, runs fn(sink, path), closes it
+async function withSink(fn, path = dbPath()) {
+  const sink = await createSqliteSink(path, OPTIONS);
+  try {
+    return await fn(sink, path);
+  } finally {
+    await sink.close();
+  }
+}
+
+function readRows(path, sql) {
+  const db = new Database(path, { readonly: true });
+  try {
+    return db.prepare(sql).all();
+  } finally {
+    db.close();
+  }
+}
+
+test('upserting the same observations twice leaves one row each, with the latest values', async () => {
+  await withSink(async (sink, path) => {
+    assert.equal(await sink.upsertObservations([obs(1, 'ann'), obs(2, 'bob')]), 2);
+    assert.equal(await sink.upsertObservations([obs(1, 'ann', { quality_grade: 'research' }), obs(2, 'bob')]), 2);
+
+    const rows = readRows(path, 'SELECT inat_obs_id, quality_grade, is_research, is_active, raw_json, ofvs FROM observations ORDER BY inat_obs_id');
+    assert.deepEqual(rows.map((r) => [r.inat_obs_id, r.quality_grade, r.is_research, r.is_active]), [
+      [1, 'research', 1, 1],
+      [2, 'needs_id', 0, 1],
+    ]);
+    // JSON columns are stored as text
+    assert.equal(JSON.parse(rows[0].raw_json).id, 1);
+    assert.deepEqual(JSON.parse(rows[0].ofvs), []);
+  });
+});
+
+test('checkpoints round-trip and upsert on scope_key', async () => {
+  await withSink(async (sink) => {
+    await sink.saveCheckpoints([
+      { scope_key: 'USER:ann', mode: 'USER', user_login: 'ann', status: 'partial', id_below: 500, pages_committed: 3 },
+      { scope_key: 'USER:bob', mode: 'USER', user_login: 'bob', status: 'complete', max_updated_at: '2025-11-10T10:00:00Z' },
+    ]);
+    await sink.saveCheckpoints([{ scope_key: 'USER:ann', mode: 'USER', user_login: 'ann', status: 'complete', id_below: null, pages_committed: 4 }]);
+
+    const found = await sink.loadCheckpoints(['USER:ann', 'USER:bob', 'USER:cy']);
+    assert.deepEqual([...found.keys()].sort(), ['USER:ann', 'USER:bob']);
+    assert.equal(found.get('USER:ann').status, 'complete');
+    assert.equal(found.get('USER:ann').id_below, null);
+    assert.equal(found.get('USER:ann').pages_committed, 4);
+    assert.equal(found.get('USER:bob').max_updated_at, '2025-11-10T10:00:00Z');
+  });
+});
+
+test('openRun writes a running row and closeRun fills it in', async () => {
+  await withSink(async (sink, path) => {
+    const started = '2025-11-10T10:00:00.000Z';
+    const run = await sink.openRun({ mode: 'TRIP', scope_key: 'TRIP:cr', params: { trip: 'cr' }, status: 'running', started_at: started });
+    assert.match(run.id, /^[0-9a-f-]{36}$/);
+    assert.equal(run.started_at, started);
+
+    await sink.closeRun(run.id, { status: 'ok', pages: 2, fetched: 150, upserted: 150, ended_at: '2025-11-10T10:01:00.000Z', details: { users: [] } });
+
+    const [row] = readRows(path, 'SELECT * FROM score_runs');
+    assert.equal(row.id, run.id);
+    assert.equal(row.status, 'ok');
+    assert.equal(row.fetched, 150);
+    assert.deepEqual(JSON.parse(row.params), { trip: 'cr' });
+    assert.deepEqual(JSON.parse(row.details), { users: [] });
+  });
+});
+
+test('storedIds finds rows by login or by area and dates, with their active flag', async () => {
+  await withSink(async (sink) => {
+    await sink.upsertObservations([
+      obs(1, 'ann'),
+      obs(2, 'bob'),
+      obs(3, 'ann', { lng: -90 }), // outside the box
+      obs(4, 'cy', { observed_on: '2025-12-01' }), // after d2
+    ]);
+    await sink.setActive([2], false);
+    assert.equal(await sink.supportsSoftDelete(), true);
+
+    assert.deepEqual(await sink.storedIds({ logins: ['ann', 'cy'] }), new Map([[1, true], [3, true], [4, true]]));
+    const inTrip = await sink.storedIds({ bbox: { west: -85, south: 10, east: -83, north: 11 }, d1: '2025-11-01', d2: '2025-11-30' });
+    assert.deepEqual(inTrip, new Map([[1, true], [2, false]]));
+    assert.deepEqual(await sink.loginsForIds([1, 2, 3, 99]), new Set(['ann', 'bob']));
+  });
+});
+
+test('setActive soft-deletes in batches and reactivates', async () => {
+  await withSink(async (sink, path) => {
+    await sink.upsertObservations([1, 2, 3, 4, 5].map((id) => obs(id, 'ann')));
+    await sink.setActive([1, 2, 3], false); // batchSize 2: two statements
+
+    let rows = readRows(path, 'SELECT inat_obs_id, is_active, deleted_at FROM observations ORDER BY inat_obs_id');
+    assert.deepEqual(rows.map((r) => r.is_active), [0, 0, 0, 1, 1]);
+    assert.ok(rows.slice(0, 3).every((r) => !Number.isNaN(Date.parse(r.deleted_at))));
+    assert.ok(rows.slice(3).every((r) => r.deleted_at === null));
+
+    await sink.setActive([2], true);
+    rows = readRows(path, 'SELECT inat_obs_id, is_active, deleted_at FROM observations WHERE inat_obs_id = 2');
+    assert.deepEqual(rows, [{ inat_obs_id: 2, is_active: 1, deleted_at: null }]);
+  });
+});
+
+test('reopening a database made before a column was added adds it', async () => {
+  const path = dbPath();
+  const db = new Database(path);
+  const columns = OBSERVATION_COLUMNS.filter((c) => c !== 'observed_at');
+  db.exec(`CREATE TABLE observations (inat_obs_id INTEGER PRIMARY KEY, ${columns.join(', ')}, is_active INTEGER NOT NULL DEFAULT 1, deleted_at TEXT)`);
+  db.close();
+
+  await withSink(async (sink) => {
+    await sink.upsertObservations([obs(1, 'ann')]);
+  }, path);
+  assert.deepEqual(readRows(path, 'SELECT observed_at FROM observations'), [{ observed_at: '2025-11-10T09:00:00Z' }]);
+});
+
+// A db stand-in that records statements instead of running them
+function recordingSink(dialect) {
+  const statements = [];
+  const db = {
+    dialect,
+    all: async (sql, params) => {
+      statements.push({ sql, params });
+      return [];
+    },
+    run: async (sql, params) => {
+      statements.push({ sql, params });
+    },
+    close: async () => {},
+  };
+  return { sink: createSqlSink(db, { name: dialect, ...OPTIONS }), statements };
+}
+
+test('both dialects build the same statements; only booleans are encoded differently', async () => {
+  const built = {};
+  for (const dialect of ['postgres', 'sqlite']) {
+    const { sink, statements } = recordingSink(dialect);
+    await sink.upsertObservations([obs(1, 'ann', { quality_grade: 'research' })]);
+    await sink.setActive([1, 2, 3], false);
+    await sink.storedIds({ bbox: { west: -85, south: 10, east: -83, north: 11 }, d1: '2025-11-01' });
+    built[dialect] = statements;
+  }
+
+  const { postgres, sqlite } = built;
+  assert.deepEqual(postgres.map((s) => s.sql), sqlite.map((s) => s.sql));
+
+  const [upsert] = postgres;
+  assert.match(upsert.sql, /^INSERT INTO observations \(inat_obs_id, user_id, .*\) VALUES \(\?(, \?)*\) ON CONFLICT \(inat_obs_id\) DO UPDATE SET user_id = excluded\.user_id, /);
+  assert.equal(upsert.params.length, OBSERVATION_COLUMNS.length + 1);
+  assert.doesNotMatch(upsert.sql, /inat_obs_id = excluded/);
+
+  const at = (statement, column) => statement.params[['inat_obs_id', ...OBSERVATION_COLUMNS].indexOf(column)];
+  assert.equal(at(postgres[0], 'is_research'), true);
+  assert.equal(at(sqlite[0], 'is_research'), 1);
+  // JSON goes in as text for both (jsonb casts it)
+  assert.equal(typeof at(postgres[0], 'raw_json'), 'string');
+  assert.equal(at(postgres[0], 'raw_json'), at(sqlite[0], 'raw_json'));
+
+  // setActive: batches of batchSize, is_active as the dialect's boolean
+  const updates = postgres.filter((s) => s.sql.startsWith('UPDATE'));
+  assert.deepEqual(updates.map((s) => s.sql), [
+    'UPDATE observations SET is_active = ?, deleted_at = ? WHERE inat_obs_id IN (?, ?)',
+    'UPDATE observations SET is_active = ?, deleted_at = ? WHERE inat_obs_id IN (?)',
+  ]);
+  assert.equal(updates[0].params[0], false);
+  assert.equal(sqlite.find((s) => s.sql.startsWith('UPDATE')).params[0], 0);
+
+  assert.deepEqual(postgres.at(-1), {
+    sql: 'SELECT inat_obs_id, is_active FROM observations WHERE longitude >= ? AND longitude <= ? AND latitude >= ? AND latitude <= ? AND observed_on >= ?',
+    params: [-85, -83, 10, 11, '2025-11-01'],
+  });
+});
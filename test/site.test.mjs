@@ -0,0 +1,90 @@
+// Static leaderboard site: the model behind the pages and the rendered HTML
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { buildRoster } from '../src/scoring/roster.mjs';
+import { overallLeaderboard, dailyLeaderboard } from '../src/scoring/leaderboard.mjs';
+import { renderSite, siteModel, slugify } from '../src/site/render.mjs';
+
+const roster = buildRoster([
+  { name: 'Ana María', logins: ['ana', 'ana_2'] },
+  { name: 'Ana Maria', logins: ['ana_m'] },
+  { name: 'Ms. <Rivera>', logins: ['rivera'], adult: true },
+]);
+
+const obs = (id, user_login, taxon_id, taxon_name, time, photo_url = null) => ({
+  inat_obs_id: id, user_login, taxon_id, taxon_name, time_observed_at: time, quality_grade: 'research', photo_url,
+});
+
+async function results() {
+  const ruleSet = await loadRuleSet('rules/default.v1.json');
+  const rows = [
+    obs(1, 'ana', 6, 'Anolis limifrons', '2025-11-10T15:00:00Z', 'https://static.inaturalist.org/photos/1/medium.jpg'),
+    obs(2, 'ana_2', 8, 'Morpho peleides', '2025-11-11T15:00:00Z'),
+    obs(3, 'ana_m', 8, 'Morpho peleides', '2025-11-10T16:00:00Z', 'https://static.inaturalist.org/photos/3/medium.jpg'),
+    obs(4, 'rivera', 6, 'Anolis limifrons', '2025-11-10T14:00:00Z'),
+  ];
+  const entries = scoreObservations(rows, ruleSet, { roster, filters: { timezone: 'America/Costa_Rica' } })
+    .map((e) => ({ ...e, taxon_name: rows.find((r) => r.inat_obs_id === e.inat_obs_id).taxon_name, photo_url: rows.find((r) => r.inat_obs_id === e.inat_obs_id).photo_url }));
+  return {
+    trip: { key: 'cr', name: 'Costa Rica 2025' },
+    rule_set: 'default@1',
+    filters: { timezone: 'America/Costa_Rica' },
+    leaderboard: overallLeaderboard(entries),
+    leaderboard_daily: dailyLeaderboard(entries),
+    observations: entries,
+  };
+}
+
+test('slugify strips accents and numbers repeats', () => {
+  const taken = new Set();
+  assert.deepEqual(['Ana María', 'Ana Maria', '¡!'].map((n) => slugify(n, taken)), ['ana-maria', 'ana-maria-2', 'student']);
+});
+
+test('the scoreboard shows today, else the latest day with points', async () => {
+  const r = await results();
+  const today = siteModel(r, { now: Date.parse('2025-11-10T20:00:00Z') });
+  assert.equal(today.day, '2025-11-10');
+  assert.deepEqual(today.scoreboard.map((row) => row.display_name), ['Ana Maria', 'Ana María', 'Ms. <Rivera>']);
+
+  const later = siteModel(r, { now: Date.parse('2025-11-20T12:00:00Z') });
+  assert.equal(later.today, '2025-11-20');
+  assert.equal(later.day, '2025-11-11');
+
+  // Both of Ana María's accounts land on her page, newest first
+  const ana = later.leaderboard.find((s) => s.display_name === 'Ana María');
+  assert.equal(ana.slug, 'ana-maria');
+  assert.deepEqual(ana.observations.map((e) => e.inat_obs_id), [2, 1]);
+
+  // First finds go by time; the photo is the first one anybody took
+  const morpho = later.species.find((s) => s.taxon_id === 8);
+  assert.equal(morpho.first.inat_obs_id, 3);
+  assert.equal(morpho.photo_url, 'https://static.inaturalist.org/photos/3/medium.jpg');
+  assert.deepEqual(morpho.observers.map((o) => o.display_name), ['Ana Maria', 'Ana María']);
+});
+
+test('renderSite writes self-contained pages with footnotes, photos and breakdowns', async () => {
+  const model = siteModel(await results(), { now: Date.parse('2025-11-10T20:00:00Z') });
+  const pages = renderSite(model, { refresh: 60 });
+  assert.deepEqual(Object.keys(pages).sort(),
+    ['index.html', 'species.html', 'students/ana-maria-2.html', 'students/ana-maria.html', 'students/ms-rivera.html']);
+
+  const index = pages['index.html'];
+  assert.match(index, /<title>Leaderboard · Costa Rica 2025<\/title>/);
+  assert.match(index, /<meta http-equiv="refresh" content="60">/);
+  assert.match(index, /Today \(2025-11-10\)/);
+  assert.match(index, /<a href="students\/ana-maria.html">Ana María<\/a>/);
+  // Adults are footnotes, escaped, and not rows
+  assert.match(index, /\* Ms\. &lt;Rivera&gt; — 3 pts/);
+  assert.doesNotMatch(index, /<td><a href="students\/ms-rivera.html">/);
+  for (const html of Object.values(pages)) assert.doesNotMatch(html, /<script|<link /);
+
+  const ana = pages['students/ana-maria.html'];
+  assert.match(ana, /<a href="\.\.\/index.html">Leaderboard<\/a>/);
+  assert.match(ana, /<img src="https:\/\/static.inaturalist.org\/photos\/1\/medium.jpg" alt="Anolis limifrons"/);
+  assert.match(ana, /<li>research grade \+1<\/li>/);
+  assert.match(ana, /href="https:\/\/www.inaturalist.org\/observations\/2"><div class="nophoto">/);
+
+  assert.match(pages['species.html'], /Morpho peleides<\/h3>\n<div class="note">2 observations · first by Ana Maria on 2025-11-10/);
+});
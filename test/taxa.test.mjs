@@ -0,0 +1,67 @@
+// Taxonomy-aware distinct taxa: leaf counting, the lineage first-of-taxon bonus and min_taxon_rank
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { overallLeaderboard } from '../src/scoring/leaderboard.mjs';
+import { teamLeaderboard } from '../src/scoring/teams.mjs';
+import { buildRoster } from '../src/scoring/roster.mjs';
+import { leafTaxa, taxonFields } from '../src/scoring/taxa.mjs';
+import { tripsProblems } from '../src/config/trips.mjs';
+
+// Animalia 1 > Chordata 2 > Squamata 3 > Dactyloidae 4 > Anolis 5 > A. limifrons 6 / A. humilis 7
+const LINEAGE = { 4: [1, 2, 3, 4], 5: [1, 2, 3, 4, 5], 6: [1, 2, 3, 4, 5, 6], 7: [1, 2, 3, 4, 5, 7] };
+const RANKS = { 4: ['family', 30], 5: ['genus', 20], 6: ['species', 10], 7: ['species', 10] };
+const NAMES = { 4: 'Dactyloidae', 5: 'Anolis', 6: 'Anolis limifrons', 7: 'Anolis humilis' };
+
+// iNat's taxon.ancestor_ids ends with the taxon itself
+const obs = (id, user_login, taxon_id, day = '2025-11-10') => ({
+  inat_obs_id: id, user_login, taxon_id, taxon_name: NAMES[taxon_id], taxon_rank: RANKS[taxon_id][0],
+  taxon_rank_level: RANKS[taxon_id][1], observed_on: day, quality_grade: 'needs_id',
+  raw_json: { taxon: { id: taxon_id, ancestor_ids: LINEAGE[taxon_id] } },
+});
+
+const firstBonus = (entry) => entry.breakdown.find((b) => b.rule === 'first_of_taxon');
+
+test('a coarser ID counts only while nothing finer beneath it is there', () => {
+  const item = (id) => ({ taxon_id: id, ...taxonFields(obs(0, 'x', id)) });
+  assert.deepEqual([...leafTaxa([item(5), item(6)])], [6]);
+  assert.deepEqual([...leafTaxa([item(5)])], [5]);
+  assert.deepEqual([...leafTaxa([item(6), item(7), item(5), item(4)])].sort(), [6, 7]);
+  // Entries scored without lineage count by taxon_id, as before
+  assert.equal(leafTaxa([{ taxon_id: 5 }, { taxon_id: 6 }]).size, 2);
+});
+
+test('user_lineage: a genus after one of its species earns no first-of-taxon bonus', async () => {
+  const ruleSet = await loadRuleSet('rules/default.v2.json');
+  // Ann: species, then its genus. Bob: genus, then a species in it.
+  const rows = [obs(1, 'ann', 6), obs(2, 'ann', 5, '2025-11-11'), obs(3, 'bob', 5), obs(4, 'bob', 7, '2025-11-11')];
+  const entries = scoreObservations(rows, ruleSet);
+  assert.deepEqual(entries.map((e) => firstBonus(e).applied), [true, false, true, true]);
+  assert.equal(firstBonus(entries[1]).reason, 'you observed Anolis limifrons, within Anolis, earlier (#1)');
+
+  const board = overallLeaderboard(entries);
+  assert.deepEqual(board.map((r) => [r.display_name, r.obs_count, r.distinct_taxa]), [['bob', 2, 1], ['ann', 2, 1]]);
+
+  // default.v1 keeps compute_scores_mvp()'s per-taxon_id bonus
+  const v1 = scoreObservations(rows, await loadRuleSet('rules/default.v1.json'));
+  assert.deepEqual(v1.map((e) => firstBonus(e).applied), [true, true, true, true]);
+});
+
+test('IDs coarser than the trip\'s min_taxon_rank count for nothing', async () => {
+  const ruleSet = await loadRuleSet('rules/default.v2.json');
+  const rows = [obs(1, 'ann', 4), obs(2, 'ann', 6), obs(3, 'bob', 4)];
+  const entries = scoreObservations(rows, ruleSet, { filters: { min_taxon_rank: 'genus' } });
+  assert.deepEqual(entries.map((e) => e.taxon_countable), [false, true, false]);
+  assert.equal(firstBonus(entries[0]).reason, 'identified only to family (trip counts genus or finer)');
+  assert.deepEqual(overallLeaderboard(entries).map((r) => [r.display_name, r.distinct_taxa]), [['ann', 1], ['bob', 0]]);
+
+  const roster = buildRoster([{ name: 'Ann', logins: ['ann'], team: 'Tapir' }, { name: 'Bob', logins: ['bob'], team: 'Tapir' }]);
+  const teamEntries = scoreObservations([...rows, obs(4, 'bob', 5)], ruleSet, { roster });
+  // Bob's genus sits above Ann's species, and Dactyloidae above both: one taxon for the team
+  assert.equal(teamLeaderboard(teamEntries, { aggregation: 'distinct_taxa' })[0].score, 1);
+
+  const trip = { key: 't', d1: '2025-11-01', d2: '2025-11-10', timezone: 'UTC', rules: 'rules/default.v2.json',
+    bboxes: [{ west: 0, south: 0, east: 1, north: 1 }], min_taxon_rank: 'subgenus' };
+  assert.match(tripsProblems({ trips: [trip] }).join('\n'), /min_taxon_rank must be one of species, genus, family, order, class, phylum/);
+});
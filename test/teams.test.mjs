@@ -0,0 +1,86 @@
+// Team standings: sum, average per member and distinct taxa, plus per-team species lists
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoster, rosterReport } from '../src/scoring/roster.mjs';
+import { scoreObservations } from '../src/scoring/scorer.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+import { teamDailyLeaderboard, teamLeaderboard, teamSpecies } from '../src/scoring/teams.mjs';
+import { tripsProblems } from '../src/config/trips.mjs';
+
+const roster = buildRoster([
+  { name: 'Ann', logins: ['ann'], team: 'Tapir' },
+  { name: 'Bob', logins: ['bob'], team: 'Tapir' },
+  { name: 'Cy', logins: ['cy'], team: 'Sloth' },
+  { name: 'Dee', logins: ['dee'], team: 'Sloth' },
+  { name: 'Eve', logins: ['eve'], team: 'Sloth' },
+  { name: 'Ms. Rivera', logins: ['rivera'], adult: true, team: 'Tapir' },
+  { name: 'Flo', logins: ['flo'], team: 'Kinkajou' },
+]);
+
+const obs = (id, user_login, taxon_id, taxon_name, day = '2025-11-10') => ({
+  inat_obs_id: id, user_login, taxon_id, taxon_name, observed_on: day, observed_at: day, quality_grade: 'needs_id',
+});
+
+// Tapir: Ann and Bob both find the same frog, Bob a toucan. Sloth: Cy finds three different taxa.
+const rows = [
+  obs(1, 'ann', 7, 'Dendrobates auratus'),
+  obs(2, 'bob', 7, 'Dendrobates auratus'),
+  obs(3, 'bob', 8, 'Ramphastos sulfuratus', '2025-11-11'),
+  obs(4, 'cy', 9, 'Bradypus variegatus'),
+  obs(5, 'cy', 10, 'Choloepus hoffmanni'),
+  obs(6, 'cy', 11, 'Morpho peleides', '2025-11-11'),
+  obs(7, 'rivera', 12, 'Caiman crocodilus'),
+];
+
+async function score() {
+  const ruleSet = await loadRuleSet('rules/default.v1.json');
+  const taxonNames = new Map(rows.map((r) => [r.inat_obs_id, r.taxon_name]));
+  const entries = scoreObservations(rows, ruleSet, { roster }).map((e) => ({ ...e, taxon_name: taxonNames.get(e.inat_obs_id) }));
+  return { entries, sizes: rosterReport(rows, roster).teams };
+}
+
+test('team sizes count students, not adults', () => {
+  assert.deepEqual(rosterReport(rows, roster).teams, { Tapir: 2, Sloth: 3, Kinkajou: 1 });
+});
+
+test('sum, average per member and distinct taxa rank teams differently', async () => {
+  const { entries, sizes } = await score();
+  const pointsOf = (team) => entries.filter((e) => e.team === team && !e.is_adult).reduce((sum, e) => sum + e.points, 0);
+  const board = (aggregation) => teamLeaderboard(entries, { aggregation, sizes }).map((r) => [r.team, r.score]);
+  const round = (n) => Math.round(n * 1e6) / 1e6;
+
+  // Adults never count: the caiman is not Tapir's
+  assert.deepEqual(board('sum'), [['Sloth', pointsOf('Sloth')], ['Tapir', pointsOf('Tapir')], ['Kinkajou', 0]]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+  // The frog Ann and Bob both found counts once
+  assert.deepEqual(teamLeaderboard(entries, { aggregation: 'distinct_taxa', sizes }).map((r) => [r.rank, r.team, r.score]),
+    [[1, 'Sloth', 3], [2, 'Tapir', 2], [3, 'Kinkajou', 0]]);
+  // Averages divide by everyone on the team's roster, including members with no observations
+  assert.deepEqual(new Map(board('average')), new Map([['Sloth', round(pointsOf('Sloth') / 3)], ['Tapir', round(pointsOf('Tapir') / 2)], ['Kinkajou', 0]]));
+});
+
+test('daily standings and species lists per team', async () => {
+  const { entries, sizes } = await score();
+  const daily = teamDailyLeaderboard(entries, { aggregation: 'distinct_taxa', sizes });
+  assert.deepEqual(daily.map((r) => [r.day, r.rank, r.team, r.score]), [
+    ['2025-11-11', 1, 'Sloth', 1],
+    ['2025-11-11', 1, 'Tapir', 1],
+    ['2025-11-10', 1, 'Sloth', 2],
+    ['2025-11-10', 2, 'Tapir', 1],
+  ]);
+
+  const tapir = teamSpecies(entries).filter((r) => r.team === 'Tapir');
+  assert.deepEqual(tapir.map((r) => [r.taxon_name, r.observations, r.observers, r.first_inat_obs_id]), [
+    ['Dendrobates auratus', 2, ['Ann', 'Bob'], 1],
+    ['Ramphastos sulfuratus', 1, ['Bob'], 3],
+  ]);
+});
+
+test('rejects an unknown team aggregation', () => {
+  assert.throws(() => teamLeaderboard([], { aggregation: 'median' }), /must be one of sum, average, distinct_taxa/);
+  const trip = { key: 't', d1: '2025-11-01', d2: '2025-11-10', timezone: 'UTC', rules: 'rules/default.v1.json',
+    bboxes: [{ west: 0, south: 0, east: 1, north: 1 }], roster: [{ name: 'Ann', logins: ['ann'], team: '' }], team_aggregation: 'median' };
+  const problems = tripsProblems({ trips: [trip] }).join('\n');
+  assert.match(problems, /roster\[0\] must be a login or \{ name, logins: \[login, \.\.\.\], adult\?, team\? \}/);
+  assert.match(problems, /team_aggregation must be one of sum, average, distinct_taxa/);
+});
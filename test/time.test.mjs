@@ -0,0 +1,62 @@
+// Trip-local time: day bucketing, the d1/d2 window and first-of-taxon order
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { localDate, observationDay, observationInstant, parseInstant } from '../src/scoring/time.mjs';
+import { filterMisses, scoreObservations } from '../src/scoring/scorer.mjs';
+import { dailyLeaderboard } from '../src/scoring/leaderboard.mjs';
+import { loadRuleSet } from '../src/scoring/rules.mjs';
+
+const CR = 'America/Costa_Rica'; // UTC-6, no DST
+const NIGHT_WALK = '2025-11-10T19:30:00-06:00'; // 01:30 UTC on the 11th
+
+test('an evening observation stays on its local day', () => {
+  assert.equal(observationDay({ time_observed_at: NIGHT_WALK }, CR), '2025-11-10');
+  assert.equal(observationDay({ time_observed_at: NIGHT_WALK }), '2025-11-11');
+  // Supabase returns timestamptz in UTC; the instant is what matters
+  assert.equal(observationDay({ time_observed_at: '2025-11-11T01:30:00+00:00' }, CR), '2025-11-10');
+});
+
+test('falls back to observed_on, then observed_at, when there is no exact time', () => {
+  assert.equal(observationDay({ time_observed_at: null, observed_on: '2025-11-10' }, CR), '2025-11-10');
+  assert.equal(observationDay({ observed_at: '2025-11-11T01:30:00Z' }, CR), '2025-11-10');
+  assert.equal(observationDay({ observed_at: '2025-11-10' }, CR), '2025-11-10');
+  assert.equal(observationDay({}, CR), null);
+});
+
+test('dates and offset-less times are local to the zone, across DST', () => {
+  assert.equal(parseInstant('2025-11-10', CR), Date.parse('2025-11-10T06:00:00Z'));
+  assert.equal(parseInstant('2025-11-10T19:30:00', CR), Date.parse(NIGHT_WALK));
+  // Chicago: CDT (UTC-5) before 2 Nov 2025, CST (UTC-6) after
+  assert.equal(parseInstant('2025-11-01', 'America/Chicago'), Date.parse('2025-11-01T05:00:00Z'));
+  assert.equal(parseInstant('2025-11-03', 'America/Chicago'), Date.parse('2025-11-03T06:00:00Z'));
+  assert.equal(localDate(Date.parse('2026-03-08T05:30:00Z'), 'America/Chicago'), '2026-03-07');
+  assert.equal(parseInstant('not a date', CR), null);
+});
+
+test('the trip window is checked in local days', () => {
+  const filters = { d1: '2025-11-01', d2: '2025-11-10', timezone: CR };
+  const row = { user_login: 'ann', time_observed_at: NIGHT_WALK };
+  assert.deepEqual(filterMisses(row, filters), []);
+  assert.deepEqual(filterMisses(row, { ...filters, timezone: null }), ['observed 2025-11-11, after trip window (2025-11-10)']);
+});
+
+test('first of taxon and daily buckets use trip-local time', async () => {
+  const ruleSet = await loadRuleSet('rules/default.v1.json');
+  const rows = [
+    // #2 has a date only, so it sorts from local midnight (06:00 UTC), before #1 at 05:00 local
+    { inat_obs_id: 1, user_login: 'ann', taxon_id: 7, time_observed_at: '2025-11-10T05:00:00-06:00', quality_grade: 'needs_id' },
+    { inat_obs_id: 2, user_login: 'ann', taxon_id: 7, observed_on: '2025-11-10', quality_grade: 'needs_id' },
+    { inat_obs_id: 3, user_login: 'ann', taxon_id: 8, time_observed_at: NIGHT_WALK, quality_grade: 'needs_id' },
+  ];
+  const entries = scoreObservations(rows, ruleSet, { filters: { timezone: CR } });
+  const first = (id) => entries.find((e) => e.inat_obs_id === id).breakdown.find((b) => b.rule === 'first_of_taxon').applied;
+  assert.deepEqual([first(1), first(2), first(3)], [false, true, true]);
+  assert.deepEqual(entries.map((e) => e.observed_day), ['2025-11-10', '2025-11-10', '2025-11-10']);
+  assert.equal(observationInstant(rows[1], CR), Date.parse('2025-11-10T06:00:00Z'));
+
+  const daily = dailyLeaderboard(entries);
+  assert.deepEqual(daily.map((d) => [d.day, d.user_login, d.obs_count]), [['2025-11-10', 'ann', 3]]);
+  // Without a zone the night walk is a UTC day later
+  const utc = dailyLeaderboard(scoreObservations(rows, ruleSet));
+  assert.deepEqual(utc.map((d) => [d.day, d.obs_count]), [['2025-11-11', 1], ['2025-11-10', 2]]);
+});
@@ -0,0 +1,166 @@
+// trips.json: validation, the views each consumer gets, and multi-box scoring
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyFile, mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  TRIPS_FILE,
+  enclosingBbox,
+  loadTrips,
+  readAreaFiles,
+  rosterLogins,
+  tripFileProblems,
+  tripFilters,
+  tripIngestEnv,
+  tripsProblems,
+  validateTrips,
+} from '../src/config/trips.mjs';
+import { loadIngestConfig } from '../src/ingest/config.mjs';
+import { filterMisses } from '../src/scoring/scorer.mjs';
+
+const trip = (over = {}) => ({
+  key: 'osa-2026',
+  d1: '2026-01-05',
+  d2: '2026-01-12',
+  timezone: 'America/Costa_Rica',
+  bboxes: [
+    { west: -83.7, south: 8.4, east: -83.3, north: 8.7 },
+    { west: -84.1, south: 10.4, east: -83.9, north: 10.5 },
+  ],
+  project_slug: 'osa-bioblitz',
+  roster: ['ann', { name: 'Bob', logins: ['bob', 'bob_alt'], adult: true }],
+  rules: 'rules/default.v1.json',
+  ...over,
+});
+
+test('the repo trips.json is valid and its rule sets load', async () => {
+  const trips = await loadTrips('trips.json');
+  assert.ok(trips.length > 0);
+  assert.deepEqual(await tripFileProblems(trips), []);
+});
+
+test('area and rule set files are read relative to the trips file, not the working directory', async () => {
+  assert.equal(TRIPS_FILE, new URL('../trips.json', import.meta.url).pathname);
+  const dir = await mkdtemp(join(tmpdir(), 'trips-'));
+  try {
+    await mkdir(join(dir, 'maps'));
+    await copyFile('areas/costa-rica-2025.geojson', join(dir, 'maps', 'cr.geojson'));
+    await writeFile(join(dir, 'trips.json'), JSON.stringify({ trips: [trip({ bboxes: undefined, area: 'maps/cr.geojson' })] }));
+    await mkdir(join(dir, 'rules'));
+    await copyFile('rules/default.v1.json', join(dir, 'rules', 'default.v1.json'));
+    const trips = await loadTrips(join(dir, 'trips.json'));
+    assert.equal(trips[0].area.type, 'MultiPolygon');
+    assert.equal(trips[0].rules, 'rules/default.v1.json');
+    assert.equal(trips[0].rules_file, join(dir, 'rules', 'default.v1.json'));
+    assert.deepEqual(await tripFileProblems(trips), []);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('lists every problem in a trips file at once', () => {
+  const problems = tripsProblems({
+    trips: [
+      trip({ d1: '2026-01-12', d2: '2026-01-05', timezone: 'Costa Rica' }),
+      trip({ bboxes: [{ west: 29.1, south: -103.6, east: 29.3, north: -102.95 }], color: 'red' }),
+      trip({ key: 'Bad Key', roster: ['ann', { name: 'Ann again', logins: ['ANN'] }] }),
+    ],
+  });
+  const text = problems.join('\n');
+  assert.match(text, /trips\[0\] \(osa-2026\): d1 \(2026-01-12\) is after d2/);
+  assert.match(text, /trips\[0\] \(osa-2026\): timezone must be an IANA zone/);
+  assert.match(text, /trips\[1\] \(osa-2026\): duplicate key/);
+  assert.match(text, /trips\[1\] \(osa-2026\): unknown field "color"/);
+  assert.match(text, /bboxes\[0\] latitude out of range/);
+  assert.match(text, /trips\[2\] \(Bad Key\): key must be/);
+  assert.match(text, /roster login "ANN" is listed for both ann and Ann again/);
+  assert.throws(() => validateTrips({ trips: [trip({ d1: 'soon' })] }, 'x.json'), /x\.json is invalid:\n {2}- trips\[0\].*d1/);
+});
+
+test('gives the scorers every box and ingest the enclosing one', () => {
+  const [t] = validateTrips({ trips: [trip()] });
+  assert.deepEqual(enclosingBbox(t.bboxes), { west: -84.1, south: 8.4, east: -83.3, north: 10.5 });
+  const filters = tripFilters(t);
+  assert.deepEqual(
+    [filters.trip_key, filters.d1, filters.d2, filters.swlat, filters.swlng, filters.nelat, filters.nelng],
+    ['osa-2026', '2026-01-05', '2026-01-12', 8.4, -84.1, 10.5, -83.3]
+  );
+  assert.equal(filters.bboxes.length, 2);
+  assert.deepEqual(rosterLogins(t), ['ann', 'bob', 'bob_alt']);
+  assert.deepEqual(t.roster[0], { name: 'ann', logins: ['ann'], adult: false, team: null });
+});
+
+test('drops observations between a trip\'s boxes', () => {
+  const filters = tripFilters(validateTrips({ trips: [trip()] })[0]);
+  const row = (latitude, longitude) => ({ user_login: 'ann', observed_on: '2026-01-06', latitude, longitude });
+  assert.deepEqual(filterMisses(row(8.5, -83.5), filters), []);
+  assert.deepEqual(filterMisses(row(10.45, -84.0), filters), []);
+  // Inside the enclosing box, outside both areas
+  assert.deepEqual(filterMisses(row(9.5, -83.8), filters), ['outside trip areas']);
+});
+
+test('scores polygons and places, and applies the location policy', async () => {
+  const { doc, problems } = await readAreaFiles({ trips: [trip({ bboxes: undefined, area: 'areas/costa-rica-2025.geojson' })] });
+  assert.deepEqual(problems, []);
+  const [t] = validateTrips(doc);
+  assert.equal(t.area.type, 'MultiPolygon');
+  assert.deepEqual(t.location_policy, { obscured: 'include', max_accuracy_m: null });
+  const filters = { ...tripFilters(t), obscured: 'exclude', max_accuracy_m: 500 };
+  const row = (over) => ({ user_login: 'ann', observed_on: '2026-01-06', latitude: 10.4301, longitude: -84.0072, ...over });
+  assert.deepEqual(filterMisses(row(), filters), []);
+  assert.deepEqual(filterMisses(row({ latitude: 10.5, longitude: -83.75 }), filters), ['outside trip areas']);
+  assert.deepEqual(filterMisses(row({ raw_json: { obscured: true, public_positional_accuracy: 28000 } }), filters), [
+    'location obscured on iNaturalist',
+    'location accurate to 28000 m (trip allows 500 m)',
+  ]);
+  assert.deepEqual(filterMisses(row({ raw_json: { taxon_geoprivacy: 'obscured' } }), { ...filters, max_accuracy_m: null }), [
+    'location obscured on iNaturalist',
+  ]);
+
+  const [byPlace] = validateTrips({ trips: [trip({ bboxes: undefined, place_ids: [6924] })] });
+  const placeFilters = tripFilters(byPlace);
+  assert.equal(placeFilters.swlat, null);
+  assert.deepEqual(filterMisses(row({ raw_json: { place_ids: [1, 6924] } }), placeFilters), []);
+  assert.deepEqual(filterMisses(row({ latitude: null, longitude: null, raw_json: { place_ids: [6924] } }), placeFilters), []);
+  assert.deepEqual(filterMisses(row({ raw_json: { place_ids: [1] } }), placeFilters), ['outside trip areas']);
+  assert.match(filterMisses(row(), placeFilters)[0], /no iNaturalist place_ids/);
+  assert.deepEqual(
+    [tripIngestEnv(byPlace, {}).TRIP_PLACE_ID, tripIngestEnv(byPlace, {}).TRIP_BBOX],
+    ['6924', '']
+  );
+});
+
+test('checks areas, places and the location policy', async () => {
+  const text = tripsProblems({
+    trips: [
+      trip({ bboxes: undefined }),
+      trip({ key: 'b', place_ids: [6924] }),
+      trip({ key: 'c', bboxes: undefined, place_ids: ['osa'], location_policy: { obscured: 'maybe', max_accuracy_m: -1, fuzz: 1 } }),
+      trip({ key: 'd', bboxes: undefined, area: { type: 'Point', coordinates: [0, 0] } }),
+    ],
+  }).join('\n');
+  assert.match(text, /\(osa-2026\): needs bboxes, area or place_ids/);
+  assert.match(text, /\(b\): place_ids cannot be combined/);
+  assert.match(text, /\(c\): place_ids must be a non-empty array/);
+  assert.match(text, /\(c\): unknown location_policy field "fuzz"/);
+  assert.match(text, /\(c\): location_policy.obscured must be one of include, exclude/);
+  assert.match(text, /\(c\): location_policy.max_accuracy_m must be a positive number/);
+  assert.match(text, /\(d\): area must be a Polygon or MultiPolygon/);
+
+  const { problems } = await readAreaFiles({ trips: [trip({ area: 'areas/missing.geojson' })] });
+  assert.match(problems[0], /osa-2026: could not read area file areas\/missing.geojson/);
+});
+
+test('TRIP=<key> replaces the trip env vars but not an explicit mode', () => {
+  const [t] = validateTrips({ trips: [trip()] });
+  const env = tripIngestEnv(t, { TRIP_D1: '2020-01-01', TRIP_BBOX: '0,0,1,1', INAT_USER_LOGINS: 'zed' });
+  const config = loadIngestConfig(env);
+  assert.equal(config.mode, 'TRIP');
+  assert.deepEqual([config.trip.d1, config.trip.d2, config.trip.bboxSpec], ['2026-01-05', '2026-01-12', '-84.1,8.4,-83.3,10.5']);
+  assert.equal(config.projectSlug, 'osa-bioblitz');
+
+  const members = loadIngestConfig(tripIngestEnv(t, { INAT_MODE: 'MEMBERS' }));
+  assert.equal(members.mode, 'MEMBERS');
+  assert.deepEqual(members.userLogins, ['ann', 'bob', 'bob_alt']);
+});
@@ -0,0 +1,61 @@
+// Observation writer: mapping, skipped records, statement-timeout batch shrinking
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createObservationWriter, isStatementTimeout } from '../src/ingest/writer.mjs';
+
+const observations = (n) => Array.from({ length: n }, (_, i) => ({ id: i + 1, user: { login: 'ann' } }));
+
+// Sink stub that times out on any batch larger than `limit`
+function fakeSink(limit = Infinity) {
+  const calls = [];
+  return {
+    calls,
+    async upsertObservations(rows) {
+      calls.push(rows.length);
+      if (rows.length > limit) {
+        throw Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014' });
+      }
+      return rows.length;
+    },
+  };
+}
+
+test('maps observations and skips records without an id', async () => {
+  const sink = fakeSink();
+  const writer = createObservationWriter(sink, { idColumn: 'inat_obs_id', batchSize: 2 });
+  const result = await writer.write([...observations(3), { user: { login: 'bob' } }]);
+  assert.deepEqual(result, { upserted: 3, skipped: 1 });
+  assert.deepEqual(sink.calls, [2, 1]);
+});
+
+test('halves batches on statement timeouts and keeps the smaller size', async () => {
+  const sink = fakeSink(12);
+  const writer = createObservationWriter(sink, { idColumn: 'inat_obs_id', batchSize: 50, minBatchSize: 10 });
+  assert.deepEqual(await writer.write(observations(50)), { upserted: 50, skipped: 0 });
+  assert.equal(writer.batchSize, 12);
+
+  sink.calls.length = 0;
+  await writer.write(observations(24));
+  assert.deepEqual(sink.calls, [12, 12]);
+});
+
+test('gives up once batches reach the floor', async () => {
+  const writer = createObservationWriter(fakeSink(5), { idColumn: 'inat_obs_id', batchSize: 40, minBatchSize: 10 });
+  await assert.rejects(writer.write(observations(40)), /statement timeout/);
+});
+
+test('other errors are not retried', async () => {
+  const sink = {
+    async upsertObservations() {
+      throw Object.assign(new Error('duplicate key'), { code: '23505' });
+    },
+  };
+  const writer = createObservationWriter(sink, { idColumn: 'inat_obs_id', batchSize: 50 });
+  await assert.rejects(writer.write(observations(50)), /duplicate key/);
+});
+
+test('recognises timeouts from every sink', () => {
+  assert.ok(isStatementTimeout({ code: '57014' }));
+  assert.ok(isStatementTimeout(new Error('Supabase error: canceling statement (Code: 57014)')));
+  assert.ok(!isStatementTimeout(new Error('HTTP 500')));
+});